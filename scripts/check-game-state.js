@@ -0,0 +1,115 @@
+// Traffic Simulation Game - Game State Checks
+// Loads every campaign level into the game state the way GameScene does, without Phaser or a browser
+//
+// Usage:
+//   node scripts/check-game-state.js [--verbose]
+//
+// Exits with status 1 if any check fails, so it can be used in scripts and CI.
+
+import { readFileSync } from 'node:fs';
+import { levelManager } from '../src/managers/LevelManager.js';
+import { GameState } from '../src/data/GameState.js';
+import { GameStates } from '../src/utils/Constants.js';
+import { deserializeLayout } from '../src/data/Layout.js';
+
+const LEVELS_DIR = new URL('../levels/', import.meta.url);
+const LAYOUT_PATH = new URL('../examples/level-1-layout.json', import.meta.url);
+
+/**
+ * Read a campaign level and load it into a game state
+ * @param {GameState} gameState - Game state to load into
+ * @param {string} file - Level file name in levels/
+ */
+function loadLevel(gameState, file) {
+    const level = levelManager.processLevel(JSON.parse(readFileSync(new URL(file, LEVELS_DIR), 'utf8')));
+    gameState.initializeWithLevel(level);
+}
+
+/**
+ * Build the checks, one per campaign level plus one across levels
+ * @returns {Array} Checks with a name and a run() that returns what went wrong, or null
+ */
+function getChecks() {
+    const manifest = JSON.parse(readFileSync(new URL('index.json', LEVELS_DIR), 'utf8'));
+    
+    const checks = manifest.levels.map(entry => ({
+        name: `${entry.id} loads into the building state with its budget`,
+        run: () => {
+            const gameState = new GameState();
+            loadLevel(gameState, entry.file);
+            
+            if (gameState.gameState !== GameStates.BUILDING) {
+                return `state is ${gameState.gameState}`;
+            }
+            if (gameState.budget !== levelManager.getInitialBudget()) {
+                return `budget is ${gameState.budget}, expected ${levelManager.getInitialBudget()}`;
+            }
+            return null;
+        }
+    }));
+    
+    checks.push({
+        name: 'loading a level clears the roads built on the previous one',
+        run: () => {
+            const gameState = new GameState();
+            loadLevel(gameState, manifest.levels[0].file);
+            
+            const [road] = deserializeLayout(JSON.parse(readFileSync(LAYOUT_PATH, 'utf8'))).values();
+            if (!gameState.placeRoad(road.row, road.col, { type: road.type })) {
+                return `could not place a road at row ${road.row}, column ${road.col}`;
+            }
+            
+            loadLevel(gameState, manifest.levels[manifest.levels.length - 1].file);
+            return gameState.roads.size === 0 ? null : `${gameState.roads.size} roads left over`;
+        }
+    });
+    
+    return checks;
+}
+
+/**
+ * Entry point
+ */
+function main() {
+    const argv = process.argv.slice(2);
+    const unknown = argv.find(arg => arg !== '--verbose');
+    if (unknown) {
+        throw new Error(`Unknown option ${unknown}\nUsage: node scripts/check-game-state.js [--verbose]`);
+    }
+    
+    const print = console.log.bind(console);
+    
+    // The game modules log heavily; keep the report readable unless asked
+    if (!argv.includes('--verbose')) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    
+    const checks = getChecks();
+    let failed = 0;
+    checks.forEach(check => {
+        let problem;
+        try {
+            problem = check.run();
+        } catch (error) {
+            problem = `threw ${error.stack || error}`;
+        }
+        
+        if (problem) {
+            failed++;
+            print(`FAIL ${check.name}\n     ${problem}`);
+        } else {
+            print(`ok   ${check.name}`);
+        }
+    });
+    
+    print(`\n${checks.length - failed}/${checks.length} checks passed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
\ No newline at end of file
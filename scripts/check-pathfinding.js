@@ -0,0 +1,115 @@
+// Traffic Simulation Game - Pathfinding Checks
+// Runs small road layouts through the pathfinder and compares the routes with the expected ones
+//
+// Usage:
+//   node scripts/check-pathfinding.js [--verbose]
+//
+// Each case is a layout in the format from src/data/Layout.js (0-based internal coordinates).
+// Exits with status 1 if any case fails, so it can be used in scripts and CI.
+
+import { PathFinder } from '../src/utils/PathFinder.js';
+import { deserializeLayout } from '../src/data/Layout.js';
+
+/**
+ * Build a road list from cells, with optional extra road data per cell
+ * @param {Array} cells - [row, col] pairs
+ * @param {Object} [extra] - Map of "row,col" -> extra road data (directions, turns)
+ * @returns {Array} Layout roads
+ */
+function roadsAt(cells, extra = {}) {
+    return cells.map(([row, col]) => ({ row, col, ...extra[`${row},${col}`] }));
+}
+
+// A street along row 2 crossed by one coming down column 2; cars heading right
+// at the crossing may only go straight on
+const RIGHT_ONLY = { '2,2': { turns: { right: ['right'] } } };
+
+const CASES = [
+    {
+        name: 'a U-turn past a junction does not get around its turn rule',
+        rows: 3, cols: 5,
+        roads: roadsAt([[2, 0], [2, 1], [2, 2], [2, 3], [2, 4], [1, 2], [0, 2]], RIGHT_ONLY),
+        from: { row: 2, col: 0, heading: 'right' },
+        to: { row: 0, col: 2 },
+        // Cars drive on to the end of the street and turn back there
+        expected: [[2, 0], [2, 1], [2, 2], [2, 3], [2, 4], [2, 3], [2, 2], [1, 2], [0, 2]]
+    },
+    {
+        name: 'a turn rule may allow the U-turn itself',
+        rows: 3, cols: 5,
+        roads: roadsAt([[2, 0], [2, 1], [2, 2], [2, 3], [2, 4], [1, 2], [0, 2]], {
+            ...RIGHT_ONLY,
+            '2,3': { turns: { right: ['right', 'left'] } }
+        }),
+        from: { row: 2, col: 0, heading: 'right' },
+        to: { row: 0, col: 2 },
+        expected: [[2, 0], [2, 1], [2, 2], [2, 3], [2, 2], [1, 2], [0, 2]]
+    },
+    {
+        name: 'cars go around the block rather than turning back on a through street',
+        rows: 3, cols: 5,
+        roads: roadsAt([[2, 0], [2, 1], [2, 2], [2, 3], [2, 4], [1, 2], [0, 2], [1, 4], [0, 4], [0, 3]], RIGHT_ONLY),
+        from: { row: 2, col: 0, heading: 'right' },
+        to: { row: 0, col: 2 },
+        expected: [[2, 0], [2, 1], [2, 2], [2, 3], [2, 4], [1, 4], [0, 4], [0, 3], [0, 2]]
+    }
+];
+
+/**
+ * Run one case
+ * @param {Object} testCase - Case from CASES
+ * @returns {string|null} What went wrong, or null if the route matched
+ */
+function runCase(testCase) {
+    const pathFinder = new PathFinder();
+    pathFinder.updateGrid(deserializeLayout({ roads: testCase.roads }), new Set(), testCase.rows, testCase.cols);
+    
+    const { from, to } = testCase;
+    const path = pathFinder.findPath(from.row, from.col, to.row, to.col, 0, from.heading || null);
+    const route = path ? path.map(({ row, col }) => [row, col]) : null;
+    
+    if (JSON.stringify(route) !== JSON.stringify(testCase.expected)) {
+        return `expected ${JSON.stringify(testCase.expected)}, got ${JSON.stringify(route)}`;
+    }
+    return null;
+}
+
+/**
+ * Entry point
+ */
+function main() {
+    const argv = process.argv.slice(2);
+    const unknown = argv.find(arg => arg !== '--verbose');
+    if (unknown) {
+        throw new Error(`Unknown option ${unknown}\nUsage: node scripts/check-pathfinding.js [--verbose]`);
+    }
+    
+    const print = console.log.bind(console);
+    
+    // The game modules log heavily; keep the report readable unless asked
+    if (!argv.includes('--verbose')) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    
+    let failed = 0;
+    CASES.forEach(testCase => {
+        const problem = runCase(testCase);
+        if (problem) {
+            failed++;
+            print(`FAIL ${testCase.name}\n     ${problem}`);
+        } else {
+            print(`ok   ${testCase.name}`);
+        }
+    });
+    
+    print(`\n${CASES.length - failed}/${CASES.length} checks passed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
\ No newline at end of file
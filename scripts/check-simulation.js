@@ -0,0 +1,95 @@
+// Traffic Simulation Game - Simulation Checks
+// Runs the example layout headlessly and checks that runs are deterministic and won
+//
+// Usage:
+//   node scripts/check-simulation.js [--verbose]
+//
+// Exits with status 1 if any check fails, so it can be used in scripts and CI.
+
+import { readFileSync } from 'node:fs';
+import { LevelManager } from '../src/managers/LevelManager.js';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { deserializeLayout, deserializeSignals, deserializeBridges } from '../src/data/Layout.js';
+
+const LEVEL_PATH = new URL('../levels/level-1.json', import.meta.url);
+const LAYOUT_PATH = new URL('../examples/level-1-layout.json', import.meta.url);
+const SEED = 42;
+
+/**
+ * Run the example layout once
+ * @param {number} seed - RNG seed
+ * @returns {Object} Summary from Simulation.run()
+ */
+function runExample(seed) {
+    const level = new LevelManager().processLevel(JSON.parse(readFileSync(LEVEL_PATH, 'utf8')));
+    const layout = JSON.parse(readFileSync(LAYOUT_PATH, 'utf8'));
+    const simulation = new Simulation({
+        level,
+        roads: deserializeLayout(layout),
+        signals: deserializeSignals(layout),
+        bridges: deserializeBridges(layout),
+        seed
+    });
+    
+    const summary = simulation.run();
+    simulation.destroy();
+    return summary;
+}
+
+const CHECKS = [
+    {
+        name: 'the example layout wins level 1',
+        run: () => {
+            const summary = runExample(SEED);
+            return summary.outcome.type === 'won' ? null : `${summary.outcome.type}: ${summary.outcome.reason}`;
+        }
+    },
+    {
+        name: 'two runs with the same seed give the same result',
+        run: () => {
+            const first = JSON.stringify(runExample(SEED));
+            const second = JSON.stringify(runExample(SEED));
+            return first === second ? null : `summaries differ:\n     ${first}\n     ${second}`;
+        }
+    }
+];
+
+/**
+ * Entry point
+ */
+function main() {
+    const argv = process.argv.slice(2);
+    const unknown = argv.find(arg => arg !== '--verbose');
+    if (unknown) {
+        throw new Error(`Unknown option ${unknown}\nUsage: node scripts/check-simulation.js [--verbose]`);
+    }
+    
+    const print = console.log.bind(console);
+    
+    // The game modules log heavily; keep the report readable unless asked
+    if (!argv.includes('--verbose')) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    
+    let failed = 0;
+    CHECKS.forEach(check => {
+        const problem = check.run();
+        if (problem) {
+            failed++;
+            print(`FAIL ${check.name}\n     ${problem}`);
+        } else {
+            print(`ok   ${check.name}`);
+        }
+    });
+    
+    print(`\n${CHECKS.length - failed}/${CHECKS.length} checks passed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+// Traffic Simulation Game - Headless Level Runner
+// Runs a level against a road layout in Node, without Phaser or a browser
+//
+// Usage:
+//   node scripts/simulate-level.js <level.json> <layout.json> [--seed N] [--runs N] [--verbose]
+//
+// The layout file uses the format from src/data/Layout.js (0-based internal coordinates).
+// Won runs are scored as in the game (no hints used; see src/simulation/Scoring.js).
+// Exits with status 1 if any run is lost, so it can be used in scripts and CI.
+
+import { readFileSync } from 'node:fs';
+import { LevelManager } from '../src/managers/LevelManager.js';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { deserializeLayout, deserializeSignals, deserializeBridges } from '../src/data/Layout.js';
+import { parseSeed } from '../src/utils/Random.js';
+import { calculateScore, formatStars } from '../src/simulation/Scoring.js';
+import { getBridgeCost } from '../src/simulation/Bridges.js';
+import { GameConfig } from '../src/utils/Constants.js';
+import { getRoadType, countDiagonalLinks } from '../src/utils/Helpers.js';
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} {levelPath, layoutPath, seed, runs, verbose}
+ */
+function parseArgs(argv) {
+    const options = { levelPath: null, layoutPath: null, seed: null, runs: 1, verbose: false };
+    const positional = [];
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--seed') {
+            options.seed = parseSeed(argv[++i]);
+        } else if (arg === '--runs') {
+            options.runs = Number(argv[++i]);
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}\nUsage: node scripts/simulate-level.js <level.json> <layout.json> [--seed N] [--runs N] [--verbose]`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    
+    [options.levelPath, options.layoutPath] = positional;
+    
+    if (!options.levelPath || !options.layoutPath) {
+        throw new Error('Usage: node scripts/simulate-level.js <level.json> <layout.json> [--seed N] [--runs N] [--verbose]');
+    }
+    if (!Number.isInteger(options.runs) || options.runs < 1) {
+        throw new Error('--runs must be a positive integer');
+    }
+    
+    return options;
+}
+
+/**
+ * Format a run summary for the terminal
+ * @param {number} run - Run number (1-based)
+ * @param {Object} summary - Summary from Simulation.getSummary()
+ * @param {Object|null} result - Score result of a won run
+ * @returns {string} Report text
+ */
+function formatSummary(run, summary, result) {
+    const lines = [
+        `Run ${run} (seed ${summary.seed}): ${summary.outcome.type.toUpperCase()} - ${summary.outcome.reason}`,
+        `  Simulated time: ${(summary.time / 1000).toFixed(1)}s over ${summary.ticks} ticks`,
+        `  Cars: ${summary.totalSpawned} spawned, ${summary.totalReachedExit} reached exit, ${summary.totalFailed} failed (${summary.successRate.toFixed(1)}%)`,
+        `  Average travel time: ${(summary.averageTravelTime / 1000).toFixed(2)}s`
+    ];
+    
+    summary.byType.forEach(type => {
+        lines.push(`  ${type.color}: ${type.spawned} spawned, ${type.succeeded} succeeded, ${type.failed} failed`);
+    });
+    
+    if (result) {
+        lines.push(`  Score: ${result.score} ${formatStars(result.stars)} (` +
+                   result.breakdown.map(item => `${item.label.toLowerCase()} ${item.points}`).join(', ') + ')');
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Entry point
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const print = console.log.bind(console);
+    
+    // The game modules log heavily; keep the report readable unless asked
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    
+    const levelManager = new LevelManager();
+    const level = levelManager.processLevel(JSON.parse(readFileSync(options.levelPath, 'utf8')));
+    const layout = JSON.parse(readFileSync(options.layoutPath, 'utf8'));
+    const roads = deserializeLayout(layout);
+    const signals = deserializeSignals(layout);
+    const bridges = deserializeBridges(layout);
+    const budget = levelManager.getInitialBudget();
+    let cost = signals.size * GameConfig.signalCost;
+    roads.forEach(road => {
+        cost += getRoadType(road.type).cost;
+    });
+    bridges.forEach(bridge => {
+        cost += getBridgeCost(bridge);
+    });
+    if (level.diagonal === true) {
+        cost += countDiagonalLinks(roads, level.uneditableCells) * GameConfig.diagonalLinkCost;
+    }
+    
+    // --seed wins over a seed pinned in the level; consecutive runs use consecutive seeds
+    const baseSeed = options.seed ?? level.seed ?? (Date.now() >>> 0);
+    
+    let lost = 0;
+    for (let run = 0; run < options.runs; run++) {
+        const seed = (baseSeed + run) >>> 0;
+        const simulation = new Simulation({ level, roads, signals, bridges, seed });
+        const summary = simulation.run();
+        
+        const won = summary.outcome.type === 'won';
+        if (!won) {
+            lost++;
+        }
+        
+        const result = won ? calculateScore({
+            level,
+            budget,
+            budgetLeft: budget - cost,
+            averageTravelTime: summary.averageTravelTime,
+            totalWaitTime: summary.totalWaitTime,
+            finishedCars: summary.totalReachedExit + summary.totalFailed
+        }) : null;
+        
+        print(formatSummary(run + 1, summary, result));
+        simulation.destroy();
+    }
+    
+    if (options.runs > 1) {
+        print(`\n${options.runs - lost}/${options.runs} runs won`);
+    }
+    
+    process.exitCode = lost > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+// Traffic Simulation Game - Level Solver
+// Finds the cheapest road layout connecting every car type's entrances to its exit
+//
+// Usage:
+//   node scripts/solve-level.js <level.json> [--one-way] [--type road-type] [--out layout.json] [--runs N] [--seed N] [--verbose]
+//
+// The cheapest layout may send cars head-on along the same road, where they jam.
+// --one-way uses the cheapest layout found in which every road is driven one way.
+// --type builds with another road type than the cheapest (dirt, street, avenue or highway).
+// --out writes the chosen layout in the format read by scripts/simulate-level.js.
+// --runs simulates the chosen layout N times; the solver only proves the roads connect,
+// so this shows whether traffic on it also wins.
+// Exits with status 1 if the level cannot be connected within its budget (or a run is lost).
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { LevelManager } from '../src/managers/LevelManager.js';
+import { LevelSolver } from '../src/simulation/LevelSolver.js';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { deserializeLayout } from '../src/data/Layout.js';
+import { parseSeed } from '../src/utils/Random.js';
+import { gridKey, getRoadType, getCheapestRoadType } from '../src/utils/Helpers.js';
+import { GameConfig, Directions, RoadCatalogue } from '../src/utils/Constants.js';
+
+// Map characters for a single arrow
+const ARROWS = {
+    [Directions.UP]: '^',
+    [Directions.DOWN]: 'v',
+    [Directions.LEFT]: '<',
+    [Directions.RIGHT]: '>'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} {levelPath, oneWay, roadType, outPath, runs, seed, verbose}
+ */
+function parseArgs(argv) {
+    const options = { levelPath: null, oneWay: false, roadType: getCheapestRoadType(), outPath: null, runs: 0, seed: null, verbose: false };
+    const positional = [];
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--one-way') {
+            options.oneWay = true;
+        } else if (arg === '--type') {
+            options.roadType = argv[++i];
+            if (!RoadCatalogue[options.roadType]) {
+                throw new Error(`--type must be one of ${Object.keys(RoadCatalogue).join(', ')}`);
+            }
+        } else if (arg === '--out') {
+            options.outPath = argv[++i];
+            if (!options.outPath || options.outPath.startsWith('--')) {
+                throw new Error('--out needs a file path');
+            }
+        } else if (arg === '--runs') {
+            options.runs = Number(argv[++i]);
+        } else if (arg === '--seed') {
+            options.seed = parseSeed(argv[++i]);
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}\nUsage: node scripts/solve-level.js <level.json> [--one-way] [--type road-type] [--out layout.json] [--runs N] [--seed N] [--verbose]`);
+        } else {
+            positional.push(arg);
+        }
+    }
+    
+    [options.levelPath] = positional;
+    
+    if (!options.levelPath) {
+        throw new Error('Usage: node scripts/solve-level.js <level.json> [--one-way] [--type road-type] [--out layout.json] [--runs N] [--seed N] [--verbose]');
+    }
+    if (!Number.isInteger(options.runs) || options.runs < 0) {
+        throw new Error('--runs must be a non-negative integer');
+    }
+    
+    return options;
+}
+
+/**
+ * Draw the level and solution as text
+ * Roads show their arrow (+ for several or none), T and B are trees and buildings.
+ * @param {Object} level - Processed level data
+ * @param {Array} roads - Layout roads
+ * @returns {string} Map text
+ */
+function drawMap(level, roads) {
+    const roadMap = new Map(roads.map(road => [gridKey(road.row, road.col), road]));
+    const lines = [];
+    
+    for (let row = 0; row < level.grid.rows; row++) {
+        let line = '  ';
+        for (let col = 0; col < level.grid.columns; col++) {
+            const key = gridKey(row, col);
+            const road = roadMap.get(key);
+            const cellType = level.cellTypes && level.cellTypes.get(key);
+            
+            if (road) {
+                line += road.directions.length === 1 ? ARROWS[road.directions[0]] : '+';
+            } else if (cellType) {
+                line += cellType[0].toUpperCase();
+            } else {
+                line += '.';
+            }
+        }
+        lines.push(line);
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Entry point
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const print = console.log.bind(console);
+    
+    // The game modules log heavily; keep the report readable unless asked
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+    
+    const levelManager = new LevelManager();
+    const level = levelManager.processLevel(JSON.parse(readFileSync(options.levelPath, 'utf8')));
+    const solver = new LevelSolver({ level, budget: levelManager.getInitialBudget(), roadType: options.roadType });
+    const result = solver.solve();
+    
+    if (!result.solvable) {
+        result.unreachable.forEach(group => {
+            print(`UNSOLVABLE: ${group.colors.join(', ')} entrances cannot reach their exit past the obstacles`);
+        });
+        process.exitCode = 1;
+        return;
+    }
+    
+    print(`${result.withinBudget ? 'SOLVABLE' : 'OVER BUDGET'}: ${result.roadCount} roads cost $${result.cost} of $${result.budget}` +
+          ` (${result.optimal ? 'minimum' : 'best found, not proven minimum'}; ${getRoadType(result.roadType).name} at $${getRoadType(result.roadType).cost} per road` +
+          `${level.diagonal === true ? `, $${GameConfig.diagonalLinkCost} per diagonal link` : ''})`);
+    if (result.headOnRoads > 0) {
+        print(`  ${result.headOnRoads} roads carry traffic both ways; try --one-way if cars jam`);
+    }
+    if (result.oneWay) {
+        print(`One-way layout: ${result.oneWay.roadCount} roads cost $${result.oneWay.cost}${result.oneWay.withinBudget ? '' : ' (over budget)'}`);
+    }
+    
+    if (options.oneWay && !result.oneWay) {
+        throw new Error('No one-way layout was found for this level');
+    }
+    const chosen = options.oneWay ? result.oneWay : result;
+    
+    print(`\n${drawMap(level, chosen.layout.roads)}`);
+    solver.verify(chosen.layout).forEach(route => {
+        print(`  warning: the game does not route ${level.cars[route.carIndex].color} entrance ${route.entranceIndex} on this layout`);
+    });
+    
+    if (options.outPath) {
+        writeFileSync(options.outPath, JSON.stringify(chosen.layout, null, 4));
+        print(`Layout written to ${options.outPath}`);
+    }
+    
+    // --seed wins over a seed pinned in the level; consecutive runs use consecutive seeds
+    const baseSeed = options.seed ?? level.seed ?? (Date.now() >>> 0);
+    let lost = 0;
+    for (let run = 0; run < options.runs; run++) {
+        const seed = (baseSeed + run) >>> 0;
+        const simulation = new Simulation({ level, roads: deserializeLayout(chosen.layout), seed });
+        const summary = simulation.run();
+        
+        if (summary.outcome.type !== 'won') {
+            lost++;
+        }
+        
+        print(`Run ${run + 1} (seed ${seed}): ${summary.outcome.type.toUpperCase()} - ${summary.outcome.reason}`);
+        simulation.destroy();
+    }
+    
+    if (options.runs > 0) {
+        print(`${options.runs - lost}/${options.runs} runs won`);
+    }
+    
+    process.exitCode = !chosen.withinBudget || lost > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+// Traffic Simulation Game - Level Validator
+// Checks level files against the level schema and rules, reporting every problem with its JSON path
+//
+// Usage:
+//   node scripts/validate-levels.js [path ...] [--strict] [--schema]
+//
+// Paths may be level files or directories (default: levels/). Directories are scanned for
+// *.json; an index.json in them is checked as the campaign manifest instead.
+// --strict treats warnings as failures; --schema prints the JSON Schema and exits.
+// Exits with status 1 if any level has errors, so it can be used in scripts and CI.
+
+import { readFileSync, readdirSync, statSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { LevelSchema } from '../src/data/LevelSchema.js';
+import { validateLevel, formatIssues } from '../src/data/LevelValidator.js';
+import { CampaignManager } from '../src/managers/CampaignManager.js';
+
+const MANIFEST_FILE = 'index.json';
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} {paths, strict, schema}
+ */
+function parseArgs(argv) {
+    const options = { paths: [], strict: false, schema: false };
+    
+    argv.forEach(arg => {
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--schema') {
+            options.schema = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}\nUsage: node scripts/validate-levels.js [path ...] [--strict] [--schema]`);
+        } else {
+            options.paths.push(arg);
+        }
+    });
+    
+    if (options.paths.length === 0) {
+        options.paths.push('levels');
+    }
+    
+    return options;
+}
+
+/**
+ * Expand directories into their level files and manifests
+ * @param {Array} paths - Files and directories
+ * @returns {Object} {levels: [path], manifests: [path]}
+ */
+function collectFiles(paths) {
+    const files = { levels: [], manifests: [] };
+    
+    paths.forEach(path => {
+        if (!statSync(path).isDirectory()) {
+            files.levels.push(path);
+            return;
+        }
+        
+        readdirSync(path)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .forEach(name => {
+                (name === MANIFEST_FILE ? files.manifests : files.levels).push(join(path, name));
+            });
+    });
+    
+    return files;
+}
+
+/**
+ * Check a campaign manifest and that the level files it lists exist
+ * @param {string} manifestPath - Path to index.json
+ * @returns {Array} Error messages
+ */
+function checkManifest(manifestPath) {
+    try {
+        const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+        new CampaignManager().validateManifest(manifest);
+        
+        return manifest.levels
+            .filter(entry => !existsSync(join(dirname(manifestPath), entry.file)))
+            .map(entry => `level '${entry.id}' points at missing file ${entry.file}`);
+    } catch (error) {
+        return [error.message];
+    }
+}
+
+/**
+ * Check one level file
+ * @param {string} levelPath - Path to the level JSON
+ * @returns {Object} Validation result {valid, errors, warnings}
+ */
+function checkLevel(levelPath) {
+    let levelData;
+    try {
+        levelData = JSON.parse(readFileSync(levelPath, 'utf8'));
+    } catch (error) {
+        return { valid: false, errors: [{ path: '$', message: `is not valid JSON: ${error.message}` }], warnings: [] };
+    }
+    
+    return validateLevel(levelData);
+}
+
+/**
+ * Indent a block of text for the report
+ * @param {string} text - Text
+ * @returns {string} Indented text
+ */
+function indent(text) {
+    return text.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+/**
+ * Entry point
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const print = console.log.bind(console);
+    
+    if (options.schema) {
+        print(JSON.stringify(LevelSchema, null, 4));
+        return;
+    }
+    
+    // The game modules log heavily; keep the report readable
+    console.log = () => {};
+    console.warn = () => {};
+    
+    const files = collectFiles(options.paths);
+    let failed = 0;
+    
+    files.manifests.forEach(manifestPath => {
+        const errors = checkManifest(manifestPath);
+        if (errors.length > 0) {
+            failed++;
+            print(`FAIL ${manifestPath}\n${indent(errors.join('\n'))}`);
+        } else {
+            print(`ok   ${manifestPath}`);
+        }
+    });
+    
+    files.levels.forEach(levelPath => {
+        const result = checkLevel(levelPath);
+        const fails = !result.valid || (options.strict && result.warnings.length > 0);
+        
+        if (fails) {
+            failed++;
+        }
+        
+        print(`${fails ? 'FAIL' : 'ok  '} ${levelPath}`);
+        if (result.errors.length > 0) {
+            print(indent(`error ${formatIssues(result.errors).replace(/\n/g, '\nerror ')}`));
+        }
+        if (result.warnings.length > 0) {
+            print(indent(`warning ${formatIssues(result.warnings).replace(/\n/g, '\nwarning ')}`));
+        }
+    });
+    
+    const total = files.manifests.length + files.levels.length;
+    print(`\n${total - failed}/${total} files passed`);
+    
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+}
\ No newline at end of file
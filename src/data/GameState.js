@@ -1,9 +1,12 @@
 // Traffic Simulation Game - Centralized State Management
 // Manages all game state including budget, tools, roads, cars, and simulation status
 
-import { GameConfig, Tools, GameStates, CarStates } from '../utils/Constants.js';
-import { gridKey } from '../utils/Helpers.js';
+import { GameConfig, Tools, GameStates, RoadTypes, RoadCatalogue } from '../utils/Constants.js';
+import { gridKey, getRoadType, getDiagonalLinks } from '../utils/Helpers.js';
 import { levelManager } from '../managers/LevelManager.js';
+import { getBridgeKey, getBridgeEnds, getBridgeCost, isBridgeEnd, cloneBridgeData } from '../simulation/Bridges.js';
+import { cloneTurnTable } from '../simulation/TurnRules.js';
+import { isJunction as isJunctionInLayout } from '../simulation/Junctions.js';
 
 export class GameState {
     constructor() {
@@ -18,8 +21,11 @@ export class GameState {
         // Core game state
         this.budget = GameConfig.defaultBudget;
         this.currentTool = Tools.PLACE;
+        this.currentRoadType = RoadTypes.STREET; // Road type the place tool builds
         this.gameState = GameStates.BUILDING;
         this.isSimulating = false;
+        this.isPaused = false;
+        this.simulationSpeed = 1; // Simulated time per real time; kept across runs
         
         // Level and grid data
         this.level = null;
@@ -29,6 +35,12 @@ export class GameState {
         // Placed roads - Map of "row,col" -> Road object
         this.roads = new Map();
         
+        // Placed traffic signals - Map of "row,col" -> signal data
+        this.signals = new Map();
+        
+        // Placed bridges and tunnels - Map of bridge key (see getBridgeKey) -> bridge data
+        this.bridges = new Map();
+        
         // Active cars - Array of car instances
         this.cars = [];
         this.activeCars = new Set(); // Track active car IDs for performance
@@ -38,15 +50,6 @@ export class GameState {
         this.hoveredCell = null;
         this.isDeleteMode = false;
         
-        // Simulation statistics
-        this.stats = {
-            carsSpawned: 0,
-            carsReachedExit: 0,
-            carsFailed: 0,
-            simulationStartTime: null,
-            simulationEndTime: null
-        };
-        
         // Cached pathfinding grid state
         this._pathfindingGridDirty = true;
         
@@ -69,11 +72,13 @@ export class GameState {
         
         // Reset other state
         this.roads.clear();
+        this.signals.clear();
+        this.bridges.clear();
         this.cars = [];
         this.activeCars.clear();
-        this.resetStats();
         this.gameState = GameStates.BUILDING;
         this.isSimulating = false;
+        this.isPaused = false;
         
         this._pathfindingGridDirty = true;
         
@@ -150,6 +155,24 @@ export class GameState {
         this.setCurrentTool(this.isDeleteMode ? Tools.PLACE : Tools.DELETE);
     }
 
+    /**
+     * Set the road type the place tool builds
+     * @param {string} type - Road type from RoadTypes
+     * @returns {boolean} True if the type exists
+     */
+    setRoadType(type) {
+        if (!RoadCatalogue[type]) {
+            console.warn(`Invalid road type: ${type}`);
+            return false;
+        }
+        
+        this.currentRoadType = type;
+        
+        console.log(`Road type changed to ${type}`);
+        this.emit('roadTypeChanged', type);
+        return true;
+    }
+
     /**
      * Road Management
      */
@@ -178,7 +201,7 @@ export class GameState {
      * Place a road at coordinates
      * @param {number} row - Grid row
      * @param {number} col - Grid column
-     * @param {Object} roadData - Road data object
+     * @param {Object} roadData - Road data object; its type (default street) sets the price
      * @returns {boolean} True if successful
      */
     placeRoad(row, col, roadData) {
@@ -187,7 +210,9 @@ export class GameState {
             return false;
         }
         
-        if (!this.canAfford(GameConfig.roadCost)) {
+        const type = roadData.type || RoadTypes.STREET;
+        const cost = this.getRoadPlacementCost(row, col, type);
+        if (!this.canAfford(cost)) {
             console.warn('Cannot afford road placement');
             return false;
         }
@@ -200,12 +225,14 @@ export class GameState {
         }
         
         // Spend budget and place road
-        if (this.spendBudget(GameConfig.roadCost)) {
+        if (this.spendBudget(cost)) {
             this.roads.set(key, {
                 row,
                 col,
                 directions: [],
-                ...roadData
+                turns: {},
+                ...roadData,
+                type
             });
             
             this._pathfindingGridDirty = true;
@@ -217,6 +244,22 @@ export class GameState {
         return false;
     }
 
+    /**
+     * Get what placing a road costs, including the diagonal links it makes in diagonal mode
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {string} type - Road type from RoadTypes
+     * @returns {number} Cost in dollars
+     */
+    getRoadPlacementCost(row, col, type) {
+        const cost = getRoadType(type).cost;
+        if (!this.level || this.level.diagonal !== true) {
+            return cost;
+        }
+        
+        return cost + getDiagonalLinks(row, col, this.roads, this.level.uneditableCells).length * GameConfig.diagonalLinkCost;
+    }
+
     /**
      * Remove a road at coordinates
      * @param {number} row - Grid row
@@ -237,12 +280,24 @@ export class GameState {
             return false;
         }
         
+        // A signal cannot stand without its road, nor a bridge or tunnel without its ends
+        const stranded = this.getSignalsStrandedBy({ road });
+        if (this.signals.has(key)) {
+            this.removeSignal(row, col);
+        }
+        this.getBridgesAt(row, col).forEach(bridge => this.removeBridge(bridge));
+        
+        // The road's diagonal links go with it
+        const refund = this.getRoadPlacementCost(row, col, road.type);
         this.roads.delete(key);
-        this.addBudget(GameConfig.roadCost);
+        this.addBudget(refund);
         this._pathfindingGridDirty = true;
         
         console.log(`Road removed from ${key}`);
         this.emit('roadRemoved', { row, col, road });
+        
+        // Nor a signal on a neighbour that is no longer a junction
+        this.removeStrandedSignals(stranded);
         return true;
     }
 
@@ -250,7 +305,7 @@ export class GameState {
      * Update road directions (arrows)
      * @param {number} row - Grid row
      * @param {number} col - Grid column
-     * @param {Array} directions - Array of direction strings
+     * @param {Array} directions - Array of direction strings (repeats are dropped)
      * @returns {boolean} True if successful
      */
     updateRoadDirections(row, col, directions) {
@@ -260,7 +315,7 @@ export class GameState {
             return false;
         }
         
-        road.directions = [...directions];
+        road.directions = [...new Set(directions)];
         this._pathfindingGridDirty = true;
         
         console.log(`Road directions updated at ${row},${col}:`, directions);
@@ -268,6 +323,278 @@ export class GameState {
         return true;
     }
 
+    /**
+     * Update a road's turn rules
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Object} turns - Turn table (see TurnRules.js)
+     * @returns {boolean} True if successful
+     */
+    updateRoadTurns(row, col, turns) {
+        const road = this.getRoad(row, col);
+        if (!road) {
+            console.warn(`No road at ${row},${col} to update turns`);
+            return false;
+        }
+        
+        road.turns = cloneTurnTable(turns);
+        this._pathfindingGridDirty = true;
+        
+        console.log(`Road turns updated at ${row},${col}:`, turns);
+        this.emit('roadTurnsUpdated', { row, col, turns: cloneTurnTable(turns) });
+        return true;
+    }
+
+    /**
+     * Traffic Signal Management
+     */
+    
+    /**
+     * Check if a signal exists at coordinates
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if signal exists
+     */
+    hasSignal(row, col) {
+        return this.signals.has(gridKey(row, col));
+    }
+
+    /**
+     * Get signal at coordinates
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Object|null} Signal data or null
+     */
+    getSignal(row, col) {
+        return this.signals.get(gridKey(row, col)) || null;
+    }
+
+    /**
+     * Place a traffic signal on a road
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Object} signalData - Signal data (see SignalTiming.js)
+     * @returns {boolean} True if successful
+     */
+    placeSignal(row, col, signalData) {
+        if (this.isSimulating) {
+            console.warn('Cannot place signals during simulation');
+            return false;
+        }
+        
+        const key = gridKey(row, col);
+        
+        if (!this.roads.has(key)) {
+            console.warn(`Signals need a road: no road at ${key}`);
+            return false;
+        }
+        
+        if (this.signals.has(key)) {
+            console.warn(`Signal already exists at ${key}`);
+            return false;
+        }
+        
+        if (!this.isJunction(row, col)) {
+            console.warn(`Signals need a junction: the road at ${key} links to fewer than ${GameConfig.junctionMinRoads} roads`);
+            return false;
+        }
+        
+        // Spend budget and place signal
+        if (this.spendBudget(GameConfig.signalCost)) {
+            this.signals.set(key, { ...signalData, row, col });
+            
+            console.log(`Signal placed at ${key}`);
+            this.emit('signalPlaced', { row, col, signalData: this.signals.get(key) });
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Remove a traffic signal
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if successful
+     */
+    removeSignal(row, col) {
+        if (this.isSimulating) {
+            console.warn('Cannot remove signals during simulation');
+            return false;
+        }
+        
+        const key = gridKey(row, col);
+        const signal = this.signals.get(key);
+        
+        if (!signal) {
+            console.warn(`No signal at ${key} to remove`);
+            return false;
+        }
+        
+        this.signals.delete(key);
+        this.addBudget(GameConfig.signalCost);
+        
+        console.log(`Signal removed from ${key}`);
+        this.emit('signalRemoved', { row, col, signal });
+        return true;
+    }
+
+    /**
+     * Check if a road is a junction, where signals may stand (see Junctions.js)
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if the cell is a road linked to enough others
+     */
+    isJunction(row, col) {
+        return !!this.level && isJunctionInLayout(row, col, { roads: this.roads, bridges: this.bridges, level: this.level });
+    }
+
+    /**
+     * Get the signals a removal would leave off a junction
+     * @param {Object} removal - {road} or {bridge} about to be removed
+     * @returns {Array} Signals on other roads that would no longer stand on a junction
+     */
+    getSignalsStrandedBy({ road = null, bridge = null }) {
+        if (!this.level) {
+            return [];
+        }
+        
+        const roads = new Map(this.roads);
+        let bridges = Array.from(this.bridges.values());
+        if (road) {
+            roads.delete(gridKey(road.row, road.col));
+            bridges = bridges.filter(other => !isBridgeEnd(other, road.row, road.col));
+        }
+        if (bridge) {
+            bridges = bridges.filter(other => getBridgeKey(other) !== getBridgeKey(bridge));
+        }
+        
+        const layout = { roads, bridges, level: this.level };
+        return Array.from(this.signals.values())
+            .filter(signal => roads.has(gridKey(signal.row, signal.col)) && !isJunctionInLayout(signal.row, signal.col, layout));
+    }
+
+    /**
+     * Remove signals left off a junction by a removal (see getSignalsStrandedBy)
+     * @param {Array} signals - Signal data
+     */
+    removeStrandedSignals(signals) {
+        signals
+            .filter(signal => this.signals.has(gridKey(signal.row, signal.col)))
+            .forEach(signal => {
+                console.log(`Signal at ${signal.row},${signal.col} no longer stands on a junction`);
+                this.removeSignal(signal.row, signal.col);
+            });
+    }
+
+    /**
+     * Replace the timing of a traffic signal
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Object} signalData - New signal data
+     * @returns {boolean} True if successful
+     */
+    updateSignal(row, col, signalData) {
+        if (this.isSimulating) {
+            console.warn('Cannot change signals during simulation');
+            return false;
+        }
+        
+        const key = gridKey(row, col);
+        if (!this.signals.has(key)) {
+            console.warn(`No signal at ${key} to update`);
+            return false;
+        }
+        
+        this.signals.set(key, { ...signalData, row, col });
+        
+        console.log(`Signal timing updated at ${key}`);
+        this.emit('signalUpdated', { row, col, signalData: this.signals.get(key) });
+        return true;
+    }
+
+    /**
+     * Bridge and Tunnel Management
+     */
+    
+    /**
+     * Get the bridges and tunnels ending on a road
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Array} Array of bridge data
+     */
+    getBridgesAt(row, col) {
+        return Array.from(this.bridges.values()).filter(bridge => isBridgeEnd(bridge, row, col));
+    }
+
+    /**
+     * Place a bridge or tunnel between two roads
+     * @param {Object} bridgeData - Bridge data (see Bridges.js); its span sets the price
+     * @returns {boolean} True if successful
+     */
+    placeBridge(bridgeData) {
+        if (this.isSimulating) {
+            console.warn('Cannot place bridges during simulation');
+            return false;
+        }
+        
+        const key = getBridgeKey(bridgeData);
+        
+        if (!getBridgeEnds(bridgeData).every(end => this.roads.has(gridKey(end.row, end.col)))) {
+            console.warn(`Bridges need a road at both ends: ${key}`);
+            return false;
+        }
+        
+        if (this.bridges.has(key)) {
+            console.warn(`Bridge already exists: ${key}`);
+            return false;
+        }
+        
+        // Spend budget and place bridge
+        if (this.spendBudget(getBridgeCost(bridgeData))) {
+            this.bridges.set(key, cloneBridgeData(bridgeData));
+            this._pathfindingGridDirty = true;
+            
+            console.log(`Bridge placed: ${key}`);
+            this.emit('bridgePlaced', { bridgeData: this.bridges.get(key) });
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Remove a bridge or tunnel
+     * @param {Object} bridgeData - Bridge data (only its kind and ends are used)
+     * @returns {boolean} True if successful
+     */
+    removeBridge(bridgeData) {
+        if (this.isSimulating) {
+            console.warn('Cannot remove bridges during simulation');
+            return false;
+        }
+        
+        const key = getBridgeKey(bridgeData);
+        const bridge = this.bridges.get(key);
+        
+        if (!bridge) {
+            console.warn(`No bridge to remove: ${key}`);
+            return false;
+        }
+        
+        const stranded = this.getSignalsStrandedBy({ bridge });
+        this.bridges.delete(key);
+        this.addBudget(getBridgeCost(bridge));
+        this._pathfindingGridDirty = true;
+        
+        console.log(`Bridge removed: ${key}`);
+        this.emit('bridgeRemoved', { bridge });
+        
+        // A signal at either end that no longer stands on a junction goes too
+        this.removeStrandedSignals(stranded);
+        return true;
+    }
+
     /**
      * Car Management
      */
@@ -279,7 +606,6 @@ export class GameState {
     addCar(car) {
         this.cars.push(car);
         this.activeCars.add(car.id);
-        this.stats.carsSpawned++;
         
         console.log(`Car added: ${car.id} (${car.color})`);
         this.emit('carAdded', car);
@@ -296,18 +622,8 @@ export class GameState {
             this.cars.splice(carIndex, 1);
             this.activeCars.delete(carId);
             
-            // Update statistics based on car state
-            if (car.state === CarStates.REACHED_EXIT) {
-                this.stats.carsReachedExit++;
-            } else if (car.state === CarStates.FAILED) {
-                this.stats.carsFailed++;
-            }
-            
             console.log(`Car removed: ${carId} (final state: ${car.state})`);
             this.emit('carRemoved', { carId, car });
-            
-            // Check win/lose conditions
-            this.checkGameEndConditions();
         }
     }
 
@@ -348,9 +664,8 @@ export class GameState {
         }
         
         this.isSimulating = true;
+        this.isPaused = false;
         this.gameState = GameStates.SIMULATING;
-        this.resetStats();
-        this.stats.simulationStartTime = Date.now();
         
         console.log('Simulation started');
         this.emit('simulationStarted');
@@ -366,8 +681,8 @@ export class GameState {
         }
         
         this.isSimulating = false;
+        this.isPaused = false;
         this.gameState = GameStates.BUILDING;
-        this.stats.simulationEndTime = Date.now();
         
         // Clear all cars
         this.cars.forEach(car => {
@@ -381,44 +696,58 @@ export class GameState {
     }
 
     /**
-     * Reset simulation statistics
+     * Pause or resume the running simulation without clearing its cars
+     * @param {boolean} paused - True to pause
+     * @returns {boolean} True if the state changed
      */
-    resetStats() {
-        this.stats = {
-            carsSpawned: 0,
-            carsReachedExit: 0,
-            carsFailed: 0,
-            simulationStartTime: null,
-            simulationEndTime: null
-        };
+    setPaused(paused) {
+        if (!this.isSimulating || this.isPaused === paused) {
+            return false;
+        }
+        
+        this.isPaused = paused;
+        
+        console.log(`Simulation ${paused ? 'paused' : 'resumed'}`);
+        this.emit(paused ? 'simulationPaused' : 'simulationResumed');
+        return true;
     }
 
     /**
-     * Check win/lose conditions
+     * Set how fast simulated time runs compared to real time
+     * @param {number} speed - One of GameConfig.simulationSpeeds
+     * @returns {boolean} True if the speed is allowed
      */
-    checkGameEndConditions() {
-        if (!this.isSimulating) {
-            return;
+    setSimulationSpeed(speed) {
+        if (!GameConfig.simulationSpeeds.includes(speed)) {
+            console.warn(`Invalid simulation speed: ${speed}`);
+            return false;
         }
         
-        const totalCars = this.stats.carsReachedExit + this.stats.carsFailed;
-        const minCarsToCheck = this.level.cars.length * 2; // At least 2 cars per type
+        this.simulationSpeed = speed;
         
-        if (totalCars >= minCarsToCheck) {
-            const successRate = this.stats.carsReachedExit / totalCars;
-            
-            if (successRate >= GameConfig.successThreshold) {
-                this.gameState = GameStates.WON;
-                this.stopSimulation();
-                console.log(`Level won! Success rate: ${(successRate * 100).toFixed(1)}%`);
-                this.emit('levelWon', { successRate, stats: this.stats });
-            } else if (this.stats.carsFailed > this.stats.carsReachedExit) {
-                this.gameState = GameStates.LOST;
-                this.stopSimulation();
-                console.log(`Level lost! Success rate: ${(successRate * 100).toFixed(1)}%`);
-                this.emit('levelLost', { successRate, stats: this.stats });
-            }
+        console.log(`Simulation speed ${speed}x`);
+        this.emit('simulationSpeedChanged', speed);
+        return true;
+    }
+
+    /**
+     * Record the outcome of the running simulation
+     * The simulation's RulesEngine decides the outcome; this only turns it into
+     * exactly one levelWon or levelLost event per run.
+     * @param {Object} outcome - Outcome {type: 'won'|'lost', reason, objective, objectives, time, successRate}
+     * @returns {boolean} True if the event was emitted
+     */
+    endLevel(outcome) {
+        if (this.gameState !== GameStates.SIMULATING) {
+            return false;
         }
+        
+        const won = outcome.type === 'won';
+        this.gameState = won ? GameStates.WON : GameStates.LOST;
+        
+        console.log(`Level ${won ? 'won' : 'lost'}: ${outcome.reason}`);
+        this.emit(won ? 'levelWon' : 'levelLost', outcome);
+        return true;
     }
 
     /**
@@ -462,14 +791,6 @@ export class GameState {
         this._pathfindingGridDirty = false;
     }
 
-    /**
-     * Get current game statistics
-     * @returns {Object} Statistics object
-     */
-    getStats() {
-        return { ...this.stats };
-    }
-
     /**
      * Get current level name
      * @returns {string|null} Level name or null if no level loaded
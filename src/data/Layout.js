@@ -0,0 +1,141 @@
+// Traffic Simulation Game - Road Layout Serialization
+// Converts between road maps and the plain JSON layout format used by tools and saves
+
+import { RoadTypes, RoadCatalogue } from '../utils/Constants.js';
+import { gridKey } from '../utils/Helpers.js';
+import { cloneSignalData, validateSignalData } from '../simulation/SignalTiming.js';
+import { cloneBridgeData, getBridgeKey, validateBridgeData } from '../simulation/Bridges.js';
+import { cloneTurnTable, hasTurnRules, validateTurnTable } from '../simulation/TurnRules.js';
+
+/**
+ * Layout format (internal 0-based coordinates, as returned by Road.getRoadData()):
+ * {
+ *     "roads": [ { "row": 2, "col": 0, "directions": ["right"], "type": "avenue", "turns": { "right": ["right", "down"] } }, ... ],
+ *     "signals": [ { "row": 2, "col": 5, "cycleLength": 8000, "phases": { ... } }, ... ],
+ *     "bridges": [ { "kind": "tunnel", "fromRow": 0, "fromCol": 3, "toRow": 4, "toCol": 3 }, ... ]
+ * }
+ * "signals", "bridges" (see Bridges.js), a road's "type" (see RoadTypes, default "street") and its
+ * "turns" (see TurnRules.js) are optional.
+ */
+
+/**
+ * Serialize a road map into a layout object
+ * @param {Map} roads - Map of "row,col" -> Road or road data
+ * @param {Map} signals - Map of "row,col" -> signal data
+ * @param {Map} bridges - Map of key -> bridge or tunnel data
+ * @returns {Object} Layout {roads: Array, signals: Array, bridges: Array}
+ */
+export function serializeLayout(roads, signals = new Map(), bridges = new Map()) {
+    const layout = { roads: [], signals: [], bridges: [] };
+    
+    roads.forEach(road => {
+        const roadData = {
+            row: road.row,
+            col: road.col,
+            directions: [...(road.directions || [])],
+            type: road.type || RoadTypes.STREET
+        };
+        if (hasTurnRules(road.turns)) {
+            roadData.turns = cloneTurnTable(road.turns);
+        }
+        layout.roads.push(roadData);
+    });
+    
+    signals.forEach(signal => {
+        layout.signals.push(cloneSignalData(signal));
+    });
+    
+    bridges.forEach(bridge => {
+        layout.bridges.push(cloneBridgeData(bridge));
+    });
+    
+    return layout;
+}
+
+/**
+ * Deserialize a layout object into a road map
+ * @param {Object} layout - Layout {roads: Array}
+ * @returns {Map} Map of "row,col" -> road data {row, col, directions, type, turns}
+ * @throws {Error} If the layout is malformed
+ */
+export function deserializeLayout(layout) {
+    if (!layout || !Array.isArray(layout.roads)) {
+        throw new Error("Layout must have a 'roads' array");
+    }
+    
+    const roads = new Map();
+    
+    layout.roads.forEach((road, index) => {
+        if (typeof road.row !== 'number' || typeof road.col !== 'number') {
+            throw new Error(`Layout road ${index}: row and col must be numbers`);
+        }
+        
+        if (road.type !== undefined && !RoadCatalogue[road.type]) {
+            throw new Error(`Layout road ${index}: unknown road type '${road.type}'`);
+        }
+        
+        const turnsError = road.turns !== undefined ? validateTurnTable(road.turns) : null;
+        if (turnsError) {
+            throw new Error(`Layout road ${index}: ${turnsError}`);
+        }
+        
+        roads.set(gridKey(road.row, road.col), {
+            row: road.row,
+            col: road.col,
+            directions: Array.isArray(road.directions) ? [...new Set(road.directions)] : [],
+            type: road.type || RoadTypes.STREET,
+            turns: cloneTurnTable(road.turns)
+        });
+    });
+    
+    return roads;
+}
+
+/**
+ * Read the traffic signals of a layout object
+ * @param {Object} layout - Layout {roads: Array, signals: Array}
+ * @returns {Map} Map of "row,col" -> signal data
+ * @throws {Error} If a signal is malformed
+ */
+export function deserializeSignals(layout) {
+    const signals = new Map();
+    
+    (layout && layout.signals ? layout.signals : []).forEach((signal, index) => {
+        const error = validateSignalData(signal);
+        if (error) {
+            throw new Error(`Layout signal ${index}: ${error}`);
+        }
+        
+        signals.set(gridKey(signal.row, signal.col), cloneSignalData(signal));
+    });
+    
+    return signals;
+}
+
+/**
+ * Read the bridges and tunnels of a layout object
+ * @param {Object} layout - Layout {roads: Array, bridges: Array}
+ * @returns {Map} Map of key (see getBridgeKey) -> bridge data
+ * @throws {Error} If a bridge is malformed
+ */
+export function deserializeBridges(layout) {
+    const bridges = new Map();
+    
+    (layout && layout.bridges ? layout.bridges : []).forEach((bridge, index) => {
+        const error = validateBridgeData(bridge);
+        if (error) {
+            throw new Error(`Layout bridge ${index}: ${error}`);
+        }
+        
+        bridges.set(getBridgeKey(bridge), cloneBridgeData(bridge));
+    });
+    
+    return bridges;
+}
+
+export default {
+    serializeLayout,
+    deserializeLayout,
+    deserializeSignals,
+    deserializeBridges,
+};
\ No newline at end of file
@@ -0,0 +1,471 @@
+// Traffic Simulation Game - Level Draft
+// Editable level model used by the level editor; converts to and from level JSON
+
+import { GameConfig, LevelLimits, CellTypes, CarColorNames } from '../utils/Constants.js';
+import { processEntranceCoordinates, edgeToJsonCoordinates } from '../utils/Helpers.js';
+
+// Obstacle types the editor can paint
+export const EditorAreaTypes = [CellTypes.TREE, CellTypes.BUILDING];
+
+// Car colors, in the order new car types get them
+export const EditorCarColors = CarColorNames;
+
+/**
+ * LevelDraft holds a level while it is being edited. Obstacles are 0-based
+ * rectangles; entrances and exits are edge markers {side, index}, where index
+ * counts 0-based along the edge. toLevelJSON() writes the 1-based level format
+ * with the 0/-1 edge convention, so designers never handle it by hand.
+ */
+export class LevelDraft {
+    constructor() {
+        this.name = 'New Level';
+        this.budget = GameConfig.defaultBudget;
+        this.diagonal = false; // Diagonal road links
+        this.seed = undefined; // Kept from opened levels, not edited
+        this.scoring = undefined; // Star thresholds kept from opened levels, not edited
+        this.objectives = undefined; // Objectives kept from opened levels, not edited
+        this.rows = 7;
+        this.columns = 12;
+        this.areas = []; // Array of {rowFrom, rowTo, columnFrom, columnTo, type} (0-based, inclusive)
+        this.cars = [this.createCar(EditorCarColors[0])];
+    }
+
+    /**
+     * Create an empty car type
+     * @param {string} color - Car color
+     * @returns {Object} Car {color, entrances, exits}
+     */
+    createCar(color) {
+        return { color, entrances: [], exits: [] };
+    }
+
+    /**
+     * Build a draft from level JSON
+     * Entrances and exits inside the grid cannot be edited and are dropped with a warning.
+     * @param {Object} levelData - Raw level data from JSON
+     * @returns {LevelDraft} Draft
+     */
+    static fromLevelJSON(levelData) {
+        const draft = new LevelDraft();
+        
+        draft.name = levelData.name || draft.name;
+        draft.budget = levelData.budget || draft.budget;
+        draft.diagonal = levelData.diagonal === true;
+        draft.seed = levelData.seed;
+        draft.scoring = levelData.scoring;
+        draft.objectives = levelData.objectives;
+        draft.rows = levelData.grid.rows;
+        draft.columns = levelData.grid.column;
+        
+        draft.areas = (levelData.grid.uneditable || []).map(area => ({
+            rowFrom: area['row-from'] - 1,
+            rowTo: area['row-to'] - 1,
+            columnFrom: area['column-from'] - 1,
+            columnTo: area['column-to'] - 1,
+            type: area.type
+        }));
+        
+        draft.cars = levelData.cars.map((car, carIndex) => {
+            const toMarker = (position, label) => {
+                const marker = draft.jsonToMarker(position);
+                if (!marker) {
+                    console.warn(`Car ${carIndex} ${label} (${position.row}, ${position.column}) is not on an edge; dropped`);
+                }
+                return marker;
+            };
+            
+            return {
+                color: car.color,
+                entrances: car.entrances
+                    .map((entrance, index) => toMarker(entrance, `entrance ${index}`))
+                    .filter(marker => marker !== null),
+                exits: (car.exits || [car.exit])
+                    .map((exit, index) => toMarker(exit, `exit ${index}`))
+                    .filter(marker => marker !== null),
+                waypoints: car.waypoints, // Kept from opened levels, not edited
+                schedule: car.schedule // Kept from opened levels, not edited
+            };
+        });
+        
+        return draft;
+    }
+
+    /**
+     * Convert level JSON entrance coordinates to an edge marker
+     * @param {Object} position - {row, column} as written in level JSON
+     * @returns {Object|null} Marker {side, index} or null if not on an edge
+     */
+    jsonToMarker(position) {
+        const processed = processEntranceCoordinates(position.row, position.column, this.rows, this.columns);
+        if (!processed.isEntrance) {
+            return null;
+        }
+        
+        // Corners (e.g. row 0, column 0) are not on a single edge
+        const index = processed.side === 'top' || processed.side === 'bottom' ? processed.col : processed.row;
+        if (index < 0 || index >= this.getEdgeLength(processed.side)) {
+            return null;
+        }
+        
+        return { side: processed.side, index };
+    }
+
+    /**
+     * Get the number of cells along an edge
+     * @param {string} side - Edge side
+     * @returns {number} Edge length
+     */
+    getEdgeLength(side) {
+        return side === 'top' || side === 'bottom' ? this.columns : this.rows;
+    }
+
+    /**
+     * Get the edge marker for a cell just outside the grid
+     * @param {number} row - Row (-1 above the grid, rows below it)
+     * @param {number} col - Column (-1 left of the grid, columns right of it)
+     * @returns {Object|null} Marker {side, index} or null for grid cells and corners
+     */
+    getMarkerAt(row, col) {
+        const insideRows = row >= 0 && row < this.rows;
+        const insideCols = col >= 0 && col < this.columns;
+        
+        if (row === -1 && insideCols) return { side: 'top', index: col };
+        if (row === this.rows && insideCols) return { side: 'bottom', index: col };
+        if (col === -1 && insideRows) return { side: 'left', index: row };
+        if (col === this.columns && insideRows) return { side: 'right', index: row };
+        
+        return null;
+    }
+
+    /**
+     * Get the cell just outside the grid for an edge marker
+     * @param {Object} marker - Marker {side, index}
+     * @returns {Object} {row, col}
+     */
+    getMarkerCell(marker) {
+        switch (marker.side) {
+            case 'top': return { row: -1, col: marker.index };
+            case 'bottom': return { row: this.rows, col: marker.index };
+            case 'left': return { row: marker.index, col: -1 };
+            default: return { row: marker.index, col: this.columns };
+        }
+    }
+
+    /**
+     * Check if two markers are the same edge position
+     * @param {Object} a - Marker
+     * @param {Object} b - Marker
+     * @returns {boolean} True if equal
+     */
+    static isSameMarker(a, b) {
+        return Boolean(a && b && a.side === b.side && a.index === b.index);
+    }
+
+    /**
+     * Resize the grid, clipping obstacles and dropping markers and waypoints that fall off it
+     * @param {number} rows - New row count
+     * @param {number} columns - New column count
+     */
+    setSize(rows, columns) {
+        this.rows = Math.max(LevelLimits.minGridSize, Math.min(LevelLimits.maxGridSize, rows));
+        this.columns = Math.max(LevelLimits.minGridSize, Math.min(LevelLimits.maxGridSize, columns));
+        
+        this.areas = this.areas
+            .filter(area => area.rowFrom < this.rows && area.columnFrom < this.columns)
+            .map(area => ({
+                ...area,
+                rowTo: Math.min(area.rowTo, this.rows - 1),
+                columnTo: Math.min(area.columnTo, this.columns - 1)
+            }));
+        
+        const fits = marker => marker.index < this.getEdgeLength(marker.side);
+        this.cars.forEach(car => {
+            car.entrances = car.entrances.filter(fits);
+            car.exits = car.exits.filter(fits);
+            if (car.waypoints) {
+                car.waypoints = car.waypoints.filter(waypoint => waypoint.row <= this.rows && waypoint.column <= this.columns);
+            }
+        });
+    }
+
+    /**
+     * Set the starting budget
+     * @param {number} budget - Budget (at least one road's cost)
+     */
+    setBudget(budget) {
+        this.budget = Math.max(GameConfig.roadCost, budget);
+    }
+
+    /**
+     * Paint an obstacle rectangle
+     * Rectangles may not cover obstacles of another type (the level validator rejects that).
+     * @param {Object} from - Corner cell {row, col}
+     * @param {Object} to - Opposite corner cell {row, col}
+     * @param {string} type - Obstacle type from EditorAreaTypes
+     * @returns {boolean} True if painted, false if it would cover another obstacle type
+     */
+    paintArea(from, to, type) {
+        if (!EditorAreaTypes.includes(type)) {
+            throw new Error(`Unknown obstacle type: ${type}`);
+        }
+        
+        const clampRow = value => Math.max(0, Math.min(this.rows - 1, value));
+        const clampCol = value => Math.max(0, Math.min(this.columns - 1, value));
+        
+        const area = {
+            rowFrom: clampRow(Math.min(from.row, to.row)),
+            rowTo: clampRow(Math.max(from.row, to.row)),
+            columnFrom: clampCol(Math.min(from.col, to.col)),
+            columnTo: clampCol(Math.max(from.col, to.col)),
+            type
+        };
+        
+        const conflict = this.areas.some(other => other.type !== type &&
+            area.rowFrom <= other.rowTo && other.rowFrom <= area.rowTo &&
+            area.columnFrom <= other.columnTo && other.columnFrom <= area.columnTo);
+        if (conflict) {
+            return false;
+        }
+        
+        this.areas.push(area);
+        return true;
+    }
+
+    /**
+     * Remove every obstacle rectangle covering a cell
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if something was removed
+     */
+    eraseAreaAt(row, col) {
+        const before = this.areas.length;
+        this.areas = this.areas.filter(area => !this.areaContains(area, row, col));
+        return this.areas.length !== before;
+    }
+
+    /**
+     * Check if an obstacle rectangle covers a cell
+     * @param {Object} area - Obstacle rectangle
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if covered
+     */
+    areaContains(area, row, col) {
+        return row >= area.rowFrom && row <= area.rowTo && col >= area.columnFrom && col <= area.columnTo;
+    }
+
+    /**
+     * Get the cell type at a grid cell
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {string} Cell type
+     */
+    getCellType(row, col) {
+        let type = CellTypes.EDITABLE;
+        this.areas.forEach(area => {
+            if (this.areaContains(area, row, col)) {
+                type = area.type;
+            }
+        });
+        return type;
+    }
+
+    /**
+     * Add a car type with the next unused color
+     * @returns {number} Index of the new car, or -1 if no color is left
+     */
+    addCar() {
+        const used = new Set(this.cars.map(car => car.color));
+        const color = EditorCarColors.find(candidate => !used.has(candidate));
+        
+        if (!color || this.cars.length >= LevelLimits.maxCarTypes) {
+            return -1;
+        }
+        
+        this.cars.push(this.createCar(color));
+        return this.cars.length - 1;
+    }
+
+    /**
+     * Remove a car type (a level keeps at least one)
+     * @param {number} carIndex - Car index
+     * @returns {boolean} True if removed
+     */
+    removeCar(carIndex) {
+        if (this.cars.length <= 1 || !this.cars[carIndex]) {
+            return false;
+        }
+        
+        this.cars.splice(carIndex, 1);
+        return true;
+    }
+
+    /**
+     * Add or remove an entrance of a car type
+     * @param {number} carIndex - Car index
+     * @param {Object} marker - Marker {side, index}
+     * @returns {boolean} True if the entrances changed
+     */
+    toggleEntrance(carIndex, marker) {
+        const car = this.cars[carIndex];
+        if (!car) {
+            return false;
+        }
+        
+        const existing = car.entrances.findIndex(entrance => LevelDraft.isSameMarker(entrance, marker));
+        if (existing !== -1) {
+            car.entrances.splice(existing, 1);
+            return true;
+        }
+        
+        if (car.entrances.length >= LevelLimits.maxEntrancesPerCar) {
+            return false;
+        }
+        
+        car.entrances.push({ ...marker });
+        return true;
+    }
+
+    /**
+     * Add or remove an exit of a car type
+     * @param {number} carIndex - Car index
+     * @param {Object} marker - Marker {side, index}
+     * @returns {boolean} True if the exits changed
+     */
+    toggleExit(carIndex, marker) {
+        const car = this.cars[carIndex];
+        if (!car) {
+            return false;
+        }
+        
+        const existing = car.exits.findIndex(exit => LevelDraft.isSameMarker(exit, marker));
+        if (existing !== -1) {
+            car.exits.splice(existing, 1);
+            return true;
+        }
+        
+        if (car.exits.length >= LevelLimits.maxExitsPerCar) {
+            return false;
+        }
+        
+        car.exits.push({ ...marker });
+        return true;
+    }
+
+    /**
+     * Remove every entrance and exit at an edge position
+     * @param {Object} marker - Marker {side, index}
+     * @returns {boolean} True if something was removed
+     */
+    removeMarkersAt(marker) {
+        let removed = false;
+        
+        this.cars.forEach(car => {
+            const before = car.entrances.length;
+            car.entrances = car.entrances.filter(entrance => !LevelDraft.isSameMarker(entrance, marker));
+            removed = removed || car.entrances.length !== before;
+            
+            const exitsBefore = car.exits.length;
+            car.exits = car.exits.filter(exit => !LevelDraft.isSameMarker(exit, marker));
+            removed = removed || car.exits.length !== exitsBefore;
+        });
+        
+        return removed;
+    }
+
+    /**
+     * List what still stops the draft from being a playable level
+     * @returns {Array} Problem descriptions (empty when ready to export)
+     */
+    getProblems() {
+        const problems = [];
+        
+        if (!this.name.trim()) {
+            problems.push('Level needs a name');
+        }
+        
+        this.cars.forEach(car => {
+            if (car.entrances.length === 0) {
+                problems.push(`${car.color} cars need at least one entrance`);
+            }
+            if (car.exits.length === 0) {
+                problems.push(`${car.color} cars need an exit`);
+            }
+        });
+        
+        return problems;
+    }
+
+    /**
+     * Write the draft in the level JSON format read by LevelManager
+     * @returns {Object} Level data
+     */
+    toLevelJSON() {
+        const levelData = {
+            name: this.name,
+            budget: this.budget,
+            grid: {
+                rows: this.rows,
+                column: this.columns,
+                uneditable: this.areas.map(area => ({
+                    'row-from': area.rowFrom + 1,
+                    'row-to': area.rowTo + 1,
+                    'column-from': area.columnFrom + 1,
+                    'column-to': area.columnTo + 1,
+                    type: area.type
+                }))
+            },
+            cars: this.cars.map(car => this.carToLevelJSON(car))
+        };
+        
+        if (this.diagonal) {
+            levelData.diagonal = true;
+        }
+        if (this.seed !== undefined) {
+            levelData.seed = this.seed;
+        }
+        if (this.scoring !== undefined) {
+            levelData.scoring = this.scoring;
+        }
+        if (this.objectives !== undefined) {
+            levelData.objectives = this.objectives;
+        }
+        
+        return levelData;
+    }
+
+    /**
+     * Write one car type in the level JSON format
+     * A single exit is written as exit, several as exits. Entrance weights of a kept spawn
+     * schedule are dropped once the entrances no longer match them.
+     * @param {Object} car - Draft car {color, entrances, exits, waypoints, schedule}
+     * @returns {Object} Car data
+     */
+    carToLevelJSON(car) {
+        const exits = car.exits.map(exit => edgeToJsonCoordinates(exit.side, exit.index));
+        const carData = {
+            color: car.color,
+            entrances: car.entrances.map(entrance => edgeToJsonCoordinates(entrance.side, entrance.index))
+        };
+        
+        if (exits.length > 1) {
+            carData.exits = exits;
+        } else {
+            carData.exit = exits[0] || null;
+        }
+        
+        if (car.waypoints && car.waypoints.length > 0) {
+            carData.waypoints = car.waypoints;
+        }
+        
+        if (car.schedule) {
+            const { entranceWeights, ...schedule } = car.schedule;
+            const weightsFit = !entranceWeights || entranceWeights.length === car.entrances.length;
+            carData.schedule = weightsFit ? car.schedule : schedule;
+        }
+        
+        return carData;
+    }
+}
+
+export default LevelDraft;
\ No newline at end of file
@@ -0,0 +1,288 @@
+// Traffic Simulation Game - Level JSON Schema
+// Formal schema of the level file format and a small validator for the parts of JSON Schema it uses
+
+import { LevelLimits, CellTypes, CarColorNames, ObjectiveTypes } from '../utils/Constants.js';
+
+/**
+ * JSON Schema (draft-07) for level files. Print it with
+ * `node scripts/validate-levels.js --schema` to use it in an editor.
+ * The rules a schema cannot express (overlaps, entrances on obstacles, ...)
+ * live in LevelValidator.js.
+ */
+export const LevelSchema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'level.schema.json',
+    title: 'Traffic Simulation Level',
+    type: 'object',
+    required: ['grid', 'cars'],
+    additionalProperties: false,
+    properties: {
+        $schema: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        budget: { type: 'number', exclusiveMinimum: 0 },
+        seed: {
+            description: 'Pins spawn timing and entrance choice; numbers are used directly, strings are hashed',
+            type: ['number', 'string'],
+            minLength: 1
+        },
+        diagonal: {
+            description: 'Lets roads link to their diagonal neighbours, except past the corner of a tree or building',
+            type: 'boolean'
+        },
+        scoring: {
+            description: 'Scores needed for two and three stars; missing values use the game defaults',
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                twoStars: { type: 'integer', minimum: 0 },
+                threeStars: { type: 'integer', minimum: 0 }
+            }
+        },
+        objectives: {
+            description: 'What a run must achieve; without a goal the default success rate goal applies',
+            type: 'array',
+            items: { $ref: '#/definitions/objective' }
+        },
+        grid: {
+            type: 'object',
+            required: ['rows', 'column'],
+            additionalProperties: false,
+            properties: {
+                rows: { type: 'integer', minimum: LevelLimits.minGridSize, maximum: LevelLimits.maxGridSize },
+                column: {
+                    description: 'Number of columns (singular key)',
+                    type: 'integer',
+                    minimum: LevelLimits.minGridSize,
+                    maximum: LevelLimits.maxGridSize
+                },
+                uneditable: { type: 'array', items: { $ref: '#/definitions/area' } }
+            }
+        },
+        cars: {
+            type: 'array',
+            minItems: 1,
+            maxItems: LevelLimits.maxCarTypes,
+            items: { $ref: '#/definitions/car' }
+        }
+    },
+    definitions: {
+        objective: {
+            description: 'One objective; which parameters apply depends on the type (see RulesEngine.js)',
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+                type: { enum: Object.values(ObjectiveTypes) },
+                threshold: { description: 'successRate: share of finished cars that must arrive', type: 'number', minimum: 0, maximum: 1 },
+                minCarsPerType: { description: 'successRate: finished cars per type before it is judged', type: 'integer', minimum: 1 },
+                count: { description: 'deliver: cars that must reach their exit', type: 'integer', minimum: 1 },
+                seconds: { description: 'timeLimit: simulated seconds', type: 'number', exclusiveMinimum: 0 },
+                amount: { description: 'maxSpend: most the layout may cost', type: 'number', minimum: 0 }
+            }
+        },
+        area: {
+            description: 'Rectangle of cells the player cannot build on (1-based, inclusive)',
+            type: 'object',
+            required: ['row-from', 'row-to', 'column-from', 'column-to', 'type'],
+            additionalProperties: false,
+            properties: {
+                'row-from': { type: 'integer', minimum: 1 },
+                'row-to': { type: 'integer', minimum: 1 },
+                'column-from': { type: 'integer', minimum: 1 },
+                'column-to': { type: 'integer', minimum: 1 },
+                type: { enum: [CellTypes.TREE, CellTypes.BUILDING] }
+            }
+        },
+        position: {
+            description: '1-based cell; row 0 / column 0 is the top / left edge, -1 the bottom / right edge',
+            type: 'object',
+            required: ['row', 'column'],
+            additionalProperties: false,
+            properties: {
+                row: { type: 'integer', minimum: -1, maximum: LevelLimits.maxGridSize },
+                column: { type: 'integer', minimum: -1, maximum: LevelLimits.maxGridSize }
+            }
+        },
+        cell: {
+            description: '1-based cell inside the grid',
+            type: 'object',
+            required: ['row', 'column'],
+            additionalProperties: false,
+            properties: {
+                row: { type: 'integer', minimum: 1, maximum: LevelLimits.maxGridSize },
+                column: { type: 'integer', minimum: 1, maximum: LevelLimits.maxGridSize }
+            }
+        },
+        car: {
+            type: 'object',
+            description: 'Give either exit or exits; cars leave by the nearest exit they can reach',
+            required: ['color', 'entrances'],
+            additionalProperties: false,
+            properties: {
+                color: { enum: CarColorNames },
+                entrances: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: LevelLimits.maxEntrancesPerCar,
+                    items: { $ref: '#/definitions/position' }
+                },
+                exit: { $ref: '#/definitions/position' },
+                exits: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: LevelLimits.maxExitsPerCar,
+                    items: { $ref: '#/definitions/position' }
+                },
+                waypoints: {
+                    description: 'Cells every car must pass, in order, before leaving',
+                    type: 'array',
+                    maxItems: LevelLimits.maxWaypointsPerCar,
+                    items: { $ref: '#/definitions/cell' }
+                },
+                schedule: { $ref: '#/definitions/schedule' }
+            }
+        },
+        schedule: {
+            description: 'When cars of this type spawn (times in seconds); missing values use the game defaults',
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                count: { description: 'Cars in the steady stream', type: 'integer', minimum: 0, maximum: LevelLimits.maxScheduledCars },
+                interval: { description: 'Time between cars', type: 'number', exclusiveMinimum: 0 },
+                jitter: { description: 'Most random time added to each interval', type: 'number', minimum: 0 },
+                startDelay: { description: 'Time of the first car (default: one interval)', type: 'number', minimum: 0 },
+                waves: { type: 'array', items: { $ref: '#/definitions/wave' } },
+                entranceWeights: {
+                    description: 'Relative chance of each entrance, in the order of entrances',
+                    type: 'array',
+                    items: { type: 'number', minimum: 0 }
+                }
+            }
+        },
+        wave: {
+            description: 'A burst of cars on top of the steady stream',
+            type: 'object',
+            required: ['at', 'count'],
+            additionalProperties: false,
+            properties: {
+                at: { description: 'Time of the first car of the wave', type: 'number', minimum: 0 },
+                count: { type: 'integer', minimum: 1, maximum: LevelLimits.maxScheduledCars },
+                interval: { description: 'Time between cars of the wave', type: 'number', exclusiveMinimum: 0 }
+            }
+        }
+    }
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Check a value's type against a schema type (integers are numbers too)
+ * @param {*} value - Value
+ * @param {string|Array} expected - Schema type or types
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, expected) {
+    const actual = jsonType(value);
+    return [].concat(expected).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Format an object key for a JSON path
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+}
+
+/**
+ * Validate a value against a schema, collecting every problem
+ * Supports the keywords LevelSchema uses: $ref (local), type, enum, required,
+ * properties, additionalProperties: false, items, minItems, maxItems,
+ * minimum, maximum, exclusiveMinimum and minLength.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or sub-schema)
+ * @param {Object} [root] - Root schema for resolving $ref
+ * @param {string} [path] - JSON path of the value
+ * @returns {Array} Errors [{path, message}]
+ */
+export function validateAgainstSchema(value, schema, root = schema, path = '$') {
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/definitions/', '');
+        return validateAgainstSchema(value, root.definitions[name], root, path);
+    }
+    
+    const errors = [];
+    const error = message => errors.push({ path, message });
+    
+    if (schema.type && !matchesType(value, schema.type)) {
+        error(`must be ${[].concat(schema.type).join(' or ')}, got ${jsonType(value)}`);
+        return errors;
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            error(`must be at least ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            error(`must be at most ${schema.maximum}, got ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            error(`must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+        }
+    }
+    
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        error(`must be at least ${schema.minLength} characters long`);
+    }
+    
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} items, got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            error(`must have at most ${schema.maxItems} items, got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, root, `${path}[${index}]`));
+            });
+        }
+    }
+    
+    if (jsonType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: childPath(path, key), message: 'is required' });
+            }
+        });
+        
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, root, childPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), message: 'is not a known property' });
+            }
+        });
+    }
+    
+    return errors;
+}
+
+export default LevelSchema;
\ No newline at end of file
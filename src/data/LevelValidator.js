@@ -0,0 +1,372 @@
+// Traffic Simulation Game - Level Validation
+// Checks level JSON against the schema and the game's rules, collecting every error and warning
+
+import { GameConfig, CellTypes, ObjectiveTypes } from '../utils/Constants.js';
+import { processEntranceCoordinates, getRoadType, getCheapestRoadType } from '../utils/Helpers.js';
+import { LevelSchema, validateAgainstSchema } from './LevelSchema.js';
+import { RulesEngine, getObjectiveDefinition } from '../simulation/RulesEngine.js';
+
+/**
+ * Validate raw level JSON
+ * Errors make a level unplayable; warnings point at likely mistakes.
+ * Every issue carries a JSON path into the level file, e.g. "$.cars[1].exit".
+ * @param {Object} levelData - Raw level data from JSON
+ * @returns {Object} {valid, errors: [{path, message}], warnings: [{path, message}]}
+ */
+export function validateLevel(levelData) {
+    const errors = validateAgainstSchema(levelData, LevelSchema).map(issue => {
+        // The most common slip in hand-written levels
+        if (issue.path === '$.grid.columns') {
+            return { ...issue, message: `${issue.message} (the key is 'column', singular)` };
+        }
+        return issue;
+    });
+    const warnings = [];
+    
+    // The rules below assume the shape the schema guarantees
+    if (errors.length === 0) {
+        const grid = { rows: levelData.grid.rows, columns: levelData.grid.column };
+        const cellTypes = validateAreas(levelData.grid.uneditable || [], grid, errors, warnings);
+        validateCars(levelData.cars, grid, cellTypes, errors, warnings);
+        validateBudget(levelData, warnings);
+        validateScoring(levelData, errors);
+        validateObjectives(levelData, errors, warnings);
+    }
+    
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Check uneditable areas and work out the obstacle type of each cell
+ * @param {Array} areas - Raw uneditable areas (1-based)
+ * @param {Object} grid - Grid size {rows, columns}
+ * @param {Array} errors - Error list to add to
+ * @param {Array} warnings - Warning list to add to
+ * @returns {Map} Map of "row,col" (0-based) -> obstacle type
+ */
+function validateAreas(areas, grid, errors, warnings) {
+    const cellTypes = new Map();
+    
+    areas.forEach((area, index) => {
+        const path = `$.grid.uneditable[${index}]`;
+        
+        if (area['row-from'] > area['row-to']) {
+            errors.push({ path, message: `row-from (${area['row-from']}) is after row-to (${area['row-to']})` });
+        }
+        if (area['column-from'] > area['column-to']) {
+            errors.push({ path, message: `column-from (${area['column-from']}) is after column-to (${area['column-to']})` });
+        }
+        if (area['row-to'] > grid.rows) {
+            errors.push({ path: `${path}['row-to']`, message: `is outside the grid (${grid.rows} rows)` });
+        }
+        if (area['column-to'] > grid.columns) {
+            errors.push({ path: `${path}['column-to']`, message: `is outside the grid (${grid.columns} columns)` });
+        }
+        
+        // Overlaps with earlier areas: harmless for the same type, ambiguous otherwise
+        for (let other = 0; other < index; other++) {
+            if (areasOverlap(area, areas[other])) {
+                const issue = { path, message: `overlaps uneditable[${other}]` };
+                if (area.type === areas[other].type) {
+                    warnings.push(issue);
+                } else {
+                    errors.push({ path, message: `${issue.message}, which is a ${areas[other].type}; a cell cannot be both` });
+                }
+            }
+        }
+        
+        for (let row = area['row-from'] - 1; row < Math.min(area['row-to'], grid.rows); row++) {
+            for (let col = area['column-from'] - 1; col < Math.min(area['column-to'], grid.columns); col++) {
+                cellTypes.set(`${row},${col}`, area.type);
+            }
+        }
+    });
+    
+    return cellTypes;
+}
+
+/**
+ * Check if two areas share a cell
+ * @param {Object} a - Raw area
+ * @param {Object} b - Raw area
+ * @returns {boolean} True if they overlap
+ */
+function areasOverlap(a, b) {
+    return a['row-from'] <= b['row-to'] && b['row-from'] <= a['row-to'] &&
+           a['column-from'] <= b['column-to'] && b['column-from'] <= a['column-to'];
+}
+
+/**
+ * Check every car type's entrances, exits and waypoints
+ * @param {Array} cars - Raw car types
+ * @param {Object} grid - Grid size {rows, columns}
+ * @param {Map} cellTypes - Obstacle type per cell from validateAreas
+ * @param {Array} errors - Error list to add to
+ * @param {Array} warnings - Warning list to add to
+ */
+function validateCars(cars, grid, cellTypes, errors, warnings) {
+    const colors = new Map(); // color -> first car index
+    
+    cars.forEach((car, carIndex) => {
+        const carPath = `$.cars[${carIndex}]`;
+        
+        if (colors.has(car.color)) {
+            warnings.push({
+                path: `${carPath}.color`,
+                message: `same color as cars[${colors.get(car.color)}]; players cannot tell their entrances apart`
+            });
+        } else {
+            colors.set(car.color, carIndex);
+        }
+        
+        const seen = new Set();
+        car.entrances.forEach((entrance, index) => {
+            const path = `${carPath}.entrances[${index}]`;
+            validatePosition(entrance, path, grid, cellTypes, errors);
+            
+            const key = `${entrance.row},${entrance.column}`;
+            if (seen.has(key)) {
+                warnings.push({ path, message: 'is listed twice' });
+            }
+            seen.add(key);
+        });
+        
+        validateExits(car, carPath, seen, grid, cellTypes, errors, warnings);
+        
+        (car.waypoints || []).forEach((waypoint, index) => {
+            validateWaypoint(waypoint, `${carPath}.waypoints[${index}]`, grid, cellTypes, errors);
+        });
+        
+        if (car.schedule) {
+            validateSchedule(car, `${carPath}.schedule`, errors, warnings);
+        }
+    });
+}
+
+/**
+ * Check a car type has exactly one of exit and exits, and that its exits are usable
+ * @param {Object} car - Raw car type
+ * @param {string} carPath - JSON path of the car type
+ * @param {Set} entranceKeys - "row,column" of the car's entrances
+ * @param {Object} grid - Grid size {rows, columns}
+ * @param {Map} cellTypes - Obstacle type per cell
+ * @param {Array} errors - Error list to add to
+ * @param {Array} warnings - Warning list to add to
+ */
+function validateExits(car, carPath, entranceKeys, grid, cellTypes, errors, warnings) {
+    if (car.exit && car.exits) {
+        errors.push({ path: carPath, message: 'has both exit and exits; use one' });
+        return;
+    }
+    if (!car.exit && !car.exits) {
+        errors.push({ path: `${carPath}.exit`, message: 'is required (or exits)' });
+        return;
+    }
+    
+    const exits = car.exits ? car.exits.map((exit, index) => [exit, `${carPath}.exits[${index}]`]) : [[car.exit, `${carPath}.exit`]];
+    const seen = new Set();
+    exits.forEach(([exit, path]) => {
+        validatePosition(exit, path, grid, cellTypes, errors);
+        
+        const key = `${exit.row},${exit.column}`;
+        if (entranceKeys.has(key)) {
+            errors.push({ path, message: 'is the same place as one of its entrances' });
+        }
+        if (seen.has(key)) {
+            warnings.push({ path, message: 'is listed twice' });
+        }
+        seen.add(key);
+    });
+}
+
+/**
+ * Check that a waypoint is inside the grid and not on an obstacle
+ * @param {Object} waypoint - Raw cell {row, column}
+ * @param {string} path - JSON path of the waypoint
+ * @param {Object} grid - Grid size {rows, columns}
+ * @param {Map} cellTypes - Obstacle type per cell
+ * @param {Array} errors - Error list to add to
+ */
+function validateWaypoint(waypoint, path, grid, cellTypes, errors) {
+    if (waypoint.row > grid.rows) {
+        errors.push({ path: `${path}.row`, message: `is outside the grid (${grid.rows} rows)` });
+        return;
+    }
+    if (waypoint.column > grid.columns) {
+        errors.push({ path: `${path}.column`, message: `is outside the grid (${grid.columns} columns)` });
+        return;
+    }
+    
+    // Cars have to drive over waypoints, so they need a road
+    const obstacle = cellTypes.get(`${waypoint.row - 1},${waypoint.column - 1}`);
+    if (obstacle && obstacle !== CellTypes.EDITABLE) {
+        errors.push({ path, message: `is on a ${obstacle}` });
+    }
+}
+
+/**
+ * Check a car type's spawn schedule fits its entrances and spawns something
+ * @param {Object} car - Raw car type with a schedule
+ * @param {string} path - JSON path of the schedule
+ * @param {Array} errors - Error list to add to
+ * @param {Array} warnings - Warning list to add to
+ */
+function validateSchedule(car, path, errors, warnings) {
+    const { count, waves = [], entranceWeights } = car.schedule;
+    
+    if (entranceWeights) {
+        if (entranceWeights.length !== car.entrances.length) {
+            errors.push({
+                path: `${path}.entranceWeights`,
+                message: `has ${entranceWeights.length} weights for ${car.entrances.length} entrances`
+            });
+        } else if (entranceWeights.every(weight => weight === 0)) {
+            errors.push({ path: `${path}.entranceWeights`, message: 'must not all be 0' });
+        }
+    }
+    
+    if (count === 0 && waves.length === 0) {
+        warnings.push({ path, message: 'spawns no cars (count is 0 and there are no waves)' });
+    }
+}
+
+/**
+ * Check that an entrance or exit is on an edge or inside the grid and not blocked
+ * @param {Object} position - Raw position {row, column}
+ * @param {string} path - JSON path of the position
+ * @param {Object} grid - Grid size {rows, columns}
+ * @param {Map} cellTypes - Obstacle type per cell
+ * @param {Array} errors - Error list to add to
+ */
+function validatePosition(position, path, grid, cellTypes, errors) {
+    const onRowEdge = position.row === 0 || position.row === -1;
+    const onColumnEdge = position.column === 0 || position.column === -1;
+    
+    if (onRowEdge && onColumnEdge) {
+        errors.push({ path, message: `(${position.row}, ${position.column}) is a corner; pick a row or a column on one edge` });
+        return;
+    }
+    
+    if (position.row > grid.rows) {
+        errors.push({ path: `${path}.row`, message: `is outside the grid (${grid.rows} rows)` });
+        return;
+    }
+    if (position.column > grid.columns) {
+        errors.push({ path: `${path}.column`, message: `is outside the grid (${grid.columns} columns)` });
+        return;
+    }
+    
+    // Cars enter through the first cell inside the grid; it must not be an obstacle
+    const processed = processEntranceCoordinates(position.row, position.column, grid.rows, grid.columns);
+    const cell = {
+        row: Math.max(0, Math.min(grid.rows - 1, processed.row)),
+        col: Math.max(0, Math.min(grid.columns - 1, processed.col))
+    };
+    
+    const obstacle = cellTypes.get(`${cell.row},${cell.col}`);
+    if (obstacle && obstacle !== CellTypes.EDITABLE) {
+        const where = processed.isEntrance ? 'leads into' : 'is on';
+        errors.push({ path, message: `${where} a ${obstacle} at row ${cell.row + 1}, column ${cell.col + 1}` });
+    }
+}
+
+/**
+ * Check the budget can pay for anything
+ * @param {Object} levelData - Raw level data
+ * @param {Array} warnings - Warning list to add to
+ */
+function validateBudget(levelData, warnings) {
+    const cheapest = getRoadType(getCheapestRoadType());
+    if (levelData.budget !== undefined && levelData.budget < cheapest.cost) {
+        warnings.push({ path: '$.budget', message: `is less than one road (${cheapest.name}, $${cheapest.cost})` });
+    }
+}
+
+/**
+ * Check the star thresholds are in order
+ * @param {Object} levelData - Raw level data
+ * @param {Array} errors - Error list to add to
+ */
+function validateScoring(levelData, errors) {
+    if (!levelData.scoring) {
+        return;
+    }
+    
+    const twoStars = levelData.scoring.twoStars ?? GameConfig.scoreTwoStars;
+    const threeStars = levelData.scoring.threeStars ?? GameConfig.scoreThreeStars;
+    if (twoStars > threeStars) {
+        errors.push({ path: '$.scoring', message: `twoStars (${twoStars}) is above threeStars (${threeStars})` });
+    }
+}
+
+/**
+ * Check each objective has the parameters of its type and can be met by the cars the level spawns
+ * @param {Object} levelData - Raw level data
+ * @param {Array} errors - Error list to add to
+ * @param {Array} warnings - Warning list to add to
+ */
+function validateObjectives(levelData, errors, warnings) {
+    const objectives = levelData.objectives || [];
+    const types = new Map(); // type -> first objective index
+    const scheduledCars = countScheduledCars(levelData);
+    
+    objectives.forEach((objective, index) => {
+        const path = `$.objectives[${index}]`;
+        const definition = getObjectiveDefinition(objective.type);
+        
+        Object.entries(definition.params).forEach(([name, use]) => {
+            if (use === 'required' && objective[name] === undefined) {
+                errors.push({ path: `${path}.${name}`, message: `is required for a ${objective.type} objective` });
+            }
+        });
+        Object.keys(objective).forEach(name => {
+            if (name !== 'type' && !definition.params[name]) {
+                errors.push({ path: `${path}.${name}`, message: `does not apply to a ${objective.type} objective` });
+            }
+        });
+        
+        // Failed cars are not replaced, so a run that spawns fewer cars is lost on its first tick
+        if (objective.type === ObjectiveTypes.DELIVER && objective.count > scheduledCars) {
+            errors.push({
+                path: `${path}.count`,
+                message: `is more than the ${scheduledCars} cars the level spawns; raise the schedule counts or waves`
+            });
+        }
+        
+        if (types.has(objective.type)) {
+            warnings.push({ path, message: `repeats objectives[${types.get(objective.type)}]; both must hold` });
+        } else {
+            types.set(objective.type, index);
+        }
+    });
+}
+
+/**
+ * Count the cars a run of the level spawns, as the Simulation does
+ * Types without a schedule count spawn the rules engine's cars per type; waves come on top.
+ * @param {Object} levelData - Raw level data
+ * @returns {number} Cars over all car types
+ */
+function countScheduledCars(levelData) {
+    const carsPerType = new RulesEngine(levelData).getCarsPerType();
+    
+    return levelData.cars.reduce((total, car) => {
+        const schedule = car.schedule || {};
+        const waveCars = (schedule.waves || []).reduce((sum, wave) => sum + wave.count, 0);
+        return total + (schedule.count ?? carsPerType) + waveCars;
+    }, 0);
+}
+
+/**
+ * Format issues as one line each
+ * @param {Array} issues - Issues [{path, message}]
+ * @returns {string} Text, one "path: message" per line
+ */
+export function formatIssues(issues) {
+    return issues.map(issue => `${issue.path}: ${issue.message}`).join('\n');
+}
+
+export default {
+    validateLevel,
+    formatIssues,
+};
\ No newline at end of file
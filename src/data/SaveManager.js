@@ -0,0 +1,339 @@
+// Traffic Simulation Game - Save Management
+// Persists per-level progress, best results and the last road layout in localStorage
+
+/**
+ * Save format (stored as JSON under SAVE_STORAGE_KEY):
+ * {
+ *     "version": 3,
+ *     "levels": {
+ *         "level-1": {
+ *             "completed": true,
+ *             "bestSuccessRate": 92.5,   // Percent, best finished run (won or lost)
+ *             "cheapestWin": 9000,       // Smallest budget spent on a winning layout
+ *             "fewestHintsWin": 0,       // Fewest hints used in a win
+ *             "bestScore": 640,          // Highest score of a win (see Scoring.js)
+ *             "bestStars": 3,            // Most stars earned in a win (0 if never won)
+ *             "layout": { "roads": [...], "signals": [...], "bridges": [...] }  // See Layout.js
+ *         }
+ *     }
+ * }
+ */
+
+export const SAVE_STORAGE_KEY = 'traffic-simulation-save';
+export const SAVE_VERSION = 3;
+
+// A save that cannot be read (corrupt, or from a newer version of the game) is copied
+// here before the game starts fresh, so no later write can destroy it
+export const SAVE_BACKUP_KEY = 'traffic-simulation-save-backup';
+
+/**
+ * Upgrades from one save version to the next, keyed by the version they upgrade from.
+ * When the format changes, bump SAVE_VERSION and add a step here, e.g.
+ *     1: (data) => ({ ...data, version: 2, ... })
+ */
+const MIGRATIONS = {
+    // Version 2 records the fewest hints used in a win
+    1: (data) => {
+        const levels = {};
+        Object.entries(data.levels || {}).forEach(([levelKey, record]) => {
+            levels[levelKey] = { ...record, fewestHintsWin: record.completed ? 0 : null };
+        });
+        return { ...data, version: 2, levels };
+    },
+    
+    // Version 3 records the best score and stars; wins before scoring existed earn one star
+    2: (data) => {
+        const levels = {};
+        Object.entries(data.levels || {}).forEach(([levelKey, record]) => {
+            levels[levelKey] = { ...record, bestScore: null, bestStars: record.completed ? 1 : 0 };
+        });
+        return { ...data, version: 3, levels };
+    },
+};
+
+export class SaveManager {
+    /**
+     * @param {Object} [storage] - Storage with getItem/setItem/removeItem (defaults to localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage || SaveManager.getDefaultStorage();
+        this.data = null;
+        this.writeBlocked = false; // Set when an unreadable save could not be backed up
+    }
+
+    /**
+     * Get the browser's localStorage if it is usable
+     * @returns {Object|null} Storage or null (e.g. in Node or when storage is blocked)
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            // Accessing localStorage throws when the browser blocks it
+            return null;
+        }
+    }
+
+    /**
+     * Create an empty save
+     * @returns {Object} Save data
+     */
+    createEmptySave() {
+        return { version: SAVE_VERSION, levels: {} };
+    }
+
+    /**
+     * Read the save from storage, migrating old formats (cached after the first call)
+     * @returns {Object} Save data
+     */
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+        
+        this.data = this.createEmptySave();
+        
+        if (!this.storage) {
+            console.warn('Save storage not available; progress will not be kept');
+            return this.data;
+        }
+        
+        let raw = null;
+        try {
+            raw = this.storage.getItem(SAVE_STORAGE_KEY);
+            if (raw) {
+                this.data = this.migrate(JSON.parse(raw));
+                console.log(`Save loaded (version ${this.data.version}, ${Object.keys(this.data.levels).length} levels)`);
+            }
+        } catch (error) {
+            // A corrupt save must not stop the game from starting, nor be lost to the next write
+            console.error('Failed to read save, starting fresh:', error);
+            this.data = this.createEmptySave();
+            this.backUp(raw);
+        }
+        
+        return this.data;
+    }
+
+    /**
+     * Keep an unreadable save under SAVE_BACKUP_KEY
+     * If that fails, nothing is written until the save is cleared on purpose (see clearAll).
+     * @param {string|null} raw - Save text as stored (null if storage could not be read)
+     */
+    backUp(raw) {
+        if (raw === null) {
+            console.error('Save storage could not be read; progress will not be written');
+            this.writeBlocked = true;
+            return;
+        }
+        
+        try {
+            this.storage.setItem(SAVE_BACKUP_KEY, raw);
+            console.warn(`Unreadable save kept under "${SAVE_BACKUP_KEY}"`);
+        } catch (error) {
+            console.error('Failed to back up save; progress will not be written until the save is cleared:', error);
+            this.writeBlocked = true;
+        }
+    }
+
+    /**
+     * Bring save data up to the current version
+     * @param {Object} data - Parsed save data
+     * @returns {Object} Save data at SAVE_VERSION
+     * @throws {Error} If the data is malformed or from a newer version
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+            throw new Error('Save data has no version');
+        }
+        
+        if (data.version > SAVE_VERSION) {
+            throw new Error(`Save version ${data.version} is newer than supported version ${SAVE_VERSION}`);
+        }
+        
+        let migrated = data;
+        while (migrated.version < SAVE_VERSION) {
+            const step = MIGRATIONS[migrated.version];
+            if (!step) {
+                throw new Error(`No migration from save version ${migrated.version}`);
+            }
+            
+            console.log(`Migrating save from version ${migrated.version}`);
+            migrated = step(migrated);
+        }
+        
+        if (!migrated.levels || typeof migrated.levels !== 'object') {
+            migrated.levels = {};
+        }
+        
+        return migrated;
+    }
+
+    /**
+     * Write the save to storage
+     * @returns {boolean} True if written
+     */
+    persist() {
+        const data = this.load();
+        if (!this.storage || this.writeBlocked) {
+            return false;
+        }
+        
+        try {
+            this.storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            // Quota exceeded or storage blocked
+            console.error('Failed to write save:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the saved record for a level
+     * @param {string} levelKey - Level ID (or path for levels outside the campaign)
+     * @returns {Object|null} Level record or null if nothing is saved
+     */
+    getLevelRecord(levelKey) {
+        const record = this.load().levels[levelKey];
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Get the record for a level, creating an empty one
+     * @param {string} levelKey - Level key
+     * @returns {Object} Level record stored in the save
+     */
+    ensureLevelRecord(levelKey) {
+        const levels = this.load().levels;
+        
+        if (!levels[levelKey]) {
+            levels[levelKey] = {
+                completed: false,
+                bestSuccessRate: null,
+                cheapestWin: null,
+                fewestHintsWin: null,
+                bestScore: null,
+                bestStars: 0,
+                layout: null
+            };
+        }
+        
+        return levels[levelKey];
+    }
+
+    /**
+     * Check if a level has been completed
+     * @param {string} levelKey - Level key
+     * @returns {boolean} True if the level was won at least once
+     */
+    isCompleted(levelKey) {
+        const record = this.load().levels[levelKey];
+        return Boolean(record && record.completed);
+    }
+
+    /**
+     * Mark a level as completed
+     * @param {string} levelKey - Level key
+     */
+    markCompleted(levelKey) {
+        if (!levelKey) {
+            return;
+        }
+        
+        this.ensureLevelRecord(levelKey).completed = true;
+        this.persist();
+    }
+
+    /**
+     * Record the result of a finished run, keeping the best values
+     * @param {string} levelKey - Level key
+     * @param {Object} result - Run result {won, successRate (percent), budgetSpent, hintsUsed, score, stars}
+     * @returns {Object} Updated level record
+     */
+    recordResult(levelKey, { won, successRate, budgetSpent, hintsUsed = 0, score = null, stars = 1 }) {
+        const record = this.ensureLevelRecord(levelKey);
+        
+        if (typeof successRate === 'number' &&
+            (record.bestSuccessRate === null || successRate > record.bestSuccessRate)) {
+            record.bestSuccessRate = successRate;
+        }
+        
+        if (won) {
+            record.completed = true;
+            if (typeof budgetSpent === 'number' &&
+                (record.cheapestWin === null || budgetSpent < record.cheapestWin)) {
+                record.cheapestWin = budgetSpent;
+            }
+            if (record.fewestHintsWin === null || hintsUsed < record.fewestHintsWin) {
+                record.fewestHintsWin = hintsUsed;
+            }
+            if (typeof score === 'number' &&
+                (record.bestScore === null || score > record.bestScore)) {
+                record.bestScore = score;
+            }
+            record.bestStars = Math.max(record.bestStars || 0, stars);
+        }
+        
+        this.persist();
+        return { ...record };
+    }
+
+    /**
+     * Get the last saved road layout for a level
+     * @param {string} levelKey - Level key
+     * @returns {Object|null} Layout (see Layout.js) or null
+     */
+    getLayout(levelKey) {
+        const record = this.load().levels[levelKey];
+        return record && record.layout ? record.layout : null;
+    }
+
+    /**
+     * Save the road layout of a level
+     * @param {string} levelKey - Level key
+     * @param {Object} layout - Layout from serializeLayout()
+     */
+    saveLayout(levelKey, layout) {
+        if (!levelKey) {
+            return;
+        }
+        
+        this.ensureLevelRecord(levelKey).layout = layout;
+        this.persist();
+    }
+
+    /**
+     * Forget the saved road layout of a level (progress and best results are kept)
+     * @param {string} levelKey - Level key
+     */
+    clearLayout(levelKey) {
+        const record = this.load().levels[levelKey];
+        if (record) {
+            record.layout = null;
+            this.persist();
+        }
+    }
+
+    /**
+     * Delete all saved data
+     */
+    clearAll() {
+        this.data = this.createEmptySave();
+        this.writeBlocked = false;
+        
+        if (this.storage) {
+            try {
+                this.storage.removeItem(SAVE_STORAGE_KEY);
+            } catch (error) {
+                console.error('Failed to clear save:', error);
+            }
+        }
+        
+        console.log('Save cleared');
+    }
+}
+
+// Export singleton instance
+export const saveManager = new SaveManager();
+export default saveManager;
\ No newline at end of file
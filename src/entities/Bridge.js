@@ -0,0 +1,132 @@
+// Traffic Simulation Game - Bridge Entity
+// Renders a bridge over, or a tunnel under, the cells between two roads
+
+import { GameConfig, Colors, BridgeKinds, Directions, ZLayers } from '../utils/Constants.js';
+import { gridToWorld } from '../utils/Helpers.js';
+import { cloneBridgeData, getBridgeSpan, getBridgeDirection } from '../simulation/Bridges.js';
+
+/**
+ * Bridge draws a bridge or tunnel from its plain data; the Simulation moves
+ * the cars on it. The view is placed on the first end cell and drawn along
+ * +x, then turned for bridges that run down a column. Bridges are drawn
+ * above ground cars, tunnels below them.
+ */
+export class Bridge extends Phaser.GameObjects.Container {
+    /**
+     * @param {Phaser.Scene} scene - Scene to draw in
+     * @param {Object} bridgeData - Bridge data (see Bridges.js)
+     */
+    constructor(scene, bridgeData) {
+        // Calculate world position of the first end
+        const worldPos = gridToWorld(bridgeData.fromRow, bridgeData.fromCol);
+        super(scene, worldPos.x, worldPos.y);
+        
+        // Store bridge properties
+        this.bridgeData = cloneBridgeData(bridgeData);
+        this.kind = bridgeData.kind;
+        
+        // Vertical bridges are drawn like horizontal ones, turned a quarter
+        if (getBridgeDirection(this.bridgeData) === Directions.DOWN) {
+            this.setRotation(Math.PI / 2);
+        }
+        
+        // Set depth for proper layering
+        this.setDepth(this.kind === BridgeKinds.TUNNEL ? ZLayers.TUNNELS : ZLayers.BRIDGES);
+        
+        // Create visual components
+        this.graphics = scene.add.graphics();
+        this.add(this.graphics);
+        this.updateVisuals();
+        
+        // Add to scene
+        scene.add.existing(this);
+    }
+
+    /**
+     * Redraw the bridge or tunnel
+     */
+    updateVisuals() {
+        this.graphics.clear();
+        
+        // From the center of the first end cell to the center of the last
+        const length = (getBridgeSpan(this.bridgeData).length + 1) * GameConfig.cellSize;
+        
+        if (this.kind === BridgeKinds.TUNNEL) {
+            this.drawTunnel(length);
+        } else {
+            this.drawDeck(length);
+        }
+    }
+
+    /**
+     * Draw a bridge deck with railings, starting and ending inside the end cells
+     * @param {number} length - Distance between the end cell centers (pixels)
+     */
+    drawDeck(length) {
+        const cellSize = GameConfig.cellSize;
+        const width = cellSize * 0.6;
+        const start = cellSize * 0.25;
+        const end = length - cellSize * 0.25;
+        
+        // Roadway
+        this.graphics.fillStyle(Colors.bridgeDeck, 1.0);
+        this.graphics.fillRect(start, -width / 2, end - start, width);
+        
+        // Center line
+        this.graphics.lineStyle(1, Colors.roadMarking, 0.7);
+        for (let x = start + 4; x < end - 4; x += 10) {
+            this.graphics.lineBetween(x, 0, Math.min(x + 5, end - 4), 0);
+        }
+        
+        // Railings
+        this.graphics.lineStyle(2, Colors.bridgeRail, 1.0);
+        this.graphics.lineBetween(start, -width / 2, end, -width / 2);
+        this.graphics.lineBetween(start, width / 2, end, width / 2);
+    }
+
+    /**
+     * Draw tunnel mouths in the end cells joined by a dashed outline of the bore
+     * @param {number} length - Distance between the end cell centers (pixels)
+     */
+    drawTunnel(length) {
+        const cellSize = GameConfig.cellSize;
+        const width = cellSize * 0.6;
+        const start = cellSize * 0.35;
+        const end = length - cellSize * 0.35;
+        
+        // Dashed walls of the bore
+        this.graphics.lineStyle(2, Colors.tunnelOutline, 0.8);
+        for (let x = start; x < end; x += 8) {
+            const dashEnd = Math.min(x + 4, end);
+            this.graphics.lineBetween(x, -width / 2, dashEnd, -width / 2);
+            this.graphics.lineBetween(x, width / 2, dashEnd, width / 2);
+        }
+        
+        // Portals
+        const portalDepth = cellSize * 0.15;
+        this.graphics.fillStyle(Colors.tunnelPortal, 1.0);
+        this.graphics.fillRoundedRect(start - portalDepth, -width / 2, portalDepth, width, 3);
+        this.graphics.fillRoundedRect(end, -width / 2, portalDepth, width, 3);
+    }
+
+    /**
+     * Get bridge data for the simulation and serialization
+     * @returns {Object} Bridge data copy
+     */
+    getBridgeData() {
+        return cloneBridgeData(this.bridgeData);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        // Destroy graphics objects
+        if (this.graphics) this.graphics.destroy();
+        
+        // Call parent destroy
+        super.destroy();
+    }
+}
+
+export default Bridge;
\ No newline at end of file
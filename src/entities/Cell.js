@@ -19,6 +19,7 @@ export class Cell extends Phaser.GameObjects.Container {
         this.cellType = cellType;
         this.isHighlighted = false;
         this.isSelected = false;
+        this.hintColor = null; // Car color of a hinted road, null when not hinted
         
         // Set depth for proper layering
         this.setDepth(ZLayers.CELLS);
@@ -214,15 +215,20 @@ export class Cell extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Draw highlight overlay
+     * Draw highlight overlay (hint tint under the hover highlight)
      */
     drawHighlight() {
         this.highlight.clear();
         
+        const size = GameConfig.cellSize;
+        const halfSize = size / 2;
+        
+        if (this.hintColor !== null) {
+            this.highlight.fillStyle(this.hintColor, 0.5);
+            this.highlight.fillRect(-halfSize, -halfSize, size, size);
+        }
+        
         if (this.isHighlighted) {
-            const size = GameConfig.cellSize;
-            const halfSize = size / 2;
-            
             this.highlight.fillStyle(Colors.highlight, 0.3);
             this.highlight.fillRect(-halfSize, -halfSize, size, size);
         }
@@ -350,7 +356,19 @@ export class Cell extends Phaser.GameObjects.Container {
     setHighlighted(highlighted) {
         if (this.isHighlighted !== highlighted) {
             this.isHighlighted = highlighted;
-            this.highlight.setVisible(highlighted);
+            this.highlight.setVisible(highlighted || this.hintColor !== null);
+            this.drawHighlight();
+        }
+    }
+
+    /**
+     * Tint the cell as a hinted road (kept while the pointer moves over it)
+     * @param {number|null} color - Car color, or null to remove the hint
+     */
+    setHintColor(color) {
+        if (this.hintColor !== color) {
+            this.hintColor = color;
+            this.highlight.setVisible(this.isHighlighted || color !== null);
             this.drawHighlight();
         }
     }
@@ -1,14 +1,23 @@
 // Traffic Simulation Game - Road Entity
-// Road tile with direction arrows for traffic control
+// Road tile with direction arrows and turn rules for traffic control
 
-import { GameConfig, Colors, Directions, ZLayers } from '../utils/Constants.js';
-import { gridToWorld, getAdjacentPositions } from '../utils/Helpers.js';
+import { GameConfig, Colors, Directions, RoadTypes, ZLayers } from '../utils/Constants.js';
+import {
+    gridToWorld, getPositionInDirection, getDirectionBetween, getRoadConnections, getRoadType, getRightHandSide, isDiagonalDirection
+} from '../utils/Helpers.js';
+import { cloneTurnTable, hasTurnRules, getAllowedExits } from '../simulation/TurnRules.js';
 
 /**
  * Road class representing a road tile with direction arrows
  */
 export class Road extends Phaser.GameObjects.Container {
-    constructor(scene, row, col) {
+    /**
+     * @param {Phaser.Scene} scene - Scene to render in
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {string} [type] - Road type from RoadTypes
+     */
+    constructor(scene, row, col, type = RoadTypes.STREET) {
         // Calculate world position
         const worldPos = gridToWorld(row, col);
         super(scene, worldPos.x, worldPos.y);
@@ -16,7 +25,10 @@ export class Road extends Phaser.GameObjects.Container {
         // Store road properties
         this.row = row;
         this.col = col;
-        this.directions = []; // Array of direction sequences
+        this.type = type;
+        this.directions = []; // Arrows: directions cars may leave in, each listed once
+        this.turns = {};      // Turn table: approach -> directions cars may leave in (see TurnRules.js)
+        this.diagonalLinks = []; // Diagonal directions with a linked road (diagonal mode only, set by the GridManager)
         this.isHighlighted = false;
         
         // Set depth for proper layering
@@ -40,6 +52,10 @@ export class Road extends Phaser.GameObjects.Container {
         this.background = this.scene.add.graphics();
         this.add(this.background);
         
+        // Create lane markings (drawn with the arrows, which decide the directions in use)
+        this.laneMarkings = this.scene.add.graphics();
+        this.add(this.laneMarkings);
+        
         // Create arrows container
         this.arrowsContainer = this.scene.add.container(0, 0);
         this.add(this.arrowsContainer);
@@ -63,7 +79,7 @@ export class Road extends Phaser.GameObjects.Container {
     }
 
     /**
-     * Draw the road background
+     * Draw the road background in its type's color and markings
      */
     drawBackground() {
         this.background.clear();
@@ -71,21 +87,58 @@ export class Road extends Phaser.GameObjects.Container {
         const size = GameConfig.cellSize;
         const halfSize = size / 2;
         
-        // Fill road with gray color
-        this.background.fillStyle(Colors.road, 1.0);
+        // Fill road with its type's color
+        this.background.fillStyle(getRoadType(this.type).color, 1.0);
         this.background.fillRect(-halfSize, -halfSize, size, size);
         
+        // Diagonal links pave a diamond over the shared corner, so the road runs on past it
+        const reach = size * 0.3;
+        this.diagonalLinks.forEach(direction => {
+            const step = getPositionInDirection(0, 0, direction);
+            const cornerX = step.col * halfSize;
+            const cornerY = step.row * halfSize;
+            this.background.fillPoints([
+                { x: cornerX, y: cornerY - reach },
+                { x: cornerX + reach, y: cornerY },
+                { x: cornerX, y: cornerY + reach },
+                { x: cornerX - reach, y: cornerY }
+            ], true);
+        });
+        
+        switch (this.type) {
+            case RoadTypes.DIRT:
+                // Ruts: a few darker specks
+                this.background.fillStyle(Colors.arrowShadow, 0.2);
+                [[-0.25, -0.2], [0.2, -0.3], [-0.1, 0.25], [0.3, 0.15]].forEach(([x, y]) => {
+                    this.background.fillCircle(x * size, y * size, 2);
+                });
+                break;
+                
+            case RoadTypes.HIGHWAY:
+                // Edge lines just inside the tile
+                this.background.lineStyle(2, Colors.roadEdgeMarking, 0.8);
+                this.background.strokeRect(-halfSize + 3, -halfSize + 3, size - 6, size - 6);
+                break;
+        }
+        
         // Add subtle border
         this.background.lineStyle(1, Colors.gridLine, 0.3);
         this.background.strokeRect(-halfSize, -halfSize, size, size);
     }
 
     /**
-     * Draw direction arrows on the road
+     * Draw direction arrows, turn rules and lane markings on the road
      */
     drawArrows() {
         // Clear existing arrows
         this.arrowsContainer.removeAll(true);
+        this.drawLaneMarkings();
+        
+        if (hasTurnRules(this.turns)) {
+            const turnGraphics = this.scene.add.graphics();
+            this.drawTurnRules(turnGraphics);
+            this.arrowsContainer.add(turnGraphics);
+        }
         
         if (this.directions.length === 0) {
             return;
@@ -111,6 +164,108 @@ export class Road extends Phaser.GameObjects.Container {
         });
     }
 
+    /**
+     * Draw the lanes of every direction the road is driven in
+     * Each direction uses the right-hand half of the road. A solid center line
+     * splits a two-way road; dashed lines split lanes running the same way.
+     */
+    drawLaneMarkings() {
+        this.laneMarkings.clear();
+        
+        // Dirt lanes are unpainted
+        if (this.type === RoadTypes.DIRT) {
+            return;
+        }
+        
+        const halfSize = GameConfig.cellSize / 2;
+        const lanes = getRoadType(this.type).lanes;
+        
+        // Roads without arrows are driven both ways along both axes
+        const straight = [Directions.UP, Directions.DOWN, Directions.LEFT, Directions.RIGHT];
+        const used = this.directions.length === 0 ? straight : straight.filter(direction => this.directions.includes(direction));
+        
+        // Draw a line across the cell along a direction, shifted sideways by an offset (pixels)
+        const drawLine = (direction, offset, dashed) => {
+            const side = getRightHandSide(direction);
+            const x = side.col * offset;
+            const y = side.row * offset;
+            const alongX = side.row !== 0;
+            
+            const step = dashed ? halfSize / 2 : GameConfig.cellSize;
+            const dash = dashed ? halfSize / 4 : GameConfig.cellSize;
+            for (let start = -halfSize; start < halfSize; start += step) {
+                const end = Math.min(start + dash, halfSize);
+                if (alongX) {
+                    this.laneMarkings.lineBetween(start, y, end, y);
+                } else {
+                    this.laneMarkings.lineBetween(x, start, x, end);
+                }
+            }
+        };
+        
+        // Center line where both directions of an axis are driven
+        this.laneMarkings.lineStyle(2, Colors.roadCenterLine, 0.8);
+        this.diagonalLinks.forEach(direction => {
+            const step = getPositionInDirection(0, 0, direction);
+            this.laneMarkings.lineBetween(0, 0, step.col * halfSize, step.row * halfSize);
+        });
+        if (used.includes(Directions.LEFT) && used.includes(Directions.RIGHT)) {
+            drawLine(Directions.RIGHT, 0, false);
+        }
+        if (used.includes(Directions.UP) && used.includes(Directions.DOWN)) {
+            drawLine(Directions.DOWN, 0, false);
+        }
+        
+        // Dividers between the lanes of each direction
+        this.laneMarkings.lineStyle(1, Colors.roadMarking, 0.6);
+        used.forEach(direction => {
+            for (let lane = 1; lane < lanes; lane++) {
+                drawLine(direction, lane * halfSize / lanes, true);
+            }
+        });
+    }
+
+    /**
+     * Draw the movements the turn table allows, one line per movement from
+     * the lane it enters by to the lane it leaves by
+     * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+     */
+    drawTurnRules(graphics) {
+        const halfSize = GameConfig.cellSize / 2;
+        const laneOffset = halfSize / 2;
+        
+        // Point on the cell edge (or middle, for distance 0) in a direction, in the lane of a direction of travel
+        const lanePoint = (step, side, distance) => ({
+            x: step.col * distance + side.col * laneOffset,
+            y: step.row * distance + side.row * laneOffset
+        });
+        
+        graphics.lineStyle(2, Colors.turnRule, 0.9);
+        graphics.fillStyle(Colors.turnRule, 0.9);
+        
+        Object.entries(this.turns).forEach(([approach, exits]) => {
+            const inStep = getPositionInDirection(0, 0, approach);
+            const inSide = getRightHandSide(approach);
+            const entry = lanePoint(inStep, inSide, -halfSize);
+            
+            exits.forEach(exit => {
+                const outStep = getPositionInDirection(0, 0, exit);
+                const outSide = getRightHandSide(exit);
+                const target = lanePoint(outStep, outSide, halfSize);
+                
+                // Square turns bend where the two lanes cross; other movements go through the middle
+                const isSquareTurn = !isDiagonalDirection(approach) && !isDiagonalDirection(exit) &&
+                    (inStep.row === 0) !== (outStep.row === 0);
+                const points = isSquareTurn
+                    ? [entry, inStep.row === 0 ? { x: target.x, y: entry.y } : { x: entry.x, y: target.y }, target]
+                    : [entry, lanePoint(inStep, inSide, 0), lanePoint(outStep, outSide, 0), target];
+                
+                graphics.strokePoints(points);
+                graphics.fillCircle(target.x, target.y, 2);
+            });
+        });
+    }
+
     /**
      * Draw a single arrow in the specified direction
      * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
@@ -137,16 +292,16 @@ export class Road extends Phaser.GameObjects.Container {
                 this.drawStraightArrow(graphics, 0, 0, size);
                 break;
             case Directions.UP_RIGHT:
-                this.drawTurnArrow(graphics, size, 'up-right');
+                this.drawStraightArrow(graphics, 0, -45, size);
                 break;
             case Directions.UP_LEFT:
-                this.drawTurnArrow(graphics, size, 'up-left');
+                this.drawStraightArrow(graphics, 0, -135, size);
                 break;
             case Directions.DOWN_RIGHT:
-                this.drawTurnArrow(graphics, size, 'down-right');
+                this.drawStraightArrow(graphics, 0, 45, size);
                 break;
             case Directions.DOWN_LEFT:
-                this.drawTurnArrow(graphics, size, 'down-left');
+                this.drawStraightArrow(graphics, 0, 135, size);
                 break;
             default:
                 console.warn(`Unknown direction: ${direction}`);
@@ -184,71 +339,6 @@ export class Road extends Phaser.GameObjects.Container {
         graphics.restore();
     }
 
-    /**
-     * Draw a turning arrow
-     * @param {Phaser.GameObjects.Graphics} graphics - Graphics object
-     * @param {number} size - Arrow size
-     * @param {string} turnType - Type of turn ('up-right', 'up-left', etc.)
-     */
-    drawTurnArrow(graphics, size, turnType) {
-        const radius = size * 0.4;
-        const thickness = size * 0.15;
-        
-        let startAngle, endAngle, arrowX, arrowY, arrowRotation;
-        
-        switch (turnType) {
-            case 'up-right':
-                startAngle = Math.PI; // Start from left
-                endAngle = Math.PI * 1.5; // End at top
-                arrowX = 0;
-                arrowY = -radius;
-                arrowRotation = -90;
-                break;
-            case 'up-left':
-                startAngle = 0; // Start from right
-                endAngle = Math.PI * 1.5; // End at top
-                arrowX = 0;
-                arrowY = -radius;
-                arrowRotation = -90;
-                break;
-            case 'down-right':
-                startAngle = Math.PI; // Start from left
-                endAngle = Math.PI * 0.5; // End at bottom
-                arrowX = 0;
-                arrowY = radius;
-                arrowRotation = 90;
-                break;
-            case 'down-left':
-                startAngle = 0; // Start from right
-                endAngle = Math.PI * 0.5; // End at bottom
-                arrowX = 0;
-                arrowY = radius;
-                arrowRotation = 90;
-                break;
-        }
-        
-        // Draw curved arrow body
-        graphics.lineStyle(thickness, Colors.arrow, 1.0);
-        graphics.beginPath();
-        graphics.arc(0, 0, radius, startAngle, endAngle, false);
-        graphics.strokePath();
-        
-        // Draw arrow head at the end
-        graphics.save();
-        graphics.translate(arrowX, arrowY);
-        graphics.rotate(Phaser.Math.DegToRad(arrowRotation));
-        
-        graphics.fillStyle(Colors.arrow, 1.0);
-        graphics.beginPath();
-        graphics.moveTo(thickness, 0);
-        graphics.lineTo(-thickness / 2, -thickness);
-        graphics.lineTo(-thickness / 2, thickness);
-        graphics.closePath();
-        graphics.fillPath();
-        
-        graphics.restore();
-    }
-
     /**
      * Draw highlight overlay
      */
@@ -343,9 +433,10 @@ export class Road extends Phaser.GameObjects.Container {
      * Drag event handler
      */
     onDrag(pointer, dragX, dragY) {
-        // Calculate which direction we're dragging towards
-        const deltaX = pointer.x - this.x;
-        const deltaY = pointer.y - this.y;
+        // Calculate which direction we're dragging towards (the road is in world space; the camera may be zoomed)
+        const world = this.scene.cameras.main.getWorldPoint(pointer.x, pointer.y);
+        const deltaX = world.x - this.x;
+        const deltaY = world.y - this.y;
         const threshold = GameConfig.cellSize / 3;
         
         let targetDirection = null;
@@ -390,10 +481,10 @@ export class Road extends Phaser.GameObjects.Container {
 
     /**
      * Add a direction to the road
-     * @param {string} direction - Direction from Directions enum
+     * @param {string} direction - Direction from Directions enum (ignored if the road already has it)
      */
     addDirection(direction) {
-        if (Object.values(Directions).includes(direction)) {
+        if (Object.values(Directions).includes(direction) && !this.directions.includes(direction)) {
             this.directions.push(direction);
             this.updateVisuals();
             
@@ -409,10 +500,10 @@ export class Road extends Phaser.GameObjects.Container {
 
     /**
      * Set all directions for the road
-     * @param {Array} directions - Array of direction strings
+     * @param {Array} directions - Array of direction strings (repeats are dropped)
      */
     setDirections(directions) {
-        this.directions = [...directions];
+        this.directions = [...new Set(directions)];
         this.updateVisuals();
         
         console.log(`Directions set for road at ${this.row},${this.col}:`, directions);
@@ -437,20 +528,52 @@ export class Road extends Phaser.GameObjects.Container {
         });
     }
 
+    /**
+     * Set which diagonal neighbours the road is linked to
+     * @param {Array} directions - Diagonal directions from Directions enum
+     */
+    setDiagonalLinks(directions) {
+        this.diagonalLinks = [...directions];
+        this.updateVisuals();
+    }
+
+    /**
+     * Set the turn rules for the road
+     * @param {Object} turns - Turn table (see TurnRules.js)
+     */
+    setTurns(turns) {
+        this.turns = cloneTurnTable(turns);
+        this.updateVisuals();
+        
+        console.log(`Turns set for road at ${this.row},${this.col}:`, turns);
+        this.scene.events.emit('roadTurnsSet', {
+            row: this.row,
+            col: this.col,
+            turns: cloneTurnTable(this.turns)
+        });
+    }
+
     /**
      * Get next direction based on car's current direction
-     * @param {string} currentDirection - Car's current movement direction
+     * Cars go straight on where their approach allows it, otherwise take the first allowed exit.
+     * @param {string} currentDirection - Car's current movement direction (its approach into this road)
      * @returns {string|null} Next direction or null if no valid direction
      */
     getNextDirection(currentDirection) {
-        // If no directions set, allow straight through
-        if (this.directions.length === 0) {
+        const exits = getAllowedExits(this, currentDirection);
+        if (exits.includes(currentDirection)) {
             return currentDirection;
         }
-        
-        // Return the first direction (simple implementation)
-        // Could be enhanced to consider the car's approach direction
-        return this.directions[0];
+        return exits[0] || null;
+    }
+
+    /**
+     * Get the directions cars entering in a direction may leave in
+     * @param {string|null} approach - Direction of travel into this road; null when not known
+     * @returns {Array} Directions allowed by the arrows and turn rules
+     */
+    getAllowedExits(approach) {
+        return getAllowedExits(this, approach);
     }
 
     /**
@@ -464,34 +587,11 @@ export class Road extends Phaser.GameObjects.Container {
 
     /**
      * Get pathfinding connections for this road
+     * Roads without arrows connect in all four directions
      * @returns {Array} Array of connected positions {row, col, direction}
      */
     getPathfindingConnections() {
-        const connections = [];
-        const adjacentPositions = getAdjacentPositions(this.row, this.col);
-        
-        // If no specific directions, allow all adjacent connections
-        if (this.directions.length === 0) {
-            return adjacentPositions.map(pos => ({
-                row: pos.row,
-                col: pos.col,
-                direction: this.getDirectionToPosition(pos.row, pos.col)
-            }));
-        }
-        
-        // Only allow connections in specified directions
-        this.directions.forEach(direction => {
-            const targetPos = this.getPositionInDirection(direction);
-            if (targetPos) {
-                connections.push({
-                    row: targetPos.row,
-                    col: targetPos.col,
-                    direction: direction
-                });
-            }
-        });
-        
-        return connections;
+        return getRoadConnections(this.row, this.col, this.directions);
     }
 
     /**
@@ -500,19 +600,7 @@ export class Road extends Phaser.GameObjects.Container {
      * @returns {Object|null} Target position {row, col} or null
      */
     getPositionInDirection(direction) {
-        switch (direction) {
-            case Directions.UP:
-                return { row: this.row - 1, col: this.col };
-            case Directions.DOWN:
-                return { row: this.row + 1, col: this.col };
-            case Directions.LEFT:
-                return { row: this.row, col: this.col - 1 };
-            case Directions.RIGHT:
-                return { row: this.row, col: this.col + 1 };
-            // Diagonal directions would need more complex logic
-            default:
-                return null;
-        }
+        return getPositionInDirection(this.row, this.col, direction);
     }
 
     /**
@@ -522,15 +610,7 @@ export class Road extends Phaser.GameObjects.Container {
      * @returns {string|null} Direction or null
      */
     getDirectionToPosition(targetRow, targetCol) {
-        const deltaRow = targetRow - this.row;
-        const deltaCol = targetCol - this.col;
-        
-        if (deltaRow === -1 && deltaCol === 0) return Directions.UP;
-        if (deltaRow === 1 && deltaCol === 0) return Directions.DOWN;
-        if (deltaRow === 0 && deltaCol === -1) return Directions.LEFT;
-        if (deltaRow === 0 && deltaCol === 1) return Directions.RIGHT;
-        
-        return null;
+        return getDirectionBetween(this.row, this.col, targetRow, targetCol);
     }
 
     /**
@@ -561,7 +641,9 @@ export class Road extends Phaser.GameObjects.Container {
         return {
             row: this.row,
             col: this.col,
-            directions: [...this.directions]
+            directions: [...this.directions],
+            type: this.type,
+            turns: cloneTurnTable(this.turns)
         };
     }
 
@@ -579,6 +661,7 @@ export class Road extends Phaser.GameObjects.Container {
         
         // Destroy graphics objects
         if (this.background) this.background.destroy();
+        if (this.laneMarkings) this.laneMarkings.destroy();
         if (this.arrowsContainer) this.arrowsContainer.destroy();
         if (this.highlight) this.highlight.destroy();
         
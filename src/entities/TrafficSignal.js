@@ -0,0 +1,195 @@
+// Traffic Simulation Game - Traffic Signal Entity
+// Renders a traffic signal on top of a road tile, one light per approach
+
+import { GameConfig, Colors, Directions, ZLayers } from '../utils/Constants.js';
+import { gridToWorld } from '../utils/Helpers.js';
+import { cloneSignalData, getSignalStates, SignalApproaches } from '../simulation/SignalTiming.js';
+
+/**
+ * TrafficSignal draws the lights of a signal; its timing lives in plain
+ * signal data and the Simulation decides what cars do.
+ */
+export class TrafficSignal extends Phaser.GameObjects.Container {
+    /**
+     * @param {Phaser.Scene} scene - Scene to draw in
+     * @param {Object} signalData - Signal data (see SignalTiming.js)
+     */
+    constructor(scene, signalData) {
+        // Calculate world position
+        const worldPos = gridToWorld(signalData.row, signalData.col);
+        super(scene, worldPos.x, worldPos.y);
+        
+        // Store signal properties
+        this.row = signalData.row;
+        this.col = signalData.col;
+        this.signalData = cloneSignalData(signalData);
+        this.states = getSignalStates(this.signalData, 0);
+        this.isSelected = false;
+        this.selectedApproach = null;
+        
+        // Set depth for proper layering
+        this.setDepth(ZLayers.SIGNALS);
+        
+        // Create visual components
+        this.createVisuals();
+        
+        // Add to scene
+        scene.add.existing(this);
+    }
+
+    /**
+     * Create visual components for the signal
+     */
+    createVisuals() {
+        this.lights = this.scene.add.graphics();
+        this.add(this.lights);
+        
+        this.selectionBorder = this.scene.add.graphics();
+        this.add(this.selectionBorder);
+        
+        this.updateVisuals();
+    }
+
+    /**
+     * Update visual appearance
+     */
+    updateVisuals() {
+        this.drawLights();
+        this.drawSelection();
+    }
+
+    /**
+     * Get where the light for an approach sits inside the cell
+     * Each light faces the traffic it controls, at the edge that traffic enters from.
+     * @param {string} approach - Approach direction
+     * @returns {Object} {x, y} offset from the cell center
+     */
+    getLightOffset(approach) {
+        const inset = GameConfig.cellSize / 2 - GameConfig.cellSize * 0.15;
+        
+        switch (approach) {
+            case Directions.UP:
+                return { x: 0, y: inset };
+            case Directions.DOWN:
+                return { x: 0, y: -inset };
+            case Directions.LEFT:
+                return { x: inset, y: 0 };
+            case Directions.RIGHT:
+                return { x: -inset, y: 0 };
+            default:
+                return { x: 0, y: 0 };
+        }
+    }
+
+    /**
+     * Draw one light per controlled approach
+     */
+    drawLights() {
+        this.lights.clear();
+        
+        const radius = GameConfig.cellSize * 0.09;
+        
+        // Housing in the middle of the junction
+        this.lights.fillStyle(Colors.signalHousing, 0.9);
+        this.lights.fillCircle(0, 0, radius * 1.5);
+        
+        SignalApproaches.forEach(approach => {
+            if (!this.signalData.phases[approach]) {
+                return;
+            }
+            
+            const offset = this.getLightOffset(approach);
+            const color = this.states[approach] ? Colors.signalGreen : Colors.signalRed;
+            
+            this.lights.fillStyle(Colors.signalHousing, 1.0);
+            this.lights.fillCircle(offset.x, offset.y, radius + 1);
+            this.lights.fillStyle(color, 1.0);
+            this.lights.fillCircle(offset.x, offset.y, radius);
+        });
+    }
+
+    /**
+     * Draw the selection border and mark the approach being edited
+     */
+    drawSelection() {
+        this.selectionBorder.clear();
+        
+        if (!this.isSelected) {
+            return;
+        }
+        
+        const size = GameConfig.cellSize;
+        const halfSize = size / 2;
+        
+        this.selectionBorder.lineStyle(2, Colors.highlight, 1.0);
+        this.selectionBorder.strokeRect(-halfSize + 1, -halfSize + 1, size - 2, size - 2);
+        
+        if (this.selectedApproach) {
+            const offset = this.getLightOffset(this.selectedApproach);
+            this.selectionBorder.strokeCircle(offset.x, offset.y, GameConfig.cellSize * 0.14);
+        }
+    }
+
+    /**
+     * Show the lights for a moment in the cycle
+     * @param {Object} states - Approach -> green flag (from getSignalStates)
+     */
+    setStates(states) {
+        const changed = SignalApproaches.some(approach => this.states[approach] !== states[approach]);
+        if (changed) {
+            this.states = { ...states };
+            this.drawLights();
+        }
+    }
+
+    /**
+     * Show the lights at a simulation time
+     * @param {number} time - Simulation time (ms)
+     */
+    showTime(time) {
+        this.setStates(getSignalStates(this.signalData, time));
+    }
+
+    /**
+     * Replace the signal timing
+     * @param {Object} signalData - New signal data
+     */
+    setSignalData(signalData) {
+        this.signalData = cloneSignalData(signalData);
+        this.states = getSignalStates(this.signalData, 0);
+        this.updateVisuals();
+    }
+
+    /**
+     * Set selected state
+     * @param {boolean} selected - Whether the signal is selected for editing
+     * @param {string|null} approach - Approach being edited
+     */
+    setSelected(selected, approach = null) {
+        this.isSelected = selected;
+        this.selectedApproach = selected ? approach : null;
+        this.drawSelection();
+    }
+
+    /**
+     * Get signal data for the simulation and serialization
+     * @returns {Object} Signal data copy
+     */
+    getSignalData() {
+        return cloneSignalData(this.signalData);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        // Destroy graphics objects
+        if (this.lights) this.lights.destroy();
+        if (this.selectionBorder) this.selectionBorder.destroy();
+        
+        // Call parent destroy
+        super.destroy();
+    }
+}
+
+export default TrafficSignal;
\ No newline at end of file
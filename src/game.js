@@ -3,6 +3,8 @@
 
 // Import scenes
 import GameScene from './scenes/GameScene.js';
+import LevelSelectScene from './scenes/LevelSelectScene.js';
+import LevelEditorScene from './scenes/LevelEditorScene.js';
 
 class BootScene extends Phaser.Scene {
     constructor() {
@@ -28,8 +30,8 @@ class BootScene extends Phaser.Scene {
     create() {
         // Add click to start
         this.input.once('pointerdown', () => {
-            // Start the main game scene
-            this.scene.start('GameScene');
+            // Pick a level first
+            this.scene.start('LevelSelectScene');
         });
     }
 }
@@ -41,7 +43,7 @@ const gameConfig = {
     height: 768,
     parent: 'game-container',
     backgroundColor: '#2c3e50',
-    scene: [BootScene, GameScene], // Include both scenes
+    scene: [BootScene, LevelSelectScene, GameScene, LevelEditorScene],
     physics: {
         default: 'arcade',
         arcade: {
@@ -82,15 +84,8 @@ window.addEventListener('DOMContentLoaded', () => {
         return;
     }
     
-    if (typeof PF === 'undefined') {
-        console.error('PathFinding.js not loaded!');
-        document.getElementById('game-container').innerHTML = '<p style="color: red;">Error: PathFinding.js not loaded!</p>';
-        return;
-    }
-    
     console.log('Initializing Traffic Simulation Game...');
     console.log('Phaser version:', Phaser.VERSION);
-    console.log('PathFinding.js loaded successfully');
     
     // Create the game instance
     const game = new Phaser.Game(gameConfig);
@@ -0,0 +1,520 @@
+// Traffic Simulation Game - Build Commands
+// Reversible building actions recorded by the HistoryManager for undo/redo
+
+import { RoadTypes } from '../utils/Constants.js';
+import { getBridgeKey, cloneBridgeData } from '../simulation/Bridges.js';
+import { cloneTurnTable, hasTurnRules } from '../simulation/TurnRules.js';
+import { cloneSignalData } from '../simulation/SignalTiming.js';
+
+/**
+ * Every command has a label and execute/undo methods that take the build
+ * context {gameState, gridManager} and return true on success. Commands keep
+ * GameState and the GridManager views in step, the same way InputManager does.
+ * Budget changes come from GameState itself (placing spends, removing refunds),
+ * so undoing an action always gives back exactly what it cost.
+ */
+
+/**
+ * Place a road view and its state
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {string} type - Road type from RoadTypes
+ * @param {Array} directions - Arrows to restore
+ * @param {Object} turns - Turn rules to restore (see TurnRules.js)
+ * @returns {boolean} True if placed
+ */
+function placeRoad({ gameState, gridManager }, row, col, type, directions = [], turns = {}) {
+    if (!gridManager.placeRoad(row, col, type)) {
+        return false;
+    }
+    
+    if (!gameState.placeRoad(row, col, { type })) {
+        gridManager.removeRoad(row, col);
+        return false;
+    }
+    
+    if (directions.length > 0) {
+        setRoadDirections({ gameState, gridManager }, row, col, directions);
+    }
+    if (hasTurnRules(turns)) {
+        setRoadTurns({ gameState, gridManager }, row, col, turns);
+    }
+    return true;
+}
+
+/**
+ * Remove a road view and its state (along with any signal on it, bridge ending on it
+ * and signal on a neighbour that is no longer a junction without it)
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @returns {boolean} True if removed
+ */
+function removeRoad({ gameState, gridManager }, row, col) {
+    const stranded = gameState.getSignalsStrandedBy({ road: { row, col } });
+    if (!gameState.removeRoad(row, col)) {
+        return false;
+    }
+    
+    gridManager.removeRoad(row, col);
+    stranded.forEach(signal => gridManager.removeSignal(signal.row, signal.col));
+    return true;
+}
+
+/**
+ * Replace a road's arrows
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Array} directions - New arrows
+ * @returns {boolean} True if updated
+ */
+function setRoadDirections({ gameState, gridManager }, row, col, directions) {
+    const road = gridManager.getRoad(row, col);
+    if (!road || !gameState.updateRoadDirections(row, col, directions)) {
+        return false;
+    }
+    
+    road.setDirections(directions);
+    return true;
+}
+
+/**
+ * Replace a road's turn rules
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Object} turns - New turn table (see TurnRules.js)
+ * @returns {boolean} True if updated
+ */
+function setRoadTurns({ gameState, gridManager }, row, col, turns) {
+    const road = gridManager.getRoad(row, col);
+    if (!road || !gameState.updateRoadTurns(row, col, turns)) {
+        return false;
+    }
+    
+    road.setTurns(turns);
+    return true;
+}
+
+/**
+ * Place a signal view and its state
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {Object} signalData - Signal data (see SignalTiming.js)
+ * @returns {boolean} True if placed
+ */
+function placeSignal({ gameState, gridManager }, signalData) {
+    const { row, col } = signalData;
+    if (!gridManager.placeSignal(row, col, signalData)) {
+        return false;
+    }
+    
+    if (!gameState.placeSignal(row, col, signalData)) {
+        gridManager.removeSignal(row, col);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Remove a signal view and its state
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @returns {boolean} True if removed
+ */
+function removeSignal({ gameState, gridManager }, row, col) {
+    if (!gameState.removeSignal(row, col)) {
+        return false;
+    }
+    
+    gridManager.removeSignal(row, col);
+    return true;
+}
+
+/**
+ * Replace a signal's timing
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {Object} signalData - Signal data (see SignalTiming.js)
+ * @returns {boolean} True if updated
+ */
+function updateSignal({ gameState, gridManager }, signalData) {
+    const { row, col } = signalData;
+    if (!gameState.updateSignal(row, col, signalData)) {
+        return false;
+    }
+    
+    const signal = gridManager.getSignal(row, col);
+    if (signal) {
+        signal.setSignalData(signalData);
+    }
+    return true;
+}
+
+/**
+ * Place a bridge or tunnel view and its state
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {Object} bridgeData - Bridge data (see Bridges.js)
+ * @returns {boolean} True if placed
+ */
+function placeBridge({ gameState, gridManager }, bridgeData) {
+    if (!gridManager.placeBridge(bridgeData)) {
+        return false;
+    }
+    
+    if (!gameState.placeBridge(bridgeData)) {
+        gridManager.removeBridge(bridgeData);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Remove a bridge or tunnel view and its state (along with any signal at its ends
+ * that is no longer on a junction without it)
+ * @param {Object} context - Build context {gameState, gridManager}
+ * @param {Object} bridgeData - Bridge data (see Bridges.js)
+ * @returns {boolean} True if removed
+ */
+function removeBridge({ gameState, gridManager }, bridgeData) {
+    const stranded = gameState.getSignalsStrandedBy({ bridge: bridgeData });
+    if (!gameState.removeBridge(bridgeData)) {
+        return false;
+    }
+    
+    gridManager.removeBridge(bridgeData);
+    stranded.forEach(signal => gridManager.removeSignal(signal.row, signal.col));
+    return true;
+}
+
+/**
+ * Place a road on an empty cell
+ */
+export class PlaceRoadCommand {
+    /**
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {string} [type] - Road type from RoadTypes
+     */
+    constructor(row, col, type = RoadTypes.STREET) {
+        this.row = row;
+        this.col = col;
+        this.type = type;
+        this.label = `place ${type} at ${row},${col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return placeRoad(context, this.row, this.col, this.type);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return removeRoad(context, this.row, this.col);
+    }
+}
+
+/**
+ * Delete a road, remembering its type, arrows, turn rules and signal so undo can rebuild them
+ */
+export class DeleteRoadCommand {
+    /**
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Array} directions - Arrows on the road before deletion
+     * @param {Object|null} signalData - Signal on the road before deletion
+     * @param {string} [type] - Road type before deletion
+     * @param {Object} [turns] - Turn rules on the road before deletion
+     * @param {Array} [bridges] - Bridges and tunnels ending on the road before deletion
+     */
+    constructor(row, col, directions = [], signalData = null, type = RoadTypes.STREET, turns = {}, bridges = []) {
+        this.row = row;
+        this.col = col;
+        this.type = type;
+        this.directions = [...directions];
+        this.turns = cloneTurnTable(turns);
+        this.signalData = signalData;
+        this.bridges = bridges.map(cloneBridgeData);
+        this.strandedSignals = [];
+        this.label = `delete road at ${row},${col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        // Which neighbouring signals lose their junction depends on the layout at the time
+        this.strandedSignals = context.gameState.getSignalsStrandedBy({ road: { row: this.row, col: this.col } }).map(cloneSignalData);
+        return removeRoad(context, this.row, this.col);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        if (!placeRoad(context, this.row, this.col, this.type, this.directions, this.turns)) {
+            return false;
+        }
+        
+        // Removing the road took its bridges and signal with it, and the signals it left off a
+        // junction; all of them come back (bridges first, as junctions may need them) or none do:
+        // a half-restored road would leave the history out of step
+        const restored = this.bridges.every(bridge => placeBridge(context, bridge)) &&
+            (!this.signalData || placeSignal(context, this.signalData)) &&
+            this.strandedSignals.every(signal => placeSignal(context, signal));
+        if (!restored) {
+            removeRoad(context, this.row, this.col);
+            return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * Change the arrows on a road
+ */
+export class SetRoadDirectionsCommand {
+    /**
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Array} before - Arrows before the change
+     * @param {Array} after - Arrows after the change
+     */
+    constructor(row, col, before, after) {
+        this.row = row;
+        this.col = col;
+        this.before = [...before];
+        this.after = [...after];
+        this.label = `arrows at ${row},${col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return setRoadDirections(context, this.row, this.col, this.after);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return setRoadDirections(context, this.row, this.col, this.before);
+    }
+}
+
+/**
+ * Change the turn rules on a road
+ */
+export class SetRoadTurnsCommand {
+    /**
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Object} before - Turn table before the change
+     * @param {Object} after - Turn table after the change
+     */
+    constructor(row, col, before, after) {
+        this.row = row;
+        this.col = col;
+        this.before = cloneTurnTable(before);
+        this.after = cloneTurnTable(after);
+        this.label = `turns at ${row},${col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return setRoadTurns(context, this.row, this.col, this.after);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return setRoadTurns(context, this.row, this.col, this.before);
+    }
+}
+
+/**
+ * Place a traffic signal on a junction
+ */
+export class PlaceSignalCommand {
+    /**
+     * @param {Object} signalData - New signal data (see SignalTiming.js)
+     */
+    constructor(signalData) {
+        this.signalData = signalData;
+        this.label = `place signal at ${signalData.row},${signalData.col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return placeSignal(context, this.signalData);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return removeSignal(context, this.signalData.row, this.signalData.col);
+    }
+}
+
+/**
+ * Remove a traffic signal, keeping its timing for undo
+ */
+export class DeleteSignalCommand {
+    /**
+     * @param {Object} signalData - Signal data before deletion
+     */
+    constructor(signalData) {
+        this.signalData = signalData;
+        this.label = `delete signal at ${signalData.row},${signalData.col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return removeSignal(context, this.signalData.row, this.signalData.col);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return placeSignal(context, this.signalData);
+    }
+}
+
+/**
+ * Change a traffic signal's timing
+ */
+export class UpdateSignalCommand {
+    /**
+     * @param {Object} before - Signal data before the change
+     * @param {Object} after - Signal data after the change
+     */
+    constructor(before, after) {
+        this.before = before;
+        this.after = after;
+        this.label = `signal timing at ${after.row},${after.col}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return updateSignal(context, this.after);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return updateSignal(context, this.before);
+    }
+}
+
+/**
+ * Build a bridge or tunnel between two roads
+ */
+export class PlaceBridgeCommand {
+    /**
+     * @param {Object} bridgeData - New bridge data (see Bridges.js)
+     */
+    constructor(bridgeData) {
+        this.bridgeData = bridgeData;
+        this.label = `place ${getBridgeKey(bridgeData)}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        return placeBridge(context, this.bridgeData);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        return removeBridge(context, this.bridgeData);
+    }
+}
+
+/**
+ * Remove a bridge or tunnel, keeping its data for undo
+ */
+export class DeleteBridgeCommand {
+    /**
+     * @param {Object} bridgeData - Bridge data before deletion
+     */
+    constructor(bridgeData) {
+        this.bridgeData = bridgeData;
+        this.strandedSignals = [];
+        this.label = `delete ${getBridgeKey(bridgeData)}`;
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    execute(context) {
+        // Signals at the ends that lose their junction with the bridge come back on undo
+        this.strandedSignals = context.gameState.getSignalsStrandedBy({ bridge: this.bridgeData }).map(cloneSignalData);
+        return removeBridge(context, this.bridgeData);
+    }
+
+    /**
+     * @param {Object} context - Build context {gameState, gridManager}
+     * @returns {boolean} True if successful
+     */
+    undo(context) {
+        if (!placeBridge(context, this.bridgeData)) {
+            return false;
+        }
+        
+        if (!this.strandedSignals.every(signal => placeSignal(context, signal))) {
+            removeBridge(context, this.bridgeData);
+            return false;
+        }
+        return true;
+    }
+}
+
+export default {
+    PlaceRoadCommand,
+    DeleteRoadCommand,
+    SetRoadDirectionsCommand,
+    SetRoadTurnsCommand,
+    PlaceSignalCommand,
+    DeleteSignalCommand,
+    UpdateSignalCommand,
+    PlaceBridgeCommand,
+    DeleteBridgeCommand,
+};
\ No newline at end of file
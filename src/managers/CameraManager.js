@@ -0,0 +1,320 @@
+// Traffic Simulation Game - Camera Control
+// Mouse-wheel and pinch zoom plus right/middle-drag panning of the world, with UI fixed on screen
+
+import { GameConfig } from '../utils/Constants.js';
+import { clamp } from '../utils/Helpers.js';
+
+/**
+ * CameraManager lets the player zoom and pan the scene's main camera over
+ * grids larger than the canvas. A second, fixed camera draws the UI: objects
+ * passed to addUI() are drawn by it only, everything else by the main camera,
+ * so panels stay in place and keep their size at any zoom.
+ */
+export class CameraManager {
+    /**
+     * @param {Phaser.Scene} scene - Scene whose main camera shows the world
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.camera = scene.cameras.main;
+        this.uiCamera = scene.cameras.add(0, 0, this.camera.width, this.camera.height);
+        this.uiCamera.setName('ui');
+        
+        this.bounds = null;   // World area to keep in view {x, y, width, height}
+        this.minZoom = GameConfig.cameraMinZoom;
+        this.panFrom = null;  // Screen position {x, y} of the last pan step
+        this.pinch = null;    // {distance, x, y} of the two touches at the last pinch step
+        this.navigationAreas = []; // Screen rectangles (e.g. the minimap) whose presses move the camera
+        
+        // Everything made so far belongs to the world
+        scene.children.list.forEach(gameObject => this.uiCamera.ignore(gameObject));
+        scene.events.on('addedtoscene', this.onObjectAdded, this);
+        
+        // A second touch pointer for pinching; right-drag must not open the browser menu
+        scene.input.addPointer(1);
+        if (scene.input.mouse) {
+            scene.input.mouse.disableContextMenu();
+        }
+        
+        scene.input.on('wheel', this.onWheel, this);
+        scene.input.on('pointerdown', this.onPointerDown, this);
+        scene.input.on('pointermove', this.onPointerMove, this);
+        scene.input.on('pointerup', this.onPointerUp, this);
+        
+        console.log('CameraManager initialized');
+    }
+
+    /**
+     * Keep new world objects out of the UI camera
+     * @param {Phaser.GameObjects.GameObject} gameObject - Object added to the scene
+     */
+    onObjectAdded(gameObject) {
+        this.uiCamera.ignore(gameObject);
+    }
+
+    /**
+     * Draw objects with the fixed UI camera only
+     * @param {...Phaser.GameObjects.GameObject} gameObjects - UI objects
+     */
+    addUI(...gameObjects) {
+        gameObjects.forEach(gameObject => {
+            this.camera.ignore(gameObject);
+            gameObject.cameraFilter &= ~this.uiCamera.id;
+        });
+    }
+
+    /**
+     * Set the world area the camera may show and fit it on screen
+     * @param {Object} bounds - {x, y, width, height} in world pixels
+     * @param {number} [margin] - Extra space kept around the area (pixels)
+     */
+    setWorldBounds(bounds, margin = GameConfig.cellSize) {
+        this.bounds = {
+            x: bounds.x - margin,
+            y: bounds.y - margin,
+            width: bounds.width + margin * 2,
+            height: bounds.height + margin * 2
+        };
+        
+        // Zooming out further than the whole area is never useful
+        this.minZoom = Math.min(GameConfig.cameraMinZoom, this.getFitZoom());
+        this.fitToBounds();
+    }
+
+    /**
+     * Get the zoom at which the whole world area fits on screen
+     * @returns {number} Zoom
+     */
+    getFitZoom() {
+        if (!this.bounds) {
+            return 1;
+        }
+        return Math.min(this.camera.width / this.bounds.width, this.camera.height / this.bounds.height);
+    }
+
+    /**
+     * Show the whole world area, at most at normal size
+     */
+    fitToBounds() {
+        if (!this.bounds) {
+            return;
+        }
+        
+        this.camera.setZoom(Math.min(1, this.getFitZoom()));
+        this.camera.centerOn(this.bounds.x + this.bounds.width / 2, this.bounds.y + this.bounds.height / 2);
+    }
+
+    /**
+     * Convert a screen position to world coordinates through the main camera
+     * Computed from the camera's current scroll and zoom, so it is right before the next render too.
+     * @param {number} screenX - Screen x
+     * @param {number} screenY - Screen y
+     * @returns {Object} {x, y}
+     */
+    screenToWorld(screenX, screenY) {
+        const camera = this.camera;
+        const originX = camera.width * camera.originX;
+        const originY = camera.height * camera.originY;
+        
+        return {
+            x: camera.scrollX + originX + (screenX - camera.x - originX) / camera.zoom,
+            y: camera.scrollY + originY + (screenY - camera.y - originY) / camera.zoom
+        };
+    }
+
+    /**
+     * Center the view on a world position
+     * @param {number} x - World x
+     * @param {number} y - World y
+     */
+    centerOn(x, y) {
+        this.camera.centerOn(x, y);
+        this.clampScroll();
+    }
+
+    /**
+     * Zoom while keeping one screen point over the same spot of the world
+     * @param {number} screenX - Screen x to zoom around
+     * @param {number} screenY - Screen y to zoom around
+     * @param {number} zoom - Wanted zoom (clamped to the allowed range)
+     */
+    zoomAt(screenX, screenY, zoom) {
+        const before = this.screenToWorld(screenX, screenY);
+        this.camera.setZoom(clamp(zoom, this.minZoom, GameConfig.cameraMaxZoom));
+        const after = this.screenToWorld(screenX, screenY);
+        
+        this.camera.scrollX += before.x - after.x;
+        this.camera.scrollY += before.y - after.y;
+        this.clampScroll();
+    }
+
+    /**
+     * Move the view by a screen distance
+     * @param {number} deltaX - Screen pixels to move the world right
+     * @param {number} deltaY - Screen pixels to move the world down
+     */
+    panBy(deltaX, deltaY) {
+        this.camera.scrollX -= deltaX / this.camera.zoom;
+        this.camera.scrollY -= deltaY / this.camera.zoom;
+        this.clampScroll();
+    }
+
+    /**
+     * Keep the world area in view: centered when it fits, otherwise filling the screen
+     */
+    clampScroll() {
+        if (!this.bounds) {
+            return;
+        }
+        
+        const camera = this.camera;
+        const viewWidth = camera.width / camera.zoom;
+        const viewHeight = camera.height / camera.zoom;
+        const clampCenter = (center, start, size, view) => (view >= size ? start + size / 2 : clamp(center, start + view / 2, start + size - view / 2));
+        
+        // The view's center does not depend on zoom (midPoint is only refreshed when rendering)
+        camera.centerOn(
+            clampCenter(camera.scrollX + camera.width * camera.originX, this.bounds.x, this.bounds.width, viewWidth),
+            clampCenter(camera.scrollY + camera.height * camera.originY, this.bounds.y, this.bounds.height, viewHeight)
+        );
+    }
+
+    /**
+     * Check if a pointer is used to move the camera rather than to build
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     * @returns {boolean} True for right or middle button drags, two-finger gestures and presses on a navigation area
+     */
+    isCameraGesture(pointer) {
+        return pointer.rightButtonDown() || pointer.middleButtonDown() || this.isPinching() || this.isNavigationPress(pointer);
+    }
+
+    /**
+     * Let presses inside a screen area move the camera instead of building
+     * @param {Phaser.Geom.Rectangle} area - Screen area; may be resized later
+     */
+    addNavigationArea(area) {
+        if (!this.navigationAreas.includes(area)) {
+            this.navigationAreas.push(area);
+        }
+    }
+
+    /**
+     * Stop treating presses inside a screen area as camera gestures
+     * @param {Phaser.Geom.Rectangle} area - Area passed to addNavigationArea()
+     */
+    removeNavigationArea(area) {
+        this.navigationAreas = this.navigationAreas.filter(other => other !== area);
+    }
+
+    /**
+     * Check if a held pointer was pressed inside a navigation area
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     * @returns {boolean} True if the press started on a navigation area
+     */
+    isNavigationPress(pointer) {
+        return pointer.isDown && this.navigationAreas.some(area => area.contains(pointer.downX, pointer.downY));
+    }
+
+    /**
+     * Check if two touches are down
+     * @returns {boolean} True while pinching
+     */
+    isPinching() {
+        const { pointer1, pointer2 } = this.scene.input;
+        return Boolean(pointer1 && pointer2 && pointer1.isDown && pointer2.isDown);
+    }
+
+    /**
+     * Zoom in or out one step per wheel notch, around the pointer
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     * @param {Array} gameObjects - Objects under the pointer
+     * @param {number} deltaX - Horizontal wheel movement
+     * @param {number} deltaY - Vertical wheel movement (positive zooms out)
+     */
+    onWheel(pointer, gameObjects, deltaX, deltaY) {
+        if (deltaY === 0) {
+            return;
+        }
+        
+        const step = deltaY > 0 ? 1 / GameConfig.cameraZoomStep : GameConfig.cameraZoomStep;
+        this.zoomAt(pointer.x, pointer.y, this.camera.zoom * step);
+    }
+
+    /**
+     * Start panning on a right or middle button press
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerDown(pointer) {
+        if (pointer.rightButtonDown() || pointer.middleButtonDown()) {
+            this.panFrom = { x: pointer.x, y: pointer.y };
+        }
+    }
+
+    /**
+     * Pan with a held right or middle button; pinch-zoom and pan with two touches
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerMove(pointer) {
+        if (this.isPinching()) {
+            this.updatePinch();
+            return;
+        }
+        this.pinch = null;
+        
+        if (this.panFrom && (pointer.rightButtonDown() || pointer.middleButtonDown())) {
+            this.panBy(pointer.x - this.panFrom.x, pointer.y - this.panFrom.y);
+            this.panFrom = { x: pointer.x, y: pointer.y };
+        }
+    }
+
+    /**
+     * Follow two touches: their spread zooms, their midpoint pans
+     */
+    updatePinch() {
+        const { pointer1, pointer2 } = this.scene.input;
+        const distance = Phaser.Math.Distance.Between(pointer1.x, pointer1.y, pointer2.x, pointer2.y);
+        const x = (pointer1.x + pointer2.x) / 2;
+        const y = (pointer1.y + pointer2.y) / 2;
+        
+        if (this.pinch && this.pinch.distance > 0) {
+            this.panBy(x - this.pinch.x, y - this.pinch.y);
+            this.zoomAt(x, y, this.camera.zoom * distance / this.pinch.distance);
+        }
+        
+        this.pinch = { distance, x, y };
+    }
+
+    /**
+     * Stop panning or pinching once the buttons or touches are released
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerUp(pointer) {
+        if (!pointer.rightButtonDown() && !pointer.middleButtonDown()) {
+            this.panFrom = null;
+        }
+        if (!this.isPinching()) {
+            this.pinch = null;
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.scene.events.off('addedtoscene', this.onObjectAdded, this);
+        this.scene.input.off('wheel', this.onWheel, this);
+        this.scene.input.off('pointerdown', this.onPointerDown, this);
+        this.scene.input.off('pointermove', this.onPointerMove, this);
+        this.scene.input.off('pointerup', this.onPointerUp, this);
+        
+        // The scene may already have dropped its cameras while shutting down
+        this.scene.cameras.remove(this.uiCamera);
+        this.uiCamera = null;
+        this.bounds = null;
+        this.navigationAreas = [];
+        
+        console.log('CameraManager destroyed');
+    }
+}
+
+export default CameraManager;
\ No newline at end of file
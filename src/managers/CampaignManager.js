@@ -0,0 +1,177 @@
+// Traffic Simulation Game - Campaign Management System
+// Loads the level manifest and tracks which levels are unlocked and completed
+
+import { LevelManager } from './LevelManager.js';
+import { saveManager } from '../data/SaveManager.js';
+
+export class CampaignManager {
+    constructor() {
+        this.manifestPath = null;
+        this.levels = []; // Array of level entries in campaign order
+        this.isLoaded = false;
+    }
+
+    /**
+     * Load the level manifest and read every level's details
+     * @param {string} manifestPath - Path to the manifest JSON file
+     * @returns {Promise<Array>} Level entries
+     */
+    async loadManifest(manifestPath = 'levels/index.json') {
+        try {
+            console.log(`Loading level manifest from: ${manifestPath}`);
+            
+            const response = await fetch(manifestPath);
+            if (!response.ok) {
+                throw new Error(`Failed to load manifest: ${response.status} ${response.statusText}`);
+            }
+            
+            const manifest = await response.json();
+            this.validateManifest(manifest);
+            
+            // Level files are listed relative to the manifest
+            const baseDir = manifestPath.includes('/') ? manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1) : '';
+            
+            this.manifestPath = manifestPath;
+            this.levels = manifest.levels.map((entry, index) => ({
+                id: entry.id,
+                index,
+                path: baseDir + entry.file,
+                name: entry.id,
+                rows: 0,
+                columns: 0,
+                budget: 0,
+                error: null
+            }));
+            
+            // Read level details in parallel; a broken level stays listed but unplayable
+            await Promise.all(this.levels.map(level => this.loadLevelInfo(level)));
+            
+            this.isLoaded = true;
+            console.log(`Campaign loaded with ${this.levels.length} levels`);
+            return this.getLevels();
+            
+        } catch (error) {
+            console.error('Error loading level manifest:', error);
+            throw new Error(`Manifest loading failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate the manifest structure
+     * @param {Object} manifest - Raw manifest data
+     * @throws {Error} If the manifest is invalid
+     */
+    validateManifest(manifest) {
+        if (!manifest || !Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+            throw new Error("Manifest must have a non-empty 'levels' array");
+        }
+        
+        const ids = new Set();
+        manifest.levels.forEach((entry, index) => {
+            if (!entry.id || typeof entry.id !== 'string') {
+                throw new Error(`Manifest level ${index} must have an id (string)`);
+            }
+            if (!entry.file || typeof entry.file !== 'string') {
+                throw new Error(`Manifest level ${index} must have a file (string)`);
+            }
+            if (ids.has(entry.id)) {
+                throw new Error(`Manifest level id '${entry.id}' is used more than once`);
+            }
+            ids.add(entry.id);
+        });
+    }
+
+    /**
+     * Load one level to read its name, grid size and budget
+     * @param {Object} level - Level entry to fill in
+     */
+    async loadLevelInfo(level) {
+        // Use a private LevelManager so the shared one keeps the level being played
+        const manager = new LevelManager();
+        
+        try {
+            const levelData = await manager.loadLevel(level.path);
+            level.name = manager.getLevelName();
+            level.budget = manager.getInitialBudget();
+            level.rows = levelData.grid.rows;
+            level.columns = levelData.grid.columns;
+        } catch (error) {
+            console.error(`Level ${level.id} could not be loaded:`, error);
+            level.error = error.message;
+        }
+    }
+
+    /**
+     * Get all level entries
+     * @returns {Array} Level entries in campaign order
+     */
+    getLevels() {
+        return this.levels.map(level => ({ ...level }));
+    }
+
+    /**
+     * Get a level entry by ID
+     * @param {string} levelId - Level ID
+     * @returns {Object|null} Level entry or null
+     */
+    getLevel(levelId) {
+        const level = this.levels.find(entry => entry.id === levelId);
+        return level ? { ...level } : null;
+    }
+
+    /**
+     * Get the level after the given one
+     * @param {string} levelId - Level ID
+     * @returns {Object|null} Next level entry or null if this is the last level
+     */
+    getNextLevel(levelId) {
+        const level = this.levels.find(entry => entry.id === levelId);
+        if (!level || level.index + 1 >= this.levels.length) {
+            return null;
+        }
+        return { ...this.levels[level.index + 1] };
+    }
+
+    /**
+     * Check if a level can be played
+     * The first level is always open; every other level opens when the one before it is completed.
+     * @param {string} levelId - Level ID
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(levelId) {
+        const level = this.levels.find(entry => entry.id === levelId);
+        if (!level || level.error) {
+            return false;
+        }
+        if (level.index === 0) {
+            return true;
+        }
+        return saveManager.isCompleted(this.levels[level.index - 1].id);
+    }
+
+    /**
+     * Check if a level has been completed
+     * @param {string} levelId - Level ID
+     * @returns {boolean} True if completed
+     */
+    isCompleted(levelId) {
+        return saveManager.isCompleted(levelId);
+    }
+
+    /**
+     * Mark a level as completed (unlocks the next one)
+     * @param {string} levelId - Level ID
+     */
+    markCompleted(levelId) {
+        if (!levelId || saveManager.isCompleted(levelId)) {
+            return;
+        }
+        
+        saveManager.markCompleted(levelId);
+        console.log(`Level ${levelId} completed`);
+    }
+}
+
+// Export singleton instance
+export const campaignManager = new CampaignManager();
+export default campaignManager;
\ No newline at end of file
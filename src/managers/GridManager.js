@@ -1,10 +1,13 @@
 // Traffic Simulation Game - Grid Management System
 // Handles grid creation, cell management, and visual rendering
 
-import { GameConfig, Colors, CellTypes, ZLayers } from '../utils/Constants.js';
-import { gridToWorld, worldToGrid, gridKey, getCarColor } from '../utils/Helpers.js';
+import { GameConfig, Colors, CellTypes, RoadTypes, ZLayers } from '../utils/Constants.js';
+import { gridToWorld, worldToGrid, gridKey, getCarColor, getDiagonalPositions, getDiagonalLinks } from '../utils/Helpers.js';
 import Cell from '../entities/Cell.js';
 import Road from '../entities/Road.js';
+import TrafficSignal from '../entities/TrafficSignal.js';
+import Bridge from '../entities/Bridge.js';
+import { getBridgeKey, getBridgeEnds, isBridgeEnd, bridgesOverlap, validateBridgeData } from '../simulation/Bridges.js';
 
 export class GridManager {
     constructor(scene) {
@@ -16,6 +19,8 @@ export class GridManager {
         // Grid storage
         this.cells = new Map(); // Map of "row,col" -> Cell
         this.roads = new Map(); // Map of "row,col" -> Road
+        this.signals = new Map(); // Map of "row,col" -> TrafficSignal
+        this.bridges = new Map(); // Map of bridge key (see getBridgeKey) -> Bridge
         
         // Visual elements
         this.gridContainer = null;
@@ -76,6 +81,19 @@ export class GridManager {
         this.gridOffset.y = Math.max(minMargin, this.gridOffset.y);
     }
 
+    /**
+     * Get the area the grid covers in world coordinates
+     * @returns {Object} {x, y, width, height}
+     */
+    getGridBounds() {
+        return {
+            x: this.gridOffset.x,
+            y: this.gridOffset.y,
+            width: this.gridDimensions.columns * GameConfig.cellSize,
+            height: this.gridDimensions.rows * GameConfig.cellSize
+        };
+    }
+
     /**
      * Create visual containers for organization
      */
@@ -202,8 +220,15 @@ export class GridManager {
                 this.createEntranceIndicator(entrance, carData.color, `${carIndex}-${entranceIndex}`);
             });
             
-            // Create exit indicator
-            this.createExitIndicator(carData.exit, carData.color, carIndex);
+            // Create exit indicators
+            carData.exits.forEach((exit, exitIndex) => {
+                this.createExitIndicator(exit, carData.color, `${carIndex}-${exitIndex}`);
+            });
+            
+            // Mark the cells cars must pass, numbered in order
+            carData.waypoints.forEach((waypoint, waypointIndex) => {
+                this.createWaypointIndicator(waypoint, carData.color, waypointIndex + 1);
+            });
         });
     }
 
@@ -271,9 +296,9 @@ export class GridManager {
      * Create exit indicator
      * @param {Object} exit - Exit data with processed coordinates
      * @param {string} color - Car color
-     * @param {number} carIndex - Car index
+     * @param {string} id - Unique identifier
      */
-    createExitIndicator(exit, color, carIndex) {
+    createExitIndicator(exit, color, id) {
         let worldX, worldY;
         
         if (exit.isEntrance) {
@@ -339,13 +364,41 @@ export class GridManager {
         this.entranceExitContainer.add(flagIndicator);
     }
 
+    /**
+     * Create waypoint indicator
+     * @param {Object} waypoint - Grid cell {row, col}
+     * @param {string} color - Car color
+     * @param {number} order - Position of the waypoint in the car's route (1-based)
+     */
+    createWaypointIndicator(waypoint, color, order) {
+        const cellSize = GameConfig.cellSize;
+        const worldX = this.gridOffset.x + (waypoint.col + 0.5) * cellSize;
+        const worldY = this.gridOffset.y + (waypoint.row + 0.5) * cellSize;
+        
+        // Ring in the car's color, drawn over roads and cars so it stays visible
+        const ringIndicator = this.scene.add.graphics();
+        ringIndicator.setPosition(worldX, worldY);
+        ringIndicator.lineStyle(3, getCarColor(color), 0.9);
+        ringIndicator.strokeCircle(0, 0, cellSize * 0.4);
+        
+        const orderText = this.scene.add.text(worldX + cellSize * 0.3, worldY - cellSize * 0.3, String(order), {
+            fontSize: '10px',
+            color: '#ffffff'
+        });
+        orderText.setOrigin(0.5);
+        
+        this.entranceExitContainer.add(ringIndicator);
+        this.entranceExitContainer.add(orderText);
+    }
+
     /**
      * Place a road at coordinates
      * @param {number} row - Grid row
      * @param {number} col - Grid column
+     * @param {string} [type] - Road type from RoadTypes
      * @returns {boolean} True if successful
      */
-    placeRoad(row, col) {
+    placeRoad(row, col, type = RoadTypes.STREET) {
         const key = gridKey(row, col);
         
         // Check if position is valid and editable
@@ -359,7 +412,7 @@ export class GridManager {
         }
         
         // Create road
-        const road = new Road(this.scene, row, col);
+        const road = new Road(this.scene, row, col, type);
         road.setPosition(
             this.gridOffset.x + col * GameConfig.cellSize + GameConfig.cellSize / 2,
             this.gridOffset.y + row * GameConfig.cellSize + GameConfig.cellSize / 2
@@ -376,8 +429,9 @@ export class GridManager {
         
         // Add to container
         this.gridContainer.add(road);
+        this.updateDiagonalLinks(row, col);
         
-        console.log(`Road placed at ${row},${col}`);
+        console.log(`Road (${type}) placed at ${row},${col}`);
         return true;
     }
 
@@ -395,6 +449,10 @@ export class GridManager {
             return false;
         }
         
+        // Remove any signal standing on the road and any bridge or tunnel ending on it
+        this.removeSignal(row, col);
+        this.getBridgesAt(row, col).forEach(bridge => this.removeBridge(bridge));
+        
         // Remove road
         road.destroy();
         this.roads.delete(key);
@@ -404,11 +462,231 @@ export class GridManager {
         if (cell) {
             cell.setCellType(CellTypes.EDITABLE);
         }
+        this.updateDiagonalLinks(row, col);
         
         console.log(`Road removed from ${row},${col}`);
         return true;
     }
 
+    /**
+     * Get the diagonal neighbours a road links to in diagonal mode
+     * A link needs a road on the diagonal and may not cut the corner of a tree or building.
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Array} Diagonal directions from Directions enum (empty outside diagonal mode)
+     */
+    getDiagonalLinks(row, col) {
+        if (!this.levelData || !this.levelData.diagonal) {
+            return [];
+        }
+        
+        return getDiagonalLinks(row, col, this.roads, this.levelData.uneditableCells);
+    }
+
+    /**
+     * Redraw the diagonal links of the road on a cell and of the roads diagonal to it
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     */
+    updateDiagonalLinks(row, col) {
+        if (!this.levelData || !this.levelData.diagonal) {
+            return;
+        }
+        
+        [{ row, col }, ...getDiagonalPositions(row, col)].forEach(pos => {
+            const road = this.getRoad(pos.row, pos.col);
+            if (road) {
+                road.setDiagonalLinks(this.getDiagonalLinks(pos.row, pos.col));
+            }
+        });
+    }
+
+    /**
+     * Place a traffic signal on a junction
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Object} signalData - Signal data (see SignalTiming.js)
+     * @returns {boolean} True if successful
+     */
+    placeSignal(row, col, signalData) {
+        const key = gridKey(row, col);
+        
+        // GameState decides where signals may stand (see Junctions.js)
+        if (!this.hasRoad(row, col) || this.signals.has(key)) {
+            return false;
+        }
+        
+        // Create signal over the road
+        const signal = new TrafficSignal(this.scene, { ...signalData, row, col });
+        signal.setPosition(
+            this.gridOffset.x + col * GameConfig.cellSize + GameConfig.cellSize / 2,
+            this.gridOffset.y + row * GameConfig.cellSize + GameConfig.cellSize / 2
+        );
+        
+        // Store signal
+        this.signals.set(key, signal);
+        
+        // Add to container
+        this.gridContainer.add(signal);
+        
+        console.log(`Signal placed at ${row},${col}`);
+        return true;
+    }
+
+    /**
+     * Remove a traffic signal
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if successful
+     */
+    removeSignal(row, col) {
+        const key = gridKey(row, col);
+        const signal = this.signals.get(key);
+        
+        if (!signal) {
+            return false;
+        }
+        
+        signal.destroy();
+        this.signals.delete(key);
+        
+        console.log(`Signal removed from ${row},${col}`);
+        return true;
+    }
+
+    /**
+     * Get signal at coordinates
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {TrafficSignal|null} Signal instance or null
+     */
+    getSignal(row, col) {
+        return this.signals.get(gridKey(row, col)) || null;
+    }
+
+    /**
+     * Check if signal exists at coordinates
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if signal exists
+     */
+    hasSignal(row, col) {
+        return this.signals.has(gridKey(row, col));
+    }
+
+    /**
+     * Get all signals data for the simulation
+     * @returns {Map} Map of "row,col" -> signal data
+     */
+    getSignalsData() {
+        const signals = new Map();
+        this.signals.forEach((signal, key) => {
+            signals.set(key, signal.getSignalData());
+        });
+        return signals;
+    }
+
+    /**
+     * Show every signal's lights at a simulation time
+     * @param {number} time - Simulation time (ms)
+     */
+    updateSignalLights(time) {
+        this.signals.forEach(signal => signal.showTime(time));
+    }
+
+    /**
+     * Check whether a bridge or tunnel can be built
+     * @param {Object} bridgeData - Bridge data (see Bridges.js)
+     * @returns {string|null} Why it cannot be built, or null if it can
+     */
+    getBridgePlacementError(bridgeData) {
+        const error = validateBridgeData(bridgeData);
+        if (error) {
+            return error;
+        }
+        
+        if (!getBridgeEnds(bridgeData).every(end => this.hasRoad(end.row, end.col))) {
+            return 'both ends need a road';
+        }
+        
+        for (const bridge of this.bridges.values()) {
+            if (bridgesOverlap(bridge.getBridgeData(), bridgeData)) {
+                return `it would cross another ${bridgeData.kind} on the same cells`;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Place a bridge or tunnel between two roads
+     * @param {Object} bridgeData - Bridge data (see Bridges.js)
+     * @returns {boolean} True if successful
+     */
+    placeBridge(bridgeData) {
+        if (this.getBridgePlacementError(bridgeData)) {
+            return false;
+        }
+        
+        // Create the view over (or under) the span; it stays out of the grid container
+        // so it can be drawn above the cars driving below it
+        const key = getBridgeKey(bridgeData);
+        const bridge = new Bridge(this.scene, bridgeData);
+        bridge.setPosition(
+            this.gridOffset.x + bridgeData.fromCol * GameConfig.cellSize + GameConfig.cellSize / 2,
+            this.gridOffset.y + bridgeData.fromRow * GameConfig.cellSize + GameConfig.cellSize / 2
+        );
+        
+        this.bridges.set(key, bridge);
+        
+        console.log(`${bridgeData.kind} placed: ${key}`);
+        return true;
+    }
+
+    /**
+     * Remove a bridge or tunnel
+     * @param {Object} bridgeData - Bridge data (only its kind and ends are used)
+     * @returns {boolean} True if successful
+     */
+    removeBridge(bridgeData) {
+        const key = getBridgeKey(bridgeData);
+        const bridge = this.bridges.get(key);
+        
+        if (!bridge) {
+            return false;
+        }
+        
+        bridge.destroy();
+        this.bridges.delete(key);
+        
+        console.log(`${bridgeData.kind} removed: ${key}`);
+        return true;
+    }
+
+    /**
+     * Get the bridges and tunnels ending on a road
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Array} Array of bridge data
+     */
+    getBridgesAt(row, col) {
+        return Array.from(this.bridges.values())
+            .map(bridge => bridge.getBridgeData())
+            .filter(bridgeData => isBridgeEnd(bridgeData, row, col));
+    }
+
+    /**
+     * Get all bridges and tunnels for the simulation
+     * @returns {Map} Map of bridge key -> bridge data
+     */
+    getBridgesData() {
+        const bridges = new Map();
+        this.bridges.forEach((bridge, key) => {
+            bridges.set(key, bridge.getBridgeData());
+        });
+        return bridges;
+    }
+
     /**
      * Get road at coordinates
      * @param {number} row - Grid row
@@ -574,6 +852,14 @@ export class GridManager {
         this.cells.forEach(cell => cell.destroy());
         this.cells.clear();
         
+        // Destroy all signals
+        this.signals.forEach(signal => signal.destroy());
+        this.signals.clear();
+        
+        // Destroy all bridges and tunnels
+        this.bridges.forEach(bridge => bridge.destroy());
+        this.bridges.clear();
+        
         // Destroy all roads
         this.roads.forEach(road => road.destroy());
         this.roads.clear();
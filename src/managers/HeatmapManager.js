@@ -0,0 +1,127 @@
+// Traffic Simulation Game - Congestion Heatmap
+// Colors each grid cell by how long cars waited there during the current or last run
+
+import { GameConfig, Colors, ZLayers } from '../utils/Constants.js';
+import { interpolateColor } from '../utils/Helpers.js';
+
+export class HeatmapManager {
+    /**
+     * @param {Phaser.Scene} scene - Scene to draw in
+     * @param {GridManager} gridManager - Grid manager owning the cells
+     * @param {CarManager} carManager - Car manager owning the simulation
+     */
+    constructor(scene, gridManager, carManager) {
+        this.scene = scene;
+        this.gridManager = gridManager;
+        this.carManager = carManager;
+        
+        this.isVisible = false;
+        this.graphics = null;
+        
+        console.log('HeatmapManager initialized');
+    }
+
+    /**
+     * Show or hide the heatmap
+     * @returns {boolean} True if the heatmap is now visible
+     */
+    toggle() {
+        this.isVisible = !this.isVisible;
+        
+        if (this.isVisible) {
+            this.render();
+        } else {
+            this.clearVisuals();
+        }
+        
+        console.log(`Heatmap ${this.isVisible ? 'shown' : 'hidden'}`);
+        return this.isVisible;
+    }
+
+    /**
+     * Redraw while cars are moving (called from scene update loop)
+     */
+    update() {
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Get the grid cells cars passed through or waited on, hottest first
+     * @returns {Array} Cell stats {row, col, waitTime, passes, failures}
+     */
+    getCells() {
+        return [...this.carManager.getCellStats().values()]
+            .filter(entry => this.gridManager.isValidPosition(entry.row, entry.col))
+            .sort((a, b) => b.waitTime - a.waitTime || b.passes - a.passes);
+    }
+
+    /**
+     * Get the cell where cars waited longest
+     * @returns {Object|null} Cell stats {row, col, waitTime, passes, failures} or null if no car waited on the grid
+     */
+    getHottestCell() {
+        const hottest = this.getCells()[0];
+        return hottest && hottest.waitTime > 0 ? hottest : null;
+    }
+
+    /**
+     * Draw every cell with traffic: its color goes from calm to jammed with the time cars
+     * waited there, its opacity grows with the cars that passed through, and cells where
+     * cars failed get an outline
+     */
+    render() {
+        if (!this.graphics) {
+            this.graphics = this.scene.add.graphics();
+            this.graphics.setDepth(ZLayers.HEATMAP);
+        }
+        this.graphics.clear();
+        
+        const cells = this.getCells();
+        if (cells.length === 0) {
+            return;
+        }
+        
+        // Scale to the worst cell, but a short wait never shows as fully jammed
+        const maxWait = Math.max(GameConfig.heatmapFullWaitTime, ...cells.map(entry => entry.waitTime));
+        const maxPasses = Math.max(1, ...cells.map(entry => entry.passes));
+        const size = GameConfig.cellSize;
+        
+        cells.forEach(entry => {
+            const center = this.gridManager.gridToWorld(entry.row, entry.col);
+            const color = interpolateColor(Colors.heatmapLow, Colors.heatmapHigh, entry.waitTime / maxWait);
+            const alpha = 0.25 + 0.45 * Math.max(entry.passes / maxPasses, entry.waitTime / maxWait);
+            
+            this.graphics.fillStyle(color, alpha);
+            this.graphics.fillRect(center.x - size / 2, center.y - size / 2, size, size);
+            
+            if (entry.failures > 0) {
+                this.graphics.lineStyle(3, Colors.heatmapHigh, 1.0);
+                this.graphics.strokeRect(center.x - size / 2 + 2, center.y - size / 2 + 2, size - 4, size - 4);
+            }
+        });
+    }
+
+    /**
+     * Remove the overlay (the statistics stay with the simulation)
+     */
+    clearVisuals() {
+        if (this.graphics) {
+            this.graphics.destroy();
+            this.graphics = null;
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.clearVisuals();
+        this.isVisible = false;
+        
+        console.log('HeatmapManager destroyed');
+    }
+}
+
+export default HeatmapManager;
\ No newline at end of file
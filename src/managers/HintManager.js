@@ -0,0 +1,223 @@
+// Traffic Simulation Game - Hint System
+// Reveals a working layout for the current level one step at a time
+
+import { GameConfig, Colors, ZLayers } from '../utils/Constants.js';
+import { getCarColor, getDirectionBetween, getPositionInDirection } from '../utils/Helpers.js';
+import { LevelSolver } from '../simulation/LevelSolver.js';
+
+// What a hint step reveals
+export const HintKinds = {
+    ROADS: 'roads',
+    ARROWS: 'arrows',
+};
+
+export class HintManager {
+    /**
+     * @param {Phaser.Scene} scene - Scene to draw in
+     * @param {GridManager} gridManager - Grid manager owning the cells
+     */
+    constructor(scene, gridManager) {
+        this.scene = scene;
+        this.gridManager = gridManager;
+        
+        this.level = null;
+        this.budget = 0;
+        this.steps = null; // Built from the solver on the first hint
+        this.hintsUsed = 0; // Steps revealed; kept when the level is reset so hints stay counted
+        this.arrowGraphics = null;
+        
+        console.log('HintManager initialized');
+    }
+
+    /**
+     * Prepare hints for a (re)loaded level and redraw the ones already revealed
+     * @param {Object} levelData - Processed level data from LevelManager
+     * @param {number} budget - Level budget
+     */
+    initializeForLevel(levelData, budget) {
+        this.level = levelData;
+        this.budget = budget;
+        this.steps = null;
+        
+        if (this.hintsUsed > 0) {
+            this.render();
+        }
+    }
+
+    /**
+     * Get solver limits that keep the first hint from stalling the game
+     * The exact search grows with 3^terminals for every cell, so bigger grids get fewer exact terminals.
+     * @returns {Object} {maxExactTerminals, maxOneWayOrders} for LevelSolver
+     */
+    getSolverLimits() {
+        const cellCount = this.level.grid.rows * this.level.grid.columns;
+        return {
+            maxExactTerminals: Math.floor(Math.log(GameConfig.hintSolverMaxWork / cellCount) / Math.log(3)),
+            maxOneWayOrders: GameConfig.hintMaxOneWayOrders
+        };
+    }
+
+    /**
+     * Solve the level and split the solution into hint steps
+     * For each car type in turn: the cells its roads need, then their arrows.
+     * @returns {Array} Hint steps (empty if the level has no solution within budget)
+     */
+    getSteps() {
+        if (this.steps) {
+            return this.steps;
+        }
+        
+        const result = new LevelSolver({ level: this.level, budget: this.budget, ...this.getSolverLimits() }).solve();
+        
+        // The one-way layout avoids head-on jams; fall back to the cheapest one if it is too expensive
+        const solution = result.oneWay && result.oneWay.withinBudget ? result.oneWay : (result.withinBudget ? result : null);
+        if (!solution) {
+            console.warn('No layout within budget was found; hints are unavailable');
+            this.steps = [];
+            return this.steps;
+        }
+        
+        this.steps = [];
+        this.level.cars.forEach((car, carIndex) => {
+            const cells = new Map(); // "row,col" -> {row, col, directions: Set}
+            solution.routes
+                .filter(route => route.carIndex === carIndex)
+                .forEach(route => {
+                    route.path.forEach((position, index) => {
+                        const key = `${position.row},${position.col}`;
+                        if (!cells.has(key)) {
+                            cells.set(key, { row: position.row, col: position.col, directions: new Set() });
+                        }
+                        
+                        const next = route.path[index + 1];
+                        if (next) {
+                            cells.get(key).directions.add(getDirectionBetween(position.row, position.col, next.row, next.col));
+                        }
+                    });
+                });
+            
+            const roads = [...cells.values()].map(cell => ({ row: cell.row, col: cell.col, directions: [...cell.directions] }));
+            this.steps.push({ kind: HintKinds.ROADS, carIndex, color: car.color, roadType: result.roadType, roads });
+            this.steps.push({ kind: HintKinds.ARROWS, carIndex, color: car.color, roadType: result.roadType, roads });
+        });
+        
+        return this.steps;
+    }
+
+    /**
+     * Reveal the next hint step
+     * @returns {Object|null} Revealed step {kind, carIndex, color, roadType, roads} or null if none is left
+     */
+    showNextHint() {
+        if (!this.level) {
+            return null;
+        }
+        
+        const steps = this.getSteps();
+        if (this.hintsUsed >= steps.length) {
+            return null;
+        }
+        
+        const step = steps[this.hintsUsed];
+        this.hintsUsed++;
+        this.render();
+        
+        console.log(`Hint ${this.hintsUsed}/${steps.length}: ${step.kind} for ${step.color} cars`);
+        return step;
+    }
+
+    /**
+     * Get the number of hint steps revealed for this level
+     * @returns {number} Hints used
+     */
+    getHintsUsed() {
+        return this.hintsUsed;
+    }
+
+    /**
+     * Draw every revealed step: tinted cells for roads, arrows on top of them
+     */
+    render() {
+        this.clearVisuals();
+        
+        const steps = this.getSteps().slice(0, this.hintsUsed);
+        
+        steps.filter(step => step.kind === HintKinds.ROADS).forEach(step => {
+            step.roads.forEach(road => {
+                const cell = this.gridManager.getCell(road.row, road.col);
+                if (cell) {
+                    cell.setHintColor(getCarColor(step.color));
+                }
+            });
+        });
+        
+        const arrowSteps = steps.filter(step => step.kind === HintKinds.ARROWS);
+        if (arrowSteps.length === 0) {
+            return;
+        }
+        
+        // Above road arrows, below signals and cars
+        this.arrowGraphics = this.scene.add.graphics();
+        this.arrowGraphics.setDepth(ZLayers.ARROWS + 1);
+        arrowSteps.forEach(step => {
+            step.roads.forEach(road => {
+                road.directions.forEach(direction => this.drawArrow(road.row, road.col, direction, getCarColor(step.color)));
+            });
+        });
+    }
+
+    /**
+     * Draw one hinted arrow pointing out of a cell
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {string} direction - Direction from Directions enum
+     * @param {number} color - Fill color
+     */
+    drawArrow(row, col, direction, color) {
+        const center = this.gridManager.gridToWorld(row, col);
+        const step = getPositionInDirection(0, 0, direction);
+        const reach = GameConfig.cellSize * 0.35;
+        const size = GameConfig.cellSize * 0.15;
+        
+        const tip = { x: center.x + step.col * reach, y: center.y + step.row * reach };
+        const base = { x: tip.x - step.col * size * 2, y: tip.y - step.row * size * 2 };
+        const side = { x: -step.row * size, y: step.col * size };
+        
+        this.arrowGraphics.fillStyle(color, 0.9);
+        this.arrowGraphics.lineStyle(1, Colors.arrowShadow, 1.0);
+        this.arrowGraphics.fillTriangle(tip.x, tip.y, base.x + side.x, base.y + side.y, base.x - side.x, base.y - side.y);
+        this.arrowGraphics.strokeTriangle(tip.x, tip.y, base.x + side.x, base.y + side.y, base.x - side.x, base.y - side.y);
+    }
+
+    /**
+     * Remove hint tints and arrows (revealed steps stay counted)
+     */
+    clearVisuals() {
+        if (this.arrowGraphics) {
+            this.arrowGraphics.destroy();
+            this.arrowGraphics = null;
+        }
+        
+        (this.steps || []).forEach(step => {
+            step.roads.forEach(road => {
+                const cell = this.gridManager.getCell(road.row, road.col);
+                if (cell) {
+                    cell.setHintColor(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.clearVisuals();
+        this.level = null;
+        this.steps = null;
+        
+        console.log('HintManager destroyed');
+    }
+}
+
+export default HintManager;
\ No newline at end of file
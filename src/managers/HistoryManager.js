@@ -0,0 +1,173 @@
+// Traffic Simulation Game - Build History
+// Undo/redo stacks of build commands (see BuildCommands.js)
+
+export class HistoryManager {
+    /**
+     * @param {GameState} gameState - Game state
+     * @param {GridManager} gridManager - Grid manager owning the road and signal views
+     */
+    constructor(gameState, gridManager) {
+        this.gameState = gameState;
+        this.gridManager = gridManager;
+        
+        // Unlimited depth; a new action clears the redo stack
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        // A new level starts with an empty history
+        this.gameState.on('levelLoaded', this.clear, this);
+        
+        console.log('HistoryManager initialized');
+    }
+
+    /**
+     * Get the context commands act on
+     * @returns {Object} {gameState, gridManager}
+     */
+    getContext() {
+        return { gameState: this.gameState, gridManager: this.gridManager };
+    }
+
+    /**
+     * Check if the history may be changed right now
+     * @returns {boolean} True unless a simulation is running
+     */
+    canEdit() {
+        if (this.gameState.isSimulating) {
+            console.warn('Cannot change the layout during simulation');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Run a command and record it
+     * @param {Object} command - Build command
+     * @returns {boolean} True if the command succeeded
+     */
+    execute(command) {
+        if (!this.canEdit()) {
+            return false;
+        }
+        
+        const budgetBefore = this.gameState.budget;
+        if (!command.execute(this.getContext())) {
+            console.warn(`Build action failed: ${command.label}`);
+            return false;
+        }
+        
+        // Positive when the action refunded money, negative when it cost money
+        command.budgetDelta = this.gameState.budget - budgetBefore;
+        
+        this.undoStack.push(command);
+        this.redoStack = [];
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Undo the last build action
+     * @returns {boolean} True if an action was undone
+     */
+    undo() {
+        if (!this.canEdit() || this.undoStack.length === 0) {
+            return false;
+        }
+        
+        const command = this.undoStack.pop();
+        if (!command.undo(this.getContext())) {
+            // The layout no longer matches what this action and the ones before it
+            // recorded, so retrying would fail the same way; drop them
+            this.undoStack = [];
+            this.reportFailure('undo', command);
+            return false;
+        }
+        
+        this.redoStack.push(command);
+        console.log(`Undid ${command.label} (budget ${-command.budgetDelta >= 0 ? '+' : ''}${-command.budgetDelta})`);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Redo the last undone build action
+     * @returns {boolean} True if an action was redone
+     */
+    redo() {
+        if (!this.canEdit() || this.redoStack.length === 0) {
+            return false;
+        }
+        
+        const command = this.redoStack.pop();
+        if (!command.execute(this.getContext())) {
+            // Later actions were built on top of this one, so they go too
+            this.redoStack = [];
+            this.reportFailure('redo', command);
+            return false;
+        }
+        
+        this.undoStack.push(command);
+        console.log(`Redid ${command.label} (budget ${command.budgetDelta >= 0 ? '+' : ''}${command.budgetDelta})`);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Check if there is an action to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0 && !this.gameState.isSimulating;
+    }
+
+    /**
+     * Check if there is an action to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0 && !this.gameState.isSimulating;
+    }
+
+    /**
+     * Forget all recorded actions
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emitChange();
+    }
+
+    /**
+     * Tell listeners an undo or redo failed and its history was dropped
+     * @param {string} action - 'undo' or 'redo'
+     * @param {Object} command - Build command that failed
+     */
+    reportFailure(action, command) {
+        console.warn(`${action === 'undo' ? 'Undo' : 'Redo'} failed: ${command.label}; ${action} history cleared`);
+        this.gameState.emit('historyFailed', { action, label: command.label });
+        this.emitChange();
+    }
+
+    /**
+     * Tell listeners the history changed
+     */
+    emitChange() {
+        this.gameState.emit('historyChanged', {
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length
+        });
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.gameState.off('levelLoaded', this.clear, this);
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        console.log('HistoryManager destroyed');
+    }
+}
+
+export default HistoryManager;
\ No newline at end of file
@@ -1,26 +1,47 @@
 // Traffic Simulation Game - Input Management System
 // Handles mouse input, drag detection, and tool state management
 
-import { Tools, Directions, GameConfig } from '../utils/Constants.js';
-import { gridKey } from '../utils/Helpers.js';
+import { Tools, GameConfig, BridgeCatalogue } from '../utils/Constants.js';
+import { gridKey, getRoadType, getDirectionBetween, isDiagonalDirection } from '../utils/Helpers.js';
+import { createSignalData, cloneSignalData, withCycleLength, withPhaseChange, SignalApproaches } from '../simulation/SignalTiming.js';
+import { createBridgeData, getBridgeCost } from '../simulation/Bridges.js';
+import { withTurnToggled, getTurnName } from '../simulation/TurnRules.js';
+import {
+    PlaceRoadCommand,
+    DeleteRoadCommand,
+    SetRoadDirectionsCommand,
+    SetRoadTurnsCommand,
+    PlaceSignalCommand,
+    DeleteSignalCommand,
+    UpdateSignalCommand,
+    PlaceBridgeCommand,
+    DeleteBridgeCommand
+} from './BuildCommands.js';
 
 export class InputManager {
-    constructor(scene, gameState, gridManager) {
+    constructor(scene, gameState, gridManager, historyManager, cameraManager) {
         this.scene = scene;
         this.gameState = gameState;
         this.gridManager = gridManager;
+        this.historyManager = historyManager; // Every build action goes through the history for undo/redo
+        this.cameraManager = cameraManager;   // Zoom and pan: pointer positions go through its camera
         
         // Input state
         this.isPointerDown = false;
         this.isDragging = false;
         this.dragStartPosition = null;
         this.dragStartCell = null;
+        this.dragCells = [];        // Cells the current drag has passed through, in order
         this.currentHoveredCell = null;
         this.lastClickTime = 0;
         
         // Tool state
         this.currentTool = Tools.PLACE;
         
+        // Signal editing state
+        this.selectedSignal = null; // {row, col} of the signal being edited
+        this.selectedApproach = SignalApproaches[0];
+        
         // Drag threshold for detecting drag vs click
         this.dragThreshold = 10;
         
@@ -51,24 +72,46 @@ export class InputManager {
         
         // Game state events
         this.gameState.on('toolChanged', this.onToolChanged, this);
+        this.gameState.on('levelLoaded', this.clearSignalSelection, this);
+        this.gameState.on('signalRemoved', this.onSignalRemoved, this);
         
         console.log('Input manager initialized');
     }
 
+    /**
+     * Convert a pointer's screen position to the grid cell under it
+     * The main camera may be zoomed and panned, and the UI camera on top of it is not,
+     * so pointer.worldX/worldY can belong to either; go through the main camera.
+     * @param {Phaser.Input.Pointer} pointer - Pointer event
+     * @returns {Object|null} Grid position {row, col} or null outside the grid
+     */
+    pointerToGrid(pointer) {
+        const world = this.cameraManager.screenToWorld(pointer.x, pointer.y);
+        return this.gridManager.worldToGrid(world.x, world.y);
+    }
+
     /**
      * Global pointer down handler
      * @param {Phaser.Input.Pointer} pointer - Pointer event
      */
     onPointerDown(pointer) {
+        // Right/middle drags and pinches move the camera; they never build
+        if (this.cameraManager.isCameraGesture(pointer)) {
+            this.isPointerDown = false;
+            this.isDragging = false;
+            return;
+        }
+        
         this.isPointerDown = true;
         this.isDragging = false;
         this.dragStartPosition = { x: pointer.x, y: pointer.y };
         
         // Convert to grid coordinates
-        const gridPos = this.gridManager.worldToGrid(pointer.worldX, pointer.worldY);
+        const gridPos = this.pointerToGrid(pointer);
         this.dragStartCell = gridPos;
+        this.dragCells = gridPos ? [gridPos] : [];
         
-        console.log('Pointer down at:', pointer.worldX, pointer.worldY, 'Grid:', gridPos);
+        console.log('Pointer down at:', pointer.x, pointer.y, 'Grid:', gridPos);
     }
 
     /**
@@ -77,9 +120,16 @@ export class InputManager {
      */
     onPointerMove(pointer) {
         // Update hovered cell
-        const gridPos = this.gridManager.worldToGrid(pointer.worldX, pointer.worldY);
+        const gridPos = this.pointerToGrid(pointer);
         this.updateHoveredCell(gridPos);
         
+        // A second touch turns a build drag into a pinch
+        if (this.isPointerDown && this.cameraManager.isCameraGesture(pointer)) {
+            this.isPointerDown = false;
+            this.isDragging = false;
+            return;
+        }
+        
         // Check for drag start
         if (this.isPointerDown && !this.isDragging && this.dragStartPosition) {
             const distance = Phaser.Math.Distance.Between(
@@ -118,6 +168,7 @@ export class InputManager {
         // Reset drag state
         this.dragStartPosition = null;
         this.dragStartCell = null;
+        this.dragCells = [];
         
         console.log('Pointer up, was dragging:', wasDragging);
     }
@@ -177,7 +228,8 @@ export class InputManager {
      * @param {Phaser.Input.Pointer} pointer - Pointer event
      */
     onDragContinue(pointer) {
-        const currentGridPos = this.gridManager.worldToGrid(pointer.worldX, pointer.worldY);
+        const currentGridPos = this.pointerToGrid(pointer);
+        this.trackDragCell(currentGridPos, this.cameraManager.screenToWorld(pointer.x, pointer.y));
         
         // Handle arrow drawing for roads
         if (this.currentTool === Tools.ARROW && this.dragStartCell && currentGridPos) {
@@ -198,13 +250,23 @@ export class InputManager {
      * @param {Phaser.Input.Pointer} pointer - Pointer event
      */
     onDragEnd(pointer) {
-        const endGridPos = this.gridManager.worldToGrid(pointer.worldX, pointer.worldY);
+        const endGridPos = this.pointerToGrid(pointer);
+        this.trackDragCell(endGridPos);
         
         console.log('Drag ended from', this.dragStartCell, 'to', endGridPos);
         
-        // Handle arrow completion
+        // A drag to a neighbour edits an arrow; a drag through a road edits one of its turns
         if (this.currentTool === Tools.ARROW && this.dragStartCell && endGridPos) {
-            this.completeArrowDrawing(this.dragStartCell, endGridPos);
+            if (this.dragCells.length === 3) {
+                this.completeTurnDrawing(...this.dragCells);
+            } else {
+                this.completeArrowDrawing(this.dragStartCell, endGridPos);
+            }
+        }
+        
+        // Bridges and tunnels run from the road the drag started on to the one it ended on
+        if ((this.currentTool === Tools.BRIDGE || this.currentTool === Tools.TUNNEL) && this.dragStartCell && endGridPos) {
+            this.handleBridgePlacement(this.dragStartCell, endGridPos, this.currentTool);
         }
         
         // Emit drag end event
@@ -216,6 +278,39 @@ export class InputManager {
         });
     }
 
+    /**
+     * Remember a cell the drag has reached, once per visit
+     * In diagonal mode a cell on the way counts only once the pointer is near
+     * its middle, so a drag across a corner skips the cells beside it.
+     * @param {Object|null} gridPos - Grid position {row, col} or null
+     * @param {Object} [world] - Pointer world position {x, y}; omit for the cell the drag ends on
+     */
+    trackDragCell(gridPos, world = null) {
+        const last = this.dragCells[this.dragCells.length - 1];
+        if (!gridPos || (last && last.row === gridPos.row && last.col === gridPos.col)) {
+            return;
+        }
+        
+        if (world && this.isDiagonalMode()) {
+            const center = this.gridManager.gridToWorld(gridPos.row, gridPos.col);
+            const reach = GameConfig.cellSize * 0.35;
+            if (Math.abs(world.x - center.x) > reach || Math.abs(world.y - center.y) > reach) {
+                return;
+            }
+        }
+        
+        this.dragCells.push(gridPos);
+    }
+
+    /**
+     * Check if the level lets roads link to their diagonal neighbours
+     * @returns {boolean} True in diagonal mode
+     */
+    isDiagonalMode() {
+        const levelData = this.gridManager.getLevelData();
+        return !!levelData && levelData.diagonal === true;
+    }
+
     /**
      * Handle arrow drawing during drag
      * @param {Object} startCell - Start grid position
@@ -237,7 +332,7 @@ export class InputManager {
     }
 
     /**
-     * Complete arrow drawing
+     * Complete arrow drawing: adds the arrow, or takes it away if the road already has it
      * @param {Object} startCell - Start grid position
      * @param {Object} endCell - End grid position
      */
@@ -250,13 +345,45 @@ export class InputManager {
         
         const direction = this.calculateDirection(startCell, endCell);
         if (direction) {
-            // Add direction to road
-            road.addDirection(direction);
-            
-            // Update game state
-            this.gameState.updateRoadDirections(startCell.row, startCell.col, road.directions);
+            const hasArrow = road.directions.includes(direction);
+            const directions = hasArrow
+                ? road.directions.filter(existing => existing !== direction)
+                : [...road.directions, direction];
+            const command = new SetRoadDirectionsCommand(startCell.row, startCell.col, road.directions, directions);
             
-            console.log(`Arrow added: ${direction} on road at ${startCell.row},${startCell.col}`);
+            if (this.historyManager.execute(command)) {
+                console.log(`Arrow ${hasArrow ? 'removed' : 'added'}: ${direction} on road at ${startCell.row},${startCell.col}`);
+            }
+        }
+    }
+
+    /**
+     * Complete turn drawing: a drag from one neighbour of a road, through it,
+     * into another neighbour allows that movement (or takes it back)
+     * @param {Object} fromCell - Cell the drag started on
+     * @param {Object} roadCell - Road the drag passed through
+     * @param {Object} toCell - Cell the drag ended on
+     */
+    completeTurnDrawing(fromCell, roadCell, toCell) {
+        const road = this.gridManager.getRoad(roadCell.row, roadCell.col);
+        if (!road) {
+            console.warn('No road in the middle of the drag for turn drawing');
+            return;
+        }
+        
+        const approach = this.calculateDirection(fromCell, roadCell);
+        const exit = this.calculateDirection(roadCell, toCell);
+        if (!approach || !exit) {
+            console.warn('Turn drawing needs a drag through neighbouring cells');
+            return;
+        }
+        
+        const turns = withTurnToggled(road.turns, approach, exit);
+        const allowed = (turns[approach] || []).includes(exit);
+        const command = new SetRoadTurnsCommand(roadCell.row, roadCell.col, road.turns, turns);
+        
+        if (this.historyManager.execute(command)) {
+            console.log(`Turn ${allowed ? 'allowed' : 'taken back'}: ${getTurnName(approach, exit)} for cars heading ${approach} at ${roadCell.row},${roadCell.col}`);
         }
     }
 
@@ -264,27 +391,20 @@ export class InputManager {
      * Calculate direction from one cell to another
      * @param {Object} fromCell - Start position {row, col}
      * @param {Object} toCell - End position {row, col}
-     * @returns {string|null} Direction or null
+     * @returns {string|null} Direction (diagonals in diagonal mode) or null if the cells are not neighbours
      */
     calculateDirection(fromCell, toCell) {
         if (!fromCell || !toCell) {
             return null;
         }
         
-        const deltaRow = toCell.row - fromCell.row;
-        const deltaCol = toCell.col - fromCell.col;
-        
-        // Only consider adjacent cells for now (could be enhanced for diagonal)
-        if (Math.abs(deltaRow) + Math.abs(deltaCol) !== 1) {
+        // Diagonal neighbours only count in levels with diagonal roads
+        const direction = getDirectionBetween(fromCell.row, fromCell.col, toCell.row, toCell.col);
+        if (isDiagonalDirection(direction) && !this.isDiagonalMode()) {
             return null;
         }
         
-        if (deltaRow === -1) return Directions.UP;
-        if (deltaRow === 1) return Directions.DOWN;
-        if (deltaCol === -1) return Directions.LEFT;
-        if (deltaCol === 1) return Directions.RIGHT;
-        
-        return null;
+        return direction;
     }
 
     /**
@@ -293,6 +413,9 @@ export class InputManager {
      */
     onCellClicked(event) {
         const { row, col, cell } = event;
+        if (event.pointer && this.cameraManager.isCameraGesture(event.pointer)) {
+            return;
+        }
         
         console.log(`Cell clicked at ${row},${col}, tool: ${this.currentTool}`);
         
@@ -310,6 +433,15 @@ export class InputManager {
                 // Arrow tool is handled by drag events
                 break;
                 
+            case Tools.SIGNAL:
+                console.warn(`Cannot place signal at ${row},${col}: signals go on road junctions`);
+                break;
+                
+            case Tools.BRIDGE:
+            case Tools.TUNNEL:
+                // Bridge and tunnel tools are handled by drag events
+                break;
+                
             default:
                 console.warn('Unknown tool:', this.currentTool);
         }
@@ -336,18 +468,16 @@ export class InputManager {
             return;
         }
         
-        // Check budget
-        if (!this.gameState.canAfford(GameConfig.roadCost)) {
-            console.warn('Cannot afford road placement');
+        // Check budget for the selected road type
+        const type = this.gameState.currentRoadType;
+        if (!this.gameState.canAfford(this.gameState.getRoadPlacementCost(row, col, type))) {
+            console.warn(`Cannot afford ${getRoadType(type).name} placement`);
             return;
         }
         
         // Place road
-        if (this.gridManager.placeRoad(row, col)) {
-            // Update game state
-            if (this.gameState.placeRoad(row, col, {})) {
-                console.log(`Road successfully placed at ${row},${col}`);
-            }
+        if (this.historyManager.execute(new PlaceRoadCommand(row, col, type))) {
+            console.log(`Road successfully placed at ${row},${col}`);
         }
     }
 
@@ -363,15 +493,212 @@ export class InputManager {
             return;
         }
         
+        // Remember the type, arrows, turns, signal and bridges so undo can put them back
+        const road = this.gameState.getRoad(row, col);
+        const signal = this.gameState.getSignal(row, col);
+        const command = new DeleteRoadCommand(
+            row, col,
+            road ? road.directions : [],
+            signal ? cloneSignalData(signal) : null,
+            road ? road.type : undefined,
+            road ? road.turns : {},
+            this.gameState.getBridgesAt(row, col)
+        );
+        
         // Remove road
-        if (this.gridManager.removeRoad(row, col)) {
-            // Update game state
-            if (this.gameState.removeRoad(row, col)) {
-                console.log(`Road successfully removed from ${row},${col}`);
-            }
+        if (this.historyManager.execute(command)) {
+            console.log(`Road successfully removed from ${row},${col}`);
         }
     }
 
+    /**
+     * Handle bridge or tunnel placement between the two ends of a drag
+     * @param {Object} startCell - Grid position the drag started on
+     * @param {Object} endCell - Grid position the drag ended on
+     * @param {string} kind - Kind from BridgeKinds (the bridge and tunnel tools share its values)
+     */
+    handleBridgePlacement(startCell, endCell, kind) {
+        const bridgeData = createBridgeData(startCell, endCell, kind);
+        const name = BridgeCatalogue[kind].name;
+        
+        // Check the ends and span
+        const error = this.gridManager.getBridgePlacementError(bridgeData);
+        if (error) {
+            console.warn(`Cannot build ${name} from ${startCell.row},${startCell.col} to ${endCell.row},${endCell.col}: ${error}`);
+            return;
+        }
+        
+        // Check budget
+        if (!this.gameState.canAfford(getBridgeCost(bridgeData))) {
+            console.warn(`Cannot afford ${name} placement`);
+            return;
+        }
+        
+        // Place bridge
+        if (this.historyManager.execute(new PlaceBridgeCommand(bridgeData))) {
+            console.log(`${name} successfully placed from ${startCell.row},${startCell.col} to ${endCell.row},${endCell.col}`);
+        }
+    }
+
+    /**
+     * Handle traffic signal placement
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     */
+    handleSignalPlacement(row, col) {
+        // Signals only make sense on junctions (see Junctions.js)
+        if (!this.gameState.isJunction(row, col)) {
+            console.warn(`Cannot place signal at ${row},${col}: needs ${GameConfig.junctionMinRoads} or more connecting roads`);
+            return;
+        }
+        
+        // Check budget
+        if (!this.gameState.canAfford(GameConfig.signalCost)) {
+            console.warn('Cannot afford signal placement');
+            return;
+        }
+        
+        const signalData = createSignalData(row, col);
+        
+        // Place signal
+        if (this.historyManager.execute(new PlaceSignalCommand(signalData))) {
+            console.log(`Signal successfully placed at ${row},${col}`);
+            this.selectSignal(row, col);
+        }
+    }
+
+    /**
+     * Handle traffic signal deletion
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     */
+    handleSignalDeletion(row, col) {
+        if (this.selectedSignal && this.selectedSignal.row === row && this.selectedSignal.col === col) {
+            this.clearSignalSelection();
+        }
+        
+        const signal = this.gameState.getSignal(row, col);
+        if (!signal) {
+            return;
+        }
+        
+        // Remove signal
+        if (this.historyManager.execute(new DeleteSignalCommand(cloneSignalData(signal)))) {
+            console.log(`Signal successfully removed from ${row},${col}`);
+        }
+    }
+
+    /**
+     * Handle bridge or tunnel deletion
+     * @param {Object} bridgeData - Bridge data (see Bridges.js)
+     */
+    handleBridgeDeletion(bridgeData) {
+        if (this.historyManager.execute(new DeleteBridgeCommand(bridgeData))) {
+            console.log(`${BridgeCatalogue[bridgeData.kind].name} successfully removed`);
+        }
+    }
+
+    /**
+     * Select a signal for timing edits
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     */
+    selectSignal(row, col) {
+        this.clearSignalSelection();
+        
+        const signal = this.gridManager.getSignal(row, col);
+        if (!signal) {
+            return;
+        }
+        
+        this.selectedSignal = { row, col };
+        signal.setSelected(true, this.selectedApproach);
+        this.scene.events.emit('signalSelected', { row, col, approach: this.selectedApproach });
+    }
+
+    /**
+     * Deselect the signal being edited
+     */
+    clearSignalSelection() {
+        if (!this.selectedSignal) {
+            return;
+        }
+        
+        const signal = this.gridManager.getSignal(this.selectedSignal.row, this.selectedSignal.col);
+        if (signal) {
+            signal.setSelected(false);
+        }
+        
+        this.selectedSignal = null;
+        this.scene.events.emit('signalSelected', null);
+    }
+
+    /**
+     * Drop the selection when the selected signal goes away (deleted, or undone)
+     * @param {Object} event - Event data {row, col, signal}
+     */
+    onSignalRemoved(event) {
+        if (this.selectedSignal && this.selectedSignal.row === event.row && this.selectedSignal.col === event.col) {
+            this.clearSignalSelection();
+        }
+    }
+
+    /**
+     * Move editing to the next approach of the selected signal
+     */
+    cycleSelectedApproach() {
+        const index = SignalApproaches.indexOf(this.selectedApproach);
+        this.selectedApproach = SignalApproaches[(index + 1) % SignalApproaches.length];
+        
+        if (this.selectedSignal) {
+            this.selectSignal(this.selectedSignal.row, this.selectedSignal.col);
+        }
+    }
+
+    /**
+     * Edit the selected signal's timing
+     * @param {Object} change - {cycle, offset, duration} deltas in ms (any may be omitted)
+     * @returns {boolean} True if the signal was updated
+     */
+    adjustSelectedSignal({ cycle = 0, offset = 0, duration = 0 }) {
+        if (!this.selectedSignal) {
+            console.warn('No signal selected');
+            return false;
+        }
+        
+        const { row, col } = this.selectedSignal;
+        const current = this.gameState.getSignal(row, col);
+        if (!current) {
+            return false;
+        }
+        
+        let updated = current;
+        if (cycle !== 0) {
+            updated = withCycleLength(updated, updated.cycleLength + cycle);
+        }
+        if (offset !== 0 || duration !== 0) {
+            updated = withPhaseChange(updated, this.selectedApproach, { offset, duration });
+        }
+        
+        return this.historyManager.execute(new UpdateSignalCommand(cloneSignalData(current), updated));
+    }
+
+    /**
+     * Get the signal being edited
+     * @returns {Object|null} {row, col, approach, signal} or null
+     */
+    getSelectedSignal() {
+        if (!this.selectedSignal) {
+            return null;
+        }
+        
+        return {
+            ...this.selectedSignal,
+            approach: this.selectedApproach,
+            signal: this.gameState.getSignal(this.selectedSignal.row, this.selectedSignal.col)
+        };
+    }
+
     /**
      * Cell hovered event handler
      * @param {Object} event - Event data
@@ -394,13 +721,24 @@ export class InputManager {
      */
     onRoadClicked(event) {
         const { row, col, road } = event;
+        if (event.pointer && this.cameraManager.isCameraGesture(event.pointer)) {
+            return;
+        }
         
         console.log(`Road clicked at ${row},${col}, tool: ${this.currentTool}`);
         
         // Handle based on current tool
         switch (this.currentTool) {
             case Tools.DELETE:
-                this.handleRoadDeletion(row, col);
+                // Remove the signal, then any bridges or tunnels ending here, one per click;
+                // the road goes on the click after that
+                if (this.gridManager.hasSignal(row, col)) {
+                    this.handleSignalDeletion(row, col);
+                } else if (this.gridManager.getBridgesAt(row, col).length > 0) {
+                    this.handleBridgeDeletion(this.gridManager.getBridgesAt(row, col)[0]);
+                } else {
+                    this.handleRoadDeletion(row, col);
+                }
                 break;
                 
             case Tools.ARROW:
@@ -411,6 +749,19 @@ export class InputManager {
                 // Maybe show road info or do nothing
                 break;
                 
+            case Tools.SIGNAL:
+                if (this.gridManager.hasSignal(row, col)) {
+                    this.selectSignal(row, col);
+                } else {
+                    this.handleSignalPlacement(row, col);
+                }
+                break;
+                
+            case Tools.BRIDGE:
+            case Tools.TUNNEL:
+                // Bridge and tunnel tools are handled by drag events
+                break;
+                
             default:
                 console.warn('Unknown tool:', this.currentTool);
         }
@@ -470,6 +821,10 @@ export class InputManager {
         this.currentTool = event.newTool;
         console.log(`Input manager tool changed to: ${this.currentTool}`);
         
+        if (this.currentTool !== Tools.SIGNAL) {
+            this.clearSignalSelection();
+        }
+        
         // Update cursor or visual feedback based on tool
         this.updateCursorForTool(this.currentTool);
     }
@@ -495,6 +850,15 @@ export class InputManager {
                 canvas.style.cursor = 'grab';
                 break;
                 
+            case Tools.SIGNAL:
+                canvas.style.cursor = 'pointer';
+                break;
+                
+            case Tools.BRIDGE:
+            case Tools.TUNNEL:
+                canvas.style.cursor = 'crosshair';
+                break;
+                
             default:
                 canvas.style.cursor = 'default';
         }
@@ -563,6 +927,8 @@ export class InputManager {
         this.scene.events.off('roadDragEnd', this.onRoadDragEnd, this);
         
         this.gameState.off('toolChanged', this.onToolChanged, this);
+        this.gameState.off('levelLoaded', this.clearSignalSelection, this);
+        this.gameState.off('signalRemoved', this.onSignalRemoved, this);
         
         console.log('Input manager destroyed');
     }
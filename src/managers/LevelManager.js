@@ -1,8 +1,10 @@
 // Traffic Simulation Game - Level Management System
 // Handles loading, validation, and processing of level JSON files
 
-import { GameConfig, LevelLimits, CellTypes } from '../utils/Constants.js';
-import { jsonToInternal, processEntranceCoordinates, isValidGridPosition } from '../utils/Helpers.js';
+import { GameConfig, CellTypes } from '../utils/Constants.js';
+import { jsonToInternal, processEntranceCoordinates } from '../utils/Helpers.js';
+import { parseSeed } from '../utils/Random.js';
+import { validateLevel, formatIssues } from '../data/LevelValidator.js';
 
 export class LevelManager {
     constructor() {
@@ -27,23 +29,7 @@ export class LevelManager {
             
             const levelData = await response.json();
             
-            // Store original level data
-            this.currentLevel = levelData;
-            
-            // Validate basic structure
-            this.validateLevelStructure(levelData);
-            
-            // CRITICAL: Convert 1-based indexing to 0-based for internal use
-            const processedLevel = this.convertCoordinates(levelData);
-            
-            // PATTERN: Validate all car entrances and exits are valid
-            this.validateCarPaths(processedLevel);
-            
-            // Process uneditable areas
-            this.processUneditableAreas(processedLevel);
-            
-            // Store processed level
-            this.processedLevel = processedLevel;
+            const processedLevel = this.processLevel(levelData);
             
             console.log('Level loaded successfully:', processedLevel);
             return processedLevel;
@@ -55,94 +41,47 @@ export class LevelManager {
     }
 
     /**
-     * Validate the basic structure of level JSON
+     * Validate and process raw level JSON that is already in memory
+     * (used by loadLevel and by headless tools that read levels from disk)
      * @param {Object} levelData - Raw level data from JSON
-     * @throws {Error} If level structure is invalid
+     * @returns {Object} Processed level data
      */
-    validateLevelStructure(levelData) {
-        // Check required top-level properties
-        if (!levelData.grid) {
-            throw new Error("Level must have a 'grid' property");
-        }
-        
-        if (!levelData.cars) {
-            throw new Error("Level must have a 'cars' property");
-        }
-        
-        // GOTCHA: Level JSON uses "column" not "columns"
-        if (!levelData.grid.column || typeof levelData.grid.column !== 'number') {
-            throw new Error("Grid must have a 'column' property (singular) with a number value");
-        }
-        
-        if (!levelData.grid.rows || typeof levelData.grid.rows !== 'number') {
-            throw new Error("Grid must have a 'rows' property with a number value");
-        }
+    processLevel(levelData) {
+        // Store original level data
+        this.currentLevel = levelData;
         
-        // Validate grid size limits
-        if (levelData.grid.rows < LevelLimits.minGridSize || levelData.grid.rows > LevelLimits.maxGridSize) {
-            throw new Error(`Grid rows must be between ${LevelLimits.minGridSize} and ${LevelLimits.maxGridSize}`);
-        }
-        
-        if (levelData.grid.column < LevelLimits.minGridSize || levelData.grid.column > LevelLimits.maxGridSize) {
-            throw new Error(`Grid columns must be between ${LevelLimits.minGridSize} and ${LevelLimits.maxGridSize}`);
-        }
+        // Validate structure and rules (positions, overlaps, obstacles)
+        this.validateLevelStructure(levelData);
         
-        // Validate cars array
-        if (!Array.isArray(levelData.cars) || levelData.cars.length === 0) {
-            throw new Error("Level must have at least one car");
-        }
+        // CRITICAL: Convert 1-based indexing to 0-based for internal use
+        const processedLevel = this.convertCoordinates(levelData);
         
-        if (levelData.cars.length > LevelLimits.maxCarTypes) {
-            throw new Error(`Too many car types: ${levelData.cars.length}. Maximum is ${LevelLimits.maxCarTypes}`);
-        }
-        
-        // Validate each car
-        levelData.cars.forEach((car, index) => {
-            this.validateCarStructure(car, index);
-        });
+        // Process uneditable areas
+        this.processUneditableAreas(processedLevel);
         
-        // Validate optional level name and budget fields
-        if (levelData.name && typeof levelData.name !== 'string') {
-            throw new Error("Level name must be a string");
-        }
+        // Store processed level
+        this.processedLevel = processedLevel;
         
-        if (levelData.budget && (typeof levelData.budget !== 'number' || levelData.budget <= 0)) {
-            throw new Error("Level budget must be a positive number");
-        }
+        return processedLevel;
     }
 
     /**
-     * Validate individual car structure
-     * @param {Object} car - Car data from JSON
-     * @param {number} index - Car index for error messages
+     * Validate level JSON against the schema and the level rules
+     * Collects every problem before failing, so one load reports them all.
+     * @param {Object} levelData - Raw level data from JSON
+     * @throws {Error} If the level has errors; the validation result is attached as error.validation
      */
-    validateCarStructure(car, index) {
-        if (!car.color || typeof car.color !== 'string') {
-            throw new Error(`Car ${index} must have a color (string)`);
-        }
-        
-        if (!car.entrances || !Array.isArray(car.entrances) || car.entrances.length === 0) {
-            throw new Error(`Car ${index} must have at least one entrance`);
-        }
-        
-        if (car.entrances.length > LevelLimits.maxEntrancesPerCar) {
-            throw new Error(`Car ${index} has too many entrances: ${car.entrances.length}. Maximum is ${LevelLimits.maxEntrancesPerCar}`);
-        }
-        
-        if (!car.exit || typeof car.exit !== 'object') {
-            throw new Error(`Car ${index} must have an exit object`);
-        }
+    validateLevelStructure(levelData) {
+        const result = validateLevel(levelData);
         
-        // Validate entrance coordinates
-        car.entrances.forEach((entrance, entranceIndex) => {
-            if (typeof entrance.row !== 'number' || typeof entrance.column !== 'number') {
-                throw new Error(`Car ${index}, entrance ${entranceIndex}: row and column must be numbers`);
-            }
+        result.warnings.forEach(warning => {
+            console.warn(`Level warning: ${warning.path}: ${warning.message}`);
         });
         
-        // Validate exit coordinates
-        if (typeof car.exit.row !== 'number' || typeof car.exit.column !== 'number') {
-            throw new Error(`Car ${index}: exit row and column must be numbers`);
+        if (!result.valid) {
+            const error = new Error(`Level has ${result.errors.length} error(s):\n${formatIssues(result.errors)}`);
+            error.validation = result;
+            throw error;
         }
     }
 
@@ -158,7 +97,11 @@ export class LevelManager {
                 columns: levelData.grid.column, // Note: converting to plural internally
                 uneditable: []
             },
-            cars: []
+            cars: [],
+            seed: parseSeed(levelData.seed), // null when the level does not pin a seed
+            diagonal: levelData.diagonal === true, // Roads may link to their diagonal neighbours
+            scoring: levelData.scoring ? { ...levelData.scoring } : null, // Star thresholds, null for the defaults
+            objectives: (levelData.objectives || []).map(objective => ({ ...objective })) // See RulesEngine.js
         };
         
         // Process uneditable areas
@@ -179,7 +122,8 @@ export class LevelManager {
             const processedCar = {
                 color: car.color,
                 entrances: [],
-                exit: null
+                exits: [],
+                waypoints: []
             };
             
             // Process entrances with special coordinate handling
@@ -192,13 +136,23 @@ export class LevelManager {
                 );
             });
             
-            // Process exit with special coordinate handling
-            processedCar.exit = processEntranceCoordinates(
-                car.exit.row, 
-                car.exit.column, 
-                processed.grid.rows, 
-                processed.grid.columns
-            );
+            // Process exits with special coordinate handling (a single exit is a list of one)
+            processedCar.exits = (car.exits || [car.exit]).map(exit => {
+                return processEntranceCoordinates(
+                    exit.row, 
+                    exit.column, 
+                    processed.grid.rows, 
+                    processed.grid.columns
+                );
+            });
+            
+            // Waypoints are grid cells cars must pass in order
+            processedCar.waypoints = (car.waypoints || []).map(waypoint => ({
+                row: waypoint.row - 1,    // Convert to 0-based
+                col: waypoint.column - 1  // Convert to 0-based
+            }));
+            
+            processedCar.schedule = this.processSpawnSchedule(car.schedule);
             
             return processedCar;
         });
@@ -207,29 +161,26 @@ export class LevelManager {
     }
 
     /**
-     * Validate that all car paths have valid entrances and exits
-     * @param {Object} processedLevel - Level with converted coordinates
+     * Convert a car type's spawn schedule from seconds to milliseconds
+     * Values the level leaves out stay null; the Simulation fills in the GameConfig defaults.
+     * @param {Object} [schedule] - Raw schedule {count, interval, jitter, startDelay, waves, entranceWeights}
+     * @returns {Object} Schedule {count, interval, jitter, startDelay, waves: [{start, count, interval}], entranceWeights}
      */
-    validateCarPaths(processedLevel) {
-        processedLevel.cars.forEach((car, carIndex) => {
-            // Validate entrances
-            car.entrances.forEach((entrance, entranceIndex) => {
-                if (!entrance.isEntrance) {
-                    // If not a special entrance, must be within grid
-                    if (!isValidGridPosition(entrance.row, entrance.col, processedLevel.grid.rows, processedLevel.grid.columns)) {
-                        throw new Error(`Car ${carIndex}, entrance ${entranceIndex}: coordinates (${entrance.row}, ${entrance.col}) are outside grid`);
-                    }
-                }
-            });
-            
-            // Validate exit
-            if (!car.exit.isEntrance) {
-                // If not a special exit, must be within grid
-                if (!isValidGridPosition(car.exit.row, car.exit.col, processedLevel.grid.rows, processedLevel.grid.columns)) {
-                    throw new Error(`Car ${carIndex}: exit coordinates (${car.exit.row}, ${car.exit.col}) are outside grid`);
-                }
-            }
-        });
+    processSpawnSchedule(schedule = {}) {
+        const toMilliseconds = seconds => (seconds === undefined ? null : seconds * 1000);
+        
+        return {
+            count: schedule.count ?? null,
+            interval: toMilliseconds(schedule.interval),
+            jitter: toMilliseconds(schedule.jitter),
+            startDelay: toMilliseconds(schedule.startDelay),
+            waves: (schedule.waves || []).map(wave => ({
+                start: wave.at * 1000,
+                count: wave.count,
+                interval: toMilliseconds(wave.interval)
+            })),
+            entranceWeights: schedule.entranceWeights ? [...schedule.entranceWeights] : null
+        };
     }
 
     /**
@@ -242,12 +193,6 @@ export class LevelManager {
         
         if (processedLevel.grid.uneditable) {
             processedLevel.grid.uneditable.forEach(area => {
-                // Validate area bounds
-                if (area.rowFrom < 0 || area.rowTo >= processedLevel.grid.rows ||
-                    area.columnFrom < 0 || area.columnTo >= processedLevel.grid.columns) {
-                    console.warn(`Uneditable area extends outside grid bounds: `, area);
-                }
-                
                 // Add all cells in the area to the set
                 for (let row = Math.max(0, area.rowFrom); row <= Math.min(processedLevel.grid.rows - 1, area.rowTo); row++) {
                     for (let col = Math.max(0, area.columnFrom); col <= Math.min(processedLevel.grid.columns - 1, area.columnTo); col++) {
@@ -0,0 +1,349 @@
+// Traffic Simulation Game - Minimap
+// Small fixed overview of the whole grid with live cars; click it to move the camera there
+
+import { GameConfig, Colors, CellTypes, CarStates, BridgeKinds } from '../utils/Constants.js';
+import { getCarColor, getRoadType } from '../utils/Helpers.js';
+
+/**
+ * MinimapManager draws the grid, its roads, signals and bridges, the entrances and
+ * exits and every car in a corner panel that the UI camera keeps fixed on
+ * screen, plus the part of the world the main camera shows. Waiting cars get
+ * a warning ring and failed cars an error ring so jams stand out. Pressing
+ * or dragging on the panel centers the main camera on that spot.
+ */
+export class MinimapManager {
+    /**
+     * @param {Phaser.Scene} scene - Scene to draw in
+     * @param {GameState} gameState - Game state (layout changes redraw the map)
+     * @param {GridManager} gridManager - Grid manager owning the cells, roads and signals
+     * @param {CarManager} carManager - Car manager owning the car views
+     * @param {CameraManager} cameraManager - Camera to show and move
+     */
+    constructor(scene, gameState, gridManager, carManager, cameraManager) {
+        this.scene = scene;
+        this.gameState = gameState;
+        this.gridManager = gridManager;
+        this.carManager = carManager;
+        this.cameraManager = cameraManager;
+        
+        this.isVisible = true;
+        this.isDirty = true;       // Grid or layout changed since the map was drawn
+        this.isDragging = false;   // A press on the map is moving the camera
+        this.layout = null;        // {x, y, cellPixels, rows, columns} of the drawn map
+        this.area = new Phaser.Geom.Rectangle(0, 0, 0, 0); // Screen area of the panel
+        
+        // Map layer redrawn on layout changes, car layer every frame
+        this.mapGraphics = scene.add.graphics();
+        this.carGraphics = scene.add.graphics();
+        this.mapGraphics.setDepth(1000);
+        this.carGraphics.setDepth(1001);
+        
+        // Catches presses on the panel so they never reach the cells below it
+        this.hitZone = scene.add.zone(0, 0, 1, 1);
+        this.hitZone.setOrigin(0, 0);
+        this.hitZone.setInteractive();
+        this.hitZone.on('pointerdown', this.onPointerDown, this);
+        
+        cameraManager.addUI(this.mapGraphics, this.carGraphics, this.hitZone);
+        cameraManager.addNavigationArea(this.area);
+        
+        scene.input.on('pointermove', this.onPointerMove, this);
+        scene.input.on('pointerup', this.onPointerUp, this);
+        
+        this.gameState.on('levelLoaded', this.markDirty, this);
+        this.gameState.on('roadPlaced', this.markDirty, this);
+        this.gameState.on('roadRemoved', this.markDirty, this);
+        this.gameState.on('signalPlaced', this.markDirty, this);
+        this.gameState.on('signalRemoved', this.markDirty, this);
+        this.gameState.on('bridgePlaced', this.markDirty, this);
+        this.gameState.on('bridgeRemoved', this.markDirty, this);
+        
+        console.log('MinimapManager initialized');
+    }
+
+    /**
+     * Redraw the map layer on the next update
+     */
+    markDirty() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Show or hide the minimap
+     * @returns {boolean} True if the minimap is now visible
+     */
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.isDragging = false;
+        
+        this.mapGraphics.setVisible(this.isVisible);
+        this.carGraphics.setVisible(this.isVisible);
+        this.hitZone.setVisible(this.isVisible);
+        
+        if (this.isVisible) {
+            this.cameraManager.addNavigationArea(this.area);
+            this.isDirty = true;
+        } else {
+            this.cameraManager.removeNavigationArea(this.area);
+        }
+        
+        return this.isVisible;
+    }
+
+    /**
+     * Redraw what changed (called from scene update loop)
+     */
+    update() {
+        if (!this.isVisible || !this.gridManager.isReady()) {
+            return;
+        }
+        
+        if (this.isDirty) {
+            this.drawMap();
+            this.isDirty = false;
+        }
+        
+        this.drawCars();
+    }
+
+    /**
+     * Size the panel to the grid and place it in the bottom-right corner
+     * The map has a one-cell border so entrances, exits and arriving cars show.
+     */
+    calculateLayout() {
+        const { rows, columns } = this.gridManager.getGridDimensions();
+        const cellPixels = Math.min(GameConfig.minimapMaxCellPixels, GameConfig.minimapSize / (Math.max(rows, columns) + 2));
+        const width = (columns + 2) * cellPixels;
+        const height = (rows + 2) * cellPixels;
+        const camera = this.scene.cameras.main;
+        
+        this.layout = {
+            x: camera.width - GameConfig.minimapMargin - width,
+            y: camera.height - GameConfig.minimapMargin - height,
+            cellPixels,
+            rows,
+            columns
+        };
+        
+        this.area.setTo(this.layout.x, this.layout.y, width, height);
+        this.hitZone.setPosition(this.layout.x, this.layout.y);
+        this.hitZone.setSize(width, height);
+        this.hitZone.input.hitArea.setTo(0, 0, width, height);
+    }
+
+    /**
+     * Convert a (possibly fractional) grid position to minimap screen coordinates
+     * @param {number} row - Grid row (-1 and rows are the edges)
+     * @param {number} col - Grid column (-1 and columns are the edges)
+     * @returns {Object} {x, y} of the cell's top-left corner
+     */
+    gridToMap(row, col) {
+        return {
+            x: this.layout.x + (col + 1) * this.layout.cellPixels,
+            y: this.layout.y + (row + 1) * this.layout.cellPixels
+        };
+    }
+
+    /**
+     * Convert minimap screen coordinates to world coordinates
+     * @param {number} x - Screen x on the map
+     * @param {number} y - Screen y on the map
+     * @returns {Object} {x, y} in world pixels
+     */
+    mapToWorld(x, y) {
+        const offset = this.gridManager.getGridOffset();
+        return {
+            x: offset.x + ((x - this.layout.x) / this.layout.cellPixels - 1) * GameConfig.cellSize,
+            y: offset.y + ((y - this.layout.y) / this.layout.cellPixels - 1) * GameConfig.cellSize
+        };
+    }
+
+    /**
+     * Convert world coordinates to minimap screen coordinates
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {Object} {x, y} on the map
+     */
+    worldToMap(x, y) {
+        const offset = this.gridManager.getGridOffset();
+        return {
+            x: this.layout.x + ((x - offset.x) / GameConfig.cellSize + 1) * this.layout.cellPixels,
+            y: this.layout.y + ((y - offset.y) / GameConfig.cellSize + 1) * this.layout.cellPixels
+        };
+    }
+
+    /**
+     * Draw the panel, cells, roads, signals, bridges, entrances and exits
+     */
+    drawMap() {
+        this.calculateLayout();
+        
+        const graphics = this.mapGraphics;
+        const size = this.layout.cellPixels;
+        graphics.clear();
+        
+        // Panel
+        graphics.fillStyle(Colors.minimapBackground, 0.85);
+        graphics.fillRect(this.area.x, this.area.y, this.area.width, this.area.height);
+        graphics.lineStyle(1, Colors.gridLine, 1.0);
+        graphics.strokeRect(this.area.x, this.area.y, this.area.width, this.area.height);
+        
+        // Cells; roads and signals on top
+        this.gridManager.cells.forEach(cell => {
+            const corner = this.gridToMap(cell.row, cell.col);
+            const color = Colors[cell.cellType] ?? Colors.editable;
+            graphics.fillStyle(color, cell.cellType === CellTypes.EDITABLE ? 0.35 : 1.0);
+            graphics.fillRect(corner.x, corner.y, size, size);
+        });
+        
+        this.gridManager.roads.forEach(road => {
+            const corner = this.gridToMap(road.row, road.col);
+            graphics.fillStyle(getRoadType(road.type).color, 1.0);
+            graphics.fillRect(corner.x, corner.y, size, size);
+        });
+        
+        this.gridManager.signals.forEach((signal, key) => {
+            const [row, col] = key.split(',').map(Number);
+            const corner = this.gridToMap(row, col);
+            graphics.fillStyle(Colors.signalHousing, 1.0);
+            graphics.fillRect(corner.x + size / 4, corner.y + size / 4, size / 2, size / 2);
+        });
+        
+        // Bridges and tunnels as a line between their end roads
+        this.gridManager.getBridgesData().forEach(bridge => {
+            const from = this.gridToMap(bridge.fromRow, bridge.fromCol);
+            const to = this.gridToMap(bridge.toRow, bridge.toCol);
+            const color = bridge.kind === BridgeKinds.TUNNEL ? Colors.tunnelPortal : Colors.bridgeRail;
+            graphics.lineStyle(Math.max(1, size / 3), color, 1.0);
+            graphics.lineBetween(from.x + size / 2, from.y + size / 2, to.x + size / 2, to.y + size / 2);
+        });
+        
+        // Entrances as filled squares, exits as outlines, in the car's color
+        const levelData = this.gridManager.getLevelData();
+        (levelData?.cars || []).forEach(car => {
+            const color = getCarColor(car.color);
+            
+            car.entrances.forEach(entrance => {
+                const corner = this.gridToMap(entrance.row, entrance.col);
+                graphics.fillStyle(color, 1.0);
+                graphics.fillRect(corner.x, corner.y, size, size);
+            });
+            
+            car.exits.forEach(exit => {
+                const corner = this.gridToMap(exit.row, exit.col);
+                graphics.lineStyle(Math.max(1, size / 4), color, 1.0);
+                graphics.strokeRect(corner.x, corner.y, size, size);
+            });
+        });
+    }
+
+    /**
+     * Draw every car and the part of the world the main camera shows
+     */
+    drawCars() {
+        const graphics = this.carGraphics;
+        const size = this.layout.cellPixels;
+        const radius = Math.max(1.5, size * 0.35);
+        graphics.clear();
+        
+        this.carManager.getActiveCars().forEach(car => {
+            const position = car.simCar.getRenderPosition();
+            const corner = this.gridToMap(position.row, position.col);
+            const x = corner.x + size / 2;
+            const y = corner.y + size / 2;
+            
+            graphics.fillStyle(getCarColor(car.color), 1.0);
+            graphics.fillCircle(x, y, radius);
+            
+            // Stuck cars stand out
+            if (car.simCar.state === CarStates.WAITING) {
+                graphics.lineStyle(1.5, Colors.warning, 1.0);
+                graphics.strokeCircle(x, y, radius + 1.5);
+            } else if (car.simCar.state === CarStates.FAILED) {
+                graphics.lineStyle(2, Colors.error, 1.0);
+                graphics.strokeCircle(x, y, radius + 2);
+            }
+        });
+        
+        // Camera view, cut to the panel
+        const camera = this.scene.cameras.main;
+        const topLeft = this.cameraManager.screenToWorld(0, 0);
+        const bottomRight = this.cameraManager.screenToWorld(camera.width, camera.height);
+        const from = this.worldToMap(topLeft.x, topLeft.y);
+        const to = this.worldToMap(bottomRight.x, bottomRight.y);
+        const view = Phaser.Geom.Rectangle.Intersection(
+            this.area,
+            new Phaser.Geom.Rectangle(from.x, from.y, to.x - from.x, to.y - from.y)
+        );
+        
+        if (!view.isEmpty()) {
+            graphics.lineStyle(1, Colors.minimapViewport, 0.9);
+            graphics.strokeRect(view.x, view.y, view.width, view.height);
+        }
+    }
+
+    /**
+     * Jump the main camera to the pressed spot
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerDown(pointer) {
+        if (pointer.rightButtonDown() || pointer.middleButtonDown() || !this.layout) {
+            return;
+        }
+        
+        this.isDragging = true;
+        this.centerCameraAt(pointer.x, pointer.y);
+    }
+
+    /**
+     * Keep following the pointer while a press that started on the map is held
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerMove(pointer) {
+        if (this.isDragging && pointer.isDown) {
+            this.centerCameraAt(pointer.x, pointer.y);
+        }
+    }
+
+    /**
+     * Stop following the pointer
+     */
+    onPointerUp() {
+        this.isDragging = false;
+    }
+
+    /**
+     * Center the main camera on the world spot under a map position
+     * @param {number} x - Screen x
+     * @param {number} y - Screen y
+     */
+    centerCameraAt(x, y) {
+        const world = this.mapToWorld(x, y);
+        this.cameraManager.centerOn(world.x, world.y);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.scene.input.off('pointermove', this.onPointerMove, this);
+        this.scene.input.off('pointerup', this.onPointerUp, this);
+        
+        this.gameState.off('levelLoaded', this.markDirty, this);
+        this.gameState.off('roadPlaced', this.markDirty, this);
+        this.gameState.off('roadRemoved', this.markDirty, this);
+        this.gameState.off('signalPlaced', this.markDirty, this);
+        this.gameState.off('signalRemoved', this.markDirty, this);
+        this.gameState.off('bridgePlaced', this.markDirty, this);
+        this.gameState.off('bridgeRemoved', this.markDirty, this);
+        
+        this.cameraManager.removeNavigationArea(this.area);
+        this.mapGraphics.destroy();
+        this.carGraphics.destroy();
+        this.hitZone.destroy();
+        
+        console.log('MinimapManager destroyed');
+    }
+}
+
+export default MinimapManager;
\ No newline at end of file
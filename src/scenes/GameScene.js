@@ -3,12 +3,25 @@
 
 // Import all required systems
 import { levelManager } from '../managers/LevelManager.js';
+import { campaignManager } from '../managers/CampaignManager.js';
+import { saveManager } from '../data/SaveManager.js';
+import { serializeLayout, deserializeLayout, deserializeSignals, deserializeBridges } from '../data/Layout.js';
 import GridManager from '../managers/GridManager.js';
 import InputManager from '../managers/InputManager.js';
 import CarManager from '../managers/CarManager.js';
+import HistoryManager from '../managers/HistoryManager.js';
+import CameraManager from '../managers/CameraManager.js';
+import MinimapManager from '../managers/MinimapManager.js';
+import HeatmapManager from '../managers/HeatmapManager.js';
+import { HintManager, HintKinds } from '../managers/HintManager.js';
+import { calculateScore, formatStars } from '../simulation/Scoring.js';
+import { getBridgeCost } from '../simulation/Bridges.js';
+import { hasTurnRules } from '../simulation/TurnRules.js';
 import { gameState } from '../data/GameState.js';
 import { pathFinder } from '../utils/PathFinder.js';
-import { GameStates, Tools } from '../utils/Constants.js';
+import { Tools, GameConfig, RoadCatalogue, BridgeCatalogue } from '../utils/Constants.js';
+import { getRoadType } from '../utils/Helpers.js';
+import { parseSeed } from '../utils/Random.js';
 
 export class GameScene extends Phaser.Scene {
     constructor() {
@@ -19,16 +32,44 @@ export class GameScene extends Phaser.Scene {
         this.gridManager = null;
         this.inputManager = null;
         this.carManager = null;
+        this.historyManager = null;
+        this.hintManager = null;
+        this.cameraManager = null;
+        this.minimapManager = null;
+        this.heatmapManager = null;
         this.gameState = null;
         this.pathFinder = null;
         
         // Scene state
         this.isInitialized = false;
         this.currentLevel = 'levels/level-1.json';
+        this.levelId = null; // Campaign level ID, null when started without the level select
+        this.isLevelComplete = false;
+        this.isRestoringLayout = false; // Suppresses layout saves while a saved layout is rebuilt
         
         // UI elements (basic until UIScene is ready)
         this.debugText = null;
         this.controlsText = null;
+        this.levelCompleteText = null;
+        this.resultsText = null;
+        this.roadTypeButtons = new Map(); // Road type -> toolbar button
+    }
+
+    /**
+     * Receive the level to play from the level select
+     * @param {Object} data - Scene data {levelId}
+     */
+    init(data = {}) {
+        this.levelId = data.levelId || null;
+        this.isLevelComplete = false;
+        this.isInitialized = false;
+        
+        const level = this.levelId ? campaignManager.getLevel(this.levelId) : null;
+        if (level) {
+            this.currentLevel = level.path;
+        }
+        
+        console.log(`GameScene will play ${this.currentLevel}`);
     }
 
     /**
@@ -45,6 +86,9 @@ export class GameScene extends Phaser.Scene {
     create() {
         console.log('GameScene creating...');
         
+        // Phaser reuses the scene object between levels, so tear systems down when leaving
+        this.events.once('shutdown', this.shutdown, this);
+        
         // Initialize core systems
         this.initializeSystems();
         
@@ -81,9 +125,25 @@ export class GameScene extends Phaser.Scene {
         
         // 5. Car Manager (car spawning and lifecycle)
         this.carManager = new CarManager(this, this.gameState, this.gridManager, this.pathFinder);
+        this.carManager.setSeedOverride(this.getUrlSeed());
+        
+        // 6. History Manager (undo/redo of build actions)
+        this.historyManager = new HistoryManager(this.gameState, this.gridManager);
         
-        // 6. Input Manager (mouse input and tool handling)
-        this.inputManager = new InputManager(this, this.gameState, this.gridManager);
+        // 7. Hint Manager (reveals a working layout step by step)
+        this.hintManager = new HintManager(this, this.gridManager);
+        
+        // 8. Camera Manager (zoom and pan over the grid, fixed UI)
+        this.cameraManager = new CameraManager(this);
+        
+        // 9. Minimap Manager (overview of the grid and cars, click to move the camera)
+        this.minimapManager = new MinimapManager(this, this.gameState, this.gridManager, this.carManager, this.cameraManager);
+        
+        // 10. Heatmap Manager (where cars waited in the current or last run)
+        this.heatmapManager = new HeatmapManager(this, this.gridManager, this.carManager);
+        
+        // 11. Input Manager (mouse input and tool handling)
+        this.inputManager = new InputManager(this, this.gameState, this.gridManager, this.historyManager, this.cameraManager);
         
         // Set up system integrations
         this.setupSystemIntegrations();
@@ -92,6 +152,18 @@ export class GameScene extends Phaser.Scene {
         console.log('All systems initialized');
     }
 
+    /**
+     * Read a simulation seed from the page URL (?seed=123) so reported runs can be replayed
+     * @returns {number|null} Seed or null if none was given
+     */
+    getUrlSeed() {
+        if (typeof window === 'undefined' || !window.location) {
+            return null;
+        }
+        
+        return parseSeed(new URLSearchParams(window.location.search).get('seed'));
+    }
+
     /**
      * Set up integrations between systems
      */
@@ -101,10 +173,23 @@ export class GameScene extends Phaser.Scene {
         this.gameState.on('levelLost', this.onLevelLost, this);
         this.gameState.on('simulationStarted', this.onSimulationStarted, this);
         this.gameState.on('simulationStopped', this.onSimulationStopped, this);
+        this.gameState.on('roadTypeChanged', this.updateRoadToolbar, this);
+        this.gameState.on('historyFailed', this.onHistoryFailed, this);
         
         // Road placement integration
         this.gameState.on('roadPlaced', this.onRoadPlaced, this);
         this.gameState.on('roadRemoved', this.onRoadRemoved, this);
+        
+        // Keep the saved layout in step with every edit
+        this.gameState.on('roadPlaced', this.saveLayout, this);
+        this.gameState.on('roadRemoved', this.saveLayout, this);
+        this.gameState.on('roadDirectionsUpdated', this.saveLayout, this);
+        this.gameState.on('roadTurnsUpdated', this.saveLayout, this);
+        this.gameState.on('signalPlaced', this.saveLayout, this);
+        this.gameState.on('signalRemoved', this.saveLayout, this);
+        this.gameState.on('signalUpdated', this.saveLayout, this);
+        this.gameState.on('bridgePlaced', this.saveLayout, this);
+        this.gameState.on('bridgeRemoved', this.saveLayout, this);
     }
 
     /**
@@ -126,10 +211,25 @@ export class GameScene extends Phaser.Scene {
             '',
             'Controls:',
             'LEFT CLICK: Place/Remove roads',
-            'DRAG on roads: Add direction arrows',
+            'Q / toolbar: Road type to build',
+            'A: Arrow tool (drag road to neighbour: arrow,',
+            '   drag through a road: allow that turn)',
             'D: Toggle delete mode',
+            'S: Signal tool (click junction to place/select)',
+            '  TAB: Next approach  [ ]: Cycle length',
+            '  , .: Shift green  - =: Green length',
+            'B / U: Bridge / tunnel tool (drag road to road)',
             'SPACE: Start/Stop simulation',
+            'P: Pause/Resume  T: Step one tick',
+            '1-4: Speed 1x/2x/4x/8x',
             'R: Reset level',
+            'Ctrl+Z / Ctrl+Shift+Z: Undo / Redo',
+            'L: Level select',
+            'H: Hint (counted in your result)',
+            'WHEEL / PINCH: Zoom  RIGHT-DRAG: Pan',
+            'F: Fit grid to screen',
+            'M: Minimap (click it to look there)',
+            'J: Congestion heatmap of the last run',
             '',
             'Goal: Design roads to guide cars to their destinations!'
         ];
@@ -157,6 +257,50 @@ export class GameScene extends Phaser.Scene {
         );
         this.levelNameText.setOrigin(0.5, 0);  // Center horizontally
         this.levelNameText.setDepth(1000);     // Same depth as other UI
+        
+        // Keep the panels fixed on screen while the grid is zoomed and panned
+        this.cameraManager.addUI(this.debugText, this.controlsText, this.levelNameText);
+        
+        this.createRoadToolbar();
+    }
+
+    /**
+     * Create the road toolbar in the bottom-left corner: one button per road type
+     */
+    createRoadToolbar() {
+        const rowHeight = 28;
+        const types = Object.keys(RoadCatalogue);
+        
+        types.forEach((type, index) => {
+            const roadType = RoadCatalogue[type];
+            const label = `${roadType.name}  $${roadType.cost}  ${(roadType.travelTime / 1000).toFixed(1)}s/cell  ` +
+                          `${roadType.lanes} lane${roadType.lanes > 1 ? 's' : ''} each way`;
+            
+            const button = this.add.text(10, this.cameras.main.height - 10 - (types.length - 1 - index) * rowHeight, label, {
+                fontSize: '14px',
+                color: '#ffffff',
+                backgroundColor: 'rgba(0,0,0,0.7)',
+                padding: { x: 10, y: 4 }
+            });
+            button.setOrigin(0, 1);
+            button.setDepth(1000);
+            button.setInteractive({ useHandCursor: true });
+            button.on('pointerdown', () => this.selectRoadType(type));
+            
+            this.roadTypeButtons.set(type, button);
+            this.cameraManager.addUI(button);
+        });
+        
+        this.updateRoadToolbar();
+    }
+
+    /**
+     * Highlight the toolbar button of the road type being built
+     */
+    updateRoadToolbar() {
+        this.roadTypeButtons.forEach((button, type) => {
+            button.setColor(type === this.gameState.currentRoadType ? '#f1c40f' : '#ffffff');
+        });
     }
 
     /**
@@ -167,11 +311,158 @@ export class GameScene extends Phaser.Scene {
         this.spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
         this.dKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D);
         this.rKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
+        this.sKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.S);
+        this.lKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.L);
+        this.nKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.N);
+        this.hKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.H);
+        this.fKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.F);
+        this.mKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.M);
+        this.jKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.J);
+        this.pKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.P);
+        this.qKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.Q);
+        this.tKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.T);
+        this.bKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.B);
+        this.uKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.U);
+        this.aKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A);
         
         // Handle key presses
         this.spaceKey.on('down', this.toggleSimulation, this);
         this.dKey.on('down', this.toggleDeleteMode, this);
         this.rKey.on('down', this.resetLevel, this);
+        this.sKey.on('down', this.toggleSignalTool, this);
+        this.lKey.on('down', this.goToLevelSelect, this);
+        this.nKey.on('down', this.goToNextLevel, this);
+        this.hKey.on('down', this.showHint, this);
+        this.fKey.on('down', () => this.cameraManager.fitToBounds());
+        this.mKey.on('down', () => this.minimapManager.toggle());
+        this.jKey.on('down', () => this.heatmapManager.toggle());
+        this.pKey.on('down', this.togglePause, this);
+        this.qKey.on('down', this.cycleRoadType, this);
+        this.tKey.on('down', this.stepSimulation, this);
+        this.bKey.on('down', () => this.toggleBridgeTool(Tools.BRIDGE));
+        this.uKey.on('down', () => this.toggleBridgeTool(Tools.TUNNEL));
+        this.aKey.on('down', this.toggleArrowTool, this);
+        
+        // 1-4 pick a simulation speed
+        const speedKeys = [Phaser.Input.Keyboard.KeyCodes.ONE, Phaser.Input.Keyboard.KeyCodes.TWO,
+            Phaser.Input.Keyboard.KeyCodes.THREE, Phaser.Input.Keyboard.KeyCodes.FOUR];
+        GameConfig.simulationSpeeds.forEach((speed, index) => {
+            this.input.keyboard.addKey(speedKeys[index]).on('down', () => this.setSimulationSpeed(speed));
+        });
+        
+        // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes
+        this.zKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.Z);
+        this.yKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.Y);
+        this.zKey.on('down', this.onUndoKey, this);
+        this.yKey.on('down', this.onRedoKey, this);
+        
+        this.setupSignalKeys();
+    }
+
+    /**
+     * Handle Z: undo with Ctrl (Cmd on Mac), redo with Ctrl+Shift
+     * @param {Phaser.Input.Keyboard.Key} key - Key object
+     * @param {KeyboardEvent} event - Native keyboard event
+     */
+    onUndoKey(key, event) {
+        if (!event || !(event.ctrlKey || event.metaKey)) {
+            return;
+        }
+        
+        if (event.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    /**
+     * Handle Y: redo with Ctrl (Cmd on Mac)
+     * @param {Phaser.Input.Keyboard.Key} key - Key object
+     * @param {KeyboardEvent} event - Native keyboard event
+     */
+    onRedoKey(key, event) {
+        if (event && (event.ctrlKey || event.metaKey)) {
+            this.redo();
+        }
+    }
+
+    /**
+     * Undo the last build action
+     */
+    undo() {
+        if (this.gameState.isSimulating) {
+            this.showError('Stop the simulation to undo');
+            return;
+        }
+        
+        if (!this.historyManager || !this.historyManager.canUndo()) {
+            console.log('Nothing to undo');
+            return;
+        }
+        
+        // Failures are reported through the historyFailed event
+        this.historyManager.undo();
+    }
+
+    /**
+     * Redo the last undone build action
+     */
+    redo() {
+        if (this.gameState.isSimulating) {
+            this.showError('Stop the simulation to redo');
+            return;
+        }
+        
+        if (!this.historyManager || !this.historyManager.canRedo()) {
+            console.log('Nothing to redo');
+            return;
+        }
+        
+        // Failures are reported through the historyFailed event
+        this.historyManager.redo();
+    }
+
+    /**
+     * Handle an undo or redo that could not be applied
+     * @param {Object} event - {action, label}
+     */
+    onHistoryFailed(event) {
+        const what = event.action === 'undo' ? 'Undo' : 'Redo';
+        this.showError(`${what} failed (${event.label}); ${event.action} history cleared`);
+    }
+
+    /**
+     * Set up keys for editing the selected traffic signal
+     */
+    setupSignalKeys() {
+        const step = GameConfig.signalTimingStep;
+        const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+        const bindings = [
+            { key: KeyCodes.TAB, action: () => this.inputManager.cycleSelectedApproach() },
+            { key: KeyCodes.OPEN_BRACKET, action: () => this.inputManager.adjustSelectedSignal({ cycle: -step }) },
+            { key: KeyCodes.CLOSED_BRACKET, action: () => this.inputManager.adjustSelectedSignal({ cycle: step }) },
+            { key: KeyCodes.COMMA, action: () => this.inputManager.adjustSelectedSignal({ offset: -step }) },
+            { key: KeyCodes.PERIOD, action: () => this.inputManager.adjustSelectedSignal({ offset: step }) },
+            { key: KeyCodes.MINUS, action: () => this.inputManager.adjustSelectedSignal({ duration: -step }) },
+            { key: KeyCodes.PLUS, action: () => this.inputManager.adjustSelectedSignal({ duration: step }) }
+        ];
+        
+        bindings.forEach(({ key, action }) => {
+            this.input.keyboard.addKey(key).on('down', () => {
+                if (this.isEditingSignals()) {
+                    action();
+                }
+            });
+        });
+    }
+
+    /**
+     * Check if the signal tool is active
+     * @returns {boolean} True if signals are being placed or edited
+     */
+    isEditingSignals() {
+        return this.gameState.currentTool === Tools.SIGNAL && !this.gameState.isSimulating;
     }
 
     /**
@@ -188,7 +479,12 @@ export class GameScene extends Phaser.Scene {
             // Initialize systems with level data
             this.gameState.initializeWithLevel(levelData);
             this.gridManager.initialize(levelData);
+            this.cameraManager.setWorldBounds(this.gridManager.getGridBounds());
             this.carManager.initializeForLevel(levelData);
+            this.hintManager.initializeForLevel(levelData, this.levelManager.getInitialBudget());
+            
+            // Pick up where the player left off
+            this.restoreSavedLayout();
             
             console.log('Level loaded successfully');
             
@@ -198,6 +494,120 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Get the key this level's progress is saved under
+     * @returns {string} Campaign level ID, or the level path outside the campaign
+     */
+    getSaveKey() {
+        return this.levelId || this.currentLevel;
+    }
+
+    /**
+     * Save the current road layout for this level
+     */
+    saveLayout() {
+        if (this.isRestoringLayout || !this.gameState.level) {
+            return;
+        }
+        
+        saveManager.saveLayout(this.getSaveKey(), serializeLayout(this.gameState.roads, this.gameState.signals, this.gameState.bridges));
+    }
+
+    /**
+     * Rebuild the saved road layout for this level, paying for it from the budget
+     * Pieces that no longer fit the level (moved obstacles, smaller budget) are skipped,
+     * and the player is told how many.
+     */
+    restoreSavedLayout() {
+        const layout = saveManager.getLayout(this.getSaveKey());
+        if (!layout) {
+            return;
+        }
+        
+        let roads;
+        let signals;
+        let bridges;
+        try {
+            roads = deserializeLayout(layout);
+            signals = deserializeSignals(layout);
+            bridges = deserializeBridges(layout);
+        } catch (error) {
+            console.error('Saved layout is invalid, ignoring it:', error);
+            this.showError('Saved layout could not be read; starting with an empty grid');
+            return;
+        }
+        
+        this.isRestoringLayout = true;
+        let skipped = 0;
+        
+        roads.forEach(roadData => {
+            const { row, col, directions, type, turns } = roadData;
+            
+            if (!this.gameState.canAfford(this.gameState.getRoadPlacementCost(row, col, type)) || !this.gridManager.placeRoad(row, col, type)) {
+                skipped++;
+                return;
+            }
+            
+            if (!this.gameState.placeRoad(row, col, { type })) {
+                this.gridManager.removeRoad(row, col);
+                skipped++;
+                return;
+            }
+            
+            if (directions.length > 0) {
+                this.gridManager.getRoad(row, col).setDirections(directions);
+                this.gameState.updateRoadDirections(row, col, directions);
+            }
+            
+            if (hasTurnRules(turns)) {
+                this.gridManager.getRoad(row, col).setTurns(turns);
+                this.gameState.updateRoadTurns(row, col, turns);
+            }
+        });
+        
+        // Bridges and tunnels need both their end roads
+        bridges.forEach(bridgeData => {
+            if (!this.gameState.canAfford(getBridgeCost(bridgeData)) || !this.gridManager.placeBridge(bridgeData)) {
+                skipped++;
+                return;
+            }
+            
+            if (!this.gameState.placeBridge(bridgeData)) {
+                this.gridManager.removeBridge(bridgeData);
+                skipped++;
+            }
+        });
+        
+        // Signals go last so their junctions, which bridge ends count toward, exist
+        signals.forEach(signalData => {
+            const { row, col } = signalData;
+            
+            if (!this.gameState.canAfford(GameConfig.signalCost) || !this.gridManager.placeSignal(row, col, signalData)) {
+                skipped++;
+                return;
+            }
+            
+            if (!this.gameState.placeSignal(row, col, signalData)) {
+                this.gridManager.removeSignal(row, col);
+                skipped++;
+            }
+        });
+        
+        this.isRestoringLayout = false;
+        
+        const restored = `${this.gameState.roads.size} roads, ${this.gameState.signals.size} signals, ${this.gameState.bridges.size} bridges`;
+        if (skipped === 0) {
+            console.log(`Restored saved layout: ${restored}`);
+            return;
+        }
+        
+        console.warn(`Restored part of saved layout: ${restored} (${skipped} pieces dropped)`);
+        this.showError(`${skipped} saved ${skipped === 1 ? 'piece' : 'pieces'} no longer fit and ${skipped === 1 ? 'was' : 'were'} dropped`);
+        
+        // Store what actually fits so the next visit matches
+        this.saveLayout();
+    }
+
     /**
      * Toggle simulation on/off
      */
@@ -230,6 +640,64 @@ export class GameScene extends Phaser.Scene {
         this.gameState.stopSimulation();
     }
 
+    /**
+     * Pause or resume the running simulation; cars stay where they are
+     */
+    togglePause() {
+        if (!this.gameState.isSimulating) {
+            this.showError('Start the simulation first');
+            return;
+        }
+        
+        this.gameState.setPaused(!this.gameState.isPaused);
+        this.showMessage(this.gameState.isPaused ? 'Paused (T steps, P resumes)' : 'Resumed');
+    }
+
+    /**
+     * Advance a paused simulation by one tick
+     */
+    stepSimulation() {
+        if (!this.gameState.isPaused) {
+            this.showError('Pause the simulation (P) to step it');
+            return;
+        }
+        
+        this.carManager.stepSimulation();
+    }
+
+    /**
+     * Change how fast the simulation runs
+     * @param {number} speed - Speed multiplier from GameConfig.simulationSpeeds
+     */
+    setSimulationSpeed(speed) {
+        if (this.gameState.setSimulationSpeed(speed)) {
+            this.showMessage(`Speed ${speed}x`);
+        }
+    }
+
+    /**
+     * Build roads of a type from now on (switches back to the place tool)
+     * @param {string} type - Road type from RoadTypes
+     */
+    selectRoadType(type) {
+        if (!this.gameState.setRoadType(type)) {
+            return;
+        }
+        
+        if (this.gameState.currentTool !== Tools.PLACE) {
+            this.gameState.setCurrentTool(Tools.PLACE);
+        }
+    }
+
+    /**
+     * Select the next road type in the catalogue
+     */
+    cycleRoadType() {
+        const types = Object.keys(RoadCatalogue);
+        const index = types.indexOf(this.gameState.currentRoadType);
+        this.selectRoadType(types[(index + 1) % types.length]);
+    }
+
     /**
      * Toggle delete mode
      */
@@ -238,11 +706,90 @@ export class GameScene extends Phaser.Scene {
         console.log(`Delete mode: ${this.gameState.isDeleteMode ? 'ON' : 'OFF'}`);
     }
 
+    /**
+     * Toggle the traffic signal tool
+     */
+    toggleSignalTool() {
+        const tool = this.gameState.currentTool === Tools.SIGNAL ? Tools.PLACE : Tools.SIGNAL;
+        this.gameState.setCurrentTool(tool);
+        console.log(`Signal tool: ${tool === Tools.SIGNAL ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Toggle the arrow and turn rule tool
+     */
+    toggleArrowTool() {
+        const tool = this.gameState.currentTool === Tools.ARROW ? Tools.PLACE : Tools.ARROW;
+        this.gameState.setCurrentTool(tool);
+        console.log(`Arrow tool: ${tool === Tools.ARROW ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Toggle the bridge or tunnel tool
+     * @param {string} tool - Tools.BRIDGE or Tools.TUNNEL
+     */
+    toggleBridgeTool(tool) {
+        const newTool = this.gameState.currentTool === tool ? Tools.PLACE : tool;
+        this.gameState.setCurrentTool(newTool);
+        console.log(`${BridgeCatalogue[tool].name} tool: ${newTool === tool ? 'ON' : 'OFF'}`);
+    }
+
+    /**
+     * Return to the level select screen
+     */
+    goToLevelSelect() {
+        console.log('Returning to level select...');
+        this.gameState.stopSimulation();
+        this.scene.start('LevelSelectScene');
+    }
+
+    /**
+     * Start the next campaign level (only after winning this one)
+     */
+    goToNextLevel() {
+        if (!this.isLevelComplete || !this.levelId) {
+            return;
+        }
+        
+        const nextLevel = campaignManager.getNextLevel(this.levelId);
+        if (!nextLevel) {
+            this.goToLevelSelect();
+            return;
+        }
+        
+        console.log(`Starting next level: ${nextLevel.id}`);
+        this.gameState.stopSimulation();
+        this.scene.start('GameScene', { levelId: nextLevel.id });
+    }
+
+    /**
+     * Reveal the next hint step
+     */
+    showHint() {
+        if (!this.hintManager) {
+            return;
+        }
+        
+        const step = this.hintManager.showNextHint();
+        if (!step) {
+            this.showError(this.hintManager.getHintsUsed() > 0 ? 'No more hints' : 'No hint available for this level');
+            return;
+        }
+        
+        const what = step.kind === HintKinds.ROADS ? `${getRoadType(step.roadType).name} roads` : 'arrows';
+        this.showMessage(`Hint ${this.hintManager.getHintsUsed()}: ${what} for ${step.color} cars`, '#f1c40f');
+    }
+
     /**
      * Reset current level
      */
     resetLevel() {
         console.log('Resetting level...');
+        this.hideLevelCompletePrompt();
+        
+        // Start from an empty grid next time too
+        saveManager.clearLayout(this.getSaveKey());
+        
         this.gameState.reset();
         this.loadLevel(this.currentLevel);
     }
@@ -262,11 +809,17 @@ export class GameScene extends Phaser.Scene {
             this.carManager.update(time, delta);
         }
         
+        // Mirror the grid and cars on the minimap
+        if (this.minimapManager) {
+            this.minimapManager.update();
+        }
+        
+        if (this.heatmapManager) {
+            this.heatmapManager.update();
+        }
+        
         // Update debug display
         this.updateDebugDisplay();
-        
-        // Check for end conditions
-        this.checkEndConditions();
     }
 
     /**
@@ -282,20 +835,57 @@ export class GameScene extends Phaser.Scene {
         const tool = this.gameState.currentTool;
         const isSimulating = this.gameState.isSimulating;
         const roadsCount = this.gameState.roads.size;
+        const signalsCount = this.gameState.signals.size;
+        const bridgesCount = this.gameState.bridges.size;
         
         const debugInfo = [
             `Budget: $${budget}`,
-            `Tool: ${tool}${this.gameState.isDeleteMode ? ' (DELETE)' : ''}`,
-            `Roads: ${roadsCount}`,
-            `State: ${isSimulating ? 'SIMULATING' : 'BUILDING'}`,
+            `Tool: ${tool}${this.gameState.isDeleteMode ? ' (DELETE)' : ''}  Road: ${getRoadType(this.gameState.currentRoadType).name}`,
+            `Roads: ${roadsCount}  Signals: ${signalsCount}  Bridges: ${bridgesCount}`,
+            `Hints used: ${this.hintManager ? this.hintManager.getHintsUsed() : 0}`,
+            `State: ${isSimulating ? (this.gameState.isPaused ? 'PAUSED' : 'SIMULATING') : 'BUILDING'}`,
+            `Speed: ${this.gameState.simulationSpeed}x  Time: ${((stats.time || 0) / 1000).toFixed(1)}s`,
             '',
             `Cars: ${stats.activeCars || 0} active`,
             `Spawned: ${stats.totalSpawned || 0}`,
             `Succeeded: ${stats.totalReachedExit || 0}`,
             `Failed: ${stats.totalFailed || 0}`,
-            `Success Rate: ${(stats.successRate || 0).toFixed(1)}%`
+            `Success Rate: ${(stats.successRate || 0).toFixed(1)}%`,
+            `Seed: ${stats.seed ?? this.carManager?.getSimulationSeed() ?? 'random'}`,
+            '',
+            'Objectives:'
         ];
         
+        // Objectives with the progress of the current (or last) run
+        const objectives = this.carManager ? this.carManager.getObjectiveProgress() : [];
+        objectives.forEach(result => {
+            debugInfo.push(result.status
+                ? `  ${result.description}: ${result.progress} (${result.status})`
+                : `  ${result.description}`);
+        });
+        
+        // Timing of the signal being edited
+        const selected = this.inputManager ? this.inputManager.getSelectedSignal() : null;
+        if (selected && selected.signal) {
+            const phase = selected.signal.phases[selected.approach];
+            const greenInfo = phase
+                ? `green ${(phase.offset / 1000).toFixed(1)}s for ${(phase.duration / 1000).toFixed(1)}s`
+                : 'always green';
+            debugInfo.push(
+                '',
+                `Signal ${selected.row},${selected.col}: cycle ${(selected.signal.cycleLength / 1000).toFixed(1)}s`,
+                `  ${selected.approach}: ${greenInfo}`
+            );
+        }
+        
+        // Where the current (or last) run jammed
+        if (this.heatmapManager && this.heatmapManager.isVisible) {
+            const hottest = this.heatmapManager.getHottestCell();
+            debugInfo.push('', hottest
+                ? `Heatmap: worst cell ${hottest.row},${hottest.col} (${(hottest.waitTime / 1000).toFixed(1)}s waiting, ${hottest.failures} failed)`
+                : 'Heatmap: no waiting yet');
+        }
+        
         this.debugText.setText(debugInfo.join('\n'));
         
         // Update level name display
@@ -304,24 +894,6 @@ export class GameScene extends Phaser.Scene {
         }
     }
 
-    /**
-     * Check for game end conditions
-     */
-    checkEndConditions() {
-        if (this.gameState.isSimulating && this.carManager) {
-            const endCondition = this.carManager.checkEndConditions();
-            if (endCondition) {
-                if (endCondition.type === 'won') {
-                    this.gameState.gameState = GameStates.WON;
-                    this.gameState.emit('levelWon', endCondition);
-                } else if (endCondition.type === 'lost') {
-                    this.gameState.gameState = GameStates.LOST;
-                    this.gameState.emit('levelLost', endCondition);
-                }
-            }
-        }
-    }
-
     /**
      * Handle road placed event
      * @param {Object} event - Event data
@@ -368,17 +940,144 @@ export class GameScene extends Phaser.Scene {
         console.log('Level won!', event);
         this.showMessage('Congratulations! You won!', '#00ff00');
         
+        // Score the run while its statistics are still there
+        const result = this.calculateResult();
+        
+        // Record the result; winning unlocks the next level
+        this.isLevelComplete = true;
+        this.recordResult(true, result);
+        this.showLevelCompletePrompt(result);
+        
         // Stop simulation
         this.gameState.stopSimulation();
     }
 
+    /**
+     * Score the current run from its statistics
+     * @returns {Object} Score result from calculateScore()
+     */
+    calculateResult() {
+        const stats = this.carManager.getStatistics();
+        
+        return calculateScore({
+            level: this.levelManager.getCurrentLevel(),
+            budget: this.levelManager.getInitialBudget(),
+            budgetLeft: this.gameState.budget,
+            averageTravelTime: stats.totalReachedExit > 0 ? stats.totalTravelTime / stats.totalReachedExit : 0,
+            totalWaitTime: stats.totalWaitTime,
+            finishedCars: stats.totalReachedExit + stats.totalFailed,
+            hintsUsed: this.hintManager ? this.hintManager.getHintsUsed() : 0
+        });
+    }
+
+    /**
+     * Save the outcome of the finished run
+     * @param {boolean} won - Whether the level was won
+     * @param {Object} [result] - Score result of a won run
+     */
+    recordResult(won, result = null) {
+        const record = saveManager.recordResult(this.getSaveKey(), {
+            won,
+            successRate: this.carManager ? this.carManager.getSuccessRate() : 0,
+            budgetSpent: this.levelManager.getInitialBudget() - this.gameState.budget,
+            hintsUsed: this.hintManager ? this.hintManager.getHintsUsed() : 0,
+            score: result ? result.score : null,
+            stars: result ? result.stars : 0
+        });
+        
+        console.log(`Best success rate ${record.bestSuccessRate}%, cheapest win ${record.cheapestWin ?? 'none'}, fewest hints in a win ${record.fewestHintsWin ?? 'none'}, best score ${record.bestScore ?? 'none'}`);
+    }
+
+    /**
+     * Show the score breakdown and what the player can do after winning
+     * @param {Object} [result] - Score result from calculateResult()
+     */
+    showLevelCompletePrompt(result = null) {
+        this.hideLevelCompletePrompt();
+        
+        if (result) {
+            this.showResultsPanel(result);
+        }
+        
+        const hasNextLevel = this.levelId && campaignManager.getNextLevel(this.levelId);
+        const prompt = hasNextLevel
+            ? 'Level complete!  N: Next level   L: Level select   R: Play again'
+            : 'Level complete!  L: Level select   R: Play again';
+        
+        this.levelCompleteText = this.add.text(
+            this.cameras.main.centerX,
+            this.cameras.main.height - 30,
+            prompt,
+            {
+                fontSize: '18px',
+                color: '#00ff00',
+                backgroundColor: 'rgba(0,0,0,0.8)',
+                padding: { x: 15, y: 8 }
+            }
+        );
+        this.levelCompleteText.setOrigin(0.5, 1);
+        this.levelCompleteText.setDepth(1000);
+        this.cameraManager.addUI(this.levelCompleteText);
+    }
+
+    /**
+     * Show the stars, score and where the points came from
+     * @param {Object} result - Score result from calculateResult()
+     */
+    showResultsPanel(result) {
+        const lines = [
+            `${formatStars(result.stars)}   Score ${result.score}`,
+            ''
+        ];
+        
+        result.breakdown.forEach(item => {
+            const points = item.points > 0 ? `+${item.points}` : `${item.points}`;
+            lines.push(`${item.label.padEnd(12)}${points.padStart(6)}   ${item.detail}`);
+        });
+        
+        lines.push('', `Two stars at ${result.thresholds.twoStars}, three at ${result.thresholds.threeStars}`);
+        
+        this.resultsText = this.add.text(
+            this.cameras.main.centerX,
+            this.cameras.main.height - 80,
+            lines.join('\n'),
+            {
+                fontSize: '16px',
+                fontFamily: 'monospace',
+                color: '#ffffff',
+                backgroundColor: 'rgba(0,0,0,0.8)',
+                padding: { x: 15, y: 10 }
+            }
+        );
+        this.resultsText.setOrigin(0.5, 1);
+        this.resultsText.setDepth(1000);
+        this.cameraManager.addUI(this.resultsText);
+    }
+
+    /**
+     * Remove the level complete prompt and results panel
+     */
+    hideLevelCompletePrompt() {
+        if (this.levelCompleteText) {
+            this.levelCompleteText.destroy();
+            this.levelCompleteText = null;
+        }
+        
+        if (this.resultsText) {
+            this.resultsText.destroy();
+            this.resultsText = null;
+        }
+    }
+
     /**
      * Handle level lost event
      * @param {Object} event - Event data
      */
     onLevelLost(event) {
         console.log('Level lost!', event);
-        this.showMessage('Level failed! Try again.', '#ff0000');
+        this.showMessage(`Level failed!\n${event.reason}`, '#ff0000');
+        
+        this.recordResult(false);
         
         // Stop simulation
         this.gameState.stopSimulation();
@@ -404,6 +1103,7 @@ export class GameScene extends Phaser.Scene {
         );
         messageText.setOrigin(0.5);
         messageText.setDepth(2000);
+        this.cameraManager.addUI(messageText);
         
         // Fade out after 3 seconds
         this.tweens.add({
@@ -425,29 +1125,84 @@ export class GameScene extends Phaser.Scene {
     }
 
     /**
-     * Clean up scene
+     * Tear down systems when the scene shuts down (level change or level select)
      */
-    destroy() {
+    shutdown() {
         // Clean up managers
         if (this.inputManager) {
             this.inputManager.destroy();
+            this.inputManager = null;
+        }
+        
+        if (this.historyManager) {
+            this.historyManager.destroy();
+            this.historyManager = null;
+        }
+        
+        if (this.hintManager) {
+            this.hintManager.destroy();
+            this.hintManager = null;
+        }
+        
+        if (this.minimapManager) {
+            this.minimapManager.destroy();
+            this.minimapManager = null;
+        }
+        
+        if (this.heatmapManager) {
+            this.heatmapManager.destroy();
+            this.heatmapManager = null;
         }
         
         if (this.carManager) {
             this.carManager.destroy();
+            this.carManager = null;
         }
         
         if (this.gridManager) {
             this.gridManager.destroy();
+            this.gridManager = null;
+        }
+        
+        if (this.cameraManager) {
+            this.cameraManager.destroy();
+            this.cameraManager = null;
         }
         
+        // Keys survive a scene restart; drop them so handlers are not bound twice
+        this.input.keyboard.removeAllKeys(true);
+        this.levelCompleteText = null;
+        this.resultsText = null;
+        this.roadTypeButtons.clear();
+        this.isInitialized = false;
+        
         // Remove event listeners
         this.gameState.off('levelWon', this.onLevelWon, this);
         this.gameState.off('levelLost', this.onLevelLost, this);
         this.gameState.off('simulationStarted', this.onSimulationStarted, this);
         this.gameState.off('simulationStopped', this.onSimulationStopped, this);
+        this.gameState.off('roadTypeChanged', this.updateRoadToolbar, this);
+        this.gameState.off('historyFailed', this.onHistoryFailed, this);
         this.gameState.off('roadPlaced', this.onRoadPlaced, this);
         this.gameState.off('roadRemoved', this.onRoadRemoved, this);
+        this.gameState.off('roadPlaced', this.saveLayout, this);
+        this.gameState.off('roadRemoved', this.saveLayout, this);
+        this.gameState.off('roadDirectionsUpdated', this.saveLayout, this);
+        this.gameState.off('roadTurnsUpdated', this.saveLayout, this);
+        this.gameState.off('signalPlaced', this.saveLayout, this);
+        this.gameState.off('signalRemoved', this.saveLayout, this);
+        this.gameState.off('signalUpdated', this.saveLayout, this);
+        this.gameState.off('bridgePlaced', this.saveLayout, this);
+        this.gameState.off('bridgeRemoved', this.saveLayout, this);
+        
+        console.log('GameScene shut down');
+    }
+
+    /**
+     * Clean up scene
+     */
+    destroy() {
+        this.shutdown();
         
         console.log('GameScene destroyed');
         
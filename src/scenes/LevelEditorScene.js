@@ -0,0 +1,684 @@
+// Traffic Simulation Game - Level Editor Scene
+// Paint obstacles, place entrances and exits, and export level JSON
+
+import { GameConfig, Colors, CellTypes, ZLayers } from '../utils/Constants.js';
+import { getCarColor, formatNumber } from '../utils/Helpers.js';
+import { LevelDraft } from '../data/LevelDraft.js';
+import { LevelManager } from '../managers/LevelManager.js';
+import { campaignManager } from '../managers/CampaignManager.js';
+import CameraManager from '../managers/CameraManager.js';
+
+// Editor tools, in number-key order
+export const EditorTools = {
+    TREE: 'tree',
+    BUILDING: 'building',
+    ERASE: 'erase',
+    ENTRANCE: 'entrance',
+    EXIT: 'exit',
+};
+
+export class LevelEditorScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'LevelEditorScene' });
+        
+        // Editor state
+        this.draft = null;
+        this.levelPath = null;       // Level opened for editing, if any
+        this.currentTool = EditorTools.TREE;
+        this.currentCarIndex = 0;
+        this.dragStartCell = null;   // First corner while painting an obstacle
+        this.dragCurrentCell = null;
+        this.gridOffset = { x: 0, y: 0 };
+        this.cameraGridSize = null;  // "rows x columns" the camera was last fitted to
+        
+        // Display objects
+        this.graphics = null;
+        this.infoText = null;
+        this.controlsText = null;
+        this.statusText = null;
+        this.fileInput = null;
+        this.cameraManager = null;
+    }
+
+    /**
+     * Receive the level to open, if any
+     * @param {Object} data - Scene data {levelId}
+     */
+    init(data = {}) {
+        const level = data.levelId ? campaignManager.getLevel(data.levelId) : null;
+        this.levelPath = level ? level.path : null;
+        this.draft = new LevelDraft();
+        this.currentTool = EditorTools.TREE;
+        this.currentCarIndex = 0;
+        this.dragStartCell = null;
+        this.dragCurrentCell = null;
+        this.cameraGridSize = null;
+    }
+
+    /**
+     * Create scene
+     */
+    create() {
+        console.log('LevelEditorScene creating...');
+        
+        // Phaser reuses the scene object, so release input and DOM hooks when leaving
+        this.events.once('shutdown', this.shutdown, this);
+        
+        this.graphics = this.add.graphics();
+        this.graphics.setDepth(ZLayers.CELLS);
+        
+        this.cameraManager = new CameraManager(this);
+        this.createUI();
+        this.setupInput();
+        this.setupKeyboardControls();
+        
+        if (this.levelPath) {
+            this.openLevel(this.levelPath);
+        }
+        
+        this.redraw();
+    }
+
+    /**
+     * Create text panels
+     */
+    createUI() {
+        const panelStyle = {
+            fontSize: '14px',
+            color: '#ffffff',
+            backgroundColor: 'rgba(0,0,0,0.7)',
+            padding: { x: 10, y: 5 }
+        };
+        
+        this.infoText = this.add.text(10, 10, '', panelStyle);
+        this.infoText.setDepth(1000);
+        
+        const controlsInfo = [
+            'Level Editor',
+            '1-5: Tree / Building / Erase / Entrance / Exit',
+            'DRAG on grid: Paint obstacle',
+            'CLICK outside grid: Place entrance / exit',
+            'C: Next car  A: Add car  X: Remove car',
+            'UP/DOWN: Rows -/+  LEFT/RIGHT: Columns -/+',
+            '[ ]: Budget  N: Rename  G: Diagonal roads',
+            'O: Open JSON file  E: Export JSON',
+            'WHEEL: Zoom  RIGHT-DRAG: Pan  F: Fit',
+            'ESC: Level select'
+        ];
+        this.controlsText = this.add.text(this.cameras.main.width - 10, 10, controlsInfo.join('\n'), panelStyle);
+        this.controlsText.setOrigin(1, 0);
+        this.controlsText.setDepth(1000);
+        
+        this.statusText = this.add.text(this.cameras.main.centerX, this.cameras.main.height - 20, '', {
+            ...panelStyle,
+            fontSize: '16px'
+        });
+        this.statusText.setOrigin(0.5, 1);
+        this.statusText.setDepth(1000);
+        
+        this.cameraManager.addUI(this.infoText, this.controlsText, this.statusText);
+    }
+
+    /**
+     * Set up pointer input for painting and placing markers
+     */
+    setupInput() {
+        this.input.on('pointerdown', this.onPointerDown, this);
+        this.input.on('pointermove', this.onPointerMove, this);
+        this.input.on('pointerup', this.onPointerUp, this);
+    }
+
+    /**
+     * Set up keyboard controls
+     */
+    setupKeyboardControls() {
+        const KeyCodes = Phaser.Input.Keyboard.KeyCodes;
+        const step = GameConfig.roadCost;
+        const bindings = [
+            { key: KeyCodes.ONE, action: () => this.setTool(EditorTools.TREE) },
+            { key: KeyCodes.TWO, action: () => this.setTool(EditorTools.BUILDING) },
+            { key: KeyCodes.THREE, action: () => this.setTool(EditorTools.ERASE) },
+            { key: KeyCodes.FOUR, action: () => this.setTool(EditorTools.ENTRANCE) },
+            { key: KeyCodes.FIVE, action: () => this.setTool(EditorTools.EXIT) },
+            { key: KeyCodes.C, action: () => this.nextCar() },
+            { key: KeyCodes.A, action: () => this.addCar() },
+            { key: KeyCodes.X, action: () => this.removeCar() },
+            { key: KeyCodes.UP, action: () => this.resize(-1, 0) },
+            { key: KeyCodes.DOWN, action: () => this.resize(1, 0) },
+            { key: KeyCodes.LEFT, action: () => this.resize(0, -1) },
+            { key: KeyCodes.RIGHT, action: () => this.resize(0, 1) },
+            { key: KeyCodes.OPEN_BRACKET, action: () => this.changeBudget(-step) },
+            { key: KeyCodes.CLOSED_BRACKET, action: () => this.changeBudget(step) },
+            { key: KeyCodes.N, action: () => this.rename() },
+            { key: KeyCodes.G, action: () => this.toggleDiagonal() },
+            { key: KeyCodes.O, action: () => this.chooseFile() },
+            { key: KeyCodes.E, action: () => this.exportLevel() },
+            { key: KeyCodes.F, action: () => this.cameraManager.fitToBounds() },
+            { key: KeyCodes.ESC, action: () => this.scene.start('LevelSelectScene') }
+        ];
+        
+        bindings.forEach(({ key, action }) => {
+            this.input.keyboard.addKey(key).on('down', action);
+        });
+    }
+
+    /**
+     * Work out where the grid is drawn for the current size
+     */
+    calculateGridOffset() {
+        const gridWidth = this.draft.columns * GameConfig.cellSize;
+        const gridHeight = this.draft.rows * GameConfig.cellSize;
+        
+        // Center the grid, leaving a cell of margin for the edge markers
+        const minMargin = 50 + GameConfig.cellSize;
+        this.gridOffset = {
+            x: Math.max(minMargin, (this.cameras.main.width - gridWidth) / 2),
+            y: Math.max(minMargin, (this.cameras.main.height - gridHeight) / 2)
+        };
+        
+        // Refit the camera when the grid size changes, not on every redraw
+        const size = `${this.draft.rows}x${this.draft.columns}`;
+        if (size !== this.cameraGridSize) {
+            this.cameraGridSize = size;
+            this.cameraManager.setWorldBounds({
+                x: this.gridOffset.x - GameConfig.cellSize,
+                y: this.gridOffset.y - GameConfig.cellSize,
+                width: gridWidth + GameConfig.cellSize * 2,
+                height: gridHeight + GameConfig.cellSize * 2
+            });
+        }
+    }
+
+    /**
+     * Convert a pointer position to a cell, including the ring just outside the grid
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     * @returns {Object|null} {row, col} or null if too far outside
+     */
+    pointerToCell(pointer) {
+        const world = this.cameraManager.screenToWorld(pointer.x, pointer.y);
+        const row = Math.floor((world.y - this.gridOffset.y) / GameConfig.cellSize);
+        const col = Math.floor((world.x - this.gridOffset.x) / GameConfig.cellSize);
+        
+        if (row < -1 || row > this.draft.rows || col < -1 || col > this.draft.columns) {
+            return null;
+        }
+        return { row, col };
+    }
+
+    /**
+     * Check if a cell is inside the grid
+     * @param {Object} cell - {row, col}
+     * @returns {boolean} True if inside
+     */
+    isInsideGrid(cell) {
+        return cell.row >= 0 && cell.row < this.draft.rows && cell.col >= 0 && cell.col < this.draft.columns;
+    }
+
+    /**
+     * Pointer down: start painting or place a marker
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerDown(pointer) {
+        // Right/middle drags and pinches move the camera
+        if (this.cameraManager.isCameraGesture(pointer)) {
+            return;
+        }
+        
+        const cell = this.pointerToCell(pointer);
+        if (!cell) {
+            return;
+        }
+        
+        const marker = this.draft.getMarkerAt(cell.row, cell.col);
+        
+        switch (this.currentTool) {
+            case EditorTools.TREE:
+            case EditorTools.BUILDING:
+                if (this.isInsideGrid(cell)) {
+                    this.dragStartCell = cell;
+                    this.dragCurrentCell = cell;
+                }
+                break;
+            
+            case EditorTools.ERASE:
+                if (this.isInsideGrid(cell)) {
+                    this.draft.eraseAreaAt(cell.row, cell.col);
+                } else if (marker) {
+                    this.draft.removeMarkersAt(marker);
+                }
+                break;
+            
+            case EditorTools.ENTRANCE:
+                if (marker && !this.draft.toggleEntrance(this.currentCarIndex, marker)) {
+                    this.showStatus('This car already has the most entrances allowed', '#ff0000');
+                }
+                break;
+            
+            case EditorTools.EXIT:
+                if (marker && !this.draft.toggleExit(this.currentCarIndex, marker)) {
+                    this.showStatus('This car already has the most exits allowed', '#ff0000');
+                }
+                break;
+        }
+        
+        this.redraw();
+    }
+
+    /**
+     * Pointer move: grow the obstacle being painted
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerMove(pointer) {
+        if (!this.dragStartCell) {
+            return;
+        }
+        
+        const cell = this.pointerToCell(pointer);
+        if (cell && (cell.row !== this.dragCurrentCell.row || cell.col !== this.dragCurrentCell.col)) {
+            this.dragCurrentCell = cell;
+            this.redraw();
+        }
+    }
+
+    /**
+     * Pointer up: finish painting
+     * @param {Phaser.Input.Pointer} pointer - Pointer
+     */
+    onPointerUp(pointer) {
+        if (!this.dragStartCell) {
+            return;
+        }
+        
+        if (!this.draft.paintArea(this.dragStartCell, this.dragCurrentCell, this.currentTool)) {
+            this.showStatus('Obstacles of different types cannot overlap; erase first', '#ff0000');
+        }
+        this.dragStartCell = null;
+        this.dragCurrentCell = null;
+        this.redraw();
+    }
+
+    /**
+     * Switch editor tool
+     * @param {string} tool - Tool from EditorTools
+     */
+    setTool(tool) {
+        this.currentTool = tool;
+        this.dragStartCell = null;
+        this.redraw();
+    }
+
+    /**
+     * Select the next car type for entrance and exit placement
+     */
+    nextCar() {
+        this.currentCarIndex = (this.currentCarIndex + 1) % this.draft.cars.length;
+        this.redraw();
+    }
+
+    /**
+     * Add a car type and select it
+     */
+    addCar() {
+        const index = this.draft.addCar();
+        if (index === -1) {
+            this.showStatus('Every car color is already used', '#ff0000');
+            return;
+        }
+        
+        this.currentCarIndex = index;
+        this.redraw();
+    }
+
+    /**
+     * Remove the selected car type
+     */
+    removeCar() {
+        if (!this.draft.removeCar(this.currentCarIndex)) {
+            this.showStatus('A level needs at least one car type', '#ff0000');
+            return;
+        }
+        
+        this.currentCarIndex = Math.min(this.currentCarIndex, this.draft.cars.length - 1);
+        this.redraw();
+    }
+
+    /**
+     * Change the grid size
+     * @param {number} deltaRows - Rows to add (negative to remove)
+     * @param {number} deltaColumns - Columns to add (negative to remove)
+     */
+    resize(deltaRows, deltaColumns) {
+        this.draft.setSize(this.draft.rows + deltaRows, this.draft.columns + deltaColumns);
+        this.redraw();
+    }
+
+    /**
+     * Change the starting budget
+     * @param {number} delta - Amount to add (negative to remove)
+     */
+    changeBudget(delta) {
+        this.draft.setBudget(this.draft.budget + delta);
+        this.redraw();
+    }
+
+    /**
+     * Turn the level's diagonal road links on or off
+     */
+    toggleDiagonal() {
+        this.draft.diagonal = !this.draft.diagonal;
+        this.redraw();
+    }
+
+    /**
+     * Ask for a new level name
+     */
+    rename() {
+        const name = window.prompt('Level name', this.draft.name);
+        if (name !== null && name.trim()) {
+            this.draft.name = name.trim();
+            this.redraw();
+        }
+    }
+
+    /**
+     * Open a level file from the server for editing
+     * @param {string} levelPath - Path to the level JSON file
+     */
+    async openLevel(levelPath) {
+        try {
+            const response = await fetch(levelPath);
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            
+            this.loadLevelData(await response.json(), levelPath);
+        } catch (error) {
+            console.error('Failed to open level:', error);
+            this.showStatus(`Failed to open ${levelPath}: ${error.message}`, '#ff0000');
+        }
+    }
+
+    /**
+     * Pick a level JSON file from disk
+     */
+    chooseFile() {
+        if (!this.fileInput) {
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = '.json,application/json';
+            this.fileInput.addEventListener('change', () => this.readChosenFile());
+        }
+        
+        this.fileInput.value = '';
+        this.fileInput.click();
+    }
+
+    /**
+     * Read the file picked in chooseFile
+     */
+    async readChosenFile() {
+        const file = this.fileInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        try {
+            this.loadLevelData(JSON.parse(await file.text()), file.name);
+        } catch (error) {
+            console.error('Failed to open level file:', error);
+            this.showStatus(`Failed to open ${file.name}: ${error.message}`, '#ff0000');
+        }
+    }
+
+    /**
+     * Replace the draft with an existing level
+     * @param {Object} levelData - Raw level data from JSON
+     * @param {string} source - Where the level came from (for messages)
+     */
+    loadLevelData(levelData, source) {
+        // Only open levels the game itself would accept
+        new LevelManager().processLevel(levelData);
+        
+        this.draft = LevelDraft.fromLevelJSON(levelData);
+        this.currentCarIndex = 0;
+        this.showStatus(`Opened ${source}`, '#00ff00');
+        this.redraw();
+    }
+
+    /**
+     * Validate the draft and download it as level JSON
+     */
+    exportLevel() {
+        const problems = this.draft.getProblems();
+        if (problems.length > 0) {
+            this.showStatus(problems.join('\n'), '#ff0000');
+            return;
+        }
+        
+        const levelData = this.draft.toLevelJSON();
+        
+        // Run the same checks as loading the level in the game
+        try {
+            new LevelManager().processLevel(levelData);
+        } catch (error) {
+            this.showStatus(`Level is not valid: ${error.message}`, '#ff0000');
+            return;
+        }
+        
+        const json = JSON.stringify(levelData, null, 4);
+        const fileName = `${this.draft.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level'}.json`;
+        
+        // Download the file
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        
+        // Also copy it, for pasting straight into levels/
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(json).catch(error => console.warn('Clipboard copy failed:', error));
+        }
+        
+        console.log(`Exported level ${fileName}:\n${json}`);
+        this.showStatus(`Exported ${fileName} (also copied to clipboard)`, '#00ff00');
+    }
+
+    /**
+     * Show a status message
+     * @param {string} message - Message text
+     * @param {string} color - Text color
+     */
+    showStatus(message, color = '#ffffff') {
+        this.statusText.setText(message);
+        this.statusText.setColor(color);
+    }
+
+    /**
+     * Redraw the grid, obstacles, markers and info panel
+     */
+    redraw() {
+        this.calculateGridOffset();
+        this.graphics.clear();
+        
+        this.drawCells();
+        this.drawDragPreview();
+        this.drawEdgeSlots();
+        this.drawMarkers();
+        this.updateInfo();
+    }
+
+    /**
+     * Draw grid cells colored by type
+     */
+    drawCells() {
+        const cellSize = GameConfig.cellSize;
+        const typeColors = {
+            [CellTypes.EDITABLE]: Colors.editable,
+            [CellTypes.TREE]: Colors.tree,
+            [CellTypes.BUILDING]: Colors.building
+        };
+        
+        for (let row = 0; row < this.draft.rows; row++) {
+            for (let col = 0; col < this.draft.columns; col++) {
+                const x = this.gridOffset.x + col * cellSize;
+                const y = this.gridOffset.y + row * cellSize;
+                
+                this.graphics.fillStyle(typeColors[this.draft.getCellType(row, col)] ?? Colors.editable, 1.0);
+                this.graphics.fillRect(x, y, cellSize, cellSize);
+                this.graphics.lineStyle(GameConfig.gridLineWidth, Colors.gridLine, 1.0);
+                this.graphics.strokeRect(x, y, cellSize, cellSize);
+            }
+        }
+    }
+
+    /**
+     * Outline the obstacle being painted
+     */
+    drawDragPreview() {
+        if (!this.dragStartCell) {
+            return;
+        }
+        
+        const cellSize = GameConfig.cellSize;
+        const clampRow = value => Math.max(0, Math.min(this.draft.rows - 1, value));
+        const clampCol = value => Math.max(0, Math.min(this.draft.columns - 1, value));
+        const rowFrom = clampRow(Math.min(this.dragStartCell.row, this.dragCurrentCell.row));
+        const rowTo = clampRow(Math.max(this.dragStartCell.row, this.dragCurrentCell.row));
+        const colFrom = clampCol(Math.min(this.dragStartCell.col, this.dragCurrentCell.col));
+        const colTo = clampCol(Math.max(this.dragStartCell.col, this.dragCurrentCell.col));
+        
+        this.graphics.lineStyle(3, Colors.highlight, 1.0);
+        this.graphics.strokeRect(
+            this.gridOffset.x + colFrom * cellSize,
+            this.gridOffset.y + rowFrom * cellSize,
+            (colTo - colFrom + 1) * cellSize,
+            (rowTo - rowFrom + 1) * cellSize
+        );
+    }
+
+    /**
+     * Outline the edge cells where entrances and exits can go
+     */
+    drawEdgeSlots() {
+        if (this.currentTool !== EditorTools.ENTRANCE && this.currentTool !== EditorTools.EXIT &&
+            this.currentTool !== EditorTools.ERASE) {
+            return;
+        }
+        
+        this.graphics.lineStyle(1, Colors.textSecondary, 0.4);
+        ['top', 'bottom', 'left', 'right'].forEach(side => {
+            for (let index = 0; index < this.draft.getEdgeLength(side); index++) {
+                const { x, y } = this.getCellTopLeft(this.draft.getMarkerCell({ side, index }));
+                this.graphics.strokeRect(x + 2, y + 2, GameConfig.cellSize - 4, GameConfig.cellSize - 4);
+            }
+        });
+    }
+
+    /**
+     * Draw every car's entrances (squares) and exits (triangles)
+     */
+    drawMarkers() {
+        const cellSize = GameConfig.cellSize;
+        
+        // Several cars can share an edge cell; give each its own slot
+        const slots = new Map();
+        const nextSlot = (marker) => {
+            const key = `${marker.side}:${marker.index}`;
+            const slot = slots.get(key) || 0;
+            slots.set(key, slot + 1);
+            return slot;
+        };
+        
+        this.draft.cars.forEach((car, carIndex) => {
+            const color = getCarColor(car.color);
+            const isCurrent = carIndex === this.currentCarIndex;
+            const size = cellSize * 0.3;
+            
+            car.entrances.forEach(entrance => {
+                const { x, y } = this.getMarkerSlotPosition(entrance, nextSlot(entrance));
+                this.graphics.fillStyle(color, 1.0);
+                this.graphics.fillRect(x - size / 2, y - size / 2, size, size);
+                this.graphics.lineStyle(isCurrent ? 2 : 1, Colors.textPrimary, 1.0);
+                this.graphics.strokeRect(x - size / 2, y - size / 2, size, size);
+            });
+            
+            car.exits.forEach(exit => {
+                const { x, y } = this.getMarkerSlotPosition(exit, nextSlot(exit));
+                this.graphics.fillStyle(color, 1.0);
+                this.graphics.fillTriangle(x - size / 2, y + size / 2, x + size / 2, y + size / 2, x, y - size / 2);
+                this.graphics.lineStyle(isCurrent ? 2 : 1, Colors.textPrimary, 1.0);
+                this.graphics.strokeTriangle(x - size / 2, y + size / 2, x + size / 2, y + size / 2, x, y - size / 2);
+            });
+        });
+    }
+
+    /**
+     * Get the top-left pixel of a cell (cells outside the grid included)
+     * @param {Object} cell - {row, col}
+     * @returns {Object} {x, y}
+     */
+    getCellTopLeft(cell) {
+        return {
+            x: this.gridOffset.x + cell.col * GameConfig.cellSize,
+            y: this.gridOffset.y + cell.row * GameConfig.cellSize
+        };
+    }
+
+    /**
+     * Get where to draw the nth marker in an edge cell
+     * @param {Object} marker - Marker {side, index}
+     * @param {number} slot - Markers already drawn in this cell
+     * @returns {Object} {x, y}
+     */
+    getMarkerSlotPosition(marker, slot) {
+        const { x, y } = this.getCellTopLeft(this.draft.getMarkerCell(marker));
+        const quarter = GameConfig.cellSize / 4;
+        const column = slot % 2;
+        const row = Math.floor(slot / 2) % 2;
+        
+        return { x: x + quarter + column * 2 * quarter, y: y + quarter + row * 2 * quarter };
+    }
+
+    /**
+     * Update the info panel
+     */
+    updateInfo() {
+        const car = this.draft.cars[this.currentCarIndex];
+        const problems = this.draft.getProblems();
+        
+        const info = [
+            `Name: ${this.draft.name}`,
+            `Budget: $${formatNumber(this.draft.budget)}`,
+            `Grid: ${this.draft.rows} rows x ${this.draft.columns} columns`,
+            `Diagonal roads: ${this.draft.diagonal ? 'on' : 'off'}`,
+            `Tool: ${this.currentTool}`,
+            `Car: ${car.color} (${this.currentCarIndex + 1}/${this.draft.cars.length})`,
+            `  ${car.entrances.length} entrances, ${car.exits.length} exits`,
+            '',
+            problems.length > 0 ? `${problems.length} problems before export` : 'Ready to export'
+        ];
+        
+        this.infoText.setText(info.join('\n'));
+    }
+
+    /**
+     * Clean up before the scene shuts down
+     */
+    shutdown() {
+        this.input.off('pointerdown', this.onPointerDown, this);
+        this.input.off('pointermove', this.onPointerMove, this);
+        this.input.off('pointerup', this.onPointerUp, this);
+        this.input.keyboard.removeAllKeys(true);
+        
+        if (this.cameraManager) {
+            this.cameraManager.destroy();
+            this.cameraManager = null;
+        }
+        
+        this.fileInput = null;
+        this.graphics = null;
+    }
+}
+
+export default LevelEditorScene;
\ No newline at end of file
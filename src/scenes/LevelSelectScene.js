@@ -0,0 +1,194 @@
+// Traffic Simulation Game - Level Select Scene
+// Lists every level in the campaign and starts the chosen one
+
+import { campaignManager } from '../managers/CampaignManager.js';
+import { saveManager } from '../data/SaveManager.js';
+import { formatNumber } from '../utils/Helpers.js';
+import { formatStars } from '../simulation/Scoring.js';
+
+export class LevelSelectScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'LevelSelectScene' });
+        
+        // UI elements
+        this.titleText = null;
+        this.statusText = null;
+        this.levelButtons = [];
+    }
+
+    /**
+     * Create scene and load the campaign
+     */
+    create() {
+        console.log('LevelSelectScene creating...');
+        
+        // Phaser reuses the scene object, so clear per-visit state when leaving
+        this.events.once('shutdown', this.shutdown, this);
+        
+        this.titleText = this.add.text(this.cameras.main.centerX, 60, 'Select a Level', {
+            fontSize: '36px',
+            color: '#ffffff',
+            fontFamily: 'Arial'
+        }).setOrigin(0.5);
+        
+        this.statusText = this.add.text(this.cameras.main.centerX, 120, 'Loading levels...', {
+            fontSize: '16px',
+            color: '#cccccc',
+            fontFamily: 'Arial'
+        }).setOrigin(0.5);
+        
+        this.loadCampaign();
+    }
+
+    /**
+     * Load the manifest (once per session) and list the levels
+     */
+    async loadCampaign() {
+        try {
+            if (!campaignManager.isLoaded) {
+                await campaignManager.loadManifest();
+            }
+            
+            this.statusText.setText('Complete a level to unlock the next one');
+            this.createLevelList();
+            
+        } catch (error) {
+            console.error('Failed to load campaign:', error);
+            this.statusText.setText(`Failed to load levels: ${error.message}`);
+            this.statusText.setColor('#ff0000');
+        }
+    }
+
+    /**
+     * Create one button per level
+     */
+    createLevelList() {
+        const startY = 180;
+        const rowHeight = 48;
+        
+        campaignManager.getLevels().forEach((level, index) => {
+            const unlocked = campaignManager.isUnlocked(level.id);
+            const completed = campaignManager.isCompleted(level.id);
+            
+            const button = this.add.text(
+                this.cameras.main.centerX,
+                startY + index * rowHeight,
+                this.getLevelLabel(level, unlocked, completed),
+                {
+                    fontSize: '20px',
+                    color: unlocked ? '#ffffff' : '#7f8c8d',
+                    backgroundColor: 'rgba(0,0,0,0.7)',
+                    padding: { x: 15, y: 8 },
+                    fontFamily: 'Arial'
+                }
+            ).setOrigin(0.5);
+            
+            if (unlocked) {
+                button.setInteractive({ useHandCursor: true });
+                button.on('pointerover', () => button.setColor('#f1c40f'));
+                button.on('pointerout', () => button.setColor('#ffffff'));
+                button.on('pointerdown', () => this.startLevel(level.id));
+            }
+            
+            this.levelButtons.push(button);
+            
+            // Any readable level can be opened in the editor, locked or not
+            if (!level.error) {
+                this.levelButtons.push(this.createTextButton(
+                    button.x + button.width / 2 + 40,
+                    button.y,
+                    'edit',
+                    () => this.scene.start('LevelEditorScene', { levelId: level.id })
+                ));
+            }
+        });
+        
+        const editorY = startY + campaignManager.getLevels().length * rowHeight + 20;
+        this.levelButtons.push(this.createTextButton(
+            this.cameras.main.centerX,
+            editorY,
+            'Level Editor',
+            () => this.scene.start('LevelEditorScene')
+        ));
+    }
+
+    /**
+     * Create a small clickable text button
+     * @param {number} x - Center x
+     * @param {number} y - Center y
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {Phaser.GameObjects.Text} Button
+     */
+    createTextButton(x, y, label, onClick) {
+        const button = this.add.text(x, y, label, {
+            fontSize: '16px',
+            color: '#bdc3c7',
+            backgroundColor: 'rgba(0,0,0,0.7)',
+            padding: { x: 10, y: 6 },
+            fontFamily: 'Arial'
+        }).setOrigin(0.5);
+        
+        button.setInteractive({ useHandCursor: true });
+        button.on('pointerover', () => button.setColor('#f1c40f'));
+        button.on('pointerout', () => button.setColor('#bdc3c7'));
+        button.on('pointerdown', onClick);
+        return button;
+    }
+
+    /**
+     * Build the text shown for a level
+     * @param {Object} level - Level entry from CampaignManager
+     * @param {boolean} unlocked - Whether the level can be played
+     * @param {boolean} completed - Whether the level has been won
+     * @returns {string} Button label
+     */
+    getLevelLabel(level, unlocked, completed) {
+        const number = `${level.index + 1}.`;
+        
+        if (level.error) {
+            return `${number} ${level.id} - failed to load`;
+        }
+        
+        const details = `${level.name}   ${level.rows}x${level.columns}   $${formatNumber(level.budget)}`;
+        const stars = completed ? formatStars(saveManager.getLevelRecord(level.id)?.bestStars || 1) : '';
+        const status = completed ? `  [DONE ${stars}]` : (unlocked ? '' : '  [LOCKED]');
+        return `${number} ${details}${status}${this.getBestResultLabel(level.id)}`;
+    }
+
+    /**
+     * Build the saved best results shown after a level's label
+     * @param {string} levelId - Level ID
+     * @returns {string} Best results text, empty if the level was never finished
+     */
+    getBestResultLabel(levelId) {
+        const record = saveManager.getLevelRecord(levelId);
+        if (!record || record.bestSuccessRate === null) {
+            return '';
+        }
+        
+        const cheapest = record.cheapestWin !== null ? `, cheapest win $${formatNumber(record.cheapestWin)}` : '';
+        const hints = record.fewestHintsWin > 0 ? `, ${record.fewestHintsWin} hints` : '';
+        const score = record.bestScore !== null ? `, score ${record.bestScore}` : '';
+        return `  (best ${record.bestSuccessRate.toFixed(1)}%${cheapest}${hints}${score})`;
+    }
+
+    /**
+     * Start a level
+     * @param {string} levelId - Level ID from the manifest
+     */
+    startLevel(levelId) {
+        console.log(`Starting level ${levelId}`);
+        this.scene.start('GameScene', { levelId });
+    }
+
+    /**
+     * Clean up scene objects before it shuts down
+     */
+    shutdown() {
+        this.levelButtons.forEach(button => button.destroy());
+        this.levelButtons = [];
+    }
+}
+
+export default LevelSelectScene;
\ No newline at end of file
@@ -0,0 +1,189 @@
+// Traffic Simulation Game - Bridges and Tunnels
+// Plain bridge data and span geometry shared by the Simulation, pathfinder, game state and bridge renderer
+
+import { GameConfig, BridgeKinds, BridgeCatalogue, Directions } from '../utils/Constants.js';
+
+/**
+ * A bridge or tunnel is plain data so it can be snapshotted, saved and simulated headlessly:
+ * {
+ *     kind: 'bridge',           // See BridgeKinds: bridges run over their span, tunnels under it
+ *     fromRow: 2, fromCol: 1,   // Road cell at the top or left end (0-based)
+ *     toRow: 2, toCol: 5        // Road cell at the other end, in the same row or column
+ * }
+ * The cells strictly between the ends are the span. They may hold trees,
+ * buildings or roads: cars on the span drive on the kind's own pathfinding
+ * layer, so they never meet the traffic on the ground below.
+ */
+
+/**
+ * Create bridge data between two cells, in either order
+ * @param {Object} from - One end cell {row, col}
+ * @param {Object} to - Other end cell {row, col}
+ * @param {string} kind - Kind from BridgeKinds
+ * @returns {Object} Bridge data with the top/left end first
+ */
+export function createBridgeData(from, to, kind = BridgeKinds.BRIDGE) {
+    const [first, second] = (from.row < to.row || (from.row === to.row && from.col <= to.col))
+        ? [from, to]
+        : [to, from];
+    
+    return {
+        kind,
+        fromRow: first.row,
+        fromCol: first.col,
+        toRow: second.row,
+        toCol: second.col
+    };
+}
+
+/**
+ * Deep copy bridge data
+ * @param {Object} bridge - Bridge data
+ * @returns {Object} Independent copy
+ */
+export function cloneBridgeData(bridge) {
+    return {
+        kind: bridge.kind,
+        fromRow: bridge.fromRow,
+        fromCol: bridge.fromCol,
+        toRow: bridge.toRow,
+        toCol: bridge.toCol
+    };
+}
+
+/**
+ * Get the key a bridge is stored under
+ * @param {Object} bridge - Bridge data
+ * @returns {string} "kind:fromRow,fromCol-toRow,toCol"
+ */
+export function getBridgeKey(bridge) {
+    return `${bridge.kind}:${bridge.fromRow},${bridge.fromCol}-${bridge.toRow},${bridge.toCol}`;
+}
+
+/**
+ * Get the two end cells of a bridge
+ * @param {Object} bridge - Bridge data
+ * @returns {Array} [{row, col}, {row, col}], top/left end first
+ */
+export function getBridgeEnds(bridge) {
+    return [
+        { row: bridge.fromRow, col: bridge.fromCol },
+        { row: bridge.toRow, col: bridge.toCol }
+    ];
+}
+
+/**
+ * Check if a cell is one of a bridge's ends
+ * @param {Object} bridge - Bridge data
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @returns {boolean} True if the bridge starts or ends on the cell
+ */
+export function isBridgeEnd(bridge, row, col) {
+    return getBridgeEnds(bridge).some(end => end.row === row && end.col === col);
+}
+
+/**
+ * Get the direction of travel from a bridge's first end to its second
+ * @param {Object} bridge - Bridge data
+ * @returns {string} Directions.RIGHT for a bridge along a row, Directions.DOWN along a column
+ */
+export function getBridgeDirection(bridge) {
+    return bridge.fromRow === bridge.toRow ? Directions.RIGHT : Directions.DOWN;
+}
+
+/**
+ * Get the cells a bridge spans, between its ends
+ * @param {Object} bridge - Bridge data
+ * @returns {Array} Array of {row, col} from the first end to the second
+ */
+export function getBridgeSpan(bridge) {
+    const span = [];
+    const stepRow = Math.sign(bridge.toRow - bridge.fromRow);
+    const stepCol = Math.sign(bridge.toCol - bridge.fromCol);
+    
+    let row = bridge.fromRow + stepRow;
+    let col = bridge.fromCol + stepCol;
+    while (row !== bridge.toRow || col !== bridge.toCol) {
+        span.push({ row, col });
+        row += stepRow;
+        col += stepCol;
+    }
+    
+    return span;
+}
+
+/**
+ * Get the pathfinding layer a bridge's span is on
+ * @param {Object} bridge - Bridge data
+ * @returns {number} Layer (above 0 for bridges, below 0 for tunnels)
+ */
+export function getBridgeLayer(bridge) {
+    return BridgeCatalogue[bridge.kind].layer;
+}
+
+/**
+ * Get what a bridge costs to build
+ * @param {Object} bridge - Bridge data
+ * @returns {number} Cost of every spanned cell at its kind's price
+ */
+export function getBridgeCost(bridge) {
+    return getBridgeSpan(bridge).length * BridgeCatalogue[bridge.kind].costPerCell;
+}
+
+/**
+ * Check if two bridges of the same layer pass over a common cell
+ * A bridge and a tunnel may cross the same cell; two bridges may not.
+ * @param {Object} a - Bridge data
+ * @param {Object} b - Bridge data
+ * @returns {boolean} True if their spans share a cell on one layer
+ */
+export function bridgesOverlap(a, b) {
+    if (getBridgeLayer(a) !== getBridgeLayer(b)) {
+        return false;
+    }
+    
+    const spanB = getBridgeSpan(b);
+    return getBridgeSpan(a).some(cell => spanB.some(other => other.row === cell.row && other.col === cell.col));
+}
+
+/**
+ * Validate bridge data (from a save or layout file)
+ * @param {Object} bridge - Bridge data
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateBridgeData(bridge) {
+    if (!bridge || !BridgeCatalogue[bridge.kind]) {
+        return `unknown bridge kind '${bridge ? bridge.kind : bridge}'`;
+    }
+    if (![bridge.fromRow, bridge.fromCol, bridge.toRow, bridge.toCol].every(Number.isInteger)) {
+        return 'bridge fromRow, fromCol, toRow and toCol must be whole numbers';
+    }
+    if (bridge.fromRow !== bridge.toRow && bridge.fromCol !== bridge.toCol) {
+        return 'bridge ends must be in the same row or column';
+    }
+    if (bridge.fromRow > bridge.toRow || bridge.fromCol > bridge.toCol) {
+        return 'bridge must list its top/left end first';
+    }
+    
+    const spanLength = Math.abs(bridge.toRow - bridge.fromRow) + Math.abs(bridge.toCol - bridge.fromCol) - 1;
+    if (spanLength < 1 || spanLength > GameConfig.bridgeMaxSpan) {
+        return `bridge must span 1 to ${GameConfig.bridgeMaxSpan} cells between its ends`;
+    }
+    
+    return null;
+}
+
+export default {
+    createBridgeData,
+    cloneBridgeData,
+    getBridgeKey,
+    getBridgeEnds,
+    isBridgeEnd,
+    getBridgeDirection,
+    getBridgeSpan,
+    getBridgeLayer,
+    getBridgeCost,
+    bridgesOverlap,
+    validateBridgeData,
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Traffic Simulation Game - Junctions
+// The one rule for which roads are junctions, shared by the Simulation (shared lanes) and game state (signals)
+
+import { GameConfig } from '../utils/Constants.js';
+import { gridKey, getAdjacentPositions, getDiagonalLinks } from '../utils/Helpers.js';
+import { isBridgeEnd } from './Bridges.js';
+
+/**
+ * A junction is a road where traffic from several sides meets: one linked to
+ * at least GameConfig.junctionMinRoads others. A straight neighbour counts
+ * when it is a road, an entrance or an exit; a bridge or tunnel ending on the
+ * road counts once; in diagonal mode, so does each diagonal road it links to.
+ * Every direction shares a junction's lanes, and only junctions take signals.
+ *
+ * The checks take a layout {roads, bridges, level}: roads keyed by "row,col",
+ * bridge data in a Map or array, and the processed level data.
+ */
+
+/**
+ * Get the cells cars enter or leave the grid through
+ * @param {Object} level - Processed level data
+ * @returns {Set} Set of "row,col" keys of every entrance and exit
+ */
+export function getTerminalCells(level) {
+    const cells = new Set();
+    level.cars.forEach(carType => {
+        [...carType.entrances, ...carType.exits].forEach(position => cells.add(gridKey(position.row, position.col)));
+    });
+    return cells;
+}
+
+/**
+ * Count the roads, entrances, exits and bridge ends a road links to
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Object} layout - {roads, bridges, level}
+ * @param {Set} [terminals] - Entrance and exit cells (see getTerminalCells), when already known
+ * @returns {number} Number of links
+ */
+export function countJunctionLinks(row, col, { roads, bridges, level }, terminals = getTerminalCells(level)) {
+    let links = getAdjacentPositions(row, col).filter(position => {
+        const positionKey = gridKey(position.row, position.col);
+        return roads.has(positionKey) || terminals.has(positionKey);
+    }).length;
+    
+    if (level.diagonal === true) {
+        links += getDiagonalLinks(row, col, roads, level.uneditableCells).length;
+    }
+    
+    bridges.forEach(bridge => {
+        if (isBridgeEnd(bridge, row, col)) {
+            links++;
+        }
+    });
+    
+    return links;
+}
+
+/**
+ * Check if a cell holds a junction road
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Object} layout - {roads, bridges, level}
+ * @param {Set} [terminals] - Entrance and exit cells (see getTerminalCells), when already known
+ * @returns {boolean} True for a road with at least junctionMinRoads links
+ */
+export function isJunction(row, col, layout, terminals) {
+    return layout.roads.has(gridKey(row, col)) &&
+           countJunctionLinks(row, col, layout, terminals) >= GameConfig.junctionMinRoads;
+}
+
+/**
+ * Find every junction in a layout
+ * @param {Object} layout - {roads, bridges, level}; roads hold {row, col}
+ * @returns {Set} Set of "row,col" keys of junction roads
+ */
+export function findJunctions(layout) {
+    const terminals = getTerminalCells(layout.level);
+    const junctions = new Set();
+    
+    layout.roads.forEach((road, key) => {
+        if (isJunction(road.row, road.col, layout, terminals)) {
+            junctions.add(key);
+        }
+    });
+    
+    return junctions;
+}
+
+export default {
+    getTerminalCells,
+    countJunctionLinks,
+    isJunction,
+    findJunctions,
+};
\ No newline at end of file
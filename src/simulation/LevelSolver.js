@@ -0,0 +1,844 @@
+// Traffic Simulation Game - Level Solver
+// Searches for the cheapest road layout that connects every car type's entrances, waypoints and exit
+
+import { GameConfig } from '../utils/Constants.js';
+import {
+    gridKey, clamp, getAdjacentPositions, getDirectionBetween, isValidGridPosition, countDiagonalLinks,
+    getRoadType, getCheapestRoadType
+} from '../utils/Helpers.js';
+import { PathFinder } from '../utils/PathFinder.js';
+
+const UNREACHABLE = 1e9;
+
+/**
+ * LevelSolver proves a level can be built within its budget. It builds every
+ * road with one road type, by default the cheapest in RoadCatalogue, so every
+ * road costs the same and the cheapest layout is the smallest set of road cells in which
+ * each car type's entrance cells, waypoint cells and exit cell are connected (a
+ * Steiner forest on the grid). Small levels are solved exactly with the
+ * Dreyfus-Wagner dynamic program; levels with many entrances fall back to a
+ * greedy shortest-path heuristic and report the result as not proven optimal.
+ * Car types with several exits are connected to the one nearest their
+ * entrances, which is also reported as not proven optimal.
+ *
+ * In diagonal mode the solver still links roads straight, but prices the
+ * diagonal links its roads make and checks the routes with diagonal links on.
+ * A layout using diagonals may be cheaper, so the cost is not proven optimal.
+ *
+ * Arrows are then assigned along each car type's routes, and the finished
+ * layout is checked with the game's own PathFinder.
+ */
+export class LevelSolver {
+    /**
+     * @param {Object} options - Solver options
+     * @param {Object} options.level - Processed level data from LevelManager
+     * @param {number} [options.budget] - Budget to solve within
+     * @param {number} [options.maxExactTerminals] - Most distinct entrance/exit cells solved exactly
+     * @param {string} [options.roadType] - Road type from RoadTypes to build with (the cheapest by default)
+     * @param {number} [options.maxOneWayOrders] - Most car type orders tried for the one-way layout
+     */
+    constructor({
+        level, budget = GameConfig.defaultBudget, maxExactTerminals = 12, roadType = getCheapestRoadType(), maxOneWayOrders = 720
+    }) {
+        this.level = level;
+        this.rows = level.grid.rows;
+        this.cols = level.grid.columns;
+        this.budget = budget;
+        this.roadType = roadType;
+        this.maxExactTerminals = maxExactTerminals;
+        this.maxOneWayOrders = maxOneWayOrders;
+        
+        const obstacles = level.uneditableCells || new Set();
+        this.passable = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                this.passable.push(!obstacles.has(gridKey(row, col)));
+            }
+        }
+        
+        // Cells each car type's routes pass after the entrance: waypoints, then one exit
+        this.routeStops = level.cars.map(car => this.chooseStops(car));
+    }
+
+    /**
+     * Search for the cheapest layout
+     * @returns {Object} Result {solvable, withinBudget, optimal, roadType, roadCount, cost, budget,
+     *                   layout: {roads, signals}, routes, headOnRoads, oneWay, unreachable}
+     *                   oneWay is {roadCount, cost, withinBudget, layout, routes} or null
+     */
+    solve() {
+        const { terminals, groups } = this.collectTerminals();
+        
+        const unreachable = groups.filter(group => !this.isGroupConnectable(group));
+        if (unreachable.length > 0) {
+            return this.createResult({ solvable: false, optimal: false, cells: [], routes: [], oneWay: null, unreachable });
+        }
+        
+        const exact = terminals.length <= this.maxExactTerminals && this.level.cars.every(car => car.exits.length === 1);
+        const optimal = exact && this.level.diagonal !== true;
+        const cells = exact ? this.solveExact(terminals, groups) : this.solveGreedy(groups);
+        const routes = this.assignRoutes(cells);
+        const oneWay = this.findCheapestOneWay();
+        
+        console.log(`Solver placed ${cells.length} roads (${optimal ? 'optimal' : 'heuristic'}) for ${terminals.length} entrance/exit cells`);
+        return this.createResult({ solvable: true, optimal, cells, routes, oneWay, unreachable: [] });
+    }
+
+    /**
+     * Build the solver result, including the layout with arrows
+     * @param {Object} parts - {solvable, optimal, cells, routes, oneWay, unreachable}
+     * @returns {Object} Solver result
+     */
+    createResult({ solvable, optimal, cells, routes, oneWay, unreachable }) {
+        const cost = this.getCost(cells);
+        const oneWayCost = oneWay && this.getCost(oneWay.cells);
+        
+        return {
+            solvable,
+            withinBudget: solvable && cost <= this.budget,
+            optimal,
+            roadType: this.roadType,
+            roadCount: cells.length,
+            cost,
+            budget: this.budget,
+            layout: { roads: solvable ? this.buildRoads(cells, routes) : [], signals: [] },
+            routes,
+            headOnRoads: this.countHeadOnRoads(routes),
+            oneWay: oneWay && {
+                roadCount: oneWay.cells.length,
+                cost: oneWayCost,
+                withinBudget: oneWayCost <= this.budget,
+                layout: { roads: this.buildRoads(oneWay.cells, oneWay.routes), signals: [] },
+                routes: oneWay.routes
+            },
+            unreachable: unreachable.map(group => ({
+                carIndices: group.carIndices,
+                colors: group.carIndices.map(index => this.level.cars[index].color)
+            }))
+        };
+    }
+
+    /**
+     * Get what a set of road cells costs to build
+     * @param {Array} cells - Cell indices
+     * @returns {number} Cost of the roads, and of the diagonal links between them in diagonal mode
+     */
+    getCost(cells) {
+        const cost = cells.length * getRoadType(this.roadType).cost;
+        if (this.level.diagonal !== true) {
+            return cost;
+        }
+        
+        const roads = new Map(cells.map(cell => {
+            const row = Math.floor(cell / this.cols);
+            const col = cell % this.cols;
+            return [gridKey(row, col), { row, col }];
+        }));
+        return cost + countDiagonalLinks(roads, this.level.uneditableCells) * GameConfig.diagonalLinkCost;
+    }
+
+    /**
+     * Terminals
+     */
+    
+    /**
+     * Get the grid cell a car enters or leaves through
+     * @param {Object} position - Processed entrance or exit {row, col, isEntrance}
+     * @returns {number} Cell index
+     */
+    getEdgeCell(position) {
+        // Edge positions sit one step outside the grid; cars use the cell straight ahead
+        const row = clamp(position.row, 0, this.rows - 1);
+        const col = clamp(position.col, 0, this.cols - 1);
+        return row * this.cols + col;
+    }
+
+    /**
+     * Pick the cells a car type's routes must pass: its waypoints, then the exit nearest them
+     * The game sends cars to the nearest exit they can reach, so connecting one exit is enough.
+     * @param {Object} car - Processed car type
+     * @returns {Array} Cell indices, the exit last
+     */
+    chooseStops(car) {
+        const waypoints = car.waypoints.map(waypoint => waypoint.row * this.cols + waypoint.col);
+        const sources = waypoints.length > 0 ? [waypoints[waypoints.length - 1]] : car.entrances.map(entrance => this.getEdgeCell(entrance));
+        const distances = sources.map(cell => this.measureDistances(cell));
+        
+        let bestCell = this.getEdgeCell(car.exits[0]);
+        let bestLength = Infinity;
+        car.exits.forEach(exit => {
+            const cell = this.getEdgeCell(exit);
+            const length = distances.reduce((sum, distance) => sum + (distance.get(cell) ?? UNREACHABLE), 0);
+            if (length < bestLength) {
+                bestCell = cell;
+                bestLength = length;
+            }
+        });
+        
+        return [...waypoints, bestCell];
+    }
+
+    /**
+     * Collect the distinct entrance/exit cells and the groups that must be connected
+     * Car types that share a cell have to share a road network, so they form one group.
+     * @returns {Object} {terminals: Array of cell indices, groups: Array of {carIndices, terminals, mask}}
+     */
+    collectTerminals() {
+        const terminals = [];
+        const terminalIndex = new Map(); // cell index -> terminal number
+        const addTerminal = cell => {
+            if (!terminalIndex.has(cell)) {
+                terminalIndex.set(cell, terminals.length);
+                terminals.push(cell);
+            }
+            return terminalIndex.get(cell);
+        };
+        
+        let groups = this.level.cars.map((car, carIndex) => {
+            const cells = [...car.entrances.map(entrance => this.getEdgeCell(entrance)), ...this.routeStops[carIndex]];
+            const ids = [...new Set(cells.map(addTerminal))];
+            return { carIndices: [carIndex], terminals: ids.map(id => terminals[id]), mask: ids.reduce((mask, id) => mask | (1 << id), 0) };
+        });
+        
+        // Merge groups that share a terminal until none do
+        let merged = true;
+        while (merged) {
+            merged = false;
+            for (let i = 0; i < groups.length && !merged; i++) {
+                for (let j = i + 1; j < groups.length && !merged; j++) {
+                    if (groups[i].terminals.some(cell => groups[j].terminals.includes(cell))) {
+                        groups[i] = {
+                            carIndices: [...groups[i].carIndices, ...groups[j].carIndices],
+                            terminals: [...new Set([...groups[i].terminals, ...groups[j].terminals])],
+                            mask: groups[i].mask | groups[j].mask
+                        };
+                        groups = groups.filter((group, index) => index !== j);
+                        merged = true;
+                    }
+                }
+            }
+        }
+        
+        return { terminals, groups };
+    }
+
+    /**
+     * Check that every terminal of a group lies in one obstacle-free region
+     * @param {Object} group - Terminal group
+     * @returns {boolean} True if the group can be connected
+     */
+    isGroupConnectable(group) {
+        if (group.terminals.some(cell => !this.passable[cell])) {
+            return false;
+        }
+        
+        const reached = this.flood(group.terminals[0]);
+        return group.terminals.every(cell => reached.has(cell));
+    }
+
+    /**
+     * Find every passable cell reachable from a cell
+     * @param {number} start - Start cell index
+     * @returns {Set} Reached cell indices
+     */
+    flood(start) {
+        const reached = new Set([start]);
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            this.getNeighbors(cell).forEach(next => {
+                if (!reached.has(next)) {
+                    reached.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+        
+        return reached;
+    }
+
+    /**
+     * Count the steps from a cell to every passable cell reachable from it
+     * @param {number} start - Start cell index
+     * @returns {Map} Cell index -> steps
+     */
+    measureDistances(start) {
+        const distances = new Map([[start, 0]]);
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            this.getNeighbors(cell).forEach(next => {
+                if (!distances.has(next)) {
+                    distances.set(next, distances.get(cell) + 1);
+                    queue.push(next);
+                }
+            });
+        }
+        
+        return distances;
+    }
+
+    /**
+     * Get the passable cells next to a cell
+     * @param {number} cell - Cell index
+     * @returns {Array} Neighbouring cell indices
+     */
+    getNeighbors(cell) {
+        const row = Math.floor(cell / this.cols);
+        const col = cell % this.cols;
+        
+        return getAdjacentPositions(row, col)
+            .filter(pos => isValidGridPosition(pos.row, pos.col, this.rows, this.cols))
+            .map(pos => pos.row * this.cols + pos.col)
+            .filter(next => this.passable[next]);
+    }
+
+    /**
+     * Exact search
+     */
+    
+    /**
+     * Find the smallest road set connecting every group (Dreyfus-Wagner plus a forest split)
+     * @param {Array} terminals - Distinct terminal cells
+     * @param {Array} groups - Terminal groups
+     * @returns {Array} Road cell indices
+     */
+    solveExact(terminals, groups) {
+        const trees = this.buildSteinerTable(terminals);
+        
+        // best[S] = cheapest forest for the groups in S, choice[S] = groups sharing one tree with the lowest group
+        const groupCount = groups.length;
+        const full = (1 << groupCount) - 1;
+        const best = new Array(full + 1).fill(UNREACHABLE);
+        const choice = new Array(full + 1).fill(0);
+        best[0] = 0;
+        
+        for (let set = 1; set <= full; set++) {
+            const lowest = set & -set;
+            for (let block = set; block > 0; block = (block - 1) & set) {
+                if (!(block & lowest)) {
+                    continue;
+                }
+                
+                const terminalMask = groups.reduce((mask, group, index) => (block & (1 << index)) ? mask | group.mask : mask, 0);
+                const cost = trees.getCost(terminalMask) + best[set ^ block];
+                if (cost < best[set]) {
+                    best[set] = cost;
+                    choice[set] = block;
+                }
+            }
+        }
+        
+        const cells = new Set();
+        for (let set = full; set > 0; set ^= choice[set]) {
+            const block = choice[set];
+            const terminalMask = groups.reduce((mask, group, index) => (block & (1 << index)) ? mask | group.mask : mask, 0);
+            trees.collect(terminalMask, cells);
+        }
+        
+        return [...cells];
+    }
+
+    /**
+     * Build the Dreyfus-Wagner table: the fewest cells connecting each subset of terminals
+     * @param {Array} terminals - Distinct terminal cells
+     * @returns {Object} {getCost(mask), collect(mask, cells)}
+     */
+    buildSteinerTable(terminals) {
+        const cellCount = this.rows * this.cols;
+        const maskCount = 1 << terminals.length;
+        
+        // cost[mask * cellCount + v] = fewest cells in a connected set holding v and the terminals in mask
+        // back: 0 = a lone terminal, > 0 = split into that submask and the rest at v, < 0 = extended from cell -back - 1
+        const cost = new Int32Array(maskCount * cellCount).fill(UNREACHABLE);
+        const back = new Int32Array(maskCount * cellCount);
+        const neighbors = [];
+        for (let cell = 0; cell < cellCount; cell++) {
+            neighbors.push(this.passable[cell] ? this.getNeighbors(cell) : []);
+        }
+        
+        terminals.forEach((cell, index) => {
+            cost[(1 << index) * cellCount + cell] = 1;
+        });
+        
+        for (let mask = 1; mask < maskCount; mask++) {
+            const base = mask * cellCount;
+            const lowest = mask & -mask;
+            
+            // Join two smaller trees at a shared cell (counted once)
+            for (let sub = (mask - 1) & mask; sub > 0; sub = (sub - 1) & mask) {
+                if (!(sub & lowest)) {
+                    continue;
+                }
+                const subBase = sub * cellCount;
+                const restBase = (mask ^ sub) * cellCount;
+                for (let cell = 0; cell < cellCount; cell++) {
+                    const joined = cost[subBase + cell] + cost[restBase + cell] - 1;
+                    if (joined < cost[base + cell]) {
+                        cost[base + cell] = joined;
+                        back[base + cell] = sub;
+                    }
+                }
+            }
+            
+            this.extendTrees(cost, back, base, cellCount, neighbors);
+        }
+        
+        const bestCells = new Map(); // mask -> cell where its cheapest tree is rooted
+        const getBestCell = mask => {
+            if (bestCells.has(mask)) {
+                return bestCells.get(mask);
+            }
+            
+            let bestCell = -1;
+            for (let cell = 0; cell < cellCount; cell++) {
+                if (cost[mask * cellCount + cell] < UNREACHABLE && (bestCell === -1 || cost[mask * cellCount + cell] < cost[mask * cellCount + bestCell])) {
+                    bestCell = cell;
+                }
+            }
+            bestCells.set(mask, bestCell);
+            return bestCell;
+        };
+        
+        const collectFrom = (mask, cell, cells) => {
+            cells.add(cell);
+            const step = back[mask * cellCount + cell];
+            if (step > 0) {
+                collectFrom(step, cell, cells);
+                collectFrom(mask ^ step, cell, cells);
+            } else if (step < 0) {
+                collectFrom(mask, -step - 1, cells);
+            }
+        };
+        
+        return {
+            getCost: mask => {
+                const cell = getBestCell(mask);
+                return cell === -1 ? UNREACHABLE : cost[mask * cellCount + cell];
+            },
+            collect: (mask, cells) => collectFrom(mask, getBestCell(mask), cells)
+        };
+    }
+
+    /**
+     * Grow every tree of one terminal subset by paths (a unit-weight Dijkstra)
+     * @param {Int32Array} cost - Cost table
+     * @param {Int32Array} back - Back-pointer table
+     * @param {number} base - Offset of the subset in the tables
+     * @param {number} cellCount - Cells in the grid
+     * @param {Array} neighbors - Passable neighbours per cell
+     */
+    extendTrees(cost, back, base, cellCount, neighbors) {
+        // Seeds in cost order, then a FIFO of relaxed cells; both pop in non-decreasing order
+        const seeds = [];
+        for (let cell = 0; cell < cellCount; cell++) {
+            if (cost[base + cell] < UNREACHABLE) {
+                seeds.push(cell);
+            }
+        }
+        seeds.sort((a, b) => cost[base + a] - cost[base + b]);
+        
+        const queue = [];
+        const queueCost = [];
+        let seedIndex = 0;
+        let queueIndex = 0;
+        
+        while (seedIndex < seeds.length || queueIndex < queue.length) {
+            let cell;
+            let value;
+            if (queueIndex >= queue.length || (seedIndex < seeds.length && cost[base + seeds[seedIndex]] <= queueCost[queueIndex])) {
+                cell = seeds[seedIndex++];
+                value = cost[base + cell];
+            } else {
+                cell = queue[queueIndex];
+                value = queueCost[queueIndex++];
+            }
+            
+            // Skip stale entries
+            if (value !== cost[base + cell]) {
+                continue;
+            }
+            
+            neighbors[cell].forEach(next => {
+                if (value + 1 < cost[base + next]) {
+                    cost[base + next] = value + 1;
+                    back[base + next] = -cell - 1;
+                    queue.push(next);
+                    queueCost.push(value + 1);
+                }
+            });
+        }
+    }
+
+    /**
+     * Heuristic search
+     */
+    
+    /**
+     * Connect each group's terminals one at a time by the cheapest path, reusing placed roads for free
+     * @param {Array} groups - Terminal groups
+     * @returns {Array} Road cell indices
+     */
+    solveGreedy(groups) {
+        const roads = new Set();
+        
+        groups.forEach(group => {
+            const connected = new Set([group.terminals[0]]);
+            roads.add(group.terminals[0]);
+            
+            let remaining = group.terminals.slice(1).filter(cell => !connected.has(cell));
+            while (remaining.length > 0) {
+                const path = this.findCheapestPath(connected, new Set(remaining), roads);
+                path.forEach(cell => {
+                    connected.add(cell);
+                    roads.add(cell);
+                });
+                remaining = remaining.filter(cell => !connected.has(cell));
+            }
+        });
+        
+        return [...roads];
+    }
+
+    /**
+     * Find the path from a connected set to the nearest target that adds the fewest new roads
+     * Placed roads cost nothing and join the connected set when reached.
+     * @param {Set} sources - Connected cell indices
+     * @param {Set} targets - Target cell indices
+     * @param {Set} roads - Cells that already hold a road
+     * @returns {Array} Cell indices on the path
+     */
+    findCheapestPath(sources, targets, roads) {
+        // 0-1 BFS: entering a placed road is free, any other cell costs one road
+        const distance = new Map();
+        const previous = new Map();
+        const deque = [];
+        sources.forEach(cell => {
+            distance.set(cell, 0);
+            deque.push(cell);
+        });
+        
+        while (deque.length > 0) {
+            const cell = deque.shift();
+            if (targets.has(cell)) {
+                const path = [];
+                for (let step = cell; step !== undefined; step = previous.get(step)) {
+                    path.push(step);
+                }
+                return path;
+            }
+            
+            this.getNeighbors(cell).forEach(next => {
+                const weight = roads.has(next) ? 0 : 1;
+                const nextDistance = distance.get(cell) + weight;
+                if (!distance.has(next) || nextDistance < distance.get(next)) {
+                    distance.set(next, nextDistance);
+                    previous.set(next, cell);
+                    if (weight === 0) {
+                        deque.unshift(next);
+                    } else {
+                        deque.push(next);
+                    }
+                }
+            });
+        }
+        
+        // isGroupConnectable ran first, so every target is reachable
+        return [];
+    }
+
+    /**
+     * One-way search
+     */
+    
+    /**
+     * Try routing car types in different orders and keep the cheapest one-way layout
+     * Every order is tried if there are at most maxOneWayOrders of them (up to six car
+     * types by default), otherwise the level order and its reverse.
+     * @returns {Object|null} {cells, routes} or null if no order works
+     */
+    findCheapestOneWay() {
+        const indices = this.level.cars.map((car, index) => index);
+        let orderCount = 1;
+        indices.forEach(index => {
+            orderCount *= index + 1;
+        });
+        const orders = orderCount <= this.maxOneWayOrders ? this.getPermutations(indices) : [indices, [...indices].reverse()];
+        
+        let best = null;
+        orders.forEach(order => {
+            const candidate = this.solveOneWay(order);
+            if (candidate && (!best || candidate.cells.length < best.cells.length)) {
+                best = candidate;
+            }
+        });
+        
+        return best;
+    }
+    
+    /**
+     * List every ordering of some values
+     * @param {Array} values - Values
+     * @returns {Array} Arrays of the values in every order
+     */
+    getPermutations(values) {
+        if (values.length <= 1) {
+            return [values];
+        }
+        
+        return values.flatMap((value, index) => this.getPermutations(values.filter((other, otherIndex) => otherIndex !== index))
+            .map(rest => [value, ...rest]));
+    }
+    
+    /**
+     * Route every entrance in turn so no road is driven in both directions
+     * Cars on a road cannot pass each other, so head-on traffic on the cheapest
+     * layout can jam. Each route reuses placed roads for free but may not drive
+     * against a route that is already placed.
+     * @param {Array} order - Car type indices in routing order
+     * @returns {Object|null} {cells, routes} or null if some entrance was cut off
+     */
+    solveOneWay(order) {
+        const cellCount = this.rows * this.cols;
+        const roads = new Set();
+        const usedMoves = new Set(); // from * cellCount + to
+        const routes = [];
+        
+        for (const carIndex of order) {
+            const car = this.level.cars[carIndex];
+            
+            for (let entranceIndex = 0; entranceIndex < car.entrances.length; entranceIndex++) {
+                // Place each leg before the next so later legs may reuse it but not drive against it
+                let path = [this.getEdgeCell(car.entrances[entranceIndex])];
+                for (const stop of this.routeStops[carIndex]) {
+                    const leg = this.findOneWayPath(path[path.length - 1], stop, roads, usedMoves);
+                    if (!leg) {
+                        return null;
+                    }
+                    
+                    leg.forEach((cell, index) => {
+                        roads.add(cell);
+                        if (index > 0) {
+                            usedMoves.add(leg[index - 1] * cellCount + cell);
+                        }
+                    });
+                    path = path.concat(leg.slice(1));
+                }
+                
+                routes.push({
+                    carIndex,
+                    entranceIndex,
+                    path: path.map(cell => ({ row: Math.floor(cell / this.cols), col: cell % this.cols }))
+                });
+            }
+        }
+        
+        return { cells: [...roads], routes };
+    }
+    
+    /**
+     * Find the path adding the fewest roads that never drives against a placed route
+     * @param {number} start - Start cell index
+     * @param {number} end - End cell index
+     * @param {Set} roads - Cells that already hold a road
+     * @param {Set} usedMoves - Moves already driven (from * cellCount + to)
+     * @returns {Array|null} Cell indices from start to end, or null if none
+     */
+    findOneWayPath(start, end, roads, usedMoves) {
+        const cellCount = this.rows * this.cols;
+        const distance = new Map([[start, roads.has(start) ? 0 : 1]]);
+        const previous = new Map([[start, null]]);
+        const deque = [start];
+        
+        while (deque.length > 0) {
+            const cell = deque.shift();
+            if (cell === end) {
+                const path = [];
+                for (let step = cell; step !== null; step = previous.get(step)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            
+            this.getNeighbors(cell).forEach(next => {
+                if (usedMoves.has(next * cellCount + cell)) {
+                    return;
+                }
+                
+                const weight = roads.has(next) ? 0 : 1;
+                const nextDistance = distance.get(cell) + weight;
+                if (!distance.has(next) || nextDistance < distance.get(next)) {
+                    distance.set(next, nextDistance);
+                    previous.set(next, cell);
+                    if (weight === 0) {
+                        deque.unshift(next);
+                    } else {
+                        deque.push(next);
+                    }
+                }
+            });
+        }
+        
+        return null;
+    }
+
+    /**
+     * Routes and arrows
+     */
+    
+    /**
+     * Find each entrance's route through its waypoints to its exit over the chosen roads
+     * @param {Array} cells - Road cell indices
+     * @returns {Array} Routes [{carIndex, entranceIndex, path: Array of {row, col}}]
+     */
+    assignRoutes(cells) {
+        const roads = new Set(cells);
+        const routes = [];
+        
+        this.level.cars.forEach((car, carIndex) => {
+            car.entrances.forEach((entrance, entranceIndex) => {
+                const path = this.findRouteThrough(this.getEdgeCell(entrance), this.routeStops[carIndex], roads);
+                routes.push({
+                    carIndex,
+                    entranceIndex,
+                    path: path.map(cell => ({ row: Math.floor(cell / this.cols), col: cell % this.cols }))
+                });
+            });
+        });
+        
+        return routes;
+    }
+
+    /**
+     * Join the routes between consecutive stops
+     * @param {number} start - Start cell index
+     * @param {Array} stops - Cell indices to reach in order
+     * @param {Set} roads - Road cell indices
+     * @returns {Array} Cell indices from start to the last stop (empty if some stop is unreachable)
+     */
+    findRouteThrough(start, stops, roads) {
+        let path = [start];
+        
+        for (const stop of stops) {
+            const leg = this.findRoute(path[path.length - 1], stop, roads);
+            if (leg.length === 0) {
+                return [];
+            }
+            path = path.concat(leg.slice(1));
+        }
+        
+        return path;
+    }
+
+    /**
+     * Breadth-first route between two cells over road cells only
+     * @param {number} start - Start cell index
+     * @param {number} end - End cell index
+     * @param {Set} roads - Road cell indices
+     * @returns {Array} Cell indices from start to end (empty if unreachable)
+     */
+    findRoute(start, end, roads) {
+        const previous = new Map([[start, null]]);
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const cell = queue.shift();
+            if (cell === end) {
+                const path = [];
+                for (let step = cell; step !== null; step = previous.get(step)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            
+            this.getNeighbors(cell).forEach(next => {
+                if (roads.has(next) && !previous.has(next)) {
+                    previous.set(next, cell);
+                    queue.push(next);
+                }
+            });
+        }
+        
+        return [];
+    }
+
+    /**
+     * Turn road cells and routes into layout roads with arrows
+     * Each road gets the arrows its routes leave by; exit cells keep none (open in all directions).
+     * @param {Array} cells - Road cell indices
+     * @param {Array} routes - Routes from assignRoutes
+     * @returns {Array} Layout roads [{row, col, type, directions}]
+     */
+    buildRoads(cells, routes) {
+        const directions = new Map(cells.map(cell => [cell, new Set()]));
+        
+        routes.forEach(route => {
+            for (let i = 0; i < route.path.length - 1; i++) {
+                const from = route.path[i];
+                const to = route.path[i + 1];
+                directions.get(from.row * this.cols + from.col).add(getDirectionBetween(from.row, from.col, to.row, to.col));
+            }
+        });
+        
+        return [...directions.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([cell, set]) => ({
+                row: Math.floor(cell / this.cols),
+                col: cell % this.cols,
+                type: this.roadType,
+                directions: [...set]
+            }));
+    }
+
+    /**
+     * Count the roads some route leaves the way another route came in
+     * Cars cannot pass each other, so traffic meeting head-on there can jam.
+     * @param {Array} routes - Routes from assignRoutes
+     * @returns {number} Number of roads driven in both directions between the same cells
+     */
+    countHeadOnRoads(routes) {
+        const moves = new Set();
+        routes.forEach(route => {
+            for (let i = 0; i < route.path.length - 1; i++) {
+                moves.add(`${gridKey(route.path[i].row, route.path[i].col)}>${gridKey(route.path[i + 1].row, route.path[i + 1].col)}`);
+            }
+        });
+        
+        const headOn = new Set();
+        moves.forEach(move => {
+            const [from, to] = move.split('>');
+            if (moves.has(`${to}>${from}`)) {
+                headOn.add(from);
+            }
+        });
+        
+        return headOn.size;
+    }
+
+    /**
+     * Check a solved layout with the game's PathFinder
+     * @param {Object} layout - Layout from a solve() result
+     * @returns {Array} Routes the game could not find [{carIndex, entranceIndex}]
+     */
+    verify(layout) {
+        const pathFinder = new PathFinder();
+        const roads = new Map(layout.roads.map(road => [gridKey(road.row, road.col), road]));
+        pathFinder.updateGrid(roads, this.level.uneditableCells || new Set(), this.rows, this.cols, new Map(), this.level.diagonal === true);
+        
+        const missing = [];
+        this.level.cars.forEach((car, carIndex) => {
+            car.entrances.forEach((entrance, entranceIndex) => {
+                if (!pathFinder.findPathToNearestExit(entrance, car.waypoints, car.exits, this.rows, this.cols)) {
+                    missing.push({ carIndex, entranceIndex });
+                }
+            });
+        });
+        
+        pathFinder.destroy();
+        return missing;
+    }
+}
+
+export default LevelSolver;
\ No newline at end of file
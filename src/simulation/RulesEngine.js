@@ -0,0 +1,302 @@
+// Traffic Simulation Game - Rules Engine
+// Decides when a run is won or lost from the level's objectives
+
+import { GameConfig, ObjectiveTypes } from '../utils/Constants.js';
+
+// Status of an objective at one moment of a run
+export const ObjectiveStatus = {
+    PENDING: 'pending',
+    MET: 'met',
+    FAILED: 'failed',
+};
+
+/**
+ * Objective definitions keyed by type. Goals must all be met to win; the
+ * others are limits that only ever lose a run. Each definition has:
+ *     goal: boolean
+ *     params: {name: 'required'|'optional'} accepted in the level JSON
+ *     carsPerType(objective, level): cars of each type the run must spawn (optional)
+ *     describe(objective): text for the HUD
+ *     progress(objective, context): short progress text for the HUD
+ *     check(objective, context): {status, message}
+ * The context is built by Simulation.getRulesContext() plus carTypes.
+ */
+const ObjectiveDefinitions = {
+    [ObjectiveTypes.SUCCESS_RATE]: {
+        goal: true,
+        params: { threshold: 'optional', minCarsPerType: 'optional' },
+        describe: objective => `${formatPercent(getThreshold(objective))} of cars reach their exit`,
+        progress: (objective, context) => formatPercent(getRate(context)),
+        check: (objective, context) => {
+            const finished = context.reached + context.failed;
+            const rate = getRate(context);
+            const threshold = getThreshold(objective);
+            const minCars = context.carTypes * (objective.minCarsPerType ?? GameConfig.minCarsPerTypeToJudge);
+            
+            if (finished >= minCars) {
+                if (rate >= threshold) {
+                    return met(`Success rate ${formatPercent(rate)} >= ${formatPercent(threshold)}`);
+                }
+                if (context.failed > context.reached) {
+                    return failed(`Too many failures: ${context.failed} failed vs ${context.reached} succeeded`);
+                }
+            }
+            
+            // Every car has finished without a decision: judge what we have
+            if (context.runOver) {
+                const message = `All cars finished with success rate ${formatPercent(rate)}`;
+                return finished > 0 && rate >= threshold ? met(message) : failed(message);
+            }
+            
+            return pending();
+        }
+    },
+    
+    [ObjectiveTypes.DELIVER]: {
+        goal: true,
+        params: { count: 'required' },
+        carsPerType: (objective, level) => Math.ceil(objective.count / level.cars.length),
+        describe: objective => `Deliver ${objective.count} cars`,
+        progress: (objective, context) => `${context.reached}/${objective.count}`,
+        check: (objective, context) => {
+            if (context.reached >= objective.count) {
+                return met(`Delivered ${context.reached} cars`);
+            }
+            
+            if (context.runOver) {
+                return failed(`Delivered ${context.reached} of ${objective.count} cars`);
+            }
+            
+            // Failed cars are not replaced, so too many failures make the goal unreachable
+            const deliverable = context.totalCars - context.failed;
+            if (deliverable < objective.count) {
+                return failed(`${context.failed} cars failed; ${objective.count} can no longer be delivered`);
+            }
+            
+            return pending();
+        }
+    },
+    
+    [ObjectiveTypes.NO_FAILURES]: {
+        goal: false,
+        params: {},
+        describe: () => 'No car may fail',
+        progress: (objective, context) => `${context.failed} failed`,
+        check: (objective, context) => {
+            return context.failed > 0 ? failed(`${context.failed} car(s) failed`) : met('No car failed');
+        }
+    },
+    
+    [ObjectiveTypes.TIME_LIMIT]: {
+        goal: false,
+        params: { seconds: 'required' },
+        describe: objective => `Finish within ${objective.seconds}s`,
+        progress: (objective, context) => `${(context.time / 1000).toFixed(0)}s`,
+        check: (objective, context) => {
+            if (context.time > objective.seconds * 1000) {
+                return failed(`Goals not met within ${objective.seconds}s`);
+            }
+            return met(`Finished within ${objective.seconds}s`);
+        }
+    },
+    
+    [ObjectiveTypes.MAX_SPEND]: {
+        goal: false,
+        params: { amount: 'required' },
+        describe: objective => `Spend at most $${objective.amount}`,
+        progress: (objective, context) => `$${context.spent}`,
+        check: (objective, context) => {
+            if (context.spent > objective.amount) {
+                return failed(`Layout costs $${context.spent}, more than the $${objective.amount} allowed`);
+            }
+            return met(`Layout costs $${context.spent}`);
+        }
+    },
+};
+
+/**
+ * Get the success rate goal's threshold
+ * @param {Object} objective - Objective
+ * @returns {number} Threshold (0-1)
+ */
+function getThreshold(objective) {
+    return objective.threshold ?? GameConfig.successThreshold;
+}
+
+/**
+ * Get the share of finished cars that reached their exit
+ * @param {Object} context - Rules context
+ * @returns {number} Success rate (0-1)
+ */
+function getRate(context) {
+    const finished = context.reached + context.failed;
+    return finished > 0 ? context.reached / finished : 0;
+}
+
+/**
+ * Format a 0-1 rate as a percentage
+ * @param {number} rate - Rate
+ * @returns {string} e.g. "80.0%"
+ */
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Build a met check result
+ * @param {string} message - How the objective was met
+ * @returns {Object} {status, message}
+ */
+function met(message) {
+    return { status: ObjectiveStatus.MET, message };
+}
+
+/**
+ * Build a failed check result
+ * @param {string} message - Why the objective failed
+ * @returns {Object} {status, message}
+ */
+function failed(message) {
+    return { status: ObjectiveStatus.FAILED, message };
+}
+
+/**
+ * Build a pending check result
+ * @returns {Object} {status, message}
+ */
+function pending() {
+    return { status: ObjectiveStatus.PENDING, message: '' };
+}
+
+/**
+ * Add or replace an objective type
+ * @param {string} type - Objective type used in level JSON
+ * @param {Object} definition - Definition (see ObjectiveDefinitions)
+ */
+export function registerObjective(type, definition) {
+    ObjectiveDefinitions[type] = definition;
+}
+
+/**
+ * Get the definition of an objective type
+ * @param {string} type - Objective type
+ * @returns {Object|null} Definition or null if the type is unknown
+ */
+export function getObjectiveDefinition(type) {
+    return ObjectiveDefinitions[type] || null;
+}
+
+/**
+ * Get the objective types levels may use
+ * @returns {Array} Objective type names
+ */
+export function getObjectiveTypes() {
+    return Object.keys(ObjectiveDefinitions);
+}
+
+/**
+ * RulesEngine owns the end conditions of a run. The Simulation asks it after
+ * every tick; it returns an outcome once every goal is met (won) or any
+ * objective fails (lost), so each run ends exactly once.
+ */
+export class RulesEngine {
+    /**
+     * @param {Object} level - Processed level data (level.objectives, if any, replace the default goal)
+     */
+    constructor(level) {
+        this.level = level;
+        this.objectives = (level.objectives || []).map(objective => ({ ...objective }));
+        
+        // Limits alone never win a run; fall back to the default goal
+        if (!this.objectives.some(objective => this.getDefinition(objective).goal)) {
+            this.objectives.unshift({ type: ObjectiveTypes.SUCCESS_RATE });
+        }
+        
+        this.carsPerType = this.objectives.reduce((cars, objective) => {
+            const definition = this.getDefinition(objective);
+            return definition.carsPerType ? Math.max(cars, definition.carsPerType(objective, level)) : cars;
+        }, GameConfig.maxCarsPerType);
+    }
+
+    /**
+     * Get the definition of an objective
+     * @param {Object} objective - Objective {type, ...params}
+     * @returns {Object} Definition
+     * @throws {Error} If the objective type is unknown
+     */
+    getDefinition(objective) {
+        const definition = getObjectiveDefinition(objective.type);
+        if (!definition) {
+            throw new Error(`Unknown objective type '${objective.type}'`);
+        }
+        return definition;
+    }
+
+    /**
+     * Get how many cars of each type a run spawns when the level's schedule does not say
+     * @returns {number} Cars per type
+     */
+    getCarsPerType() {
+        return this.carsPerType;
+    }
+
+    /**
+     * Describe every objective without judging a run
+     * @returns {Array} [{objective, goal, description}]
+     */
+    describeObjectives() {
+        return this.objectives.map(objective => {
+            const definition = this.getDefinition(objective);
+            return { objective, goal: definition.goal, description: definition.describe(objective) };
+        });
+    }
+
+    /**
+     * Check every objective
+     * @param {Object} context - Run state {reached, failed, time, spent, totalCars, runOver}
+     * @returns {Array} Results [{objective, goal, description, progress, status, message}]
+     */
+    checkObjectives(context) {
+        const fullContext = { ...context, carTypes: this.level.cars.length };
+        
+        return this.objectives.map(objective => {
+            const definition = this.getDefinition(objective);
+            return {
+                objective,
+                goal: definition.goal,
+                description: definition.describe(objective),
+                progress: definition.progress(objective, fullContext),
+                ...definition.check(objective, fullContext)
+            };
+        });
+    }
+
+    /**
+     * Decide the outcome of a run, if it is decided yet
+     * @param {Object} context - Run state {reached, failed, time, spent, totalCars, runOver}
+     * @returns {Object|null} Outcome {type: 'won'|'lost', reason, objective, objectives} or null
+     */
+    evaluate(context) {
+        const results = this.checkObjectives(context);
+        const summary = results.map(({ objective, description, status, message }) => ({ ...objective, description, status, message }));
+        
+        const failure = results.find(result => result.status === ObjectiveStatus.FAILED);
+        if (failure) {
+            return { type: 'lost', reason: failure.message, objective: { ...failure.objective }, objectives: summary };
+        }
+        
+        const goals = results.filter(result => result.goal);
+        if (goals.every(result => result.status === ObjectiveStatus.MET)) {
+            return {
+                type: 'won',
+                reason: goals.map(result => result.message).join('; '),
+                objective: null,
+                objectives: summary
+            };
+        }
+        
+        return null;
+    }
+}
+
+export default RulesEngine;
\ No newline at end of file
@@ -0,0 +1,132 @@
+// Traffic Simulation Game - Scoring
+// Turns a won run into a score and 1-3 stars from money left, travel time and waiting
+
+import { GameConfig } from '../utils/Constants.js';
+import { manhattanDistance, octileDistance, clamp } from '../utils/Helpers.js';
+
+/**
+ * Get the score thresholds for two and three stars
+ * @param {Object} level - Processed level data (its optional scoring overrides the defaults)
+ * @returns {Object} {twoStars, threeStars}
+ */
+export function getStarThresholds(level) {
+    const scoring = (level && level.scoring) || {};
+    return {
+        twoStars: scoring.twoStars ?? GameConfig.scoreTwoStars,
+        threeStars: scoring.threeStars ?? GameConfig.scoreThreeStars
+    };
+}
+
+/**
+ * Get the average travel time of a car that never waits and drives straight through its waypoints to the nearest exit
+ * on standard streets (faster road types can beat it; the travel share is capped at full points)
+ * Obstacles are ignored, so on levels with detours even a perfect layout scores a little below
+ * full travel points; per-level star thresholds make up for that.
+ * @param {Object} level - Processed level data
+ * @returns {number} Ideal average travel time (ms)
+ */
+export function getIdealTravelTime(level) {
+    const times = [];
+    
+    level.cars.forEach(car => {
+        car.entrances.forEach(entrance => {
+            const cells = Math.min(...car.exits.map(exit => getStraightDistance([entrance, ...car.waypoints, exit], level.diagonal === true)));
+            times.push(GameConfig.carSpawnDelay + cells * GameConfig.carSpeed);
+        });
+    });
+    
+    return times.length > 0 ? times.reduce((sum, time) => sum + time, 0) / times.length : 0;
+}
+
+/**
+ * Get the grid distance along a list of stops, ignoring obstacles
+ * @param {Array} stops - Positions {row, col}
+ * @param {boolean} [allowDiagonal] - Count diagonal steps (the level's diagonal mode)
+ * @returns {number} Cells moved (a diagonal step counts as GameConfig.diagonalStepFactor cells)
+ */
+function getStraightDistance(stops, allowDiagonal = false) {
+    const distance = allowDiagonal ? octileDistance : manhattanDistance;
+    let cells = 0;
+    for (let i = 1; i < stops.length; i++) {
+        cells += distance(stops[i - 1].row, stops[i - 1].col, stops[i].row, stops[i].col);
+    }
+    return cells;
+}
+
+/**
+ * Score a won run
+ * Money left, travel time and waiting each earn part of the points; hints take some away.
+ * A win is always worth at least one star.
+ * @param {Object} options - Run results
+ * @param {Object} options.level - Processed level data
+ * @param {number} options.budget - Level budget
+ * @param {number} options.budgetLeft - Money not spent on roads and signals
+ * @param {number} options.averageTravelTime - Average travel time of cars that reached their exit (ms)
+ * @param {number} options.totalWaitTime - Wait time summed over every finished car (ms)
+ * @param {number} options.finishedCars - Cars that reached their exit or failed
+ * @param {number} [options.hintsUsed] - Hint steps revealed
+ * @returns {Object} {score, stars, thresholds, breakdown: [{key, label, detail, points}]}
+ */
+export function calculateScore({ level, budget, budgetLeft, averageTravelTime, totalWaitTime, finishedCars, hintsUsed = 0 }) {
+    const idealTravelTime = getIdealTravelTime(level);
+    const averageWaitTime = finishedCars > 0 ? totalWaitTime / finishedCars : 0;
+    
+    const moneyShare = budget > 0 ? clamp(budgetLeft / budget, 0, 1) : 0;
+    const travelShare = averageTravelTime > 0 ? clamp(idealTravelTime / averageTravelTime, 0, 1) : 0;
+    const waitShare = 1 - clamp(averageWaitTime / GameConfig.maxWaitTime, 0, 1);
+    
+    const breakdown = [
+        {
+            key: 'money',
+            label: 'Money left',
+            detail: `$${budgetLeft} of $${budget}`,
+            points: Math.round(moneyShare * GameConfig.scoreMoneyPoints)
+        },
+        {
+            key: 'travel',
+            label: 'Travel time',
+            detail: `${(averageTravelTime / 1000).toFixed(1)}s average, ${(idealTravelTime / 1000).toFixed(1)}s ideal`,
+            points: Math.round(travelShare * GameConfig.scoreTravelPoints)
+        },
+        {
+            key: 'wait',
+            label: 'Waiting',
+            detail: `${(averageWaitTime / 1000).toFixed(1)}s per car`,
+            points: Math.round(waitShare * GameConfig.scoreWaitPoints)
+        },
+        {
+            key: 'hints',
+            label: 'Hints',
+            detail: `${hintsUsed} used`,
+            points: -hintsUsed * GameConfig.scoreHintPenalty
+        }
+    ];
+    
+    const score = Math.max(0, breakdown.reduce((sum, item) => sum + item.points, 0));
+    const thresholds = getStarThresholds(level);
+    
+    let stars = 1;
+    if (score >= thresholds.threeStars) {
+        stars = 3;
+    } else if (score >= thresholds.twoStars) {
+        stars = 2;
+    }
+    
+    return { score, stars, thresholds, breakdown };
+}
+
+/**
+ * Draw a star rating as text
+ * @param {number} stars - Stars earned (0-3)
+ * @returns {string} e.g. "★★☆"
+ */
+export function formatStars(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(Math.max(0, 3 - stars));
+}
+
+export default {
+    getStarThresholds,
+    getIdealTravelTime,
+    calculateScore,
+    formatStars,
+};
\ No newline at end of file
@@ -0,0 +1,186 @@
+// Traffic Simulation Game - Traffic Signal Timing
+// Plain signal data and phase math shared by the Simulation, game state and signal renderer
+
+import { GameConfig, Directions } from '../utils/Constants.js';
+import { clamp } from '../utils/Helpers.js';
+
+/**
+ * A signal is plain data so it can be snapshotted, saved and simulated headlessly:
+ * {
+ *     row, col,                  // Road cell the signal controls (0-based)
+ *     cycleLength: 8000,         // Length of one full cycle (ms)
+ *     phases: {                  // Green window per approach direction, within the cycle
+ *         up: { offset: 0, duration: 4000 },
+ *         ...
+ *     }
+ * }
+ * The approach direction is the direction a car is travelling as it enters
+ * the junction, so "up" covers cars arriving from the cell below. In diagonal
+ * mode a car crossing a corner into the junction follows the phase of the
+ * vertical part of its move, so "up-right" stops and goes with "up".
+ */
+
+/**
+ * Approach directions a signal can control
+ */
+export const SignalApproaches = [Directions.UP, Directions.DOWN, Directions.LEFT, Directions.RIGHT];
+
+// Phase each diagonal approach follows
+const DIAGONAL_PHASES = {
+    [Directions.UP_RIGHT]: Directions.UP,
+    [Directions.UP_LEFT]: Directions.UP,
+    [Directions.DOWN_RIGHT]: Directions.DOWN,
+    [Directions.DOWN_LEFT]: Directions.DOWN
+};
+
+/**
+ * Create a signal with the default two-phase plan:
+ * vertical traffic is green for the first half of the cycle, horizontal for the second
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {number} cycleLength - Cycle length (ms)
+ * @returns {Object} Signal data
+ */
+export function createSignalData(row, col, cycleLength = GameConfig.signalCycleLength) {
+    const half = cycleLength / 2;
+    
+    return {
+        row,
+        col,
+        cycleLength,
+        phases: {
+            [Directions.UP]: { offset: 0, duration: half },
+            [Directions.DOWN]: { offset: 0, duration: half },
+            [Directions.LEFT]: { offset: half, duration: half },
+            [Directions.RIGHT]: { offset: half, duration: half }
+        }
+    };
+}
+
+/**
+ * Deep copy signal data
+ * @param {Object} signal - Signal data
+ * @returns {Object} Independent copy
+ */
+export function cloneSignalData(signal) {
+    const phases = {};
+    Object.entries(signal.phases || {}).forEach(([approach, phase]) => {
+        phases[approach] = { offset: phase.offset, duration: phase.duration };
+    });
+    
+    return {
+        row: signal.row,
+        col: signal.col,
+        cycleLength: signal.cycleLength,
+        phases
+    };
+}
+
+/**
+ * Check whether an approach has a green light
+ * Approaches without a phase are never stopped; diagonal approaches use their vertical part's phase.
+ * @param {Object} signal - Signal data
+ * @param {string} approach - Direction of travel into the junction
+ * @param {number} time - Simulation time (ms)
+ * @returns {boolean} True if cars on this approach may enter
+ */
+export function isApproachGreen(signal, approach, time) {
+    const phase = signal.phases[DIAGONAL_PHASES[approach] || approach];
+    if (!phase) {
+        return true;
+    }
+    
+    const cycle = signal.cycleLength;
+    const positionInWindow = (((time - phase.offset) % cycle) + cycle) % cycle;
+    return positionInWindow < phase.duration;
+}
+
+/**
+ * Get the light shown to every approach
+ * @param {Object} signal - Signal data
+ * @param {number} time - Simulation time (ms)
+ * @returns {Object} Map-like object of approach -> true (green) / false (red)
+ */
+export function getSignalStates(signal, time) {
+    const states = {};
+    SignalApproaches.forEach(approach => {
+        states[approach] = isApproachGreen(signal, approach, time);
+    });
+    return states;
+}
+
+/**
+ * Change the cycle length, scaling every phase to keep the same split
+ * @param {Object} signal - Signal data
+ * @param {number} cycleLength - New cycle length (ms)
+ * @returns {Object} Updated copy of the signal
+ */
+export function withCycleLength(signal, cycleLength) {
+    const updated = cloneSignalData(signal);
+    const newCycle = clamp(cycleLength, GameConfig.signalMinCycle, GameConfig.signalMaxCycle);
+    const scale = newCycle / signal.cycleLength;
+    
+    updated.cycleLength = newCycle;
+    Object.values(updated.phases).forEach(phase => {
+        phase.offset = Math.round(phase.offset * scale);
+        phase.duration = Math.round(phase.duration * scale);
+    });
+    
+    return updated;
+}
+
+/**
+ * Shift or resize the green window of one approach
+ * @param {Object} signal - Signal data
+ * @param {string} approach - Approach direction
+ * @param {Object} change - {offset, duration} deltas in ms (either may be omitted)
+ * @returns {Object} Updated copy of the signal
+ */
+export function withPhaseChange(signal, approach, { offset = 0, duration = 0 }) {
+    const updated = cloneSignalData(signal);
+    const cycle = updated.cycleLength;
+    const phase = updated.phases[approach] || { offset: 0, duration: cycle };
+    
+    phase.offset = (((phase.offset + offset) % cycle) + cycle) % cycle;
+    phase.duration = clamp(phase.duration + duration, 0, cycle);
+    updated.phases[approach] = phase;
+    
+    return updated;
+}
+
+/**
+ * Validate signal data (from a level, save or layout file)
+ * @param {Object} signal - Signal data
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSignalData(signal) {
+    if (!signal || typeof signal.row !== 'number' || typeof signal.col !== 'number') {
+        return 'signal row and col must be numbers';
+    }
+    if (typeof signal.cycleLength !== 'number' || signal.cycleLength <= 0) {
+        return 'signal cycleLength must be a positive number';
+    }
+    
+    for (const [approach, phase] of Object.entries(signal.phases || {})) {
+        if (!SignalApproaches.includes(approach)) {
+            return `unknown signal approach '${approach}'`;
+        }
+        if (typeof phase.offset !== 'number' || typeof phase.duration !== 'number' ||
+            phase.duration < 0 || phase.duration > signal.cycleLength) {
+            return `signal phase '${approach}' needs an offset and a duration within the cycle`;
+        }
+    }
+    
+    return null;
+}
+
+export default {
+    SignalApproaches,
+    createSignalData,
+    cloneSignalData,
+    isApproachGreen,
+    getSignalStates,
+    withCycleLength,
+    withPhaseChange,
+    validateSignalData,
+};
\ No newline at end of file
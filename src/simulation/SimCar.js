@@ -0,0 +1,290 @@
+// Traffic Simulation Game - Simulated Car
+// Pure car state machine advanced by the Simulation in fixed ticks
+
+import { GameConfig, CarStates } from '../utils/Constants.js';
+import { generateId, getLaneOffset, getDirectionBetween } from '../utils/Helpers.js';
+
+/**
+ * SimCar holds the full state of one vehicle. It has no rendering;
+ * the Car entity draws it from getRenderPosition() and state.
+ */
+export class SimCar {
+    /**
+     * @param {Object} options - Car options
+     * @param {Object} options.carData - Car type data from the level
+     * @param {number} options.carTypeIndex - Index of the car type in the level
+     * @param {Object} options.spawnPosition - Entrance position {row, col, isEntrance, side}
+     * @param {Object} options.targetPosition - Exit position {row, col, isEntrance, side}; replaced by
+     *                                          the exit of each new path when the car type has several
+     * @param {number} options.spawnTime - Simulation time of spawn (ms)
+     * @param {Object} [options.random] - Random source for the car ID (keeps IDs reproducible)
+     */
+    constructor({ carData, carTypeIndex, spawnPosition, targetPosition, spawnTime, random = null }) {
+        // Car identification
+        this.id = generateId(8, random);
+        this.color = carData.color;
+        this.carData = carData;
+        this.carTypeIndex = carTypeIndex;
+        
+        // Position and movement
+        this.gridRow = spawnPosition.row;
+        this.gridCol = spawnPosition.col;
+        this.gridLayer = 0; // Pathfinding layer: 0 on the ground, otherwise on a bridge or in a tunnel
+        this.lane = null;   // Lane {direction, index, count} driven in on the current cell; null off the grid
+        this.heading = null; // Direction the current cell was entered in; null before the first move
+        this.spawnPosition = spawnPosition;
+        this.targetPosition = targetPosition;
+        this.waypoints = carData.waypoints || []; // Cells to pass, in order, before the exit counts
+        this.waypointIndex = 0;                   // Next waypoint to pass
+        
+        // Pathfinding
+        this.path = [];
+        this.pathIndex = 0;
+        this.hasPath = false;
+        this.needsNewPath = true;
+        
+        // Movement state
+        this.isMoving = false;
+        this.moveFrom = null;
+        this.moveTo = null;
+        this.moveElapsed = 0;
+        this.moveDuration = GameConfig.carSpeed;
+        this.state = CarStates.SPAWNING;
+        
+        // Timing and waiting (simulation time, ms)
+        this.spawnTime = spawnTime;
+        this.stateTime = 0;
+        this.waitTime = 0;
+        this.totalWaitTime = 0;
+        this.repathTimer = 0;
+        this.finishTime = null;
+        
+        // Collision detection
+        this.blockedBy = null;
+        this.isBlocked = false;
+        this.reservedCell = null; // Cell {row, col, layer, lane} held for the current or next move
+        this.queuedAt = null;     // Lane group key of the cell this car is queued behind
+        this.queuedLanes = null;  // Lane indexes the car could take there, preferred first
+        this.waitingAtSignal = false; // True while stopped by a red light
+    }
+
+    /**
+     * Check if the car is still at its entrance (outside or at the edge of the grid)
+     * @returns {boolean} True if the car has not made its first move yet
+     */
+    isAtSpawn() {
+        return this.gridLayer === 0 && this.gridRow === this.spawnPosition.row && this.gridCol === this.spawnPosition.col;
+    }
+
+    /**
+     * Set the path for this car
+     * @param {Array|null} path - Array of {row, col} positions
+     */
+    setPath(path) {
+        if (path && path.length > 0) {
+            this.path = [...path];
+            this.pathIndex = 0;
+            
+            // Paths from the car's own cell start with that cell; skip it
+            const first = this.path[0];
+            if (first.row === this.gridRow && first.col === this.gridCol && (first.layer || 0) === this.gridLayer) {
+                this.pathIndex = 1;
+            }
+            
+            this.hasPath = true;
+            this.state = CarStates.MOVING;
+        } else {
+            this.path = [];
+            this.pathIndex = 0;
+            this.hasPath = false;
+            
+            // If no path available, wait and try again later
+            this.state = CarStates.WAITING;
+        }
+    }
+
+    /**
+     * Get the next cell on the path
+     * @returns {Object|null} Next cell {row, col} (with layer on a bridge or in a tunnel) or null at the end of the path
+     */
+    getNextCell() {
+        if (!this.hasPath || this.pathIndex >= this.path.length) {
+            return null;
+        }
+        return this.path[this.pathIndex];
+    }
+
+    /**
+     * Start moving toward a cell
+     * @param {Object} targetCell - Target cell {row, col, layer}
+     * @param {number} duration - Travel time for the move (ms)
+     * @param {Object} [lane] - Lane {direction, index, count} reserved in the target cell
+     */
+    startMove(targetCell, duration = GameConfig.carSpeed, lane = null) {
+        this.isMoving = true;
+        this.moveFrom = { row: this.gridRow, col: this.gridCol, layer: this.gridLayer, lane: this.lane };
+        this.moveTo = { row: targetCell.row, col: targetCell.col, layer: targetCell.layer || 0, lane };
+        this.moveElapsed = 0;
+        this.moveDuration = duration;
+    }
+
+    /**
+     * Finish the current move
+     */
+    completeMove() {
+        this.isMoving = false;
+        this.heading = getDirectionBetween(this.moveFrom.row, this.moveFrom.col, this.moveTo.row, this.moveTo.col);
+        this.gridRow = this.moveTo.row;
+        this.gridCol = this.moveTo.col;
+        this.gridLayer = this.moveTo.layer;
+        this.lane = this.moveTo.lane;
+        this.moveFrom = null;
+        this.moveTo = null;
+        this.moveElapsed = 0;
+        this.pathIndex++;
+        
+        // Reset wait time on successful move
+        this.waitTime = 0;
+        
+        // Waypoints are on the ground; driving over or under one does not pass it
+        const waypoint = this.waypoints[this.waypointIndex];
+        if (waypoint && this.gridLayer === 0 && waypoint.row === this.gridRow && waypoint.col === this.gridCol) {
+            this.waypointIndex++;
+        }
+    }
+
+    /**
+     * Get the waypoints the car has not passed yet
+     * @returns {Array} Grid cells {row, col}, in order
+     */
+    getRemainingWaypoints() {
+        return this.waypoints.slice(this.waypointIndex);
+    }
+
+    /**
+     * Check if car has reached its exit
+     * @returns {boolean} True if every waypoint is passed and the car is on the ground at or next to the target
+     */
+    isAtTarget() {
+        if (this.waypointIndex < this.waypoints.length || this.gridLayer !== 0) {
+            return false;
+        }
+        
+        const atTarget = (this.gridRow === this.targetPosition.row &&
+                          this.gridCol === this.targetPosition.col);
+        
+        return atTarget || this.isNearTarget();
+    }
+
+    /**
+     * Check if car is near its target (for entrance/exit positions)
+     * @returns {boolean} True if near target
+     */
+    isNearTarget() {
+        // For entrance/exit positions, being adjacent to the edge counts
+        if (this.targetPosition.isEntrance) {
+            const distance = Math.abs(this.gridRow - this.targetPosition.row) +
+                             Math.abs(this.gridCol - this.targetPosition.col);
+            return distance <= 1;
+        }
+        return false;
+    }
+
+    /**
+     * Get the fractional grid position for rendering
+     * @returns {Object} {row, col} in the car's lane, interpolated along the current move
+     */
+    getRenderPosition() {
+        if (!this.isMoving) {
+            return this.getLanePosition(this.gridRow, this.gridCol, this.lane);
+        }
+        
+        const progress = Math.min(1, this.moveElapsed / this.moveDuration);
+        const from = this.getLanePosition(this.moveFrom.row, this.moveFrom.col, this.moveFrom.lane);
+        const to = this.getLanePosition(this.moveTo.row, this.moveTo.col, this.moveTo.lane);
+        return {
+            row: from.row + (to.row - from.row) * progress,
+            col: from.col + (to.col - from.col) * progress
+        };
+    }
+
+    /**
+     * Get the fractional grid position of a lane in a cell
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {Object|null} lane - Lane {direction, index, count}, or null for the cell center
+     * @returns {Object} {row, col}
+     */
+    getLanePosition(row, col, lane) {
+        if (!lane) {
+            return { row, col };
+        }
+        
+        const offset = getLaneOffset(lane);
+        return { row: row + offset.row, col: col + offset.col };
+    }
+
+    /**
+     * Get the layer to draw the car on
+     * A car driving onto or off a bridge or tunnel is drawn on the bridge's layer for the whole move.
+     * @returns {number} 0 on the ground, above 0 on a bridge, below 0 in a tunnel
+     */
+    getRenderLayer() {
+        if (!this.isMoving) {
+            return this.gridLayer;
+        }
+        return this.moveTo.layer || this.moveFrom.layer;
+    }
+
+    /**
+     * Get current grid position
+     * @returns {Object} {row, col}, plus layer while on a bridge or in a tunnel
+     */
+    getGridPosition() {
+        return this.gridLayer ? { row: this.gridRow, col: this.gridCol, layer: this.gridLayer } : { row: this.gridRow, col: this.gridCol };
+    }
+
+    /**
+     * Check if car is in a terminal state
+     * @returns {boolean} True if car is done (reached exit or failed)
+     */
+    isTerminal() {
+        return this.state === CarStates.REACHED_EXIT || this.state === CarStates.FAILED;
+    }
+
+    /**
+     * Check if car is successful
+     * @returns {boolean} True if car reached its destination
+     */
+    isSuccessful() {
+        return this.state === CarStates.REACHED_EXIT;
+    }
+
+    /**
+     * Check if car failed
+     * @returns {boolean} True if car failed
+     */
+    hasFailed() {
+        return this.state === CarStates.FAILED;
+    }
+
+    /**
+     * Get car statistics
+     * @param {number} now - Current simulation time (ms)
+     * @returns {Object} Car stats
+     */
+    getStats(now) {
+        return {
+            id: this.id,
+            color: this.color,
+            state: this.state,
+            timeAlive: (this.finishTime ?? now) - this.spawnTime,
+            totalWaitTime: this.totalWaitTime,
+            pathLength: this.path.length,
+            pathProgress: this.pathIndex,
+            position: { row: this.gridRow, col: this.gridCol }
+        };
+    }
+}
+
+export default SimCar;
\ No newline at end of file
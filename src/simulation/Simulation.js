@@ -0,0 +1,1134 @@
+// Traffic Simulation Game - Headless Simulation Engine
+// Deterministic traffic simulation advanced in fixed ticks; runs in the browser or in Node
+
+import { GameConfig, CarStates } from '../utils/Constants.js';
+import {
+    gridKey, layerKey, isValidGridPosition, countDiagonalLinks, getDirectionBetween, getRoadType
+} from '../utils/Helpers.js';
+import { SeededRandom } from '../utils/Random.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { PathFinder } from '../utils/PathFinder.js';
+import SimCar from './SimCar.js';
+import RulesEngine from './RulesEngine.js';
+import { cloneSignalData, isApproachGreen, getSignalStates } from './SignalTiming.js';
+import { cloneBridgeData, getBridgeCost } from './Bridges.js';
+import { findJunctions } from './Junctions.js';
+import { cloneTurnTable } from './TurnRules.js';
+
+/**
+ * Simulation owns all traffic logic: spawning, car movement and collision,
+ * and asks its RulesEngine for the outcome after every tick. It has no
+ * dependency on Phaser, so the same code drives the game (CarManager renders
+ * its state) and headless runs in Node.
+ *
+ * Collision uses lane reservation: a car reserves a lane of its next cell
+ * before it starts moving and holds both cells until it arrives. Each
+ * direction of a road has its own lanes (as many as the road type has), so
+ * oncoming cars pass each other; in a junction every direction shares the
+ * cell, which holds one car per lane. Cars keep their lane along a road and
+ * may change lanes only when they enter or leave a junction or the number of
+ * lanes changes. Cars that find no lane free wait in a first-come,
+ * first-served queue for it. A move takes the travel time of the road type
+ * being entered (longer across a corner, in diagonal mode). Traffic signals stop cars before a junction while their
+ * approach is red. Bridge and tunnel cells have one lane each way on their
+ * own layer, apart from the ground below.
+ *
+ * Events: simulationStarted, carSpawned, carMoveStarted, carMoved,
+ * carReachedExit, carFailed, carRemoved, simulationEnded, simulationStopped
+ */
+export class Simulation extends EventEmitter {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {Object} options.level - Processed level data from LevelManager
+     * @param {Map} options.roads - Map of "row,col" -> road ({row, col, directions, turns, type})
+     * @param {Map} [options.signals] - Map of "row,col" -> signal data (see SignalTiming.js)
+     * @param {Map} [options.bridges] - Map of key -> bridge or tunnel data (see Bridges.js)
+     * @param {PathFinder} [options.pathFinder] - Pathfinder to use (a private one is created if omitted)
+     * @param {number} [options.seed] - Seed for spawn timing, entrance selection and car IDs
+     * @param {Object} [options.random] - Random source with next() returning [0, 1) and optional setSeed(seed);
+     *                                    a SeededRandom is created from the seed if omitted
+     * @param {number} [options.tickDuration] - Simulated milliseconds per tick
+     */
+    constructor({ level, roads = new Map(), signals = new Map(), bridges = new Map(), pathFinder = null, seed = Date.now(), random = null, tickDuration = GameConfig.simulationTickMs }) {
+        super();
+        
+        this.level = level;
+        this.rules = new RulesEngine(level);
+        this.gridRows = level.grid.rows;
+        this.gridCols = level.grid.columns;
+        this.pathFinder = pathFinder || new PathFinder();
+        this.seed = seed >>> 0;
+        this.random = random || new SeededRandom(this.seed);
+        this.tickDuration = tickDuration;
+        
+        // Snapshot the layout so later edits to the source map cannot change a running simulation
+        this.roads = new Map();
+        roads.forEach((road, key) => {
+            this.roads.set(key, {
+                row: road.row,
+                col: road.col,
+                directions: [...(road.directions || [])],
+                turns: cloneTurnTable(road.turns),
+                type: road.type
+            });
+        });
+        
+        this.signals = new Map();
+        signals.forEach((signal, key) => {
+            this.signals.set(key, cloneSignalData(signal.getSignalData ? signal.getSignalData() : signal));
+        });
+        
+        this.bridges = new Map();
+        bridges.forEach((bridge, key) => {
+            this.bridges.set(key, cloneBridgeData(bridge.getBridgeData ? bridge.getBridgeData() : bridge));
+        });
+        
+        // Roads where traffic from several sides meets share their lanes between all directions
+        this.junctions = findJunctions({ roads: this.roads, bridges: this.bridges, level: this.level });
+        
+        this.reset();
+    }
+
+    /**
+     * Reset simulation state (time, cars and statistics)
+     */
+    reset() {
+        this.time = 0;
+        this.tickCount = 0;
+        this.isRunning = false;
+        this.isSpawning = false;
+        this.outcome = null;
+        
+        // Rewind the random source so a restarted run repeats exactly
+        if (typeof this.random.setSeed === 'function') {
+            this.random.setSeed(this.seed);
+        }
+        
+        // Car tracking
+        this.cars = new Map(); // Map of car ID -> SimCar
+        this.carsByPosition = new Map(); // Map of cell key (see layerKey) -> Set of car IDs occupying or reserving the cell
+        this.cellQueues = new Map(); // Map of lane group key (see getLaneGroupKey) -> Array of car IDs waiting for it (FIFO)
+        
+        // Congestion per cell: Map of "row,col" -> {row, col, waitTime, passes, failures}
+        this.cellStats = new Map();
+        
+        // Spawning state: each car type has a steady stream and one stream per wave
+        this.spawnStreams = []; // Array of {carTypeIndex, count, left, interval, jitter, nextTime (null when done)}
+        
+        // Statistics
+        this.stats = {
+            totalSpawned: 0,
+            totalReachedExit: 0,
+            totalFailed: 0,
+            totalTravelTime: 0,
+            totalWaitTime: 0,
+            spawnedByType: new Map(),
+            succeededByType: new Map(),
+            failedByType: new Map()
+        };
+    }
+
+    /**
+     * Start the simulation from time zero
+     */
+    start() {
+        this.reset();
+        this.updatePathfindingGraph();
+        
+        this.level.cars.forEach((carType, index) => {
+            this.stats.spawnedByType.set(index, 0);
+            this.stats.succeededByType.set(index, 0);
+            this.stats.failedByType.set(index, 0);
+        });
+        
+        this.isRunning = true;
+        this.isSpawning = true;
+        
+        // Start spawning cars for each type
+        this.level.cars.forEach((carType, index) => {
+            this.createSpawnStreams(index);
+        });
+        
+        this.emit('simulationStarted', { seed: this.seed });
+    }
+
+    /**
+     * Stop the simulation without deciding an outcome
+     */
+    stop() {
+        if (!this.isRunning) {
+            return;
+        }
+        
+        this.isRunning = false;
+        this.isSpawning = false;
+        this.emit('simulationStopped', { time: this.time });
+    }
+
+    /**
+     * Rebuild the pathfinding graph from the road and bridge snapshot
+     */
+    updatePathfindingGraph() {
+        const obstacles = this.level.uneditableCells || new Set();
+        this.pathFinder.updateGrid(this.roads, obstacles, this.gridRows, this.gridCols, this.bridges, this.level.diagonal === true);
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     */
+    tick() {
+        if (!this.isRunning) {
+            return;
+        }
+        
+        this.tickCount++;
+        this.time += this.tickDuration;
+        
+        this.processSpawns();
+        
+        // Cars update in spawn order so every run with the same seed is identical
+        for (const car of this.cars.values()) {
+            this.updateCar(car);
+        }
+        
+        this.processRemovals();
+        this.evaluateEndConditions();
+    }
+
+    /**
+     * Run the simulation to completion (headless use)
+     * @param {number} maxTime - Simulated time limit (ms)
+     * @returns {Object} Run summary (see getSummary)
+     */
+    run(maxTime = GameConfig.maxSimulationTime) {
+        if (!this.isRunning && !this.outcome) {
+            this.start();
+        }
+        
+        while (this.isRunning && this.time < maxTime) {
+            this.tick();
+        }
+        
+        if (this.isRunning) {
+            this.endSimulation({
+                type: 'lost',
+                reason: `Simulation did not finish within ${maxTime / 1000}s of simulated time`,
+                objective: null,
+                objectives: []
+            });
+        }
+        
+        return this.getSummary();
+    }
+
+    /**
+     * Spawning
+     */
+    
+    /**
+     * Set up the spawn streams of a car type from its schedule
+     * Without a schedule a type spawns the default number of cars at the default interval.
+     * @param {number} carTypeIndex - Index of car type in level data
+     */
+    createSpawnStreams(carTypeIndex) {
+        const schedule = this.level.cars[carTypeIndex].schedule || {};
+        
+        const steady = {
+            carTypeIndex,
+            count: schedule.count ?? this.rules.getCarsPerType(),
+            interval: schedule.interval ?? GameConfig.carSpawnInterval,
+            jitter: schedule.jitter ?? GameConfig.carSpawnJitter,
+            nextTime: null
+        };
+        steady.left = steady.count;
+        this.spawnStreams.push(steady);
+        
+        // The first car comes after one interval unless the level says when
+        if (schedule.startDelay !== null && schedule.startDelay !== undefined) {
+            steady.nextTime = steady.left > 0 ? schedule.startDelay : null;
+        } else {
+            this.scheduleNextSpawn(steady);
+        }
+        
+        (schedule.waves || []).forEach(wave => {
+            this.spawnStreams.push({
+                carTypeIndex,
+                count: wave.count,
+                left: wave.count,
+                interval: wave.interval ?? GameConfig.waveSpawnInterval,
+                jitter: 0,
+                nextTime: wave.start
+            });
+        });
+    }
+
+    /**
+     * Schedule the next spawn of a stream
+     * @param {Object} stream - Spawn stream
+     */
+    scheduleNextSpawn(stream) {
+        // Check if the stream has spawned all its cars
+        if (!this.isSpawning || stream.left <= 0) {
+            stream.nextTime = null;
+            return;
+        }
+        
+        const jitter = stream.jitter > 0 ? this.random.next() * stream.jitter : 0;
+        stream.nextTime = this.time + stream.interval + jitter;
+    }
+
+    /**
+     * Spawn from every stream whose timer has elapsed
+     * A car whose entrance is blocked is retried one interval later.
+     */
+    processSpawns() {
+        if (!this.isSpawning) {
+            return;
+        }
+        
+        this.spawnStreams.forEach(stream => {
+            if (stream.nextTime === null || this.time < stream.nextTime) {
+                return;
+            }
+            
+            if (this.spawnCar(stream.carTypeIndex)) {
+                stream.left--;
+            }
+            this.scheduleNextSpawn(stream);
+        });
+    }
+
+    /**
+     * Get how many cars the run spawns in total
+     * @returns {number} Cars over all spawn streams
+     */
+    getPlannedCarCount() {
+        return this.spawnStreams.reduce((total, stream) => total + stream.count, 0);
+    }
+
+    /**
+     * Pick the entrance for a new car, using the schedule's entrance weights if it has any
+     * @param {Object} carType - Car type from the level
+     * @returns {Object} Entrance position
+     */
+    pickEntrance(carType) {
+        const weights = carType.schedule && carType.schedule.entranceWeights;
+        if (!weights) {
+            return carType.entrances[Math.floor(this.random.next() * carType.entrances.length)];
+        }
+        
+        let roll = this.random.next() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < carType.entrances.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) {
+                return carType.entrances[i];
+            }
+        }
+        return carType.entrances[carType.entrances.length - 1];
+    }
+
+    /**
+     * Spawn a car of the specified type
+     * @param {number} carTypeIndex - Index of car type in level data
+     * @returns {SimCar|null} Spawned car or null if the entrance was blocked
+     */
+    spawnCar(carTypeIndex) {
+        const carType = this.level.cars[carTypeIndex];
+        
+        const entrance = this.pickEntrance(carType);
+        
+        // Check if entrance is blocked
+        if (this.isPositionOccupied(entrance.row, entrance.col)) {
+            return null;
+        }
+        
+        const car = new SimCar({
+            carData: carType,
+            carTypeIndex,
+            spawnPosition: entrance,
+            targetPosition: carType.exits[0],
+            spawnTime: this.time,
+            random: this.random
+        });
+        
+        this.cars.set(car.id, car);
+        this.addCarToPosition(car);
+        
+        // Update statistics
+        this.stats.totalSpawned++;
+        this.stats.spawnedByType.set(carTypeIndex, (this.stats.spawnedByType.get(carTypeIndex) || 0) + 1);
+        
+        this.emit('carSpawned', { car });
+        return car;
+    }
+
+    /**
+     * Car Updates
+     */
+    
+    /**
+     * Advance one car by one tick
+     * @param {SimCar} car - Car to update
+     */
+    updateCar(car) {
+        switch (car.state) {
+            case CarStates.SPAWNING:
+                // Transition to moving after a brief spawn delay
+                if (this.time - car.spawnTime >= GameConfig.carSpawnDelay) {
+                    car.state = CarStates.MOVING;
+                    car.needsNewPath = true;
+                }
+                break;
+            
+            case CarStates.MOVING:
+                this.updateMovingCar(car);
+                break;
+            
+            case CarStates.WAITING:
+                this.updateWaitingCar(car);
+                break;
+            
+            case CarStates.REACHED_EXIT:
+            case CarStates.FAILED:
+                // Terminal states - no update needed
+                break;
+        }
+    }
+
+    /**
+     * Update a car in the moving state
+     * @param {SimCar} car - Car to update
+     */
+    updateMovingCar(car) {
+        if (car.isMoving) {
+            car.moveElapsed += this.tickDuration;
+            if (car.moveElapsed >= car.moveDuration) {
+                this.completeCarMove(car);
+            }
+            return;
+        }
+        
+        // Check if we need a new path
+        if (car.needsNewPath) {
+            this.assignPath(car);
+            if (car.state !== CarStates.MOVING) {
+                return;
+            }
+        }
+        
+        const nextCell = car.getNextCell();
+        if (!nextCell) {
+            this.reachDestination(car);
+            return;
+        }
+        
+        // Stop at red lights, then reserve the next cell; queue behind whoever holds it
+        if (!this.canEnterCell(car, nextCell)) {
+            car.state = CarStates.WAITING;
+            car.isBlocked = true;
+            return;
+        }
+        
+        const lane = car.reservedCell ? car.reservedCell.lane : null;
+        car.startMove(nextCell, this.pathFinder.getStepTime(car.getGridPosition(), nextCell), lane);
+        this.emit('carMoveStarted', { car, from: car.moveFrom, to: car.moveTo });
+    }
+
+    /**
+     * Update a car in the waiting state
+     * @param {SimCar} car - Car to update
+     */
+    updateWaitingCar(car) {
+        // GOTCHA: Track waiting time to detect traffic jams
+        car.waitTime += this.tickDuration;
+        car.totalWaitTime += this.tickDuration;
+        car.repathTimer += this.tickDuration;
+        this.getCellStatsEntry(car.gridRow, car.gridCol).waitTime += this.tickDuration;
+        
+        // Check if we can continue moving
+        if (car.isBlocked) {
+            const nextCell = car.getNextCell();
+            if (nextCell && this.canEnterCell(car, nextCell)) {
+                car.isBlocked = false;
+                car.blockedBy = null;
+                car.state = CarStates.MOVING;
+                car.waitTime = 0;
+                car.repathTimer = 0;
+                return;
+            }
+        }
+        
+        // Check for timeout failure
+        if (car.waitTime > GameConfig.maxWaitTime) {
+            this.failCar(car, 'timeout');
+            return;
+        }
+        
+        // Periodically look for another route while waiting
+        if (car.repathTimer >= GameConfig.carRepathInterval) {
+            car.repathTimer = 0;
+            this.assignPath(car);
+        }
+    }
+
+    /**
+     * Finish a car's current move and check for arrival
+     * @param {SimCar} car - Car that finished moving
+     */
+    completeCarMove(car) {
+        const from = car.getGridPosition();
+        
+        // The target cell was reserved when the move started; free the cell we left
+        this.removeCarFromPosition(car, from);
+        car.completeMove();
+        car.reservedCell = null;
+        this.getCellStatsEntry(car.gridRow, car.gridCol).passes++;
+        
+        this.emit('carMoved', { car, from, to: car.getGridPosition() });
+        
+        if (car.isAtTarget() || !car.getNextCell()) {
+            this.reachDestination(car);
+        }
+    }
+
+    /**
+     * Find a path from the car's position through its remaining waypoints to the nearest exit it can reach
+     * @param {SimCar} car - Car needing a path
+     */
+    assignPath(car) {
+        // Cars that have not entered the grid path from their entrance; the rest keep to the
+        // turn rules of the cell they are in for the way they came in
+        const start = car.isAtSpawn() ? car.spawnPosition : { ...car.getGridPosition(), heading: car.heading };
+        const route = this.pathFinder.findPathToNearestExit(start, car.getRemainingWaypoints(), car.carData.exits, this.gridRows, this.gridCols);
+        if (route) {
+            car.targetPosition = route.exit;
+        }
+        
+        // A new route may lead elsewhere: give up any cell held or queued for on the old one
+        if (!car.isMoving) {
+            this.releaseReservation(car);
+        }
+        this.leaveQueue(car);
+        
+        car.needsNewPath = false;
+        car.setPath(route ? route.path : null);
+        
+        if (car.hasPath) {
+            car.isBlocked = false;
+            car.blockedBy = null;
+        }
+    }
+
+    /**
+     * Handle reaching destination
+     * @param {SimCar} car - Car that arrived
+     */
+    reachDestination(car) {
+        car.state = CarStates.REACHED_EXIT;
+        car.isMoving = false;
+        car.finishTime = this.time;
+        car.removeAt = this.time + GameConfig.reachedExitLinger;
+        this.releaseAllCells(car);
+        
+        const timeToComplete = this.time - car.spawnTime;
+        
+        // Update statistics
+        this.stats.totalReachedExit++;
+        this.stats.totalTravelTime += timeToComplete;
+        this.stats.totalWaitTime += car.totalWaitTime;
+        this.stats.succeededByType.set(car.carTypeIndex, (this.stats.succeededByType.get(car.carTypeIndex) || 0) + 1);
+        
+        this.emit('carReachedExit', {
+            car,
+            timeToComplete,
+            totalWaitTime: car.totalWaitTime
+        });
+    }
+
+    /**
+     * Trigger car failure
+     * @param {SimCar} car - Car that failed
+     * @param {string} reason - Reason for failure
+     */
+    failCar(car, reason = 'unknown') {
+        car.state = CarStates.FAILED;
+        car.isMoving = false;
+        car.finishTime = this.time;
+        car.removeAt = this.time + GameConfig.failedCarLinger;
+        this.releaseAllCells(car);
+        
+        // Update statistics
+        this.stats.totalFailed++;
+        this.stats.totalWaitTime += car.totalWaitTime;
+        this.stats.failedByType.set(car.carTypeIndex, (this.stats.failedByType.get(car.carTypeIndex) || 0) + 1);
+        this.getCellStatsEntry(car.gridRow, car.gridCol).failures++;
+        
+        this.emit('carFailed', {
+            car,
+            reason,
+            timeAlive: this.time - car.spawnTime,
+            totalWaitTime: car.totalWaitTime
+        });
+    }
+
+    /**
+     * Remove finished cars once they have lingered long enough
+     */
+    processRemovals() {
+        const toRemove = [];
+        
+        this.cars.forEach(car => {
+            if (car.isTerminal() && this.time >= car.removeAt) {
+                toRemove.push(car.id);
+            }
+        });
+        
+        toRemove.forEach(carId => this.removeCar(carId));
+    }
+
+    /**
+     * Remove a car from tracking
+     * @param {string} carId - Car ID to remove
+     */
+    removeCar(carId) {
+        const car = this.cars.get(carId);
+        if (!car) {
+            return;
+        }
+        
+        this.releaseAllCells(car);
+        this.cars.delete(carId);
+        
+        this.emit('carRemoved', { carId, car });
+    }
+
+    /**
+     * Collision and Position Tracking
+     */
+    
+    /**
+     * Register a car at a grid position
+     * @param {SimCar} car - Car instance
+     * @param {Object} position - Position {row, col, layer} (defaults to the car's current cell)
+     */
+    addCarToPosition(car, position = car.getGridPosition()) {
+        const posKey = layerKey(position.row, position.col, position.layer);
+        if (!this.carsByPosition.has(posKey)) {
+            this.carsByPosition.set(posKey, new Set());
+        }
+        this.carsByPosition.get(posKey).add(car.id);
+    }
+
+    /**
+     * Remove car from position tracking
+     * @param {SimCar} car - Car instance
+     * @param {Object} position - Position {row, col, layer} (defaults to the car's current cell)
+     */
+    removeCarFromPosition(car, position = car.getGridPosition()) {
+        const posKey = layerKey(position.row, position.col, position.layer);
+        const carsAtPosition = this.carsByPosition.get(posKey);
+        if (carsAtPosition) {
+            carsAtPosition.delete(car.id);
+            if (carsAtPosition.size === 0) {
+                this.carsByPosition.delete(posKey);
+            }
+        }
+    }
+
+    /**
+     * Check if a position is occupied by a car
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {boolean} True if occupied
+     */
+    isPositionOccupied(row, col) {
+        const carsAtPosition = this.carsByPosition.get(gridKey(row, col));
+        return !!carsAtPosition && carsAtPosition.size > 0;
+    }
+
+    /**
+     * Get cars at a specific position
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for the ground)
+     * @returns {Array} Array of SimCar instances
+     */
+    getCarsAtPosition(row, col, layer = 0) {
+        const carIds = this.carsByPosition.get(layerKey(row, col, layer));
+        if (!carIds) {
+            return [];
+        }
+        
+        return Array.from(carIds).map(id => this.cars.get(id)).filter(car => car);
+    }
+
+    /**
+     * Check the signal and the reservation for a car's next cell
+     * @param {SimCar} car - Car that wants to move
+     * @param {Object} cell - Target cell {row, col}
+     * @returns {boolean} True if the car may start moving into the cell
+     */
+    canEnterCell(car, cell) {
+        if (this.isStoppedBySignal(car, cell)) {
+            car.waitingAtSignal = true;
+            car.blockedBy = null;
+            return false;
+        }
+        
+        car.waitingAtSignal = false;
+        return this.reserveCell(car, cell);
+    }
+
+    /**
+     * Check whether a red light stops a car from entering a cell
+     * @param {SimCar} car - Car that wants to move
+     * @param {Object} cell - Target cell {row, col, layer}
+     * @returns {boolean} True if the cell has a signal showing red to the car's approach
+     */
+    isStoppedBySignal(car, cell) {
+        // Signals stand on the ground; bridges pass over them and tunnels under them
+        const signal = cell.layer ? null : this.signals.get(gridKey(cell.row, cell.col));
+        if (!signal) {
+            return false;
+        }
+        
+        const approach = getDirectionBetween(car.gridRow, car.gridCol, cell.row, cell.col);
+        return approach !== null && !isApproachGreen(signal, approach, this.time);
+    }
+
+    /**
+     * Get the lights currently shown by a signal
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Object|null} Approach -> green flag, or null if there is no signal
+     */
+    getSignalStates(row, col) {
+        const signal = this.signals.get(gridKey(row, col));
+        return signal ? getSignalStates(signal, this.time) : null;
+    }
+
+    /**
+     * Try to reserve a lane in the next cell of a car's path
+     * One of the lanes the car may take must be free of cars driving the same
+     * way, and no car ahead of it in the queue may want that lane; otherwise
+     * the car joins the queue.
+     * @param {SimCar} car - Car that wants to move
+     * @param {Object} cell - Target cell {row, col, layer}
+     * @returns {boolean} True if a lane of the cell is now reserved for the car
+     */
+    reserveCell(car, cell) {
+        // Spawn points outside the grid are never contested by moving cars
+        if (!isValidGridPosition(cell.row, cell.col, this.gridRows, this.gridCols)) {
+            return true;
+        }
+        
+        const layer = cell.layer || 0;
+        const reserved = car.reservedCell;
+        if (reserved && reserved.row === cell.row && reserved.col === cell.col && reserved.layer === layer) {
+            return true;
+        }
+        
+        const direction = getDirectionBetween(car.gridRow, car.gridCol, cell.row, cell.col);
+        const groupKey = this.getLaneGroupKey(cell, direction);
+        const laneCount = this.getLaneCount(cell.row, cell.col, layer);
+        
+        // Cars in the cell driving the same way (every car, in a junction)
+        const sameWay = [];
+        (this.carsByPosition.get(layerKey(cell.row, cell.col, layer)) || []).forEach(id => {
+            const lane = id === car.id ? null : this.getHeldLane(this.cars.get(id), cell);
+            if (lane && this.getLaneGroupKey(cell, lane.direction) === groupKey) {
+                sameWay.push({ id, lane });
+            }
+        });
+        
+        const lanes = this.getLaneChoices(car, cell, laneCount);
+        const freeLane = lanes.find(index => !sameWay.some(holder => holder.lane.index === index));
+        
+        const queue = this.cellQueues.get(groupKey) || [];
+        const ahead = car.queuedAt === groupKey ? queue.slice(0, queue.indexOf(car.id)) : queue;
+        const isFirstInLine = !ahead.some(id => {
+            const other = this.cars.get(id);
+            return other && other.queuedLanes.includes(freeLane);
+        });
+        
+        if (freeLane !== undefined && isFirstInLine) {
+            this.leaveQueue(car);
+            const reservation = { row: cell.row, col: cell.col, layer, lane: { direction, index: freeLane, count: laneCount } };
+            this.addCarToPosition(car, reservation);
+            car.reservedCell = reservation;
+            car.blockedBy = null;
+            return true;
+        }
+        
+        this.joinQueue(car, groupKey, lanes);
+        car.blockedBy = sameWay.length > 0 ? sameWay[0].id : (ahead[0] || null);
+        return false;
+    }
+
+    /**
+     * Get the lane a car holds in a cell
+     * @param {SimCar} car - Car occupying or reserving the cell
+     * @param {Object} cell - Cell {row, col, layer}
+     * @returns {Object|null} Lane {direction, index, count}
+     */
+    getHeldLane(car, cell) {
+        const reserved = car.reservedCell;
+        if (reserved && reserved.row === cell.row && reserved.col === cell.col && reserved.layer === (cell.layer || 0)) {
+            return reserved.lane;
+        }
+        return car.lane;
+    }
+
+    /**
+     * Get the lanes a car may take in the cell it enters, preferred first
+     * Cars keep their lane along a road. They may pick any lane when they come
+     * in from an entrance, enter or leave a junction, or the lane count changes.
+     * @param {SimCar} car - Car that wants to move
+     * @param {Object} cell - Target cell {row, col, layer}
+     * @param {number} laneCount - Lanes each way in the target cell
+     * @returns {Array} Lane indexes (0 is the kerb lane)
+     */
+    getLaneChoices(car, cell, laneCount) {
+        const current = car.lane;
+        const mayChange = !current || current.count !== laneCount ||
+                          this.isJunction(car.gridRow, car.gridCol, car.gridLayer) ||
+                          this.isJunction(cell.row, cell.col, cell.layer);
+        
+        if (!mayChange) {
+            return [current.index];
+        }
+        
+        // Stay in the same lane if it is free, otherwise take any other
+        const lanes = Array.from({ length: laneCount }, (_, index) => index);
+        return current && current.index < laneCount
+            ? [current.index, ...lanes.filter(index => index !== current.index)]
+            : lanes;
+    }
+
+    /**
+     * Get the key of the lanes a car entering a cell in a direction drives in
+     * @param {Object} cell - Cell {row, col, layer}
+     * @param {string} direction - Direction the car enters in
+     * @returns {string} Cell key (see layerKey) in a junction, "cellKey:direction" elsewhere
+     */
+    getLaneGroupKey(cell, direction) {
+        const posKey = layerKey(cell.row, cell.col, cell.layer);
+        return this.isJunction(cell.row, cell.col, cell.layer) ? posKey : `${posKey}:${direction}`;
+    }
+
+    /**
+     * Get how many lanes a cell has in each direction
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for the ground)
+     * @returns {number} Lanes of the cell's road type; bridges and tunnels have one lane each way
+     */
+    getLaneCount(row, col, layer = 0) {
+        if (layer) {
+            return 1;
+        }
+        
+        const road = this.roads.get(gridKey(row, col));
+        return getRoadType(road ? road.type : null).lanes;
+    }
+
+    /**
+     * Check if a cell is a junction, whose lanes every direction shares
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for the ground)
+     * @returns {boolean} True for junction roads; bridge and tunnel spans never are
+     */
+    isJunction(row, col, layer = 0) {
+        return !layer && this.junctions.has(gridKey(row, col));
+    }
+
+    /**
+     * Release the cell a car reserved for a move it has not started
+     * @param {SimCar} car - Car instance
+     */
+    releaseReservation(car) {
+        if (car.reservedCell) {
+            this.removeCarFromPosition(car, car.reservedCell);
+            car.reservedCell = null;
+        }
+    }
+
+    /**
+     * Release every cell a car holds or waits for (when it leaves the traffic)
+     * @param {SimCar} car - Car instance
+     */
+    releaseAllCells(car) {
+        this.removeCarFromPosition(car);
+        this.releaseReservation(car);
+        this.leaveQueue(car);
+    }
+
+    /**
+     * Add a car to the back of a lane group's queue
+     * @param {SimCar} car - Waiting car
+     * @param {string} groupKey - Lane group key (see getLaneGroupKey)
+     * @param {Array} lanes - Lane indexes the car could take, preferred first
+     */
+    joinQueue(car, groupKey, lanes) {
+        car.queuedLanes = lanes;
+        if (car.queuedAt === groupKey) {
+            return;
+        }
+        
+        this.leaveQueue(car);
+        
+        if (!this.cellQueues.has(groupKey)) {
+            this.cellQueues.set(groupKey, []);
+        }
+        this.cellQueues.get(groupKey).push(car.id);
+        car.queuedAt = groupKey;
+    }
+
+    /**
+     * Remove a car from the queue it is waiting in
+     * @param {SimCar} car - Car instance
+     */
+    leaveQueue(car) {
+        if (!car.queuedAt) {
+            return;
+        }
+        
+        const queue = this.cellQueues.get(car.queuedAt);
+        if (queue) {
+            const index = queue.indexOf(car.id);
+            if (index !== -1) {
+                queue.splice(index, 1);
+            }
+            if (queue.length === 0) {
+                this.cellQueues.delete(car.queuedAt);
+            }
+        }
+        car.queuedAt = null;
+        car.queuedLanes = null;
+    }
+
+    /**
+     * Get the cars queued for a cell, first in line first for each direction
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for the ground)
+     * @returns {Array} Array of SimCar instances
+     */
+    getQueueAtPosition(row, col, layer = 0) {
+        const posKey = layerKey(row, col, layer);
+        const carIds = [];
+        this.cellQueues.forEach((queue, groupKey) => {
+            if (groupKey === posKey || groupKey.startsWith(`${posKey}:`)) {
+                carIds.push(...queue);
+            }
+        });
+        return carIds.map(id => this.cars.get(id)).filter(car => car);
+    }
+
+    /**
+     * End Conditions
+     */
+    
+    /**
+     * Decide the outcome once the level's objectives allow it
+     */
+    evaluateEndConditions() {
+        if (this.outcome || !this.isRunning) {
+            return;
+        }
+        
+        const endCondition = this.checkEndConditions();
+        if (endCondition) {
+            this.endSimulation(endCondition);
+        }
+    }
+
+    /**
+     * Check if the level's objectives decide the run
+     * @returns {Object|null} End condition {type: 'won'|'lost', reason, objective, objectives} or null
+     */
+    checkEndConditions() {
+        return this.rules.evaluate(this.getRulesContext());
+    }
+
+    /**
+     * Get the run state the rules engine judges
+     * @returns {Object} {reached, failed, time, spent, totalCars, runOver}
+     */
+    getRulesContext() {
+        const finished = this.stats.totalReachedExit + this.stats.totalFailed;
+        
+        return {
+            reached: this.stats.totalReachedExit,
+            failed: this.stats.totalFailed,
+            time: this.time,
+            spent: this.getLayoutCost(),
+            totalCars: this.getPlannedCarCount(),
+            // Every car has spawned and finished
+            runOver: this.isSpawningComplete() && this.getActiveCars().length === 0 && finished > 0
+        };
+    }
+
+    /**
+     * Get the level's objectives and how far the run is with each
+     * @returns {Array} [{objective, goal, description, progress, status, message}]
+     */
+    getObjectiveProgress() {
+        return this.rules.checkObjectives(this.getRulesContext());
+    }
+
+    /**
+     * Get the cost of the simulated layout
+     * @returns {number} Roads, signals, bridges and tunnels at their build prices
+     */
+    getLayoutCost() {
+        let cost = this.signals.size * GameConfig.signalCost;
+        this.roads.forEach(road => {
+            cost += getRoadType(road.type).cost;
+        });
+        this.bridges.forEach(bridge => {
+            cost += getBridgeCost(bridge);
+        });
+        if (this.level.diagonal === true) {
+            cost += countDiagonalLinks(this.roads, this.level.uneditableCells) * GameConfig.diagonalLinkCost;
+        }
+        return cost;
+    }
+
+    /**
+     * Finish the simulation with an outcome
+     * @param {Object} endCondition - {type: 'won'|'lost', reason, objective, objectives}
+     */
+    endSimulation(endCondition) {
+        this.outcome = {
+            ...endCondition,
+            time: this.time,
+            successRate: this.getSuccessRate()
+        };
+        this.isRunning = false;
+        this.isSpawning = false;
+        
+        this.emit('simulationEnded', this.outcome);
+    }
+
+    /**
+     * Check if every car type has spawned all its cars
+     * @returns {boolean} True if no spawns are pending
+     */
+    isSpawningComplete() {
+        return this.spawnStreams.every(stream => stream.nextTime === null);
+    }
+
+    /**
+     * Queries
+     */
+    
+    /**
+     * Get cars that have not finished yet
+     * @returns {Array} Array of SimCar instances
+     */
+    getActiveCars() {
+        return Array.from(this.cars.values()).filter(car => !car.isTerminal());
+    }
+
+    /**
+     * Get car by ID
+     * @param {string} carId - Car ID
+     * @returns {SimCar|null} Car instance or null
+     */
+    getCar(carId) {
+        return this.cars.get(carId) || null;
+    }
+
+    /**
+     * Get the congestion record of a cell, creating an empty one on first use
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @returns {Object} {row, col, waitTime, passes, failures}
+     */
+    getCellStatsEntry(row, col) {
+        const key = gridKey(row, col);
+        if (!this.cellStats.has(key)) {
+            this.cellStats.set(key, { row, col, waitTime: 0, passes: 0, failures: 0 });
+        }
+        return this.cellStats.get(key);
+    }
+
+    /**
+     * Get how congested each cell was during the run so far
+     * Cells outside the grid are the entrances where spawned cars wait to get in. Cars on a bridge
+     * or in a tunnel count toward the cell they pass over or under.
+     * @returns {Map} Map of "row,col" -> {row, col, waitTime (ms spent waiting there), passes (cars that moved in),
+     *                failures (cars that failed there)}
+     */
+    getCellStats() {
+        const cellStats = new Map();
+        this.cellStats.forEach((entry, key) => cellStats.set(key, { ...entry }));
+        return cellStats;
+    }
+
+    /**
+     * Get current success rate
+     * @returns {number} Success rate as percentage
+     */
+    getSuccessRate() {
+        const total = this.stats.totalReachedExit + this.stats.totalFailed;
+        if (total === 0) {
+            return 0;
+        }
+        return (this.stats.totalReachedExit / total) * 100;
+    }
+
+    /**
+     * Get current statistics
+     * @returns {Object} Statistics object
+     */
+    getStatistics() {
+        return {
+            ...this.stats,
+            activeCars: this.cars.size,
+            successRate: this.getSuccessRate(),
+            time: this.time
+        };
+    }
+
+    /**
+     * Get a plain-object summary of the run (for logging and headless reports)
+     * @returns {Object} Summary with seed, outcome, time and per-type counts
+     */
+    getSummary() {
+        return {
+            seed: this.seed,
+            outcome: this.outcome,
+            time: this.time,
+            ticks: this.tickCount,
+            totalSpawned: this.stats.totalSpawned,
+            totalReachedExit: this.stats.totalReachedExit,
+            totalFailed: this.stats.totalFailed,
+            successRate: this.getSuccessRate(),
+            averageTravelTime: this.stats.totalReachedExit > 0 ? this.stats.totalTravelTime / this.stats.totalReachedExit : 0,
+            totalWaitTime: this.stats.totalWaitTime,
+            byType: this.level.cars.map((carType, index) => ({
+                color: carType.color,
+                spawned: this.stats.spawnedByType.get(index) || 0,
+                succeeded: this.stats.succeededByType.get(index) || 0,
+                failed: this.stats.failedByType.get(index) || 0
+            }))
+        };
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.stop();
+        this.cars.clear();
+        this.carsByPosition.clear();
+        this.cellQueues.clear();
+        this.cellStats.clear();
+        this.removeAllListeners();
+    }
+}
+
+export default Simulation;
\ No newline at end of file
@@ -0,0 +1,148 @@
+// Traffic Simulation Game - Junction Turn Rules
+// Plain per-road turn tables shared by the pathfinder, game state, road renderer and layouts
+
+import { Directions } from '../utils/Constants.js';
+
+/**
+ * A road's turn table is plain data so it can be snapshotted, saved and simulated headlessly:
+ * {
+ *     right: ['right', 'down'],  // Cars travelling right may go straight on or turn right
+ *     up: ['up']                 // Cars travelling up may only go straight on
+ * }
+ * Keys are approach directions, as for signals: the direction a car is
+ * travelling as it enters the road, so "right" covers cars arriving from
+ * the cell to the left. Each lists the directions those cars may leave in.
+ * Approaches without an entry are not restricted. The road's arrows still
+ * apply on top: a car leaves only in a direction both allow. Diagonal
+ * directions may be used too; cars only drive them in diagonal mode.
+ */
+
+/**
+ * Directions a turn table can key and list
+ */
+export const TurnDirections = Object.values(Directions);
+
+// Directions clockwise from up, an eighth of a turn apart
+const COMPASS = [
+    Directions.UP, Directions.UP_RIGHT, Directions.RIGHT, Directions.DOWN_RIGHT,
+    Directions.DOWN, Directions.DOWN_LEFT, Directions.LEFT, Directions.UP_LEFT
+];
+
+// Name of a movement by how many eighths of a turn clockwise it makes
+const TURN_NAMES = ['straight', 'bear right', 'right', 'sharp right', 'u-turn', 'sharp left', 'left', 'bear left'];
+
+/**
+ * Deep copy a turn table
+ * @param {Object} [turns] - Turn table
+ * @returns {Object} Independent copy (empty for roads without one)
+ */
+export function cloneTurnTable(turns) {
+    const copy = {};
+    Object.entries(turns || {}).forEach(([approach, exits]) => {
+        copy[approach] = [...exits];
+    });
+    return copy;
+}
+
+/**
+ * Check if a road has any turn rules
+ * @param {Object} [turns] - Turn table
+ * @returns {boolean} True if some approach is restricted
+ */
+export function hasTurnRules(turns) {
+    return !!turns && Object.keys(turns).length > 0;
+}
+
+/**
+ * Get the directions cars may leave a road in
+ * @param {Object} road - Road data {directions, turns}
+ * @param {string|null} approach - Direction the car entered in; null when not known (allows every approach)
+ * @returns {Array} Directions allowed by both the arrows and the approach's turn rule
+ */
+export function getAllowedExits(road, approach) {
+    const arrows = road.directions || [];
+    const exits = arrows.length === 0 ? TurnDirections : TurnDirections.filter(direction => arrows.includes(direction));
+    
+    const rule = approach && road.turns ? road.turns[approach] : null;
+    return rule ? exits.filter(direction => rule.includes(direction)) : [...exits];
+}
+
+/**
+ * Check if a turn table lets cars from an approach leave in a direction
+ * Arrows are not considered; see getAllowedExits for both.
+ * @param {Object} [turns] - Turn table
+ * @param {string|null} approach - Direction the car entered in; null when not known
+ * @param {string} exit - Direction the car leaves in
+ * @returns {boolean} True if the movement is allowed
+ */
+export function allowsTurn(turns, approach, exit) {
+    const rule = approach && turns ? turns[approach] : null;
+    return !rule || rule.includes(exit);
+}
+
+/**
+ * Describe a movement through a road relative to the car
+ * @param {string} approach - Direction the car entered in
+ * @param {string} exit - Direction the car leaves in
+ * @returns {string} 'straight', 'right', 'left' or 'u-turn'; 'bear' and 'sharp' turns involve a diagonal
+ */
+export function getTurnName(approach, exit) {
+    const eighths = (COMPASS.indexOf(exit) - COMPASS.indexOf(approach) + COMPASS.length) % COMPASS.length;
+    return TURN_NAMES[eighths];
+}
+
+/**
+ * Allow or take back one movement
+ * The first movement set for an unrestricted approach becomes the only one
+ * allowed; taking back an approach's last movement lifts its rule.
+ * @param {Object} turns - Turn table
+ * @param {string} approach - Direction the car entered in
+ * @param {string} exit - Direction the car leaves in
+ * @returns {Object} New turn table
+ */
+export function withTurnToggled(turns, approach, exit) {
+    const updated = cloneTurnTable(turns);
+    const rule = updated[approach] || [];
+    
+    const exits = rule.includes(exit) ? rule.filter(direction => direction !== exit) : [...rule, exit];
+    if (exits.length > 0) {
+        updated[approach] = TurnDirections.filter(direction => exits.includes(direction));
+    } else {
+        delete updated[approach];
+    }
+    
+    return updated;
+}
+
+/**
+ * Validate a turn table (from a save or layout file)
+ * @param {Object} turns - Turn table
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateTurnTable(turns) {
+    if (!turns || typeof turns !== 'object' || Array.isArray(turns)) {
+        return 'turns must be an object of approach -> directions';
+    }
+    
+    for (const [approach, exits] of Object.entries(turns)) {
+        if (!TurnDirections.includes(approach)) {
+            return `unknown turn approach '${approach}'`;
+        }
+        if (!Array.isArray(exits) || exits.length === 0 || !exits.every(exit => TurnDirections.includes(exit))) {
+            return `turns for approach '${approach}' must list one or more of ${TurnDirections.join(', ')}`;
+        }
+    }
+    
+    return null;
+}
+
+export default {
+    TurnDirections,
+    cloneTurnTable,
+    hasTurnRules,
+    getAllowedExits,
+    allowsTurn,
+    getTurnName,
+    withTurnToggled,
+    validateTurnTable,
+};
\ No newline at end of file
@@ -7,15 +7,51 @@ export const GameConfig = {
     cellSize: 40,               // Size of each grid cell in pixels
     gridLineWidth: 1,           // Width of grid lines
     
+    // Camera
+    cameraMinZoom: 0.5,         // Furthest zoom-out (lower when a large grid needs it to fit)
+    cameraMaxZoom: 3,           // Closest zoom-in
+    cameraZoomStep: 1.1,        // Zoom factor per mouse-wheel notch
+    
+    // Minimap
+    minimapSize: 180,           // Longest side of the minimap (pixels)
+    minimapMaxCellPixels: 12,   // Largest cell drawn on the minimap (pixels)
+    minimapMargin: 10,          // Gap between the minimap and the screen corner
+    
+    // Heatmap
+    heatmapFullWaitTime: 5000,  // Waiting in one cell that shows as fully jammed when no cell waited longer (ms)
+    
     // Economy
     defaultBudget: 10000,       // Default budget used when level doesn't specify budget
-    roadCost: 1000,             // Cost to place one road tile
+    roadCost: 1000,             // Cost to place one standard street tile (see RoadCatalogue)
+    signalCost: 2500,           // Cost to place one traffic signal
     
     // Timing and Performance
     maxWaitTime: 10000,         // Max wait time before car fails (ms)
-    carSpeed: 2000,             // Car movement duration between cells (ms)
+    carSpeed: 2000,             // Car movement duration into a standard street cell (ms)
     carSpawnInterval: 3000,     // Time between car spawns (ms)
     spawnDistance: 10,          // Distance outside grid where cars spawn
+    carSpawnDelay: 500,         // Time a new car waits at its entrance before moving (ms)
+    carSpawnJitter: 1000,       // Max random delay added to each spawn interval (ms)
+    waveSpawnInterval: 1000,    // Time between cars of a spawn wave (ms)
+    carRepathInterval: 2000,    // How often a waiting car asks for a new path (ms)
+    reachedExitLinger: 1000,    // How long an arrived car stays on the grid (ms)
+    failedCarLinger: 3000,      // How long a failed car stays on the grid (ms)
+    
+    // Traffic Signals
+    signalCycleLength: 8000,    // Default full signal cycle (ms)
+    signalMinCycle: 2000,       // Shortest allowed cycle (ms)
+    signalMaxCycle: 30000,      // Longest allowed cycle (ms)
+    signalTimingStep: 500,      // Step for editing cycle length and phases (ms)
+    
+    // Junctions (see Junctions.js)
+    junctionMinRoads: 3,        // Links (roads, entrances, exits, bridge ends) that make a road a junction, with shared lanes and room for a signal
+    
+    // Diagonal Roads (levels with "diagonal": true)
+    diagonalStepFactor: Math.SQRT2, // A diagonal link is this much longer than a straight one (travel time and route cost)
+    diagonalLinkCost: 500,      // Paving the corner between two diagonal neighbours, on top of their roads
+    
+    // Bridges and Tunnels
+    bridgeMaxSpan: 6,           // Most cells one bridge or tunnel may span between its two end roads
     
     // Animation
     arrowDrawDuration: 200,     // Duration for arrow drawing animation
@@ -24,6 +60,23 @@ export const GameConfig = {
     // Simulation
     maxCarsPerType: 5,          // Maximum cars of each type to spawn
     successThreshold: 0.8,      // 80% of cars must reach destination to win
+    minCarsPerTypeToJudge: 3,   // Finished cars per type before the success rate decides a run
+    simulationTickMs: 50,       // Simulated time per fixed simulation tick (ms)
+    maxTicksPerFrame: 10,       // Catch-up limit when a frame takes longer than a tick
+    maxSimulationTime: 600000,  // Headless runs give up after this much simulated time (ms)
+    simulationSpeeds: [1, 2, 4, 8], // Speed multipliers the player can pick (simulated time per real time)
+    
+    // Scoring (see Scoring.js)
+    scoreMoneyPoints: 400,      // Points for keeping the whole budget
+    scoreTravelPoints: 300,     // Points for cars driving the shortest possible time
+    scoreWaitPoints: 300,       // Points for cars never waiting
+    scoreHintPenalty: 50,       // Points taken off per hint used
+    scoreTwoStars: 450,         // Default score for two stars (levels may override)
+    scoreThreeStars: 600,       // Default score for three stars (levels may override)
+    
+    // Hints (the solver runs on the main thread, so in-game solves are capped)
+    hintSolverMaxWork: 4e7,     // Most cell steps in the exact search (3^terminals per cell); bigger grids get fewer exact terminals
+    hintMaxOneWayOrders: 24,    // Most car type orders tried for the one-way layout
 };
 
 // Visual Colors
@@ -32,16 +85,38 @@ export const Colors = {
     editable: 0x3498db,         // Blue for editable cells
     tree: 0x27ae60,             // Green for trees
     building: 0xe67e22,         // Orange for buildings
-    road: 0x95a5a6,             // Gray for roads
+    road: 0x95a5a6,             // Gray for roads (standard street)
+    roadDirt: 0xa1887f,         // Brown dirt lane
+    roadAvenue: 0x7f8c8d,       // Darker gray two-lane avenue
+    roadHighway: 0x566573,      // Asphalt highway segment
+    roadMarking: 0xffffff,      // Lane dividers
+    roadCenterLine: 0xf4d03f,   // Line between the two directions of a two-way road
+    roadEdgeMarking: 0xf1c40f,  // Yellow highway edge lines
     
     // Grid and UI
     gridLine: 0x34495e,         // Dark gray for grid lines
     background: 0x2c3e50,       // Dark blue-gray background
     highlight: 0xf1c40f,        // Yellow for highlights
+    minimapBackground: 0x17202a, // Minimap panel
+    minimapViewport: 0xffffff,  // Outline of the camera view on the minimap
+    heatmapLow: 0x2ecc71,       // Heatmap cell cars drove through without waiting
+    heatmapHigh: 0xe74c3c,      // Heatmap cell where cars waited longest
     
     // Arrows and Direction
     arrow: 0xffffff,            // White for direction arrows
     arrowShadow: 0x000000,      // Black for arrow shadow
+    turnRule: 0x48c9b0,         // Movements allowed through a road with turn rules
+    
+    // Traffic Signals
+    signalHousing: 0x1c2833,    // Dark housing behind the lights
+    signalGreen: 0x2ecc71,      // Green light
+    signalRed: 0xe74c3c,        // Red light
+    
+    // Bridges and Tunnels
+    bridgeDeck: 0x7b7d7d,       // Bridge roadway
+    bridgeRail: 0xecf0f1,       // Bridge railings
+    tunnelPortal: 0x1c2833,     // Tunnel mouths at either end
+    tunnelOutline: 0x5d6d7e,    // Dashed line showing where a tunnel runs
     
     // Car Colors (matching level JSON)
     carRed: 0xe74c3c,           // Red cars
@@ -63,11 +138,47 @@ export const Colors = {
     error: 0xe74c3c,            // Red for error
 };
 
+// Car color names accepted in level JSON (see getCarColor)
+export const CarColorNames = ['red', 'blue', 'yellow', 'green', 'purple'];
+
 // Tool Types
 export const Tools = {
     PLACE: 'place',             // Place roads
     DELETE: 'delete',           // Delete roads
     ARROW: 'arrow',             // Draw direction arrows
+    SIGNAL: 'signal',           // Place and select traffic signals
+    BRIDGE: 'bridge',           // Drag from road to road to build a bridge
+    TUNNEL: 'tunnel',           // Drag from road to road to build a tunnel
+};
+
+// Road types the player can build (see RoadCatalogue)
+export const RoadTypes = {
+    DIRT: 'dirt',
+    STREET: 'street',
+    AVENUE: 'avenue',
+    HIGHWAY: 'highway',
+};
+
+// Per road type: build cost, travel time into one cell (ms), lanes in each direction, and base color.
+// Listed cheapest first; the road toolbar shows them in this order.
+export const RoadCatalogue = {
+    [RoadTypes.DIRT]: { name: 'Dirt lane', cost: 500, travelTime: 3000, lanes: 1, color: Colors.roadDirt },
+    [RoadTypes.STREET]: { name: 'Street', cost: GameConfig.roadCost, travelTime: GameConfig.carSpeed, lanes: 1, color: Colors.road },
+    [RoadTypes.AVENUE]: { name: 'Avenue', cost: 2000, travelTime: 1500, lanes: 2, color: Colors.roadAvenue },
+    [RoadTypes.HIGHWAY]: { name: 'Highway', cost: 3000, travelTime: 1000, lanes: 2, color: Colors.roadHighway },
+};
+
+// Ways to cross obstacles and other roads (see Bridges.js)
+export const BridgeKinds = {
+    BRIDGE: 'bridge',
+    TUNNEL: 'tunnel',
+};
+
+// Per kind: build cost per spanned cell, travel time into one span cell (ms) and the
+// pathfinding layer its span is on (bridges above the ground, tunnels below it)
+export const BridgeCatalogue = {
+    [BridgeKinds.BRIDGE]: { name: 'Bridge', costPerCell: 2000, travelTime: GameConfig.carSpeed, layer: 1 },
+    [BridgeKinds.TUNNEL]: { name: 'Tunnel', costPerCell: 2500, travelTime: GameConfig.carSpeed, layer: -1 },
 };
 
 // Direction Types for arrows
@@ -99,6 +210,15 @@ export const CarStates = {
     FAILED: 'failed',
 };
 
+// Level Objective Types (see RulesEngine.js)
+export const ObjectiveTypes = {
+    SUCCESS_RATE: 'successRate',  // Enough of the finished cars reach their exit
+    DELIVER: 'deliver',           // A number of cars reach their exit
+    NO_FAILURES: 'noFailures',    // No car may fail
+    TIME_LIMIT: 'timeLimit',      // Goals must be met within a simulated time
+    MAX_SPEND: 'maxSpend',        // The layout may cost at most an amount
+};
+
 // Game States
 export const GameStates = {
     BUILDING: 'building',       // Player is building roads
@@ -122,8 +242,13 @@ export const ZLayers = {
     GRID_LINES: 10,
     CELLS: 20,
     ROADS: 30,
+    HEATMAP: 35,
     ARROWS: 40,
+    SIGNALS: 45,
+    TUNNELS: 48,
     CARS: 50,
+    BRIDGES: 55,
+    BRIDGE_CARS: 60,
     UI_BACKGROUND: 100,
     UI_ELEMENTS: 110,
     UI_TEXT: 120,
@@ -143,16 +268,24 @@ export const Audio = {
 // Level bounds and validation
 export const LevelLimits = {
     minGridSize: 3,             // Minimum grid size
-    maxGridSize: 20,            // Maximum grid size
+    maxGridSize: 40,            // Maximum grid size (larger grids are zoomed and panned)
     maxCarTypes: 10,            // Maximum different car types
     maxEntrancesPerCar: 5,      // Maximum entrances per car type
+    maxExitsPerCar: 5,          // Maximum exits per car type
+    maxWaypointsPerCar: 5,      // Maximum waypoints per car type
+    maxScheduledCars: 100,      // Maximum cars in one spawn schedule count or wave
 };
 
 // Export all constants as a single object for convenience
 export default {
     GameConfig,
     Colors,
+    CarColorNames,
     Tools,
+    RoadTypes,
+    RoadCatalogue,
+    BridgeKinds,
+    BridgeCatalogue,
     Directions,
     CellTypes,
     CarStates,
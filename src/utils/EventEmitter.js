@@ -0,0 +1,71 @@
+// Traffic Simulation Game - Event Emitter
+// Minimal event system for modules that must run without Phaser
+
+/**
+ * EventEmitter with the same listener semantics as GameState:
+ * listeners are registered with an optional context and errors in one
+ * listener never stop the others
+ */
+export class EventEmitter {
+    constructor() {
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Add event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @param {Object} context - Context (this) for the callback
+     */
+    on(event, callback, context) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push({ callback, context });
+    }
+
+    /**
+     * Remove event listener
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback function
+     * @param {Object} context - Context (this) for the callback
+     */
+    off(event, callback, context) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            const index = listeners.findIndex(listener => {
+                return listener.callback === callback && listener.context === context;
+            });
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Remove every listener
+     */
+    removeAllListeners() {
+        this.eventListeners.clear();
+    }
+
+    /**
+     * Emit event
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        const listeners = this.eventListeners.get(event);
+        if (listeners) {
+            [...listeners].forEach(listener => {
+                try {
+                    listener.callback.call(listener.context, data);
+                } catch (error) {
+                    console.error(`Error in event listener for ${event}:`, error);
+                }
+            });
+        }
+    }
+}
+
+export default EventEmitter;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // Traffic Simulation Game - Helper Functions
 // Utility functions for coordinate conversion, distance calculations, and styling
 
-import { GameConfig, Colors, Coordinates } from './Constants.js';
+import { GameConfig, Colors, Coordinates, Directions, RoadTypes, RoadCatalogue } from './Constants.js';
 
 /**
  * Coordinate Conversion Functions
@@ -115,6 +115,28 @@ export function processEntranceCoordinates(row, col, gridRows, gridCols) {
     };
 }
 
+/**
+ * Convert an edge position back to level JSON entrance coordinates
+ * (the inverse of processEntranceCoordinates for entrances on an edge)
+ * @param {string} side - Edge: 'top', 'bottom', 'left' or 'right'
+ * @param {number} index - 0-based column (top/bottom) or row (left/right) along the edge
+ * @returns {Object} {row, column} as written in level JSON
+ */
+export function edgeToJsonCoordinates(side, index) {
+    switch (side) {
+        case 'top':
+            return { row: Coordinates.TOP_EDGE, column: index + 1 };
+        case 'bottom':
+            return { row: Coordinates.BOTTOM_EDGE, column: index + 1 };
+        case 'left':
+            return { row: index + 1, column: Coordinates.LEFT_EDGE };
+        case 'right':
+            return { row: index + 1, column: Coordinates.RIGHT_EDGE };
+        default:
+            throw new Error(`Unknown edge side: ${side}`);
+    }
+}
+
 /**
  * Get world coordinates for entrance/exit positions including outside grid
  * @param {number} row - Grid row (can be outside grid for entrances)
@@ -169,6 +191,21 @@ export function manhattanDistance(row1, col1, row2, col2) {
     return Math.abs(row2 - row1) + Math.abs(col2 - col1);
 }
 
+/**
+ * Calculate the grid distance between two points when diagonal steps are allowed
+ * Diagonal steps count GameConfig.diagonalStepFactor, straight steps 1.
+ * @param {number} row1 - First point row
+ * @param {number} col1 - First point column
+ * @param {number} row2 - Second point row
+ * @param {number} col2 - Second point column
+ * @returns {number} Octile distance
+ */
+export function octileDistance(row1, col1, row2, col2) {
+    const deltaRow = Math.abs(row2 - row1);
+    const deltaCol = Math.abs(col2 - col1);
+    return Math.max(deltaRow, deltaCol) + (GameConfig.diagonalStepFactor - 1) * Math.min(deltaRow, deltaCol);
+}
+
 /**
  * Calculate Euclidean distance between two grid points
  * @param {number} row1 - First point row
@@ -210,6 +247,182 @@ export function getAdjacentPositions(row, col) {
     ];
 }
 
+// One-cell step of each direction
+const DIRECTION_STEPS = {
+    [Directions.UP]: { row: -1, col: 0 },
+    [Directions.DOWN]: { row: 1, col: 0 },
+    [Directions.LEFT]: { row: 0, col: -1 },
+    [Directions.RIGHT]: { row: 0, col: 1 },
+    [Directions.UP_RIGHT]: { row: -1, col: 1 },
+    [Directions.UP_LEFT]: { row: -1, col: -1 },
+    [Directions.DOWN_RIGHT]: { row: 1, col: 1 },
+    [Directions.DOWN_LEFT]: { row: 1, col: -1 }
+};
+
+/**
+ * Get the four diagonal grid positions around a cell
+ * @param {number} row - Current row
+ * @param {number} col - Current column
+ * @returns {Array} Array of {row, col, direction} positions
+ */
+export function getDiagonalPositions(row, col) {
+    return [Directions.UP_RIGHT, Directions.UP_LEFT, Directions.DOWN_RIGHT, Directions.DOWN_LEFT].map(direction => ({
+        ...getPositionInDirection(row, col, direction),
+        direction
+    }));
+}
+
+/**
+ * Check if a direction is one of the four diagonals
+ * @param {string} direction - Direction from Directions enum
+ * @returns {boolean} True for up-right, up-left, down-right and down-left
+ */
+export function isDiagonalDirection(direction) {
+    const step = DIRECTION_STEPS[direction];
+    return !!step && step.row !== 0 && step.col !== 0;
+}
+
+/**
+ * Get the grid position one step away in a direction
+ * @param {number} row - Current row
+ * @param {number} col - Current column
+ * @param {string} direction - Direction from Directions enum (diagonals step one row and one column)
+ * @returns {Object|null} {row, col} target position or null for unsupported directions
+ */
+export function getPositionInDirection(row, col, direction) {
+    const step = DIRECTION_STEPS[direction];
+    return step ? { row: row + step.row, col: col + step.col } : null;
+}
+
+/**
+ * Get the direction of a single step between two adjacent positions
+ * @param {number} fromRow - Start row
+ * @param {number} fromCol - Start column
+ * @param {number} toRow - Target row
+ * @param {number} toCol - Target column
+ * @returns {string|null} Direction from Directions enum (diagonal for corner neighbours) or null if not adjacent
+ */
+export function getDirectionBetween(fromRow, fromCol, toRow, toCol) {
+    const deltaRow = toRow - fromRow;
+    const deltaCol = toCol - fromCol;
+    
+    const direction = Object.keys(DIRECTION_STEPS).find(key =>
+        DIRECTION_STEPS[key].row === deltaRow && DIRECTION_STEPS[key].col === deltaCol
+    );
+    return direction || null;
+}
+
+/**
+ * Get the two cells a diagonal step passes between
+ * @param {number} row - Start row
+ * @param {number} col - Start column
+ * @param {string} direction - Direction from Directions enum
+ * @returns {Array} Array of {row, col}: the cell beside the start in the step's row, then in its column; empty for straight steps
+ */
+export function getCornerCells(row, col, direction) {
+    if (!isDiagonalDirection(direction)) {
+        return [];
+    }
+    
+    const step = DIRECTION_STEPS[direction];
+    return [
+        { row: row + step.row, col: col },
+        { row: row, col: col + step.col }
+    ];
+}
+
+/**
+ * Check if a diagonal step may be taken past the obstacles around it
+ * Cars may not cut the corner of a tree or building: both cells the step
+ * passes between must be free of obstacles. Straight steps are always open.
+ * @param {number} row - Start row
+ * @param {number} col - Start column
+ * @param {string} direction - Direction from Directions enum
+ * @param {Set} obstacles - Set of obstacle positions ("row,col")
+ * @returns {boolean} True if the step does not cut an obstacle's corner
+ */
+export function isCornerClear(row, col, direction, obstacles) {
+    return getCornerCells(row, col, direction).every(cell => !(obstacles && obstacles.has(gridKey(cell.row, cell.col))));
+}
+
+/**
+ * Get the diagonal neighbours a road links to in diagonal mode
+ * A link needs a road on the diagonal and may not cut the corner of a tree or building.
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {Map|Set} roads - Roads keyed by "row,col"
+ * @param {Set} [obstacles] - Set of "row,col" keys cars cannot drive through
+ * @returns {Array} Diagonal directions from Directions enum
+ */
+export function getDiagonalLinks(row, col, roads, obstacles) {
+    return getDiagonalPositions(row, col)
+        .filter(pos => roads.has(gridKey(pos.row, pos.col)) && isCornerClear(row, col, pos.direction, obstacles))
+        .map(pos => pos.direction);
+}
+
+/**
+ * Count the diagonal links in a layout, each once
+ * @param {Map} roads - Map of "row,col" -> road data {row, col}
+ * @param {Set} [obstacles] - Set of "row,col" keys cars cannot drive through
+ * @returns {number} Number of linked diagonal pairs of roads
+ */
+export function countDiagonalLinks(roads, obstacles) {
+    let ends = 0;
+    roads.forEach(road => {
+        ends += getDiagonalLinks(road.row, road.col, roads, obstacles).length;
+    });
+    return ends / 2;
+}
+
+/**
+ * Get the unit vector to the right of a direction of travel (cars keep to the right)
+ * @param {string} direction - Direction from Directions enum
+ * @returns {Object} {row, col} of length 1 (diagonals included); {row: 0, col: 0} for unsupported directions
+ */
+export function getRightHandSide(direction) {
+    const step = DIRECTION_STEPS[direction];
+    if (!step) {
+        return { row: 0, col: 0 };
+    }
+    
+    // A quarter turn clockwise in screen coordinates (rows grow downwards)
+    const length = Math.hypot(step.row, step.col);
+    return { row: step.col / length, col: -step.row / length };
+}
+
+/**
+ * Get where a lane runs through a cell, relative to the cell center
+ * Each direction of travel uses the right-hand half of the road; lane 0 is the kerb lane.
+ * @param {Object} lane - Lane {direction, index, count}
+ * @returns {Object} {row, col} offset in cells
+ */
+export function getLaneOffset(lane) {
+    const side = getRightHandSide(lane.direction);
+    const distance = (lane.count - lane.index - 0.5) / (2 * lane.count);
+    return { row: side.row * distance, col: side.col * distance };
+}
+
+/**
+ * Get the positions a road lets cars drive to, based on its direction arrows
+ * Roads without arrows connect to all four neighbours (all eight when diagonals are allowed)
+ * @param {number} row - Road row
+ * @param {number} col - Road column
+ * @param {Array} directions - Array of direction strings set on the road
+ * @param {boolean} [allowDiagonal] - Whether the level allows diagonal links; diagonal arrows are ignored without it
+ * @returns {Array} Array of {row, col, direction} positions (unique per direction)
+ */
+export function getRoadConnections(row, col, directions = [], allowDiagonal = false) {
+    const usable = Object.keys(DIRECTION_STEPS).filter(direction => allowDiagonal || !isDiagonalDirection(direction));
+    const chosen = !directions || directions.length === 0
+        ? usable
+        : [...new Set(directions)].filter(direction => usable.includes(direction));
+    
+    return chosen.map(direction => ({
+        ...getPositionInDirection(row, col, direction),
+        direction
+    }));
+}
+
 /**
  * Color and Styling Helpers
  */
@@ -262,6 +475,24 @@ export function getCarColor(colorName) {
     return colorMap[colorName.toLowerCase()] || Colors.carBlue; // Default to blue
 }
 
+/**
+ * Get the catalogue entry of a road type
+ * @param {string} [type] - Road type from RoadTypes; roads saved before road types existed have none
+ * @returns {Object} {name, cost, travelTime, lanes, color}; the standard street for unknown types
+ */
+export function getRoadType(type) {
+    return RoadCatalogue[type] || RoadCatalogue[RoadTypes.STREET];
+}
+
+/**
+ * Get the road type that costs least to build
+ * @returns {string} Road type from RoadTypes
+ */
+export function getCheapestRoadType() {
+    return Object.keys(RoadCatalogue).reduce((cheapest, type) =>
+        RoadCatalogue[type].cost < RoadCatalogue[cheapest].cost ? type : cheapest);
+}
+
 /**
  * Utility Functions
  */
@@ -286,6 +517,28 @@ export function parseGridKey(key) {
     return { row, col };
 }
 
+/**
+ * Generate the key of a cell on a pathfinding layer
+ * Ground cells (layer 0) use their plain grid key; bridge and tunnel spans get the layer appended.
+ * @param {number} row - Grid row
+ * @param {number} col - Grid column
+ * @param {number} [layer] - Layer (0 ground, above 0 bridges, below 0 tunnels)
+ * @returns {string} "row,col" or "row,col,layer"
+ */
+export function layerKey(row, col, layer = 0) {
+    return layer ? `${row},${col},${layer}` : gridKey(row, col);
+}
+
+/**
+ * Parse a layer key back to coordinates
+ * @param {string} key - Key from layerKey()
+ * @returns {Object} {row, col}, plus layer for cells off the ground
+ */
+export function parseLayerKey(key) {
+    const [row, col, layer] = key.split(',').map(Number);
+    return layer ? { row, col, layer } : { row, col };
+}
+
 /**
  * Clamp a value between min and max
  * @param {number} value - Value to clamp
@@ -309,13 +562,15 @@ export function formatNumber(num) {
 /**
  * Generate a random ID string
  * @param {number} length - Length of ID (default 8)
+ * @param {Object} random - Optional generator with next() (e.g. SeededRandom); Math.random is used if omitted
  * @returns {string} Random ID
  */
-export function generateId(length = 8) {
+export function generateId(length = 8, random = null) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
     let result = '';
     for (let i = 0; i < length; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+        const value = random ? random.next() : Math.random();
+        result += chars.charAt(Math.floor(value * chars.length));
     }
     return result;
 }
@@ -328,22 +583,39 @@ export default {
     gridToWorld,
     worldToGrid,
     processEntranceCoordinates,
+    edgeToJsonCoordinates,
     getEntranceWorldPosition,
     
     // Distance and pathfinding
     manhattanDistance,
+    octileDistance,
     euclideanDistance,
     isValidGridPosition,
     getAdjacentPositions,
+    getDiagonalPositions,
+    isDiagonalDirection,
+    getPositionInDirection,
+    getDirectionBetween,
+    getCornerCells,
+    isCornerClear,
+    getDiagonalLinks,
+    countDiagonalLinks,
+    getRightHandSide,
+    getLaneOffset,
+    getRoadConnections,
     
     // Color and styling
     hexToRgb,
     interpolateColor,
     getCarColor,
+    getRoadType,
+    getCheapestRoadType,
     
     // Utilities
     gridKey,
     parseGridKey,
+    layerKey,
+    parseLayerKey,
     clamp,
     formatNumber,
     generateId,
@@ -1,49 +1,48 @@
-// Traffic Simulation Game - Pathfinding Integration
-// A* pathfinding integration wrapper using PathFinding.js library
+// Traffic Simulation Game - Pathfinding
+// Directed-graph A* pathfinding that honors the direction arrows and turn rules on roads
 
-import { isValidGridPosition } from './Helpers.js';
+import { GameConfig, Directions, BridgeCatalogue } from './Constants.js';
+import {
+    isValidGridPosition, gridKey, parseGridKey, layerKey, parseLayerKey, manhattanDistance, octileDistance,
+    getDirectionBetween, getRoadConnections, getRoadType, isDiagonalDirection, isCornerClear, clamp
+} from './Helpers.js';
+import { getBridgeEnds, getBridgeSpan, getBridgeLayer, getBridgeDirection } from '../simulation/Bridges.js';
+import { cloneTurnTable, hasTurnRules, allowsTurn, getTurnName } from '../simulation/TurnRules.js';
 
 /**
- * PathFinder class that integrates PathFinding.js for traffic simulation
+ * PathFinder class that searches a directed road graph for traffic simulation.
+ * Each road cell is a node; edges follow the road's direction arrows, so
+ * one-way streets are respected. Roads without arrows connect to all four
+ * neighbouring roads. Moving into a cell costs its road type's travel time,
+ * so searches return the fastest route rather than the one with fewest cells.
+ *
+ * Bridges and tunnels add nodes on their own layer ("row,col,layer", see
+ * layerKey) for the cells they span, linked in a line between the two end
+ * roads. Paths list those cells with a layer field; ground cells have none.
+ *
+ * Roads with turn rules (see TurnRules.js) only let cars leave in the
+ * directions their approach allows, so the search tracks the direction each
+ * cell was entered in as well as the cell.
+ *
+ * Levels in diagonal mode also link roads to their diagonal neighbours, unless
+ * the link would cut the corner of a tree or building. A diagonal move takes
+ * GameConfig.diagonalStepFactor times the target cell's travel time.
  */
 export class PathFinder {
     constructor() {
-        // Check if PathFinding.js is loaded
-        if (typeof PF === 'undefined') {
-            throw new Error('PathFinding.js library not loaded! Make sure PF is available globally.');
-        }
-        
-        // Check if required components are available
-        if (!PF.AStarFinder || !PF.Grid || !PF.Heuristic) {
-            throw new Error('PathFinding.js components missing! AStarFinder, Grid, or Heuristic not available.');
-        }
-        
-        this.grid = null;
-        this.finder = null;
+        this.walkable = new Set(); // Set of "row,col" keys cars can drive on
+        this.edges = new Map();    // Map of "row,col" -> Array of {row, col, direction} reachable in one move
+        this.travelTimes = new Map(); // Map of node key -> time to drive into the cell (ms)
+        this.spanCells = new Set(); // Set of "row,col,layer" keys on bridges and tunnels
+        this.turnTables = new Map(); // Map of "row,col" -> turn table, for roads with turn rules
+        this.minTravelTime = GameConfig.carSpeed; // Fastest cell, keeps the A* heuristic admissible
+        this.allowDiagonal = false; // Whether roads link to their diagonal neighbours
         this.gridWidth = 0;
         this.gridHeight = 0;
         
-        // Initialize A* finder with optimal settings for grid movement
-        this.initializeFinder();
-        
         console.log('PathFinder initialized');
     }
 
-    /**
-     * Initialize the A* pathfinder with optimal settings
-     */
-    initializeFinder() {
-        // CRITICAL: PathFinding.js requires specific grid format
-        this.finder = new PF.AStarFinder({
-            allowDiagonal: false,        // No diagonal movement
-            dontCrossCorners: true,      // Don't cut corners
-            heuristic: PF.Heuristic.manhattan,  // Best for grid movement
-            weight: 1 // Standard A* weight
-        });
-        
-        console.log('A* finder initialized with manhattan heuristic');
-    }
-
     /**
      * Initialize grid with specified dimensions
      * @param {number} width - Grid width (columns)
@@ -53,67 +52,115 @@ export class PathFinder {
         this.gridWidth = width;
         this.gridHeight = height;
         
-        // Create new grid - all cells blocked by default
-        this.grid = new PF.Grid(width, height);
+        // Initially all cells are blocked, we'll update with roads
+        this.walkable.clear();
+        this.edges.clear();
+        this.travelTimes.clear();
+        this.spanCells.clear();
+        this.turnTables.clear();
+        this.minTravelTime = GameConfig.carSpeed;
+        this.allowDiagonal = false;
         
-        // Initially all cells are blocked (1), we'll update with roads
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                this.grid.setWalkableAt(x, y, false); // false = blocked
-            }
-        }
-        
-        console.log(`PathFinding grid initialized: ${width}x${height}`);
+        console.log(`Pathfinding graph initialized: ${width}x${height}`);
     }
 
     /**
-     * Update the pathfinding grid with current road and obstacle data
-     * @param {Map} roads - Map of road positions ("row,col" -> Road object)
+     * Update the pathfinding graph with current road and obstacle data
+     * @param {Map} roads - Map of road positions ("row,col" -> Road object or road data with directions, turns and type)
      * @param {Set} obstacles - Set of obstacle positions ("row,col")
      * @param {number} gridRows - Total grid rows
      * @param {number} gridCols - Total grid columns
+     * @param {Map} [bridges] - Map of key -> bridge data (see Bridges.js)
+     * @param {boolean} [allowDiagonal] - Link roads to their diagonal neighbours (the level's diagonal mode)
      */
-    updateGrid(roads, obstacles, gridRows, gridCols) {
-        // Reinitialize grid if dimensions changed
-        if (this.gridWidth !== gridCols || this.gridHeight !== gridRows) {
-            this.initializeGrid(gridCols, gridRows);
+    updateGrid(roads, obstacles, gridRows, gridCols, bridges = new Map(), allowDiagonal = false) {
+        // Reinitialize graph (dimensions may have changed)
+        this.initializeGrid(gridCols, gridRows);
+        this.allowDiagonal = allowDiagonal;
+        
+        // Roads are walkable unless they sit on an obstacle
+        for (let posKey of roads.keys()) {
+            const { row, col } = parseGridKey(posKey);
+            
+            if (isValidGridPosition(row, col, gridRows, gridCols) && !(obstacles && obstacles.has(posKey))) {
+                this.walkable.add(posKey);
+                this.travelTimes.set(posKey, getRoadType(roads.get(posKey).type).travelTime);
+                
+                if (hasTurnRules(roads.get(posKey).turns)) {
+                    this.turnTables.set(posKey, cloneTurnTable(roads.get(posKey).turns));
+                }
+            }
         }
         
-        if (!this.grid) {
-            this.initializeGrid(gridCols, gridRows);
+        // Build directed edges from each road's allowed directions
+        for (let posKey of this.walkable) {
+            const { row, col } = parseGridKey(posKey);
+            const road = roads.get(posKey);
+            
+            const neighbors = getRoadConnections(row, col, road ? road.directions : [], allowDiagonal)
+                .filter(pos => this.walkable.has(gridKey(pos.row, pos.col)))
+                .filter(pos => isCornerClear(row, col, pos.direction, obstacles));
+            
+            this.edges.set(posKey, neighbors);
         }
         
-        // Reset all cells to blocked
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                this.grid.setWalkableAt(x, y, false);
-            }
+        bridges.forEach(bridge => this.addBridge(bridge, roads));
+        
+        if (this.travelTimes.size > 0) {
+            this.minTravelTime = Math.min(...this.travelTimes.values());
         }
         
-        // GOTCHA: 0 = walkable, 1 = blocked in PathFinding.js
-        // Set roads as walkable (0/false)
-        for (let [posKey, road] of roads) {
-            const [row, col] = posKey.split(',').map(Number);
-            
-            // PathFinding.js uses (x, y) where x=col, y=row
-            if (isValidGridPosition(row, col, gridRows, gridCols)) {
-                this.grid.setWalkableAt(col, row, true); // true = walkable
-            }
+        const { edgeCount } = this.getStats();
+        console.log(`Graph updated: ${this.walkable.size} roads, ${this.spanCells.size} bridge/tunnel cells, ${edgeCount} edges, ` +
+                    `${this.turnTables.size} turn tables, ${obstacles ? obstacles.size : 0} obstacles` +
+                    (allowDiagonal ? ', diagonal links on' : ''));
+    }
+
+    /**
+     * Link a bridge or tunnel's span cells, on its own layer, between its two end roads
+     * Cars may use the span in both directions. They leave an end road onto it only where
+     * that road's arrows allow the direction (roads without arrows allow all four), and
+     * may always drive off it onto an end road.
+     * @param {Object} bridge - Bridge data (see Bridges.js)
+     * @param {Map} roads - Map of road positions ("row,col" -> road with directions)
+     */
+    addBridge(bridge, roads) {
+        const [first, last] = getBridgeEnds(bridge);
+        if (!this.isWalkable(first.row, first.col) || !this.isWalkable(last.row, last.col)) {
+            return;
         }
         
-        // Obstacles remain blocked (already set to false above)
-        // But let's explicitly ensure obstacles are blocked
-        if (obstacles) {
-            for (let posKey of obstacles) {
-                const [row, col] = posKey.split(',').map(Number);
-                
-                if (isValidGridPosition(row, col, gridRows, gridCols)) {
-                    this.grid.setWalkableAt(col, row, false); // false = blocked
-                }
+        const layer = getBridgeLayer(bridge);
+        const forward = getBridgeDirection(bridge);
+        const backward = forward === Directions.RIGHT ? Directions.LEFT : Directions.UP;
+        const travelTime = BridgeCatalogue[bridge.kind].travelTime;
+        
+        const span = getBridgeSpan(bridge).map(cell => ({ ...cell, layer }));
+        span.forEach(cell => {
+            const key = layerKey(cell.row, cell.col, layer);
+            this.spanCells.add(key);
+            this.travelTimes.set(key, travelTime);
+            this.edges.set(key, []);
+        });
+        
+        const line = [first, ...span, last];
+        const allows = (cell, direction) => {
+            const road = roads.get(gridKey(cell.row, cell.col));
+            const directions = road ? road.directions || [] : [];
+            return directions.length === 0 || directions.includes(direction);
+        };
+        
+        for (let i = 0; i < line.length - 1; i++) {
+            const from = line[i];
+            const to = line[i + 1];
+            
+            if (from.layer || allows(from, forward)) {
+                this.edges.get(layerKey(from.row, from.col, from.layer)).push({ ...to, direction: forward });
+            }
+            if (to.layer || allows(to, backward)) {
+                this.edges.get(layerKey(to.row, to.col, to.layer)).push({ ...from, direction: backward });
             }
         }
-        
-        console.log(`Grid updated: ${roads.size} roads, ${obstacles ? obstacles.size : 0} obstacles`);
     }
 
     /**
@@ -122,20 +169,11 @@ export class PathFinder {
      * @param {number} startCol - Start column (game coordinates)
      * @param {number} endRow - End row (game coordinates)
      * @param {number} endCol - End column (game coordinates)
-     * @returns {Array|null} Array of [x, y] coordinates or null if no path
+     * @param {number} [startLayer] - Layer of the start cell (for cars on a bridge or in a tunnel)
+     * @param {string|null} [startHeading] - Direction the start cell was entered in, for its turn rules (null if not known)
+     * @returns {Array|null} Array of {row, col} positions (with layer on bridges and tunnels) or null if no path
      */
-    findPath(startRow, startCol, endRow, endCol) {
-        if (!this.grid || !this.finder) {
-            console.error('PathFinder not properly initialized');
-            return null;
-        }
-        
-        // Convert game coordinates (row, col) to PathFinding.js coordinates (x, y)
-        const startX = startCol;
-        const startY = startRow;
-        const endX = endCol;
-        const endY = endRow;
-        
+    findPath(startRow, startCol, endRow, endCol, startLayer = 0, startHeading = null) {
         // Validate coordinates
         if (!isValidGridPosition(startRow, startCol, this.gridHeight, this.gridWidth) ||
             !isValidGridPosition(endRow, endCol, this.gridHeight, this.gridWidth)) {
@@ -144,44 +182,123 @@ export class PathFinder {
         }
         
         // Check if start and end positions are walkable
-        if (!this.grid.isWalkableAt(startX, startY)) {
+        if (!this.hasNode(startRow, startCol, startLayer)) {
             console.warn(`Start position (${startRow},${startCol}) is not walkable`);
             return null;
         }
         
-        if (!this.grid.isWalkableAt(endX, endY)) {
+        if (!this.isWalkable(endRow, endCol)) {
             console.warn(`End position (${endRow},${endCol}) is not walkable`);
             return null;
         }
         
-        // CRITICAL: Must clone grid before each pathfinding call
-        const gridClone = this.grid.clone();
+        const path = this.search(layerKey(startRow, startCol, startLayer), gridKey(endRow, endCol), startHeading);
+        
+        if (path) {
+            console.log(`Path found: ${path.length} steps from (${startRow},${startCol}) to (${endRow},${endCol})`);
+        } else {
+            console.warn(`No path found from (${startRow},${startCol}) to (${endRow},${endCol})`);
+        }
+        
+        return path;
+    }
+
+    /**
+     * A* search over the directed road graph, weighted by travel time
+     * Search states are "nodeKey>heading": the same cell entered in another
+     * direction may have other exits under its turn rules.
+     * @param {string} startKey - Start node key (see layerKey)
+     * @param {string} endKey - End node key (see layerKey)
+     * @param {string|null} [startHeading] - Direction the start cell was entered in (null if not known)
+     * @returns {Array|null} Array of {row, col} positions (with layer off the ground) or null if unreachable
+     */
+    search(startKey, endKey, startHeading = null) {
+        const end = parseLayerKey(endKey);
+        const nodeOf = (state) => state.slice(0, state.indexOf('>'));
+        const headingOf = (state) => state.slice(state.indexOf('>') + 1) || null;
+        const distance = this.allowDiagonal ? octileDistance : manhattanDistance;
+        const heuristic = (state) => {
+            const { row, col } = parseLayerKey(nodeOf(state));
+            return distance(row, col, end.row, end.col) * this.minTravelTime;
+        };
         
-        try {
-            // Find path using A*
-            const path = this.finder.findPath(startX, startY, endX, endY, gridClone);
+        const startState = `${startKey}>${startHeading || ''}`;
+        const openSet = [startState];
+        const cameFrom = new Map();
+        const gScore = new Map([[startState, 0]]);
+        const fScore = new Map([[startState, heuristic(startState)]]);
+        const closedSet = new Set();
+        
+        while (openSet.length > 0) {
+            // Take the open state with the lowest f score (first inserted wins ties)
+            let bestIndex = 0;
+            for (let i = 1; i < openSet.length; i++) {
+                if (fScore.get(openSet[i]) < fScore.get(openSet[bestIndex])) {
+                    bestIndex = i;
+                }
+            }
+            const current = openSet.splice(bestIndex, 1)[0];
+            const currentNode = nodeOf(current);
             
-            if (path && path.length > 0) {
-                console.log(`Path found: ${path.length} steps from (${startRow},${startCol}) to (${endRow},${endCol})`);
+            if (currentNode === endKey) {
+                return this.reconstructPath(cameFrom, current).map(nodeOf).map(parseLayerKey);
+            }
+            
+            closedSet.add(current);
+            const heading = headingOf(current);
+            const turns = this.turnTables.get(currentNode);
+            const exits = (this.edges.get(currentNode) || []).filter(neighbor => !turns || allowsTurn(turns, heading, neighbor.direction));
+            
+            // Cars turn back only at a dead end or where a turn rule says they may; anywhere
+            // else a U-turn one cell past a junction would get around that junction's rules
+            const isUTurn = (neighbor) => !!heading && getTurnName(heading, neighbor.direction) === 'u-turn' &&
+                !(turns && turns[heading]);
+            const onward = exits.filter(neighbor => !isUTurn(neighbor));
+            
+            for (let neighbor of onward.length > 0 ? onward : exits) {
+                const neighborState = `${layerKey(neighbor.row, neighbor.col, neighbor.layer)}>${neighbor.direction}`;
+                if (closedSet.has(neighborState)) {
+                    continue;
+                }
                 
-                // Convert path coordinates back to game format: [x, y] -> {row, col}
-                return path.map(([x, y]) => ({
-                    row: y,
-                    col: x
-                }));
-            } else {
-                console.warn(`No path found from (${startRow},${startCol}) to (${endRow},${endCol})`);
-                return null;
+                const tentativeScore = gScore.get(current) + this.getStepTime(parseLayerKey(currentNode), neighbor);
+                if (!gScore.has(neighborState) || tentativeScore < gScore.get(neighborState)) {
+                    cameFrom.set(neighborState, current);
+                    gScore.set(neighborState, tentativeScore);
+                    fScore.set(neighborState, tentativeScore + heuristic(neighborState));
+                    
+                    if (!openSet.includes(neighborState)) {
+                        openSet.push(neighborState);
+                    }
+                }
             }
-        } catch (error) {
-            console.error('Pathfinding error:', error);
-            return null;
         }
+        
+        return null;
+    }
+
+    /**
+     * Walk the cameFrom chain back to the start
+     * @param {Map} cameFrom - Map of search state -> previous search state
+     * @param {string} endState - Final search state
+     * @returns {Array} Search states from start to end
+     */
+    reconstructPath(cameFrom, endState) {
+        const states = [endState];
+        let current = endState;
+        
+        while (cameFrom.has(current)) {
+            current = cameFrom.get(current);
+            states.unshift(current);
+        }
+        
+        return states;
     }
 
     /**
      * Find path with entrance/exit support (positions may be outside grid)
-     * @param {Object} start - Start position {row, col, isEntrance, side}
+     * @param {Object} start - Start position {row, col, isEntrance, side}, or {row, col, layer, heading} for a car
+     *                         on the grid (heading is the direction it entered the cell in)
      * @param {Object} end - End position {row, col, isEntrance, side}
      * @param {number} gridRows - Grid rows
      * @param {number} gridCols - Grid columns
@@ -192,68 +309,98 @@ export class PathFinder {
         let actualStart = start;
         let actualEnd = end;
         
-        // If start is an entrance, find nearest valid grid position
+        // An entrance needs a road on the cell next to it
         if (start.isEntrance) {
-            actualStart = this.findNearestValidPosition(start, gridRows, gridCols);
+            actualStart = this.findEdgeCell(start, gridRows, gridCols);
             if (!actualStart) {
-                console.warn('No valid start position found near entrance');
+                console.warn('No road next to entrance');
                 return null;
             }
         }
         
-        // If end is an exit, find nearest valid grid position
+        // So does an exit
         if (end.isEntrance) {
-            actualEnd = this.findNearestValidPosition(end, gridRows, gridCols);
+            actualEnd = this.findEdgeCell(end, gridRows, gridCols);
             if (!actualEnd) {
-                console.warn('No valid end position found near exit');
+                console.warn('No road next to exit');
                 return null;
             }
         }
         
+        // Cars from an entrance enter the grid heading away from it
+        const heading = start.isEntrance
+            ? getDirectionBetween(start.row, start.col, actualStart.row, actualStart.col)
+            : start.heading || null;
+        
         // Find path between actual positions
-        return this.findPath(actualStart.row, actualStart.col, actualEnd.row, actualEnd.col);
+        return this.findPath(actualStart.row, actualStart.col, actualEnd.row, actualEnd.col, actualStart.layer || 0, heading);
     }
 
     /**
-     * Find nearest valid (walkable) grid position to an entrance/exit
-     * @param {Object} position - Position with {row, col, isEntrance, side}
+     * Find a path that passes some cells in order on its way to the end
+     * Each leg is searched on its own and the legs are joined; a leg heads on
+     * the way the previous one arrived.
+     * @param {Object} start - Start position {row, col, isEntrance, side} (see findPathWithEntrances)
+     * @param {Array} waypoints - Grid cells {row, col} to pass, in order
+     * @param {Object} end - End position {row, col, isEntrance, side}
      * @param {number} gridRows - Grid rows
      * @param {number} gridCols - Grid columns
-     * @returns {Object|null} Valid position {row, col} or null
+     * @returns {Array|null} Path or null if some leg has none
      */
-    findNearestValidPosition(position, gridRows, gridCols) {
-        // If position is already valid and walkable, return it
-        if (isValidGridPosition(position.row, position.col, gridRows, gridCols)) {
-            if (this.grid && this.grid.isWalkableAt(position.col, position.row)) {
-                return { row: position.row, col: position.col };
+    findPathThrough(start, waypoints, end, gridRows, gridCols) {
+        const stops = [start, ...waypoints, end];
+        let path = [];
+        
+        for (let i = 0; i < stops.length - 1; i++) {
+            const from = i > 0 && path.length > 1
+                ? { ...stops[i], heading: getDirectionBetween(path[path.length - 2].row, path[path.length - 2].col, stops[i].row, stops[i].col) }
+                : stops[i];
+            const leg = this.findPathWithEntrances(from, stops[i + 1], gridRows, gridCols);
+            if (!leg) {
+                return null;
             }
+            
+            // Each leg starts on the cell the previous one ended on
+            path = path.length > 0 ? path.concat(leg.slice(1)) : leg;
         }
         
-        // Search nearby positions in expanding circles
-        const maxSearchRadius = Math.max(gridRows, gridCols);
+        return path;
+    }
+
+    /**
+     * Find the fastest path through some waypoints to any of several exits
+     * @param {Object} start - Start position {row, col, isEntrance, side} (see findPathWithEntrances)
+     * @param {Array} waypoints - Grid cells {row, col} to pass, in order
+     * @param {Array} exits - Acceptable end positions {row, col, isEntrance, side}
+     * @param {number} gridRows - Grid rows
+     * @param {number} gridCols - Grid columns
+     * @returns {Object|null} {path, exit} or null if no exit can be reached
+     */
+    findPathToNearestExit(start, waypoints, exits, gridRows, gridCols) {
+        let best = null;
         
-        for (let radius = 1; radius <= maxSearchRadius; radius++) {
-            // Search positions at current radius
-            for (let deltaRow = -radius; deltaRow <= radius; deltaRow++) {
-                for (let deltaCol = -radius; deltaCol <= radius; deltaCol++) {
-                    // Only check positions on the current radius boundary
-                    if (Math.abs(deltaRow) !== radius && Math.abs(deltaCol) !== radius) {
-                        continue;
-                    }
-                    
-                    const testRow = position.row + deltaRow;
-                    const testCol = position.col + deltaCol;
-                    
-                    if (isValidGridPosition(testRow, testCol, gridRows, gridCols)) {
-                        if (this.grid && this.grid.isWalkableAt(testCol, testRow)) {
-                            return { row: testRow, col: testCol };
-                        }
-                    }
-                }
+        exits.forEach(exit => {
+            const path = this.findPathThrough(start, waypoints, exit, gridRows, gridCols);
+            if (path && (!best || this.getPathTime(path) < this.getPathTime(best.path))) {
+                best = { path, exit };
             }
-        }
+        });
         
-        return null;
+        return best;
+    }
+
+    /**
+     * Get the grid cell a car enters or leaves through at an edge entrance/exit
+     * This is the cell straight ahead of the edge position, and it needs a road of its own.
+     * @param {Object} position - Position with {row, col, isEntrance, side}
+     * @param {number} gridRows - Grid rows
+     * @param {number} gridCols - Grid columns
+     * @returns {Object|null} Grid position {row, col} or null if that cell has no road
+     */
+    findEdgeCell(position, gridRows, gridCols) {
+        const row = clamp(position.row, 0, gridRows - 1);
+        const col = clamp(position.col, 0, gridCols - 1);
+        return this.isWalkable(row, col) ? { row, col } : null;
     }
 
     /**
@@ -263,15 +410,78 @@ export class PathFinder {
      * @returns {boolean} True if walkable
      */
     isWalkable(row, col) {
-        if (!this.grid) {
-            return false;
-        }
-        
         if (!isValidGridPosition(row, col, this.gridHeight, this.gridWidth)) {
             return false;
         }
         
-        return this.grid.isWalkableAt(col, row);
+        return this.walkable.has(gridKey(row, col));
+    }
+
+    /**
+     * Check if a cell on some layer is part of the graph
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for roads on the ground)
+     * @returns {boolean} True if cars can drive there
+     */
+    hasNode(row, col, layer = 0) {
+        return layer ? this.spanCells.has(layerKey(row, col, layer)) : this.isWalkable(row, col);
+    }
+
+    /**
+     * Get the time it takes to drive into a road, bridge or tunnel cell
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for roads on the ground)
+     * @returns {number} Travel time (ms); the standard street time for cells off the graph
+     */
+    getTravelTime(row, col, layer = 0) {
+        return this.travelTimes.get(layerKey(row, col, layer)) ?? GameConfig.carSpeed;
+    }
+
+    /**
+     * Get the time it takes to drive from one cell into a neighbouring one
+     * @param {Object} from - Source position {row, col}
+     * @param {Object} to - Target position {row, col, layer}
+     * @returns {number} Travel time of the target cell (ms), longer for a diagonal move
+     */
+    getStepTime(from, to) {
+        const travelTime = this.getTravelTime(to.row, to.col, to.layer);
+        return isDiagonalDirection(getDirectionBetween(from.row, from.col, to.row, to.col))
+            ? travelTime * GameConfig.diagonalStepFactor
+            : travelTime;
+    }
+
+    /**
+     * Get the time it takes to drive a path from its first cell to its last
+     * @param {Array} path - Array of {row, col, layer} positions
+     * @returns {number} Travel time (ms), not counting waits
+     */
+    getPathTime(path) {
+        return path.slice(1).reduce((total, pos, index) => total + this.getStepTime(path[index], pos), 0);
+    }
+
+    /**
+     * Get the positions a car can move to from a road, bridge or tunnel cell
+     * @param {number} row - Grid row
+     * @param {number} col - Grid column
+     * @param {number} [layer] - Layer (0 for roads on the ground)
+     * @returns {Array} Array of {row, col, direction} neighbours (with layer off the ground)
+     */
+    getNeighbors(row, col, layer = 0) {
+        return [...(this.edges.get(layerKey(row, col, layer)) || [])];
+    }
+
+    /**
+     * Check if cars may drive directly from one cell to another
+     * Turn rules are not considered; they depend on how the car entered the source cell.
+     * @param {Object} from - Source position {row, col, layer}
+     * @param {Object} to - Target position {row, col, layer}
+     * @returns {boolean} True if a directed edge exists
+     */
+    hasEdge(from, to) {
+        return this.getNeighbors(from.row, from.col, from.layer)
+            .some(pos => pos.row === to.row && pos.col === to.col && (pos.layer || 0) === (to.layer || 0));
     }
 
     /**
@@ -289,18 +499,18 @@ export class PathFinder {
      * Debug: Print grid state to console
      */
     debugPrintGrid() {
-        if (!this.grid) {
+        if (this.gridWidth === 0 || this.gridHeight === 0) {
             console.log('No grid to print');
             return;
         }
         
-        console.log('PathFinding Grid State (. = walkable, # = blocked):');
+        console.log('Pathfinding Grid State (. = walkable, # = blocked):');
         let output = '';
         
         for (let y = 0; y < this.gridHeight; y++) {
             let row = '';
             for (let x = 0; x < this.gridWidth; x++) {
-                row += this.grid.isWalkableAt(x, y) ? '.' : '#';
+                row += this.isWalkable(y, x) ? '.' : '#';
             }
             output += row + '\n';
         }
@@ -313,52 +523,42 @@ export class PathFinder {
      * @returns {Object} Stats object
      */
     getStats() {
-        if (!this.grid) {
-            return { walkableCells: 0, blockedCells: 0, totalCells: 0 };
-        }
-        
-        let walkableCells = 0;
-        let blockedCells = 0;
-        
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.grid.isWalkableAt(x, y)) {
-                    walkableCells++;
-                } else {
-                    blockedCells++;
-                }
-            }
-        }
+        const totalCells = this.gridWidth * this.gridHeight;
+        let edgeCount = 0;
+        this.edges.forEach(neighbors => {
+            edgeCount += neighbors.length;
+        });
         
         return {
-            walkableCells,
-            blockedCells,
-            totalCells: walkableCells + blockedCells,
+            walkableCells: this.walkable.size,
+            spanCells: this.spanCells.size,
+            turnTables: this.turnTables.size,
+            allowDiagonal: this.allowDiagonal,
+            blockedCells: totalCells - this.walkable.size,
+            totalCells,
+            edgeCount,
             gridWidth: this.gridWidth,
             gridHeight: this.gridHeight
         };
     }
 
     /**
-     * Clear pathfinding grid
+     * Clear pathfinding graph
      */
     clear() {
-        if (this.grid) {
-            // Reset all cells to blocked
-            for (let y = 0; y < this.gridHeight; y++) {
-                for (let x = 0; x < this.gridWidth; x++) {
-                    this.grid.setWalkableAt(x, y, false);
-                }
-            }
-        }
+        // Reset all cells to blocked
+        this.walkable.clear();
+        this.edges.clear();
+        this.travelTimes.clear();
+        this.spanCells.clear();
+        this.turnTables.clear();
     }
 
     /**
      * Destroy pathfinder and clean up resources
      */
     destroy() {
-        this.grid = null;
-        this.finder = null;
+        this.clear();
         this.gridWidth = 0;
         this.gridHeight = 0;
         
@@ -0,0 +1,94 @@
+// Traffic Simulation Game - Seeded Random Number Generator
+// Deterministic PRNG so simulation runs can be reproduced from a seed
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * Produces the same sequence for the same seed on every platform
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - Initial seed (32-bit unsigned integer)
+     */
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to a seed
+     * @param {number} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random float between min (inclusive) and max (exclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    between(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get a random integer between 0 (inclusive) and max (exclusive)
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    integer(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element or undefined for empty arrays
+     */
+    pick(array) {
+        return array[this.integer(array.length)];
+    }
+}
+
+/**
+ * Normalize a seed from level JSON, a URL parameter or the command line
+ * Numbers and numeric strings are used as-is; other strings are hashed (FNV-1a)
+ * @param {number|string|null|undefined} value - Raw seed value
+ * @returns {number|null} 32-bit unsigned seed or null if no usable seed was given
+ */
+export function parseSeed(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value >>> 0 : null;
+    }
+    
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+    
+    const text = value.trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export default SeededRandom;
\ No newline at end of file